@@ -0,0 +1,416 @@
+/**
+ * Graphing Bridge
+ * Keeps the graph pane in sync with the active problem, through Desmos or
+ * the built-in SVG plotter. Loads after integration-core.js as a CommonJS
+ * module (require) or, in the browser, as window.IntegrationGraphing.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./integration-core.js'));
+    } else {
+        root.IntegrationGraphing = factory(root.IntegrationCore);
+    }
+})(typeof self !== 'undefined' ? self : this, function(core) {
+    'use strict';
+
+    const { CONFIG, Expr, ExpressionPrinter, MathUtils, escapeHtml } = core;
+
+    // =============================================================================
+    // GRAPHING BRIDGE
+    // =============================================================================
+
+    /**
+     * Keeps the graph pane in sync with the active problem. Drawing goes
+     * through an adapter, so the bridge can drive Desmos, the built-in
+     * LocalPlotter or a stub in tests.
+     * An adapter implements:
+     *   plot({ id, tree, color, style, label, area, polygons }) adds or
+     *     replaces the curve y = tree; with area = { lower, upper } (numbers,
+     *     possibly infinite) it shades the signed area under the curve
+     *     instead, and with polygons (lists of [x, y] corners) and no tree it
+     *     draws filled shapes such as Riemann sum rectangles
+     *   remove(id) deletes what was plotted under that id
+     */
+    class GraphingBridge {
+        // Wraps a Desmos calculator on `element`, or the built-in plotter when Desmos isn't loaded
+        static forElement(element) {
+            if (!element) return new GraphingBridge();
+            return new GraphingBridge(window.Desmos
+                ? new DesmosAdapter(window.Desmos.GraphingCalculator(element))
+                : new LocalPlotter(element));
+        }
+
+        constructor(adapter = null) {
+            this.adapter = adapter;
+            this.plotted = new Set();
+        }
+
+        showProblem(problem) {
+            this.clear();
+            const colors = CONFIG.GRAPH_COLORS;
+            this.plot({ id: 'integrand', tree: problem.tree, color: colors.integrand, label: 'f(x)' });
+            if (problem.isDefinite) {
+                const area = { lower: Expr.evaluate(problem.bounds.lower), upper: Expr.evaluate(problem.bounds.upper) };
+                this.plot({ id: 'area', tree: problem.tree, color: colors.area, area });
+            }
+        }
+
+        // Overlays the student's antiderivative on the reference one
+        showAnswer(problem, answer) {
+            const colors = CONFIG.GRAPH_COLORS;
+            if (problem.antiderivativeTree) {
+                this.plot({ id: 'reference', tree: problem.antiderivativeTree, color: colors.reference, style: 'dashed', label: 'F(x)' });
+            }
+            this.plot({ id: 'student', tree: answer, color: colors.student, label: 'your answer' });
+        }
+
+        showRiemannSum(sum) {
+            this.plot({ id: 'riemann', polygons: sum.polygons, color: CONFIG.GRAPH_COLORS.riemann });
+        }
+
+        clear() {
+            if (this.adapter) {
+                this.plotted.forEach(id => this.adapter.remove(id));
+            }
+            this.plotted.clear();
+        }
+
+        plot(spec) {
+            if (!this.adapter) return;
+            this.adapter.plot({ style: 'solid', label: '', area: null, polygons: null, ...spec });
+            this.plotted.add(spec.id);
+        }
+    }
+
+    class DesmosAdapter {
+        constructor(calculator) {
+            this.calculator = calculator;
+            this.polygonCounts = new Map();  // polygons are one expression each, with ids like "riemann-3"
+        }
+
+        plot({ id, tree, color, style, label, area, polygons }) {
+            if (polygons) {
+                this.remove(id);
+                polygons.forEach((corners, i) => this.calculator.setExpression({
+                    id: `${id}-${i}`, color, latex: DesmosAdapter.polygonLatex(corners)
+                }));
+                this.polygonCounts.set(id, polygons.length);
+                return;
+            }
+            const latex = ExpressionPrinter.toLatex(tree);
+            if (area) {
+                this.calculator.setExpression({ id, color, latex: DesmosAdapter.areaLatex(latex, area) });
+                return;
+            }
+            this.calculator.setExpression({
+                id,
+                color,
+                latex: `y=${latex}`,
+                lineStyle: style === 'dashed' ? 'DASHED' : 'SOLID',
+                label,
+                showLabel: Boolean(label)
+            });
+        }
+
+        remove(id) {
+            const polygons = this.polygonCounts.get(id) || 0;
+            for (let i = 0; i < polygons; i++) {
+                this.calculator.removeExpression({ id: `${id}-${i}` });
+            }
+            this.polygonCounts.delete(id);
+            this.calculator.removeExpression({ id });
+        }
+
+        static polygonLatex(corners) {
+            // Plain decimals, since Desmos doesn't read exponent notation such as 1e-7
+            const number = (value) => Math.abs(value) < 1e-9 ? '0' : `${Number(value.toPrecision(8))}`;
+            const points = corners.map(([x, y]) => `\\left(${number(x)},${number(y)}\\right)`).join(',');
+            return `\\operatorname{polygon}\\left(${points}\\right)`;
+        }
+
+        // Region between the x-axis and the curve, e.g. min(0,f) ≤ y ≤ max(0,f) {0 ≤ x ≤ 1}
+        static areaLatex(latex, { lower, upper }) {
+            const [from, to] = [Math.min(lower, upper), Math.max(lower, upper)];
+            const interval = [
+                Number.isFinite(from) ? `${MathUtils.formatDecimal(from)}\\le ` : '',
+                'x',
+                Number.isFinite(to) ? `\\le ${MathUtils.formatDecimal(to)}` : ''
+            ].join('');
+            const restriction = interval === 'x' ? '' : `\\left\\{${interval}\\right\\}`;
+            return `\\min\\left(0,${latex}\\right)\\le y\\le\\max\\left(0,${latex}\\right)${restriction}`;
+        }
+    }
+
+    /**
+     * Curve sampling for the built-in plotter. Curves are split into
+     * drawable runs at undefined points and at jumps, so asymptotes don't
+     * show up as vertical spikes.
+     */
+    const PlotSampler = {
+        // Runs of [x, y] points; steps taller than `jump` are checked for a discontinuity
+        segments(f, left, right, count, jump) {
+            const segments = [];
+            let current = [];
+            for (let i = 0; i <= count; i++) {
+                const x = left + (right - left) * i / count;
+                const y = f(x);
+                const previous = current[current.length - 1];
+                if (!Number.isFinite(y) ||
+                    (previous && Math.abs(y - previous[1]) > jump && PlotSampler.isDiscontinuous(f, previous[0], x, jump))) {
+                    segments.push(current);
+                    current = [];
+                }
+                if (Number.isFinite(y)) current.push([x, y]);
+            }
+            segments.push(current);
+            return segments.filter(segment => segment.length > 1);
+        },
+
+        // Bisects towards the larger step: a steep but continuous curve's steps shrink, a jump's don't
+        isDiscontinuous(f, a, b, jump) {
+            let [x0, x1, y0, y1] = [a, b, f(a), f(b)];
+            for (let i = 0; i < 30; i++) {
+                const middle = (x0 + x1) / 2;
+                const y = f(middle);
+                if (!Number.isFinite(y)) return true;
+                if (Math.abs(y - y0) > Math.abs(y1 - y)) {
+                    [x1, y1] = [middle, y];
+                } else {
+                    [x0, y0] = [middle, y];
+                }
+            }
+            return Math.abs(y1 - y0) > jump / 2;
+        },
+
+        /**
+         * Viewport that fits the curves: x around the shaded interval (or
+         * [-10, 10]), y from the 2nd to 98th percentile of sampled values so
+         * asymptotes don't flatten everything else, always showing the x-axis.
+         */
+        autoscale(functions, areas) {
+            let [left, right] = [-10, 10];
+            const bounds = areas.flatMap(({ lower, upper }) => [lower, upper]).filter(Number.isFinite);
+            if (bounds.length > 0) {
+                const [low, high] = [Math.min(...bounds), Math.max(...bounds)];
+                const margin = Math.max(1, (high - low) / 4);
+                const reaches = (end) => areas.some(({ lower, upper }) => lower === end || upper === end);
+                left = reaches(-Infinity) ? low - 10 : low - margin;
+                right = reaches(Infinity) ? high + 10 : high + margin;
+            }
+
+            const values = functions.flatMap(f => Array.from({ length: 401 }, (_, i) => f(left + (right - left) * i / 400)))
+                .filter(Number.isFinite)
+                .sort((a, b) => a - b);
+            let [bottom, top] = values.length > 0
+                ? [values[Math.floor(values.length * 0.02)], values[Math.floor(values.length * 0.98)]]
+                : [-1, 1];
+            [bottom, top] = [Math.min(bottom, 0), Math.max(top, 0)];
+            if (top - bottom < 1e-9) [bottom, top] = [bottom - 1, top + 1];
+            const padding = (top - bottom) * 0.1;
+            return { left, right, bottom: bottom - padding, top: top + padding };
+        },
+
+        // Grid spacing of 1, 2 or 5 times a power of ten, giving roughly `target` lines
+        niceStep(span, target = 8) {
+            if (!(span > 0)) return 1;
+            const raw = span / target;
+            const magnitude = 10 ** Math.floor(Math.log10(raw));
+            const ratio = raw / magnitude;
+            return (ratio < 1.5 ? 1 : ratio < 3 ? 2 : ratio < 7 ? 5 : 10) * magnitude;
+        }
+    };
+
+    /**
+     * Self-contained SVG plotter used when the Desmos script can't load
+     * (blocked networks, offline). Implements the same adapter interface as
+     * DesmosAdapter. Drag to pan, scroll to zoom, double-click to autoscale.
+     */
+    class LocalPlotter {
+        constructor(element) {
+            this.element = element;
+            this.specs = new Map();
+            this.viewport = null;  // null while autoscaling; set once the user pans or zooms
+            this.drag = null;
+            this.element.classList.add('local-plotter');
+            this.initializeEventListeners();
+            this.render();
+        }
+
+        plot(spec) {
+            this.specs.set(spec.id, spec);
+            this.render();
+        }
+
+        remove(id) {
+            this.specs.delete(id);
+            if (this.specs.size === 0) this.viewport = null;
+            this.render();
+        }
+
+        initializeEventListeners() {
+            const element = this.element;
+            element.addEventListener('wheel', (e) => {
+                e.preventDefault();
+                this.zoom(e.deltaY > 0 ? 1.2 : 1 / 1.2, this.toMath(e));
+            }, { passive: false });
+
+            element.addEventListener('pointerdown', (e) => {
+                this.drag = { x: e.clientX, y: e.clientY, viewport: this.currentViewport() };
+                if (element.setPointerCapture) element.setPointerCapture(e.pointerId);
+            });
+            element.addEventListener('pointermove', (e) => {
+                if (!this.drag) return;
+                const { x, y, viewport } = this.drag;
+                const { width, height } = this.size();
+                const dx = (e.clientX - x) / width * (viewport.right - viewport.left);
+                const dy = (e.clientY - y) / height * (viewport.top - viewport.bottom);
+                this.viewport = {
+                    left: viewport.left - dx, right: viewport.right - dx,
+                    bottom: viewport.bottom + dy, top: viewport.top + dy
+                };
+                this.render();
+            });
+            ['pointerup', 'pointercancel'].forEach(type => element.addEventListener(type, () => {
+                this.drag = null;
+            }));
+
+            element.addEventListener('dblclick', () => {
+                this.viewport = null;
+                this.render();
+            });
+            window.addEventListener('resize', () => this.render());
+        }
+
+        zoom(factor, [x, y]) {
+            const { left, right, bottom, top } = this.currentViewport();
+            this.viewport = {
+                left: x - (x - left) * factor, right: x + (right - x) * factor,
+                bottom: y - (y - bottom) * factor, top: y + (top - y) * factor
+            };
+            this.render();
+        }
+
+        // Mouse position in graph coordinates
+        toMath(e) {
+            const rect = this.element.getBoundingClientRect();
+            const { left, right, bottom, top } = this.currentViewport();
+            return [
+                left + (e.clientX - rect.left) / rect.width * (right - left),
+                top - (e.clientY - rect.top) / rect.height * (top - bottom)
+            ];
+        }
+
+        size() {
+            return { width: this.element.clientWidth || 600, height: this.element.clientHeight || 400 };
+        }
+
+        evaluator(tree) {
+            return (x) => Expr.evaluate(tree, { [CONFIG.VARIABLE]: x });
+        }
+
+        currentViewport() {
+            if (this.viewport) return this.viewport;
+            const specs = [...this.specs.values()];
+            const curves = specs.filter(spec => !spec.area && !spec.polygons);
+            const extents = specs.filter(spec => spec.polygons && spec.polygons.length > 0).map(spec => {
+                const xs = spec.polygons.flatMap(corners => corners.map(([x]) => x));
+                return { lower: Math.min(...xs), upper: Math.max(...xs) };
+            });
+            return PlotSampler.autoscale(
+                curves.map(spec => this.evaluator(spec.tree)),
+                [...specs.filter(spec => spec.area).map(spec => spec.area), ...extents]);
+        }
+
+        render() {
+            const { width, height } = this.size();
+            const viewport = this.currentViewport();
+            const { left, right, bottom, top } = viewport;
+            const toX = (x) => ((x - left) / (right - left) * width).toFixed(1);
+            // Clamped so points far off screen still give sane path coordinates
+            const toY = (y) => ((top - Math.max(bottom - (top - bottom), Math.min(top + (top - bottom), y))) /
+                (top - bottom) * height).toFixed(1);
+            const jump = top - bottom;
+
+            const shapes = [...this.specs.values()].map(spec => {
+                if (spec.polygons) {
+                    return spec.polygons.map(corners =>
+                        `<polygon points="${corners.map(([x, y]) => `${toX(x)},${toY(y)}`).join(' ')}" ` +
+                        `fill="${spec.color}" fill-opacity="0.2" stroke="${spec.color}" stroke-width="1"/>`).join('');
+                }
+                const f = this.evaluator(spec.tree);
+                if (spec.area) {
+                    return this.renderArea(f, spec, viewport, width, toX, toY);
+                }
+                const dash = spec.style === 'dashed' ? ' stroke-dasharray="8 6"' : '';
+                return PlotSampler.segments(f, left, right, width, jump).map(segment =>
+                    `<path d="M${segment.map(([x, y]) => `${toX(x)},${toY(y)}`).join('L')}" fill="none" ` +
+                    `stroke="${spec.color}" stroke-width="2.5"${dash}/>`).join('');
+            });
+
+            this.element.innerHTML = `
+                <svg width="100%" height="100%" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+                    ${this.renderGrid(viewport, width, height, toX, toY)}
+                    ${shapes.join('')}
+                    ${this.renderLegend()}
+                </svg>`;
+        }
+
+        // Positive area in the area color, negative area in the student color
+        renderArea(f, spec, viewport, width, toX, toY) {
+            const from = Math.max(Math.min(spec.area.lower, spec.area.upper), viewport.left);
+            const to = Math.min(Math.max(spec.area.lower, spec.area.upper), viewport.right);
+            if (!(from < to)) return '';
+            const count = Math.max(2, Math.round((to - from) / (viewport.right - viewport.left) * width));
+            const jump = viewport.top - viewport.bottom;
+
+            return PlotSampler.segments(f, from, to, count, jump).map(segment => [
+                [(y) => Math.max(0, y), spec.color],
+                [(y) => Math.min(0, y), CONFIG.GRAPH_COLORS.negativeArea]
+            ].filter(([clip]) => segment.some(([, y]) => clip(y) !== 0)).map(([clip, color]) => {
+                const [first, last] = [segment[0][0], segment[segment.length - 1][0]];
+                const edge = segment.map(([x, y]) => `L${toX(x)},${toY(clip(y))}`).join('');
+                return `<path d="M${toX(first)},${toY(0)}${edge}L${toX(last)},${toY(0)}Z" fill="${color}" fill-opacity="0.25" stroke="none"/>`;
+            }).join('')).join('');
+        }
+
+        renderGrid({ left, right, bottom, top }, width, height, toX, toY) {
+            const lines = [];
+            const label = (value) => MathUtils.formatDecimal(Number(value.toPrecision(12)));
+            const xStep = PlotSampler.niceStep(right - left);
+            for (let x = Math.ceil(left / xStep) * xStep; x <= right; x += xStep) {
+                lines.push(`<line x1="${toX(x)}" y1="0" x2="${toX(x)}" y2="${height}" stroke="#e9ecef"/>`);
+                if (Math.abs(x) > xStep / 2) {
+                    lines.push(`<text x="${toX(x)}" y="${Math.min(height - 4, Number(toY(0)) + 14)}" font-size="11" fill="#6c757d" text-anchor="middle">${label(x)}</text>`);
+                }
+            }
+            const yStep = PlotSampler.niceStep(top - bottom);
+            for (let y = Math.ceil(bottom / yStep) * yStep; y <= top; y += yStep) {
+                lines.push(`<line x1="0" y1="${toY(y)}" x2="${width}" y2="${toY(y)}" stroke="#e9ecef"/>`);
+                if (Math.abs(y) > yStep / 2) {
+                    lines.push(`<text x="${Math.max(4, Number(toX(0)) + 4)}" y="${toY(y)}" font-size="11" fill="#6c757d" dy="-2">${label(y)}</text>`);
+                }
+            }
+            lines.push(`<line x1="${toX(0)}" y1="0" x2="${toX(0)}" y2="${height}" stroke="#495057"/>`);
+            lines.push(`<line x1="0" y1="${toY(0)}" x2="${width}" y2="${toY(0)}" stroke="#495057"/>`);
+            return lines.join('');
+        }
+
+        renderLegend() {
+            const labelled = [...this.specs.values()].filter(spec => spec.label && !spec.area);
+            return labelled.map((spec, i) => {
+                const y = 18 + i * 18;
+                const dash = spec.style === 'dashed' ? ' stroke-dasharray="6 4"' : '';
+                return `<line x1="10" y1="${y - 4}" x2="34" y2="${y - 4}" stroke="${spec.color}" stroke-width="2.5"${dash}/>` +
+                    `<text x="40" y="${y}" font-size="12" fill="#212529">${escapeHtml(spec.label)}</text>`;
+            }).join('');
+        }
+    }
+
+    return {
+        GraphingBridge,
+        DesmosAdapter,
+        PlotSampler,
+        LocalPlotter
+    };
+});
@@ -0,0 +1,6657 @@
+/**
+ * Integration Core
+ * The DOM-free math behind the Integration Assistant: parsing, symbolic
+ * integration, answer checking, problem generation and export. Loads as a
+ * CommonJS module (require) or, in the browser, as window.IntegrationCore;
+ * integration-core.mjs re-exports it as an ES module.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.IntegrationCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // Configuration constants
+    const CONFIG = {
+        MAX_ATTEMPTS: 3,
+        VARIABLE: 'x',
+        MAX_EXPANSION_POWER: 12,
+        DECIMAL_PLACES: 3,             // minimum precision for decimal answers to definite integrals
+        QUADRATURE_TOLERANCE: 1e-10,
+        QUADRATURE_MAX_INTERVALS: 2000,
+        ASYMPTOTE_SEARCH_RANGE: 1000,  // how far vertical asymptotes are searched for on infinite intervals
+        ASYMPTOTE_LIMIT: 50,           // candidate asymptotes past which convergence is left undecided
+        // Improper integrals of integrands that keep changing sign; see ImproperIntegral.oscillation
+        OSCILLATION: {
+            HALF_WAVES: 400,           // areas between zeros summed before the tail is extrapolated
+            SCAN_LIMIT: 200000         // steps spent looking for zeros before giving up
+        },
+        // Random sampling used when symbolic simplification can't settle an answer
+        NUMERIC_CHECK: {
+            mode: 'auto',              // 'symbolic', 'numeric' or 'auto' (numeric as a fallback)
+            samples: 60,
+            domain: [-10, 10],
+            relativeTolerance: 1e-7,
+            absoluteTolerance: 1e-9,
+            minimumValidSamples: 10,
+            minimumRegionSamples: 3    // consecutive agreeing samples it takes to call a region right
+        },
+        ANIMATION_DURATION: 600,
+        LINK_MAX_LENGTH: 200,          // characters per field in a shared problem link
+        EXPORT_SET_SIZE: 10,           // problems in an exported problem set
+        // Desmos palette colors for the graph pane
+        GRAPH_COLORS: {
+            integrand: '#2d70b3',
+            area: '#2d70b3',
+            reference: '#388c46',
+            student: '#c74440',
+            negativeArea: '#c74440',
+            riemann: '#fa7e19'
+        },
+        RIEMANN: {
+            MAX_SUBINTERVALS: 500,
+            TABLE_ROWS: 5              // n, 2n, 4n, ... in the convergence table
+        },
+        // Random practice problems; see ProblemGenerator
+        GENERATOR: {
+            MAX_ATTEMPTS: 25,          // templates tried before giving up on a problem
+            SEED_RANGE: 10000          // random seeds are 1 to 9999, short enough to read out in class
+        },
+        // Practice history kept in localStorage; see PracticeHistory
+        HISTORY: {
+            STORAGE_KEY: 'integral-explorer-history',
+            MAX_RECORDS: 2000,
+            TIMELINE_WEEKS: 8          // weeks shown in the dashboard's over-time table
+        },
+        // Adaptive practice; see Mastery and AdaptiveSession
+        ADAPTIVE: {
+            INITIAL_MASTERY: 0.3,      // an unpractised technique starts on Easy problems
+            LEARNING_RATE: 0.3,        // weight of the latest problem in a technique's mastery
+            ATTEMPT_PENALTY: 0.2,      // per extra attempt
+            HINT_PENALTY: 0.1,         // per hint revealed
+            STEPS_PENALTY: 0.5,        // for revealing the whole solution, pro rata
+            MISSED_BELOW: 0.5,         // performance below this sends a problem to review
+            DIFFICULTY_THRESHOLDS: [0.45, 0.75],   // mastery needed for Medium and Hard problems
+            MINIMUM_WEIGHT: 0.05,      // chance left for mastered techniques
+            REVIEW_DAYS: [0, 1, 3, 7], // spaced-repetition intervals after a miss
+            REVIEW_GAP: 3,             // other problems before a miss comes back
+            IMPROVEMENT: 0.05,         // mastery gain reported as improved
+            MASTERED: 0.75
+        },
+        // Teacher-authored assignments; see Assignment and Gradebook
+        ASSIGNMENT: {
+            MAX_PROBLEMS: 50,
+            MAX_HINTS: 10,             // custom hints per problem
+            ATTEMPTS_LIMIT: 10,        // the most attempts a problem may allow
+            PARTIAL_CREDIT: 0.5,       // share of a problem's points for a partial-credit answer
+            SAMPLING_SEED: 4127        // numeric checks sample alike when the answer is given and when it is regraded
+        },
+        TECHNIQUES: {
+            power: { name: 'Power Rule', difficulty: 'Easy' },
+            substitution: { name: 'U-Substitution', difficulty: 'Medium' },
+            parts: { name: 'Integration by Parts', difficulty: 'Hard' },
+            trig: { name: 'Trigonometric Integration', difficulty: 'Medium' },
+            partial: { name: 'Partial Fractions', difficulty: 'Hard' }
+        }
+    };
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    // For text placed in HTML by SolutionExport and the browser UI
+    const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+
+    // RFC 4180 CSV, as the gradebook and the batch grader read and write it
+    class Csv {
+        // Records as arrays of fields; quoted fields may hold commas, quotes ("") and line breaks
+        static parse(text) {
+            const records = [];
+            let record = [];
+            let field = '';
+            let quoted = false;
+            let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+            for (; i < text.length; i++) {
+                const char = text[i];
+                if (quoted) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"') {
+                    if (field !== '') throw new ParseError(`Stray quote in CSV line ${records.length + 1}`);
+                    quoted = true;
+                } else if (char === ',') {
+                    record.push(field);
+                    field = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    record.push(field);
+                    records.push(record);
+                    record = [];
+                    field = '';
+                } else {
+                    field += char;
+                }
+            }
+            if (quoted) throw new ParseError('Unterminated quoted field in CSV');
+            if (field !== '' || record.length > 0) {
+                record.push(field);
+                records.push(record);
+            }
+            return records.filter(r => r.length > 1 || r[0].trim() !== '');
+        }
+
+        static field(value) {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }
+
+        static line(cells) {
+            return cells.map(Csv.field).join(',');
+        }
+    }
+
+    // =============================================================================
+    // TECHNIQUE DATA
+    // =============================================================================
+    
+    const TECHNIQUE_DATA = {
+        power: {
+            name: 'Power Rule', 
+            difficulty: 'Easy',
+            matches: (term) => TermShape.isPowerTerm(term),
+            description: 'This is a polynomial function. Use the power rule.',
+            hints: [
+                "Look at each term in your polynomial. What power of x does each term have?",
+                "Remember: ∫x^n dx = x^(n+1)/(n+1) + C, where n ≠ -1",
+                "Don't forget to add the constant of integration (+C) at the end!"
+            ]
+        },
+        trig: {
+            name: 'Trigonometric Integration', 
+            difficulty: 'Medium',
+            // Trig substitution only when a plain u-substitution won't do, as for x/sqrt(1 - x^2)
+            matches: (term) => !!TrigIntegrals.solve(term) || (!!TrigSubstitution.solve(term) && !USubstitution.solve(term)),
+            description: 'This involves trigonometric functions or a square root of a quadratic. Use trig identities or a trig substitution.',
+            hints: [
+                "What are the derivatives of the trigonometric functions? Remember: d/dx[sin(x)] = cos(x) and d/dx[tan(x)] = sec²(x)",
+                "An odd power of sin or cos? Save one factor for du. Only even powers? Use sin² = (1 − cos(2x))/2 and cos² = (1 + cos(2x))/2",
+                "A square root of a² − x², a² + x² or x² − a² suggests x = a·sin(θ), a·tan(θ) or a·sec(θ)"
+            ]
+        },
+        exponential: {
+            name: 'Exponential Integration', 
+            difficulty: 'Medium',
+            // sinh and cosh are sums of exponentials
+            matches: (term) => TermShape.isLinearExponential(term) || TermShape.isLinearCall(term, ['sinh', 'cosh', 'tanh']),
+            description: 'This is an exponential function. Use exponential integration rules.',
+            hints: [
+                "What is special about the function e^x when you differentiate it?",
+                "Remember: d/dx[e^x] = e^x",
+                "The integral of e^x is also e^x!"
+            ]
+        },
+        logarithmic: {
+            name: 'Logarithmic Integration', 
+            difficulty: 'Medium',
+            matches: (term) => TermShape.isReciprocalLinear(term),
+            description: 'This involves logarithmic functions or 1/x.',
+            hints: [
+                "What function has derivative 1/x?",
+                "Remember: d/dx[ln|x|] = 1/x",
+                "For 1/x, the antiderivative is ln|x|"
+            ]
+        },
+        parts: {
+            name: 'Integration by Parts',
+            difficulty: 'Hard',
+            matches: (term) => TermShape.isPartsProduct(term),
+            description: 'This is a product of different kinds of functions. Use integration by parts.',
+            hints: [
+                "Which factor gets simpler when you differentiate it? Use LIATE to choose u.",
+                "Remember: ∫u dv = uv − ∫v du",
+                "Make sure the new integral ∫v du is easier than the one you started with!"
+            ]
+        },
+        substitution: {
+            name: 'U-Substitution', 
+            difficulty: 'Medium',
+            matches: (term) => !!USubstitution.solve(term),
+            description: 'An inner function appears together with its derivative. Use u-substitution.',
+            // Used when no technique matches a term
+            fallbackDescription: 'Try u-substitution or analyze the function structure.',
+            // Used instead when, on top of that, no antiderivative is found
+            nonElementary: {
+                name: 'No Elementary Antiderivative',
+                difficulty: 'Hard',
+                description: 'This function has no antiderivative made of elementary functions, so no substitution or other technique will find one. A definite integral can still be approximated numerically.',
+                hints: [
+                    "Not every function has an antiderivative you can write down: e^(−x²), sin(x)/x and 1/ln(x) are classic examples.",
+                    "Their antiderivatives are new functions with their own names, such as the error function erf and the sine integral Si.",
+                    "With bounds, approximate the integral numerically, for instance with a Riemann sum or Simpson's rule."
+                ]
+            },
+            unsolved: {
+                name: 'No Antiderivative Found',
+                difficulty: 'Hard',
+                description: 'None of the techniques here finds an antiderivative for this function, and it may not have an elementary one. A definite integral can still be approximated numerically.',
+                hints: [
+                    "Try rewriting the function with an identity or some algebra; none of the techniques here applies as it stands.",
+                    "It may have no elementary antiderivative at all, like e^(−x²) or sin(x)/x.",
+                    "With bounds, approximate the integral numerically, for instance with a Riemann sum or Simpson's rule."
+                ]
+            },
+            hints: [
+                "Look for a function and its derivative within the integral.",
+                "Choose u to be the 'inner function' and find du.",
+                "Substitute to simplify the integral before solving."
+            ]
+        },
+        partial: {
+            name: 'Partial Fractions',
+            difficulty: 'Hard',
+            matches: (term) => TermShape.isRationalFunction(term) && !!PartialFractions.solve(term),
+            description: 'This is a rational function. Factor the denominator and use partial fractions.',
+            // A denominator that is one irreducible quadratic leaves nothing to split
+            simple: {
+                name: 'Completing the Square',
+                difficulty: 'Medium',
+                description: 'The denominator is a quadratic with no real roots, so there is nothing to split. Complete the square and integrate to a logarithm and an arctangent.',
+                matches: (term) => {
+                    const solution = PartialFractions.solve(term);
+                    const factors = solution ? solution.decomposition.factorization.factors : [];
+                    return factors.length === 1 && factors[0].multiplicity === 1 && factors[0].polynomial.degree === 2;
+                }
+            },
+            hints: [
+                "Can you factor the denominator?",
+                "Write the fraction as a sum like A/(x − a) + B/(x − b) and solve for A and B",
+                "Each simple fraction integrates to a logarithm or an arctangent"
+            ]
+        }
+    };
+    
+    // =============================================================================
+    // RATIONAL NUMBERS
+    // =============================================================================
+
+    class Rational {
+        constructor(numerator, denominator = 1) {
+            if (!Number.isSafeInteger(numerator) || !Number.isSafeInteger(denominator)) {
+                throw new RangeError(`Rational parts must be safe integers, got ${numerator}/${denominator}`);
+            }
+            if (denominator === 0) {
+                throw new RangeError('Division by zero');
+            }
+            const divisor = Rational.gcd(numerator, denominator);
+            const sign = denominator < 0 ? -1 : 1;
+            this.n = (sign * numerator) / divisor || 0;
+            this.d = (sign * denominator) / divisor;
+            Object.freeze(this);
+        }
+
+        static gcd(a, b) {
+            a = Math.abs(a);
+            b = Math.abs(b);
+            while (b) {
+                [a, b] = [b, a % b];
+            }
+            return a || 1;
+        }
+
+        static of(value) {
+            return value instanceof Rational ? value : new Rational(value);
+        }
+
+        // compute() with exact arithmetic that outgrows safe integers turned into null
+        static withinRange(compute) {
+            try {
+                return compute();
+            } catch (error) {
+                if (error instanceof RangeError) return null;
+                throw error;
+            }
+        }
+
+        // Parses decimal literals such as "12", "0.25" or ".5" exactly
+        static parse(text) {
+            const [whole, fraction = ''] = text.split('.');
+            const scale = 10 ** fraction.length;
+            return new Rational(Number(whole || 0) * scale + Number(fraction || 0), scale);
+        }
+
+        add(other) {
+            other = Rational.of(other);
+            return new Rational(this.n * other.d + other.n * this.d, this.d * other.d);
+        }
+
+        sub(other) {
+            return this.add(Rational.of(other).neg());
+        }
+
+        mul(other) {
+            other = Rational.of(other);
+            return new Rational(this.n * other.n, this.d * other.d);
+        }
+
+        div(other) {
+            return this.mul(Rational.of(other).inverse());
+        }
+
+        neg() {
+            return new Rational(-this.n, this.d);
+        }
+
+        abs() {
+            return this.isNegative() ? this.neg() : this;
+        }
+
+        inverse() {
+            return new Rational(this.d, this.n);
+        }
+
+        pow(exponent) {
+            if (!Number.isInteger(exponent)) {
+                throw new RangeError('Rational powers must have integer exponents');
+            }
+            const base = exponent < 0 ? this.inverse() : this;
+            return new Rational(base.n ** Math.abs(exponent), base.d ** Math.abs(exponent));
+        }
+
+        equals(other) {
+            other = Rational.of(other);
+            return this.n === other.n && this.d === other.d;
+        }
+
+        compare(other) {
+            other = Rational.of(other);
+            return Math.sign(this.n * other.d - other.n * this.d);
+        }
+
+        isZero() { return this.n === 0; }
+        isOne() { return this.n === 1 && this.d === 1; }
+        isInteger() { return this.d === 1; }
+        isNegative() { return this.n < 0; }
+
+        valueOf() {
+            return this.n / this.d;
+        }
+
+        toString() {
+            return this.d === 1 ? `${this.n}` : `${this.n}/${this.d}`;
+        }
+    }
+
+    // =============================================================================
+    // EXPRESSION TREE
+    // =============================================================================
+
+    // Functions the parser recognizes, keyed by their input name.
+    // `derivative` gives f'(u); the chain rule factor u' is applied by the caller.
+    // Optional `poles` gives an expression whose zeros are the vertical asymptotes,
+    // and `atInfinity(sign)` the limit as u → ±∞ (a number or a tree; NaN if none).
+    const FUNCTIONS = {
+        sin: { latex: '\\sin', evaluate: Math.sin, derivative: (u) => Expr.call('cos', u) },
+        cos: { latex: '\\cos', evaluate: Math.cos, derivative: (u) => Expr.neg(Expr.call('sin', u)) },
+        tan: {
+            latex: '\\tan', evaluate: Math.tan, derivative: (u) => Expr.pow(Expr.call('cos', u), Expr.number(-2)),
+            poles: (u) => Expr.call('cos', u)
+        },
+        sec: {
+            latex: '\\sec', evaluate: (u) => 1 / Math.cos(u),
+            derivative: (u) => Expr.mul(Expr.call('sec', u), Expr.call('tan', u)),
+            poles: (u) => Expr.call('cos', u)
+        },
+        csc: {
+            latex: '\\csc', evaluate: (u) => 1 / Math.sin(u),
+            derivative: (u) => Expr.neg(Expr.mul(Expr.call('csc', u), Expr.call('cot', u))),
+            poles: (u) => Expr.call('sin', u)
+        },
+        cot: {
+            latex: '\\cot', evaluate: (u) => 1 / Math.tan(u),
+            derivative: (u) => Expr.neg(Expr.pow(Expr.call('csc', u), Expr.number(2))),
+            poles: (u) => Expr.call('sin', u)
+        },
+        sinh: {
+            latex: '\\sinh', evaluate: Math.sinh, derivative: (u) => Expr.call('cosh', u),
+            atInfinity: (sign) => sign * Infinity
+        },
+        cosh: {
+            latex: '\\cosh', evaluate: Math.cosh, derivative: (u) => Expr.call('sinh', u),
+            atInfinity: () => Infinity
+        },
+        tanh: {
+            latex: '\\tanh', evaluate: Math.tanh, derivative: (u) => Expr.pow(Expr.call('cosh', u), Expr.number(-2)),
+            atInfinity: (sign) => sign
+        },
+        ln: {
+            latex: '\\ln', evaluate: Math.log, derivative: (u) => Expr.reciprocal(u),
+            poles: (u) => u, atInfinity: (sign) => sign > 0 ? Infinity : NaN
+        },
+        exp: {
+            latex: '\\exp', evaluate: Math.exp, derivative: (u) => Expr.call('exp', u),
+            atInfinity: (sign) => sign > 0 ? Infinity : 0
+        },
+        sqrt: {
+            latex: '\\sqrt', evaluate: Math.sqrt, derivative: (u) => Expr.div(Expr.number(1), Expr.mul(Expr.number(2), Expr.call('sqrt', u))),
+            atInfinity: (sign) => sign > 0 ? Infinity : NaN
+        },
+        // log(u) is base 10 and log(u, b) base b; the simplifier rewrites both as ln(u)/ln(b)
+        log: {
+            latex: '\\log', arity: 2, evaluate: (u, b = 10) => Math.log(u) / Math.log(b),
+            derivative: (u, b = Expr.number(10)) => Expr.reciprocal(Expr.mul(u, Expr.call('ln', b))),
+            poles: (u) => u, atInfinity: (sign) => sign > 0 ? Infinity : NaN
+        },
+        arcsin: {
+            latex: '\\arcsin', evaluate: Math.asin,
+            derivative: (u) => Expr.pow(Expr.sub(Expr.number(1), Expr.pow(u, Expr.number(2))), Expr.number(new Rational(-1, 2)))
+        },
+        arccos: {
+            latex: '\\arccos', evaluate: Math.acos,
+            derivative: (u) => Expr.neg(Expr.pow(Expr.sub(Expr.number(1), Expr.pow(u, Expr.number(2))), Expr.number(new Rational(-1, 2))))
+        },
+        arctan: {
+            latex: '\\arctan', evaluate: Math.atan,
+            derivative: (u) => Expr.reciprocal(Expr.add(Expr.number(1), Expr.pow(u, Expr.number(2)))),
+            atInfinity: (sign) => Expr.mul(Expr.number(new Rational(sign, 2)), Expr.constant('pi'))
+        },
+        abs: {
+            latex: '\\operatorname{abs}', evaluate: Math.abs, derivative: (u) => Expr.div(u, Expr.call('abs', u)),
+            atInfinity: () => Infinity
+        }
+    };
+
+    // tan, cot, sec and csc as [numerator, denominator] in terms of sin and cos; null stands for 1
+    const TRIG_RATIOS = { tan: ['sin', 'cos'], cot: ['cos', 'sin'], sec: [null, 'cos'], csc: [null, 'sin'] };
+
+    // Alternative spellings the parser accepts, mapped to their FUNCTIONS name
+    const FUNCTION_ALIASES = { asin: 'arcsin', acos: 'arccos', atan: 'arctan' };
+
+    // Root notations the parser turns into fractional powers: cbrt(u) = u^(1/3), root(u, n) = u^(1/n)
+    const ROOT_FUNCTIONS = {
+        cbrt: { arity: 1, index: () => Expr.number(3) },
+        root: { arity: 2, index: (args) => args[1] }
+    };
+
+    // `inf` is only meaningful as an integration bound
+    const CONSTANTS = {
+        e: { latex: 'e', value: Math.E },
+        pi: { latex: '\\pi', value: Math.PI },
+        inf: { latex: '\\infty', value: Infinity }
+    };
+
+    class ParseError extends Error {
+        constructor(message, position = null) {
+            super(message);
+            this.name = 'ParseError';
+            this.position = position;
+        }
+    }
+
+    /**
+     * Node factory. Trees are plain objects tagged by `type`:
+     * number, symbol, constant, add (terms), mul (factors), pow (base, exp)
+     * and call (name, args). Subtraction and division are stored as
+     * multiplication by -1 and by a negative power respectively.
+     */
+    const Expr = {
+        number: (value) => ({ type: 'number', value: Rational.of(value) }),
+        symbol: (name) => ({ type: 'symbol', name }),
+        constant: (name) => ({ type: 'constant', name }),
+        pow: (base, exp) => ({ type: 'pow', base, exp }),
+        call: (name, ...args) => ({ type: 'call', name, args }),
+
+        add: (...terms) => Expr.flatten('add', 'terms', terms, 0),
+        mul: (...factors) => Expr.flatten('mul', 'factors', factors, 1),
+
+        flatten(type, key, children, identity) {
+            const flat = children.flatMap(child => child.type === type ? child[key] : [child]);
+            if (flat.length === 0) return Expr.number(identity);
+            if (flat.length === 1) return flat[0];
+            return { type, [key]: flat };
+        },
+
+        neg: (node) => node.type === 'number'
+            ? Expr.number(node.value.neg())
+            : Expr.mul(Expr.number(-1), node),
+
+        sub: (a, b) => Expr.add(a, Expr.neg(b)),
+
+        reciprocal: (node) => node.type === 'number'
+            ? Expr.number(node.value.inverse())
+            : Expr.pow(node, Expr.number(-1)),
+
+        div: (a, b) => Expr.mul(a, Expr.reciprocal(b)),
+
+        isNumber: (node, value = null) => node.type === 'number' &&
+            (value === null || node.value.equals(value)),
+
+        children(node) {
+            switch (node.type) {
+                case 'add': return node.terms;
+                case 'mul': return node.factors;
+                case 'pow': return [node.base, node.exp];
+                case 'call': return node.args;
+                default: return [];
+            }
+        },
+
+        dependsOn(node, variable = CONFIG.VARIABLE) {
+            if (node.type === 'symbol') return node.name === variable;
+            return Expr.children(node).some(child => Expr.dependsOn(child, variable));
+        },
+
+        contains(node, predicate) {
+            return predicate(node) || Expr.children(node).some(child => Expr.contains(child, predicate));
+        },
+
+        // Rebuilds a tree bottom-up, letting `transform` replace each node
+        map(node, transform) {
+            switch (node.type) {
+                case 'add': return transform(Expr.add(...node.terms.map(child => Expr.map(child, transform))));
+                case 'mul': return transform(Expr.mul(...node.factors.map(child => Expr.map(child, transform))));
+                case 'pow': return transform(Expr.pow(Expr.map(node.base, transform), Expr.map(node.exp, transform)));
+                case 'call': return transform(Expr.call(node.name, ...node.args.map(child => Expr.map(child, transform))));
+                default: return transform(node);
+            }
+        },
+
+        /**
+         * Numeric value of a tree. Symbols are looked up in `scope`; the result
+         * is NaN (never an exception) wherever the expression is undefined.
+         */
+        evaluate(node, scope = {}) {
+            switch (node.type) {
+                case 'number':
+                    return node.value.valueOf();
+                case 'symbol':
+                    return node.name in scope ? scope[node.name] : NaN;
+                case 'constant':
+                    return CONSTANTS[node.name].value;
+                case 'add':
+                    return node.terms.reduce((sum, term) => sum + Expr.evaluate(term, scope), 0);
+                case 'mul':
+                    return node.factors.reduce((product, factor) => product * Expr.evaluate(factor, scope), 1);
+                case 'pow':
+                    return Expr.evaluatePower(Expr.evaluate(node.base, scope), node.exp, scope);
+                case 'call':
+                    return FUNCTIONS[node.name].evaluate(...node.args.map(arg => Expr.evaluate(arg, scope)));
+                default:
+                    return NaN;
+            }
+        },
+
+        // Real odd roots of negative numbers, e.g. (-8)^(1/3) = -2, which Math.pow leaves as NaN
+        evaluatePower(base, expNode, scope) {
+            const exp = Expr.evaluate(expNode, scope);
+            const result = Math.pow(base, exp);
+            if (base < 0 && Number.isNaN(result) && Expr.isNumber(expNode) && expNode.value.d % 2 === 1) {
+                const magnitude = Math.pow(-base, exp);
+                return expNode.value.n % 2 === 0 ? magnitude : -magnitude;
+            }
+            return result;
+        },
+
+        substitute: (node, variable, replacement) => Expr.map(node, (child) =>
+            child.type === 'symbol' && child.name === variable ? replacement : child),
+
+        symbols(node, found = new Set()) {
+            if (node.type === 'symbol') found.add(node.name);
+            Expr.children(node).forEach(child => Expr.symbols(child, found));
+            return found;
+        },
+
+        terms: (node) => node.type === 'add' ? node.terms : [node],
+        factors: (node) => node.type === 'mul' ? node.factors : [node],
+
+        // Structural identity string; equal keys mean identical trees
+        key(node) {
+            switch (node.type) {
+                case 'number': return `${node.value}`;
+                case 'symbol': return node.name;
+                case 'constant': return `#${node.name}`;
+                case 'call': return `${node.name}(${node.args.map(Expr.key).join(',')})`;
+                case 'pow': return `(${Expr.key(node.base)})^(${Expr.key(node.exp)})`;
+                default: return `${node.type}[${Expr.children(node).map(Expr.key).join(';')}]`;
+            }
+        }
+    };
+
+    class ExpressionParser {
+        static parse(input) {
+            return new ExpressionParser(input).parseAll();
+        }
+
+        constructor(input) {
+            this.tokens = ExpressionParser.tokenize(input);
+            this.index = 0;
+            this.absDepth = 0;
+        }
+
+        static tokenize(input) {
+            const tokens = [];
+            const punctuation = {
+                '(': 'lparen', '[': 'lparen', ')': 'rparen', ']': 'rparen',
+                ',': 'comma', '|': 'bar'
+            };
+            const operators = { '+': '+', '-': '-', '−': '-', '*': '*', '·': '*', '×': '*', '/': '/', '^': '^' };
+            let i = 0;
+
+            while (i < input.length) {
+                const rest = input.slice(i);
+                const char = input[i];
+                const number = /^(\d+\.?\d*|\.\d+)/.exec(rest);
+                const word = /^[a-zA-Zπ]+/.exec(rest);
+
+                if (/\s/.test(char)) {
+                    i++;
+                } else if (number) {
+                    tokens.push({ type: 'number', value: number[0], position: i });
+                    i += number[0].length;
+                } else if (word) {
+                    tokens.push(...ExpressionParser.splitWord(word[0], i));
+                    i += word[0].length;
+                } else if (char === '∞') {
+                    tokens.push({ type: 'constant', value: 'inf', position: i });
+                    i++;
+                } else if (rest.startsWith('**')) {
+                    tokens.push({ type: 'operator', value: '^', position: i });
+                    i += 2;
+                } else if (operators[char]) {
+                    tokens.push({ type: 'operator', value: operators[char], position: i });
+                    i++;
+                } else if (punctuation[char]) {
+                    tokens.push({ type: punctuation[char], value: char, position: i });
+                    i++;
+                } else {
+                    throw new ParseError(`Unexpected character "${char}"`, i);
+                }
+            }
+
+            tokens.push({ type: 'end', value: '', position: input.length });
+            return tokens;
+        }
+
+        // Splits a run of letters such as "xsin" or "xe" into known names and single-letter symbols
+        static splitWord(word, offset) {
+            const functions = { ...FUNCTIONS, ...FUNCTION_ALIASES, ...ROOT_FUNCTIONS };
+            const names = [...Object.keys(functions), ...Object.keys(CONSTANTS)]
+                .sort((a, b) => b.length - a.length);
+            const lower = word.toLowerCase().replace(/π/g, 'pi');
+            const tokens = [];
+            let i = 0;
+
+            while (i < word.length) {
+                const position = offset + i;
+                if (word[i] === 'π') {
+                    tokens.push({ type: 'constant', value: 'pi', position });
+                    i++;
+                    continue;
+                }
+                const name = names.find(candidate => lower.startsWith(candidate, i));
+                if (name) {
+                    tokens.push(functions[name]
+                        ? { type: 'function', value: FUNCTION_ALIASES[name] || name, position }
+                        : { type: 'constant', value: name, position });
+                    i += name.length;
+                } else {
+                    tokens.push({ type: 'symbol', value: word[i], position });
+                    i++;
+                }
+            }
+            return tokens;
+        }
+
+        peek() {
+            return this.tokens[this.index];
+        }
+
+        next() {
+            return this.tokens[this.index++];
+        }
+
+        peekOperator(op) {
+            const token = this.peek();
+            return token.type === 'operator' && token.value === op;
+        }
+
+        expect(type, description) {
+            const token = this.next();
+            if (token.type !== type) {
+                const found = token.type === 'end' ? 'end of input' : `"${token.value}"`;
+                throw new ParseError(`Expected ${description} but found ${found}`, token.position);
+            }
+            return token;
+        }
+
+        parseAll() {
+            if (this.peek().type === 'end') {
+                throw new ParseError('Expression is empty', 0);
+            }
+            const tree = this.parseExpression();
+            const token = this.peek();
+            if (token.type !== 'end') {
+                throw new ParseError(`Unexpected "${token.value}"`, token.position);
+            }
+            return tree;
+        }
+
+        parseExpression() {
+            const terms = [this.parseTerm()];
+            while (this.peekOperator('+') || this.peekOperator('-')) {
+                const op = this.next().value;
+                const term = this.parseTerm();
+                terms.push(op === '-' ? Expr.neg(term) : term);
+            }
+            return Expr.add(...terms);
+        }
+
+        parseTerm() {
+            const factors = [this.parseUnary()];
+            for (;;) {
+                if (this.peekOperator('*')) {
+                    this.next();
+                    factors.push(this.parseUnary());
+                } else if (this.peekOperator('/')) {
+                    const token = this.next();
+                    const divisor = this.parseUnary();
+                    if (Expr.isNumber(divisor, 0)) {
+                        throw new ParseError('Division by zero', token.position);
+                    }
+                    const last = factors[factors.length - 1];
+                    const quotient = last.type === 'number' && divisor.type === 'number' &&
+                        Rational.withinRange(() => last.value.div(divisor.value));
+                    if (quotient) {
+                        // Keep literal fractions such as 1/2 as a single number
+                        factors[factors.length - 1] = Expr.number(quotient);
+                    } else {
+                        factors.push(Expr.reciprocal(divisor));
+                    }
+                } else if (this.startsImplicitFactor()) {
+                    factors.push(this.parsePower());
+                } else {
+                    return Expr.mul(...factors);
+                }
+            }
+        }
+
+        // Juxtaposition such as 2x, x(x+1) or 3sin(x) means multiplication
+        startsImplicitFactor() {
+            const { type } = this.peek();
+            return ['number', 'symbol', 'constant', 'function', 'lparen'].includes(type) ||
+                (type === 'bar' && this.absDepth === 0);
+        }
+
+        parseUnary() {
+            if (this.peekOperator('-')) {
+                this.next();
+                return Expr.neg(this.parseUnary());
+            }
+            if (this.peekOperator('+')) {
+                this.next();
+                return this.parseUnary();
+            }
+            return this.parsePower();
+        }
+
+        parsePower() {
+            const base = this.parsePrimary();
+            if (this.peekOperator('^')) {
+                this.next();
+                return Expr.pow(base, this.parseUnary());
+            }
+            return base;
+        }
+
+        parsePrimary() {
+            const token = this.next();
+            switch (token.type) {
+                case 'number':
+                    try {
+                        return Expr.number(Rational.parse(token.value));
+                    } catch (error) {
+                        if (!(error instanceof RangeError)) throw error;
+                        throw new ParseError(`${token.value} is too large or too precise to work with exactly`, token.position);
+                    }
+                case 'symbol':
+                    return Expr.symbol(token.value);
+                case 'constant':
+                    return Expr.constant(token.value);
+                case 'function':
+                    return this.parseCall(token.value);
+                case 'lparen': {
+                    const inner = this.parseExpression();
+                    this.expect('rparen', '")"');
+                    return inner;
+                }
+                case 'bar': {
+                    this.absDepth++;
+                    const inner = this.parseExpression();
+                    this.expect('bar', '"|"');
+                    this.absDepth--;
+                    return Expr.call('abs', inner);
+                }
+                case 'end':
+                    throw new ParseError('Unexpected end of input', token.position);
+                default:
+                    throw new ParseError(`Unexpected "${token.value}"`, token.position);
+            }
+        }
+
+        parseCall(name) {
+            // sin^2(x) means sin(x)^2, while sin^-1(x) is arcsin(x)
+            if (this.peekOperator('^')) {
+                this.next();
+                const exponent = this.parseUnary();
+                const inverse = `arc${name}`;
+                return Expr.isNumber(exponent, -1) && FUNCTIONS[inverse]
+                    ? this.parseCall(inverse)
+                    : Expr.pow(this.parseCall(name), exponent);
+            }
+
+            // ln|x| is written without parentheses
+            if (this.peek().type === 'bar') {
+                return Expr.call(name, this.parsePrimary());
+            }
+            const open = this.expect('lparen', `"(" after ${name}`);
+            const args = [this.parseExpression()];
+            while (this.peek().type === 'comma') {
+                this.next();
+                args.push(this.parseExpression());
+            }
+            this.expect('rparen', '")"');
+
+            const root = ROOT_FUNCTIONS[name];
+            const [fewest, most] = root ? [root.arity, root.arity] : [1, FUNCTIONS[name].arity || 1];
+            if (args.length < fewest || args.length > most) {
+                const count = fewest === most ? `${most}` : `${fewest} or ${most}`;
+                throw new ParseError(`${name} takes ${count} argument${most === 1 ? '' : 's'}`, open.position);
+            }
+            if (args.length > 1 && Expr.symbols(args[1]).size > 0) {
+                throw new ParseError(`The ${root ? 'index' : 'base'} of ${name} must be a number`, open.position);
+            }
+            if (root && Expr.evaluate(root.index(args)) === 0) {
+                throw new ParseError(`The index of ${name} can't be 0`, open.position);
+            }
+            return root
+                ? Expr.pow(args[0], Expr.reciprocal(root.index(args)))
+                : Expr.call(name, ...args);
+        }
+    }
+
+    // =============================================================================
+    // POLYNOMIALS
+    // =============================================================================
+
+    class Polynomial {
+        // Coefficients are Rationals, lowest degree first
+        constructor(coefficients) {
+            const trimmed = coefficients.map(Rational.of);
+            while (trimmed.length > 0 && trimmed[trimmed.length - 1].isZero()) {
+                trimmed.pop();
+            }
+            this.coefficients = trimmed;
+        }
+
+        // Returns null when the tree is not a polynomial with rational coefficients,
+        // raises something to a power above CONFIG.MAX_EXPANSION_POWER or has
+        // coefficients that outgrow safe integers
+        static fromExpression(node, variable = CONFIG.VARIABLE) {
+            switch (node.type) {
+                case 'number':
+                    return new Polynomial([node.value]);
+                case 'symbol':
+                    return node.name === variable ? new Polynomial([0, 1]) : null;
+                case 'add':
+                case 'mul': {
+                    const parts = Expr.children(node).map(child => Polynomial.fromExpression(child, variable));
+                    if (parts.includes(null)) return null;
+                    return Rational.withinRange(() => parts.reduce((acc, part) => node.type === 'add' ? acc.add(part) : acc.mul(part)));
+                }
+                case 'pow': {
+                    const exp = node.exp;
+                    if (!Expr.isNumber(exp) || !exp.value.isInteger() || exp.value.isNegative()) return null;
+                    if (exp.value.n > CONFIG.MAX_EXPANSION_POWER) return null;
+                    const base = Polynomial.fromExpression(node.base, variable);
+                    return base && Rational.withinRange(() => base.pow(exp.value.n));
+                }
+                default:
+                    return null;
+            }
+        }
+
+        /**
+         * Writes a rational function as numerator / denominator polynomials,
+         * or returns null when the tree is not a ratio of polynomials (or
+         * one too large to work with exactly, as in fromExpression).
+         */
+        static fractionFromExpression(node, variable = CONFIG.VARIABLE) {
+            const one = new Polynomial([1]);
+            switch (node.type) {
+                case 'add':
+                case 'mul': {
+                    const parts = Expr.children(node).map(child => Polynomial.fractionFromExpression(child, variable));
+                    if (parts.includes(null)) return null;
+                    return Rational.withinRange(() => parts.reduce((acc, part) => node.type === 'add'
+                        ? {
+                            numerator: acc.numerator.mul(part.denominator).add(part.numerator.mul(acc.denominator)),
+                            denominator: acc.denominator.mul(part.denominator)
+                        }
+                        : {
+                            numerator: acc.numerator.mul(part.numerator),
+                            denominator: acc.denominator.mul(part.denominator)
+                        }));
+                }
+                case 'pow': {
+                    const exp = node.exp;
+                    if (!Expr.isNumber(exp) || !exp.value.isInteger()) break;
+                    const n = Math.abs(exp.value.n);
+                    if (n > CONFIG.MAX_EXPANSION_POWER) return null;
+                    const base = Polynomial.fractionFromExpression(node.base, variable);
+                    const raised = base && Rational.withinRange(() => ({ numerator: base.numerator.pow(n), denominator: base.denominator.pow(n) }));
+                    if (!raised) return null;
+                    return exp.value.isNegative()
+                        ? { numerator: raised.denominator, denominator: raised.numerator }
+                        : raised;
+                }
+            }
+            const polynomial = Polynomial.fromExpression(node, variable);
+            return polynomial && { numerator: polynomial, denominator: one };
+        }
+
+        get degree() {
+            return this.coefficients.length - 1;
+        }
+
+        isZero() {
+            return this.coefficients.length === 0;
+        }
+
+        coefficient(power) {
+            return this.coefficients[power] || new Rational(0);
+        }
+
+        add(other) {
+            const length = Math.max(this.coefficients.length, other.coefficients.length);
+            return new Polynomial(Array.from({ length }, (_, i) => this.coefficient(i).add(other.coefficient(i))));
+        }
+
+        mul(other) {
+            const result = [];
+            this.coefficients.forEach((a, i) => {
+                other.coefficients.forEach((b, j) => {
+                    result[i + j] = (result[i + j] || new Rational(0)).add(a.mul(b));
+                });
+            });
+            return new Polynomial(result);
+        }
+
+        // null above CONFIG.MAX_EXPANSION_POWER, where expanding gets too slow
+        pow(exponent) {
+            if (exponent > CONFIG.MAX_EXPANSION_POWER) return null;
+            let result = new Polynomial([1]);
+            for (let i = 0; i < exponent; i++) {
+                result = result.mul(this);
+            }
+            return result;
+        }
+
+        scale(factor) {
+            return new Polynomial(this.coefficients.map(c => c.mul(factor)));
+        }
+
+        sub(other) {
+            return this.add(other.scale(-1));
+        }
+
+        get leading() {
+            return this.coefficient(this.degree);
+        }
+
+        monic() {
+            return this.scale(this.leading.inverse());
+        }
+
+        evaluate(x) {
+            return this.coefficients.reduceRight((sum, c) => sum.mul(x).add(c), new Rational(0));
+        }
+
+        derivative() {
+            return new Polynomial(this.coefficients.slice(1).map((c, i) => c.mul(i + 1)));
+        }
+
+        equals(other) {
+            return this.degree === other.degree && this.coefficients.every((c, i) => c.equals(other.coefficient(i)));
+        }
+
+        // Long division: this = quotient · divisor + remainder with deg(remainder) < deg(divisor)
+        divmod(divisor) {
+            const quotient = [];
+            let remainder = this;
+            while (!remainder.isZero() && remainder.degree >= divisor.degree) {
+                const shift = remainder.degree - divisor.degree;
+                const factor = remainder.leading.div(divisor.leading);
+                quotient[shift] = factor;
+                const monomial = new Polynomial([...Array(shift).fill(0), factor]);
+                remainder = remainder.sub(monomial.mul(divisor));
+            }
+            return { quotient: new Polynomial(Array.from(quotient, c => c || 0)), remainder };
+        }
+
+        // Monic greatest common divisor
+        gcd(other) {
+            let [a, b] = [this, other];
+            while (!b.isZero()) {
+                [a, b] = [b, a.divmod(b).remainder];
+            }
+            return a.isZero() ? a : a.monic();
+        }
+
+        // A rational root p/q, with p dividing the constant term and q the leading coefficient, or null
+        rationalRoot() {
+            if (this.degree < 1) return null;
+            if (this.coefficient(0).isZero()) return new Rational(0);
+            const scale = this.coefficients.reduce((lcm, c) => lcm / Rational.gcd(lcm, c.d) * c.d, 1);
+            const integers = this.coefficients.map(c => c.mul(scale).valueOf());
+            const divisors = (n) => {
+                const found = [];
+                for (let d = 1; d * d <= Math.abs(n); d++) {
+                    if (n % d === 0) found.push(d, Math.abs(n) / d);
+                }
+                return found;
+            };
+            for (const p of divisors(integers[0])) {
+                for (const q of divisors(integers[this.degree])) {
+                    for (const root of [new Rational(p, q), new Rational(-p, q)]) {
+                        if (this.evaluate(root).isZero()) return root;
+                    }
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Factors over the rationals into the leading coefficient times monic
+         * linear factors and powers of one irreducible quadratic. Returns
+         * { leading, factors: [{ polynomial, multiplicity }] }, or null when
+         * what is left after the rational roots doesn't have that shape.
+         */
+        factor() {
+            const factors = [];
+            let rest = this.monic();
+            for (let root = rest.rationalRoot(); root; root = rest.rationalRoot()) {
+                const linear = new Polynomial([root.neg(), 1]);
+                let multiplicity = 0;
+                while (rest.degree >= 1 && rest.evaluate(root).isZero()) {
+                    rest = rest.divmod(linear).quotient;
+                    multiplicity++;
+                }
+                factors.push({ polynomial: linear, multiplicity });
+            }
+
+            if (rest.degree >= 2) {
+                // rest = g^k has gcd(rest, rest') = g^(k-1)
+                const quadratic = rest.divmod(rest.gcd(rest.derivative())).quotient;
+                const multiplicity = rest.degree / 2;
+                const [c, b] = [quadratic.coefficient(0), quadratic.coefficient(1)];
+                const discriminant = b.mul(b).sub(c.mul(4));
+                const expanded = quadratic.pow(multiplicity);
+                if (quadratic.degree !== 2 || !discriminant.isNegative() || !expanded || !expanded.equals(rest)) {
+                    return null;
+                }
+                factors.push({ polynomial: quadratic, multiplicity });
+            }
+
+            // Integer coefficients read better: (2x - 1) rather than (x - 1/2)
+            let leading = this.leading;
+            for (const factor of factors) {
+                factor.polynomial = factor.polynomial.primitive();
+                leading = leading.div(factor.polynomial.leading.pow(factor.multiplicity));
+            }
+            return { leading, factors };
+        }
+
+        // Scaled to coprime integer coefficients with a positive leading coefficient
+        primitive() {
+            const lcm = this.coefficients.reduce((acc, c) => acc / Rational.gcd(acc, c.d) * c.d, 1);
+            const integers = this.coefficients.map(c => c.mul(lcm).valueOf());
+            const gcd = integers.reduce((acc, c) => Rational.gcd(acc, c), 0);
+            return this.scale(new Rational(lcm * Math.sign(this.leading.valueOf()), gcd));
+        }
+
+        // Tree with the highest power first
+        toExpression(variable = CONFIG.VARIABLE) {
+            const x = Expr.symbol(variable);
+            const terms = this.coefficients
+                .map((c, power) => c.isZero() ? null : Expr.mul(Expr.number(c), Expr.pow(x, Expr.number(power))))
+                .filter(Boolean)
+                .reverse();
+            return Simplifier.simplify(Expr.add(...terms));
+        }
+    }
+
+    // =============================================================================
+    // TERM SHAPES
+    // =============================================================================
+
+    // Structural recognizers used by the TECHNIQUE_DATA matchers
+    const TermShape = {
+        // Factors of a term that depend on the integration variable
+        variableFactors: (term, variable = CONFIG.VARIABLE) =>
+            Expr.factors(term).filter(factor => Expr.dependsOn(factor, variable)),
+
+        // Exponent r when node is x^r, written as x, x^r, sqrt(x) or a nested power
+        powerOfVariable(node, variable = CONFIG.VARIABLE) {
+            if (node.type === 'symbol' && node.name === variable) return new Rational(1);
+            if (node.type === 'call' && node.name === 'sqrt') {
+                const inner = TermShape.powerOfVariable(node.args[0], variable);
+                return inner && inner.mul(new Rational(1, 2));
+            }
+            if (node.type === 'pow' && Expr.isNumber(node.exp)) {
+                const inner = TermShape.powerOfVariable(node.base, variable);
+                return inner && inner.mul(node.exp.value);
+            }
+            return null;
+        },
+
+        // Combined exponent of a product of powers of x, or null
+        exponentOfTerm(term, variable = CONFIG.VARIABLE) {
+            let exponent = new Rational(0);
+            for (const factor of TermShape.variableFactors(term, variable)) {
+                const power = TermShape.powerOfVariable(factor, variable);
+                if (!power) return null;
+                exponent = exponent.add(power);
+            }
+            return exponent;
+        },
+
+        // Polynomial {a, b} of a*x + b with a != 0, or null
+        linear(node, variable = CONFIG.VARIABLE) {
+            const polynomial = Polynomial.fromExpression(node, variable);
+            if (!polynomial || polynomial.degree !== 1) return null;
+            return { a: polynomial.coefficient(1), b: polynomial.coefficient(0) };
+        },
+
+        // The single x-dependent factor of a term, or null if there are several
+        soleVariableFactor(term, variable = CONFIG.VARIABLE) {
+            const factors = TermShape.variableFactors(term, variable);
+            return factors.length === 1 ? factors[0] : null;
+        },
+
+        isPowerTerm(term, variable = CONFIG.VARIABLE) {
+            if (Polynomial.fromExpression(term, variable)) return true;
+            const exponent = TermShape.exponentOfTerm(term, variable);
+            return exponent !== null && !exponent.equals(-1);
+        },
+
+        isLinearCall(term, names, variable = CONFIG.VARIABLE) {
+            const factor = TermShape.soleVariableFactor(term, variable);
+            return !!factor && factor.type === 'call' && names.includes(factor.name) &&
+                !!TermShape.linear(factor.args[0], variable);
+        },
+
+        isLinearExponential(term, variable = CONFIG.VARIABLE) {
+            const factor = TermShape.soleVariableFactor(term, variable);
+            if (!factor) return false;
+            if (factor.type === 'call' && factor.name === 'exp') {
+                return !!TermShape.linear(factor.args[0], variable);
+            }
+            // e^(ax+b), or another positive base such as 2^x
+            if (factor.type !== 'pow' || Expr.dependsOn(factor.base, variable)) return false;
+            return Expr.evaluate(factor.base) > 0 && !Expr.isNumber(factor.base, 1) && !!TermShape.linear(factor.exp, variable);
+        },
+
+        isReciprocalLinear(term, variable = CONFIG.VARIABLE) {
+            const factor = TermShape.soleVariableFactor(term, variable);
+            return !!factor && factor.type === 'pow' && Expr.isNumber(factor.exp, -1) &&
+                !!TermShape.linear(factor.base, variable);
+        },
+
+        /**
+         * LIATE class of one x-dependent factor: 'L'ogarithmic, 'I'nverse
+         * trigonometric, 'A'lgebraic, 'T'rigonometric or 'E'xponential. sinh and
+         * cosh count as trigonometric since they also cycle when differentiated.
+         */
+        liateClass(factor, variable = CONFIG.VARIABLE) {
+            if (factor.type === 'call' && TermShape.linear(factor.args[0], variable)) {
+                if (['ln', 'log'].includes(factor.name)) return 'L';
+                if (['arcsin', 'arccos', 'arctan'].includes(factor.name)) return 'I';
+                if (['sin', 'cos', 'sinh', 'cosh'].includes(factor.name)) return 'T';
+            }
+            if (TermShape.isLinearExponential(factor, variable)) return 'E';
+            if (Polynomial.fromExpression(factor, variable) || TermShape.powerOfVariable(factor, variable)) return 'A';
+            return null;
+        },
+
+        /**
+         * ln(ax+b) or an inverse trig function on its own, or a product of two
+         * factors from different LIATE classes. Without a logarithm or inverse
+         * trig function the algebraic factor must be a polynomial so that
+         * differentiating it eventually reaches zero.
+         */
+        isPartsProduct(term, variable = CONFIG.VARIABLE) {
+            const factors = TermShape.variableFactors(term, variable);
+            const classes = factors.map(factor => TermShape.liateClass(factor, variable));
+            if (classes.includes(null)) return false;
+            if (classes.length === 1) return ['L', 'I'].includes(classes[0]);
+            if (classes.length !== 2 || classes[0] === classes[1]) return false;
+            const algebraic = factors[classes.indexOf('A')];
+            if (!algebraic) return true;
+            if (classes.includes('L')) {
+                // ln(x)/x is a substitution, u = ln(x)
+                const power = TermShape.powerOfVariable(algebraic, variable);
+                return !(power && power.equals(-1));
+            }
+            if (classes.includes('I')) return !!Polynomial.fromExpression(algebraic, variable);
+            return !!Polynomial.fromExpression(algebraic, variable);
+        },
+
+        // Quotient of polynomials whose denominator has degree 2 or more
+        isRationalFunction(term, variable = CONFIG.VARIABLE) {
+            const fraction = Polynomial.fractionFromExpression(term, variable);
+            return !!fraction && fraction.denominator.degree >= 2;
+        },
+
+        /**
+         * Classic integrands without an elementary antiderivative: e^p(x),
+         * sin(p(x)) and cos(p(x)) for p of degree 2 or more, sin, cos or e^ of
+         * ax + b over another linear factor (sin(x)/x, e^x/x), 1/ln(ax + b)
+         * and x^x.
+         */
+        isNonElementary(term, variable = CONFIG.VARIABLE) {
+            const factors = TermShape.variableFactors(term, variable);
+            const degree = (node) => {
+                const polynomial = Polynomial.fromExpression(node, variable);
+                return polynomial ? polynomial.degree : 0;
+            };
+            if (factors.length === 2) {
+                const reciprocal = factors.find(factor => TermShape.isReciprocalLinear(factor, variable));
+                const other = factors.find(factor => factor !== reciprocal);
+                return !!reciprocal && (TermShape.isLinearExponential(other, variable) ||
+                    TermShape.isLinearCall(other, ['sin', 'cos', 'sinh', 'cosh'], variable));
+            }
+            const [factor] = factors;
+            if (factors.length !== 1) return false;
+            if (factor.type === 'call') {
+                return ['exp', 'sin', 'cos'].includes(factor.name) && degree(factor.args[0]) >= 2;
+            }
+            if (factor.type !== 'pow') return false;
+            const { base, exp } = factor;
+            const isVariable = (node) => node.type === 'symbol' && node.name === variable;
+            if (!Expr.dependsOn(base, variable)) return Expr.evaluate(base) > 0 && degree(exp) >= 2;
+            if (Expr.isNumber(exp, -1) && base.type === 'call' && ['ln', 'log'].includes(base.name)) {
+                return !!TermShape.linear(base.args[0], variable);
+            }
+            return isVariable(base) && isVariable(exp);
+        }
+    };
+
+    // =============================================================================
+    // SIMPLIFIER
+    // =============================================================================
+
+    /**
+     * Rewrites trees into a canonical form: numbers folded, sums and products
+     * flattened, like terms and like bases collected, and children sorted so
+     * that equal expressions produce equal keys.
+     */
+    class Simplifier {
+        static simplify(node) {
+            switch (node.type) {
+                case 'add':
+                    return Simplifier.simplifySum(node.terms.map(Simplifier.simplify));
+                case 'mul':
+                    return Simplifier.simplifyProduct(node.factors.map(Simplifier.simplify));
+                case 'pow':
+                    return Simplifier.simplifyPower(Simplifier.simplify(node.base), Simplifier.simplify(node.exp));
+                case 'call':
+                    return Simplifier.simplifyCall(node.name, node.args.map(Simplifier.simplify));
+                default:
+                    return node;
+            }
+        }
+
+        // Separates the numeric coefficient of an already simplified term
+        static splitCoefficient(term) {
+            if (term.type === 'number') {
+                return { coefficient: term.value, rest: null };
+            }
+            if (term.type === 'mul' && term.factors[0].type === 'number') {
+                return { coefficient: term.factors[0].value, rest: Expr.mul(...term.factors.slice(1)) };
+            }
+            return { coefficient: new Rational(1), rest: term };
+        }
+
+        static scale(rest, coefficient) {
+            if (!rest) return Expr.number(coefficient);
+            return coefficient.isOne() ? rest : Expr.mul(Expr.number(coefficient), rest);
+        }
+
+        static simplifySum(terms) {
+            const groups = new Map();
+            let constant = new Rational(0);
+
+            for (const term of terms.flatMap(Expr.terms)) {
+                const { coefficient, rest } = Simplifier.splitCoefficient(term);
+                if (!rest) {
+                    constant = constant.add(coefficient);
+                    continue;
+                }
+                const key = Expr.key(rest);
+                const group = groups.get(key);
+                if (group) {
+                    group.coefficient = group.coefficient.add(coefficient);
+                } else {
+                    groups.set(key, { coefficient, rest });
+                }
+            }
+
+            const result = [...groups.values()]
+                .filter(group => !group.coefficient.isZero())
+                .map(group => Simplifier.scale(group.rest, group.coefficient));
+            if (!constant.isZero()) {
+                result.push(Expr.number(constant));
+            }
+            return Expr.add(...result.sort(Simplifier.compareTerms));
+        }
+
+        static simplifyProduct(factors) {
+            let coefficient = new Rational(1);
+            const groups = new Map();
+
+            for (const factor of factors.flatMap(Expr.factors)) {
+                if (factor.type === 'number') {
+                    coefficient = coefficient.mul(factor.value);
+                    continue;
+                }
+                const [base, exp] = factor.type === 'pow' ? [factor.base, factor.exp] : [factor, Expr.number(1)];
+                const key = Expr.key(base);
+                if (groups.has(key)) {
+                    groups.get(key).exponents.push(exp);
+                } else {
+                    groups.set(key, { base, exponents: [exp], factor });
+                }
+            }
+
+            if (coefficient.isZero()) return Expr.number(0);
+
+            const result = [];
+            let regroup = false;
+            for (const [key, { base, exponents, factor }] of groups) {
+                const power = exponents.length === 1
+                    ? factor
+                    : Simplifier.simplifyPower(base, Simplifier.simplifySum(exponents));
+                const pieces = Expr.factors(power);
+                // Combining can expose a new base, as in |x|^-2 = x^-2, which may merge again
+                const sameBase = pieces.length === 1 && pieces[0].type === 'pow' && Expr.key(pieces[0].base) === key;
+                regroup = regroup || (exponents.length > 1 && !sameBase && pieces[0].type !== 'number');
+                for (const piece of pieces) {
+                    if (piece.type === 'number') {
+                        coefficient = coefficient.mul(piece.value);
+                    } else {
+                        result.push(piece);
+                    }
+                }
+            }
+
+            if (regroup) {
+                return Simplifier.simplifyProduct([Expr.number(coefficient), ...result]);
+            }
+            if (coefficient.isZero()) return Expr.number(0);
+            result.sort(Simplifier.compareFactors);
+            return coefficient.isOne() ? Expr.mul(...result) : Expr.mul(Expr.number(coefficient), ...result);
+        }
+
+        static simplifyPower(base, exp) {
+            if (Expr.isNumber(exp, 0) || Expr.isNumber(base, 1)) return Expr.number(1);
+            if (Expr.isNumber(exp, 1)) return base;
+
+            if (base.type === 'number' && exp.type === 'number') {
+                if (base.value.isZero()) {
+                    return exp.value.isNegative() ? Expr.pow(base, exp) : Expr.number(0);
+                }
+                // Powers too large for exact arithmetic, such as 2^100, stay unevaluated
+                const root = exp.value.isInteger() ? base.value : Simplifier.exactRoot(base.value, exp.value.d);
+                const power = root && Rational.withinRange(() => root.pow(exp.value.n));
+                return power ? Expr.number(power) : Expr.pow(base, exp);
+            }
+
+            // (u^a)^b = u^(ab) unless that would drop an absolute value, as in (x^2)^(1/2)
+            if (base.type === 'pow' && exp.type === 'number' &&
+                (exp.value.isInteger() || (Expr.isNumber(base.exp) && Math.abs(base.exp.value.n) % 2 === 1))) {
+                return Simplifier.simplifyPower(base.base, Simplifier.simplifyProduct([base.exp, exp]));
+            }
+
+            if (base.type === 'mul' && exp.type === 'number' && exp.value.isInteger()) {
+                return Simplifier.simplifyProduct(base.factors.map(factor => Simplifier.simplifyPower(factor, exp)));
+            }
+
+            if (base.type === 'constant' && base.name === 'e' && exp.type === 'call' && exp.name === 'ln') {
+                return exp.args[0];
+            }
+
+            // |u|^2k = u^2k
+            if (base.type === 'call' && base.name === 'abs' && exp.type === 'number' &&
+                exp.value.isInteger() && exp.value.n % 2 === 0) {
+                return Simplifier.simplifyPower(base.args[0], exp);
+            }
+
+            return Expr.pow(base, exp);
+        }
+
+        // q-th root of a rational when it is rational itself
+        static exactRoot(value, q) {
+            if (value.isNegative() && q % 2 === 0) return null;
+            const root = (n) => {
+                const candidate = Math.sign(n) * Math.round(Math.abs(n) ** (1 / q));
+                return candidate ** q === n ? candidate : null;
+            };
+            const n = root(value.n);
+            const d = root(value.d);
+            return n === null || d === null ? null : new Rational(n, d);
+        }
+
+        // Exact tree for sqrt(r): sqrt(3/4) -> sqrt(3)/2, sqrt(12) -> 2sqrt(3)
+        static squareRoot(r) {
+            let inside = r.n * r.d;
+            let outside = 1;
+            for (let k = 2; k * k <= inside; k++) {
+                while (inside % (k * k) === 0) {
+                    inside /= k * k;
+                    outside *= k;
+                }
+            }
+            const coefficient = Expr.number(new Rational(outside, r.d));
+            return inside === 1 ? coefficient : Expr.mul(coefficient, Expr.call('sqrt', Expr.number(inside)));
+        }
+
+        static simplifyCall(name, args) {
+            const [arg] = args;
+            const negated = Simplifier.hasNegativeCoefficient(arg);
+
+            switch (name) {
+                case 'sqrt':
+                    return Simplifier.simplifyPower(arg, Expr.number(new Rational(1, 2)));
+                case 'exp':
+                    return Simplifier.simplifyPower(Expr.constant('e'), arg);
+                case 'log': {
+                    // log_b(u) = ln(u)/ln(b)
+                    const base = args[1] || Expr.number(10);
+                    return Simplifier.simplifyProduct([
+                        Simplifier.simplifyCall('ln', [arg]),
+                        Simplifier.simplifyPower(Simplifier.simplifyCall('ln', [base]), Expr.number(-1))
+                    ]);
+                }
+                case 'ln':
+                    if (Expr.isNumber(arg, 1)) return Expr.number(0);
+                    if (arg.type === 'constant' && arg.name === 'e') return Expr.number(1);
+                    if (arg.type === 'pow' && arg.base.type === 'constant' && arg.base.name === 'e') return arg.exp;
+                    break;
+                case 'abs':
+                    if (arg.type === 'number') return Expr.number(arg.value.abs());
+                    if (arg.type === 'call' && arg.name === 'abs') return arg;
+                    if (arg.type === 'constant') return arg;
+                    if (negated) return Simplifier.simplifyCall('abs', [Simplifier.negate(arg)]);
+                    if (Expr.symbols(arg).size === 0) {
+                        // Constant expressions such as |sqrt(2)/2| have a known sign
+                        const value = Expr.evaluate(arg);
+                        if (value > 0) return arg;
+                        if (value < 0) return Simplifier.negate(arg);
+                    }
+                    break;
+                case 'sin':
+                case 'tan':
+                case 'csc':
+                case 'cot':
+                case 'sinh':
+                case 'tanh':
+                case 'arcsin':
+                case 'arctan':
+                    // Odd functions
+                    if (negated) return Simplifier.negate(Simplifier.simplifyCall(name, [Simplifier.negate(arg)]));
+                    break;
+                case 'cos':
+                case 'sec':
+                case 'cosh':
+                    // Even functions
+                    if (negated) return Simplifier.simplifyCall(name, [Simplifier.negate(arg)]);
+                    break;
+            }
+
+            if (Expr.isNumber(arg, 0) && ['sinh', 'tanh', 'cosh'].includes(name)) {
+                return Expr.number(name === 'cosh' ? 1 : 0);
+            }
+            if (['arcsin', 'arccos', 'arctan'].includes(name) && Expr.symbols(arg).size === 0) {
+                const angle = Simplifier.specialInverseTrigValue(name, Expr.evaluate(arg));
+                if (angle) return angle;
+            }
+
+            const special = Simplifier.specialTrigValue(name, arg);
+            return special || Expr.call(name, ...args);
+        }
+
+        // arcsin, arccos or arctan of a constant as an exact multiple of pi/6 or pi/4, e.g. arcsin(1/2) = pi/6
+        static specialInverseTrigValue(name, value) {
+            const [forward, low, high] = { arcsin: [Math.sin, -90, 90], arccos: [Math.cos, 0, 180], arctan: [Math.tan, -60, 60] }[name];
+            const angle = [-90, -60, -45, -30, 0, 30, 45, 60, 90, 120, 135, 150, 180]
+                .find(degrees => degrees >= low && degrees <= high &&
+                    Math.abs(forward(degrees * Math.PI / 180) - value) < 1e-12);
+            if (angle === undefined) return null;
+            return Simplifier.simplifyProduct([Expr.number(new Rational(angle, 180)), Expr.constant('pi')]);
+        }
+
+        /**
+         * Exact sin, cos, tan and their reciprocals at multiples of pi/6 and
+         * pi/4, so definite integrals over bounds like pi/2 come out as exact numbers.
+         */
+        static specialTrigValue(name, arg) {
+            const ratios = { sin: ['sin'], cos: ['cos'], ...TRIG_RATIOS };
+            if (!ratios[name]) return null;
+            const { coefficient, rest } = Simplifier.splitCoefficient(arg);
+            const multipleOfPi = rest && rest.type === 'constant' && rest.name === 'pi';
+            if (!multipleOfPi && !Expr.isNumber(arg, 0)) return null;
+
+            const degrees = coefficient.mul(180);
+            if (!degrees.isInteger() || degrees.n % 15 !== 0) return null;
+
+            const half = new Rational(1, 2);
+            const root = (n) => Expr.pow(Expr.number(n), Expr.number(half));
+            const reference = {
+                0: Expr.number(0),
+                30: Expr.number(half),
+                45: Expr.mul(Expr.number(half), root(2)),
+                60: Expr.mul(Expr.number(half), root(3)),
+                90: Expr.number(1)
+            };
+            const sine = (angle) => {
+                const reduced = ((angle % 360) + 360) % 360;
+                const withinHalfTurn = reduced % 180;
+                const value = reference[withinHalfTurn > 90 ? 180 - withinHalfTurn : withinHalfTurn];
+                return value && (reduced >= 180 ? Simplifier.negate(value) : value);
+            };
+
+            const values = { sin: sine(degrees.n), cos: sine(degrees.n + 90) };
+            if (!values.sin || !values.cos) return null;
+            const [numerator, denominator] = ratios[name];
+            if (!denominator) return values[numerator];
+            return Expr.isNumber(values[denominator], 0)
+                ? null
+                : Simplifier.simplify(Expr.div(numerator ? values[numerator] : Expr.number(1), values[denominator]));
+        }
+
+        static hasNegativeCoefficient(node) {
+            return node.type !== 'add' && Simplifier.splitCoefficient(node).coefficient.isNegative();
+        }
+
+        static negate(node) {
+            return Simplifier.simplifyProduct([Expr.number(-1), node]);
+        }
+
+        /**
+         * Distributes products and non-negative integer powers over sums,
+         * so polynomials come out as a flat sum of monomials.
+         */
+        static expand(node) {
+            switch (node.type) {
+                case 'add':
+                    return Simplifier.simplifySum(node.terms.map(Simplifier.expand));
+                case 'mul':
+                    return node.factors.map(Simplifier.expand).reduce(Simplifier.distribute);
+                case 'pow': {
+                    const base = Simplifier.expand(node.base);
+                    const exp = Simplifier.simplify(node.exp);
+                    if (base.type === 'add' && Expr.isNumber(exp) && exp.value.isInteger() &&
+                        !exp.value.isNegative() && exp.value.n <= CONFIG.MAX_EXPANSION_POWER) {
+                        return Array(exp.value.n).fill(base).reduce(Simplifier.distribute, Expr.number(1));
+                    }
+                    return Simplifier.simplifyPower(base, exp);
+                }
+                case 'call':
+                    return Simplifier.simplifyCall(node.name, node.args.map(Simplifier.expand));
+                default:
+                    return node;
+            }
+        }
+
+        /**
+         * Decides whether an expression is identically zero. Tries plain
+         * expansion, then the same with tangents rewritten as sin/cos, then
+         * clearing denominators of rational functions. A false result means
+         * "not proven zero" rather than "definitely non-zero".
+         */
+        static isZero(node) {
+            const candidates = [node, Simplifier.rewriteInSinCos(node)];
+            return candidates.some(candidate => {
+                const expanded = Simplifier.expand(candidate);
+                if (Expr.isNumber(expanded, 0)) return true;
+                const fraction = Polynomial.fractionFromExpression(expanded);
+                return !!fraction && fraction.numerator.isZero();
+            });
+        }
+
+        static rewriteInSinCos(node) {
+            return Expr.map(node, (child) => {
+                if (child.type !== 'call' || !TRIG_RATIOS[child.name]) return child;
+                const [numerator, denominator] = TRIG_RATIOS[child.name];
+                return Expr.div(numerator ? Expr.call(numerator, child.args[0]) : Expr.number(1), Expr.call(denominator, child.args[0]));
+            });
+        }
+
+        static distribute(a, b) {
+            const products = [];
+            for (const left of Expr.terms(a)) {
+                for (const right of Expr.terms(b)) {
+                    products.push(Simplifier.simplifyProduct([left, right]));
+                }
+            }
+            return Simplifier.simplifySum(products);
+        }
+
+        // Positive powers of x by falling degree, then other terms, then constants and negative powers
+        static compareTerms(a, b) {
+            const rank = (term) => {
+                const degree = TermShape.exponentOfTerm(term);
+                if (degree === null) return [1, 0];
+                return degree.compare(0) > 0 ? [0, -degree] : [2, -degree];
+            };
+            const [groupA, orderA] = rank(a);
+            const [groupB, orderB] = rank(b);
+            return groupA - groupB || orderA - orderB || Simplifier.compareKeys(a, b);
+        }
+
+        // Constants, then powers of x, then e^(...), then functions such as sin(x)
+        static compareFactors(a, b) {
+            const rank = (factor) => {
+                if (!Expr.dependsOn(factor)) return 0;
+                if (TermShape.powerOfVariable(factor)) return 1;
+                if (factor.type === 'pow' && !Expr.dependsOn(factor.base)) return 2;
+                return factor.type === 'call' ? 3 : 4;
+            };
+            return rank(a) - rank(b) || Simplifier.compareKeys(a, b);
+        }
+
+        static compareKeys(a, b) {
+            const keyA = Expr.key(a);
+            const keyB = Expr.key(b);
+            return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+        }
+    }
+
+    // =============================================================================
+    // SYMBOLIC INTEGRATION
+    // =============================================================================
+
+    // Antiderivatives of f(u) with respect to u, applied when u is linear in x
+    const ELEMENTARY_INTEGRALS = {
+        sin: (u) => Expr.neg(Expr.call('cos', u)),
+        cos: (u) => Expr.call('sin', u),
+        tan: (u) => Expr.neg(Expr.call('ln', Expr.call('abs', Expr.call('cos', u)))),
+        sec: (u) => Expr.call('ln', Expr.call('abs', Expr.add(Expr.call('sec', u), Expr.call('tan', u)))),
+        csc: (u) => Expr.neg(Expr.call('ln', Expr.call('abs', Expr.add(Expr.call('csc', u), Expr.call('cot', u))))),
+        cot: (u) => Expr.call('ln', Expr.call('abs', Expr.call('sin', u))),
+        sinh: (u) => Expr.call('cosh', u),
+        cosh: (u) => Expr.call('sinh', u),
+        // cosh(u) >= 1, so no absolute value is needed
+        tanh: (u) => Expr.call('ln', Expr.call('cosh', u)),
+        abs: (u) => Expr.div(Expr.mul(u, Expr.call('abs', u)), Expr.number(2))
+    };
+
+    /**
+     * Rule-based antiderivatives. The integrand is split into terms by
+     * linearity, constant factors are pulled out, and what remains is matched
+     * against the elementary rules. Terms that match nothing are expanded and
+     * retried, which covers products and powers of polynomials.
+     */
+    class Integrator {
+        // `byParts: false` restricts the integrator to the elementary rules
+        constructor(variable = CONFIG.VARIABLE, { byParts = true } = {}) {
+            this.variable = variable;
+            this.byParts = byParts;
+        }
+
+        // Antiderivative without the constant of integration, or null when no rule applies
+        static antiderivative(node, variable = CONFIG.VARIABLE, options = {}) {
+            return Rational.withinRange(() => new Integrator(variable, options).integrate(node));
+        }
+
+        integrate(node) {
+            const parts = [];
+            for (const term of Expr.terms(Simplifier.simplify(node))) {
+                const result = this.integrateTerm(term) || this.integrateExpanded(term) || this.integrateTrig(term) ||
+                    this.integrateByParts(term) || this.integrateBySubstitution(term) ||
+                    this.integratePartialFractions(term) || this.integrateByTrigSubstitution(term);
+                if (!result) return null;
+                parts.push(result);
+            }
+            return Simplifier.simplify(Expr.add(...parts));
+        }
+
+        integrateExpanded(term) {
+            const expanded = Simplifier.expand(term);
+            if (Expr.key(expanded) === Expr.key(term)) return null;
+
+            const parts = [];
+            for (const piece of Expr.terms(expanded)) {
+                const result = this.integrateTerm(piece);
+                if (!result) return null;
+                parts.push(result);
+            }
+            return Expr.add(...parts);
+        }
+
+        integrateTrig(term) {
+            const solution = TrigIntegrals.solve(term, this.variable);
+            return solution && solution.result;
+        }
+
+        integrateByTrigSubstitution(term) {
+            const solution = TrigSubstitution.solve(term, this.variable);
+            return solution && solution.result;
+        }
+
+        integrateByParts(term) {
+            const solution = this.byParts ? IntegrationByParts.solve(term, this.variable) : null;
+            return solution && solution.result;
+        }
+
+        integratePartialFractions(term) {
+            const solution = PartialFractions.solve(term, this.variable);
+            return solution && solution.result;
+        }
+
+        integrateBySubstitution(term) {
+            const solution = USubstitution.solve(term, this.variable, { byParts: this.byParts });
+            return solution && solution.result;
+        }
+
+        integrateTerm(term) {
+            const constants = [];
+            const variables = [];
+            for (const factor of Expr.factors(term)) {
+                (Expr.dependsOn(factor, this.variable) ? variables : constants).push(factor);
+            }
+
+            const integral = variables.length === 0
+                ? Expr.symbol(this.variable)
+                : this.integrateFactor(Expr.mul(...variables));
+            return integral && Expr.mul(...constants, integral);
+        }
+
+        integrateFactor(node) {
+            const [base, exp] = node.type === 'pow' ? [node.base, node.exp] : [node, Expr.number(1)];
+
+            // Power rule, including linear bases: (ax+b)^r -> (ax+b)^(r+1) / (a(r+1))
+            const linearBase = TermShape.linear(base, this.variable);
+            if (linearBase && Expr.isNumber(exp)) {
+                if (exp.value.equals(-1)) {
+                    return Expr.div(Expr.call('ln', Expr.call('abs', base)), Expr.number(linearBase.a));
+                }
+                const raised = exp.value.add(1);
+                return Expr.div(Expr.pow(base, Expr.number(raised)), Expr.number(linearBase.a.mul(raised)));
+            }
+
+            // Exponentials: b^(ax+c) -> b^(ax+c) / (a ln b)
+            const linearExp = TermShape.linear(exp, this.variable);
+            if (node.type === 'pow' && linearExp && !Expr.dependsOn(base, this.variable)) {
+                return Expr.div(node, Expr.mul(Expr.number(linearExp.a), Expr.call('ln', base)));
+            }
+
+            if (node.type === 'call') {
+                const linearArg = TermShape.linear(node.args[0], this.variable);
+                const rule = linearArg && ELEMENTARY_INTEGRALS[node.name];
+                if (rule) {
+                    return Expr.div(rule(node.args[0]), Expr.number(linearArg.a));
+                }
+            }
+
+            return null;
+        }
+    }
+
+    const LIATE = {
+        order: 'LIATE',
+        names: { L: 'logarithmic', I: 'inverse trigonometric', A: 'algebraic', T: 'trigonometric', E: 'exponential' }
+    };
+
+    /**
+     * Integration by parts, ∫u dv = uv − ∫v du, with u chosen by LIATE. After
+     * k rounds ∫u dv = Σ (−1)^j u^(j) v_(j+1) over j < k, plus (−1)^k ∫u^(k) v_k dx.
+     * A polynomial u is differentiated down to zero (the tabular method), and
+     * when the leftover integral is a constant multiple of the original, as
+     * for e^x·cos(x), the equation is solved for the integral.
+     */
+    class IntegrationByParts {
+        // Splits a term into a constant coefficient, u and dv, or returns null when parts doesn't apply
+        static choose(term, variable = CONFIG.VARIABLE) {
+            if (!TermShape.isPartsProduct(term, variable)) return null;
+            const rank = (factor) => LIATE.order.indexOf(TermShape.liateClass(factor, variable));
+            const coefficient = Expr.mul(...Expr.factors(term).filter(factor => !Expr.dependsOn(factor, variable)));
+            const [u, dv = Expr.number(1)] = TermShape.variableFactors(term, variable)
+                .sort((a, b) => rank(a) - rank(b));
+            return { coefficient, u, dv };
+        }
+
+        /**
+         * Returns { coefficient, u, dv, method, derivatives, integrals,
+         * remainders, rounds, ratio, result } where method is 'single',
+         * 'tabular' or 'cyclic', derivatives[j] = u^(j), integrals[j] = v_(j+1)
+         * and remainders[j] = u^(j+1)·v_(j+1); or null when no round succeeds.
+         */
+        static solve(term, variable = CONFIG.VARIABLE) {
+            return Rational.withinRange(() => {
+                const split = IntegrationByParts.choose(term, variable);
+                if (!split) return null;
+                const { coefficient, u, dv } = split;
+                const original = Expr.mul(u, dv);
+                const polynomial = Polynomial.fromExpression(u, variable);
+                const maxRounds = polynomial ? polynomial.degree + 1 : 2;
+                const elementary = (node) => Integrator.antiderivative(node, variable, { byParts: false });
+
+                const derivatives = [u];
+                const integrals = [];
+                const remainders = [];
+                for (let k = 1; k <= maxRounds; k++) {
+                    const v = elementary(integrals.length ? integrals[k - 2] : dv);
+                    if (!v) return null;
+                    integrals.push(Simplifier.simplify(v));
+                    derivatives.push(Differentiator.derivative(derivatives[k - 1], variable));
+                    const remainder = Simplifier.simplify(Expr.mul(derivatives[k], integrals[k - 1]));
+                    remainders.push(remainder);
+
+                    const sign = (j) => Expr.number(j % 2 === 0 ? 1 : -1);
+                    const boundary = Expr.add(...integrals.map((integral, j) => Expr.mul(sign(j), derivatives[j], integral)));
+                    const finish = (method, integral, ratio = null) => ({
+                        coefficient, u, dv, method, derivatives, integrals, remainders, rounds: k, ratio,
+                        result: Simplifier.simplify(Expr.mul(coefficient, integral))
+                    });
+
+                    if (Expr.isNumber(remainder, 0)) {
+                        return finish(polynomial && polynomial.degree >= 2 ? 'tabular' : 'single', boundary);
+                    }
+                    if (polynomial) continue;
+
+                    // ∫u dv = boundary + (−1)^k λ ∫u dv  =>  ∫u dv = boundary / (1 − (−1)^k λ)
+                    const ratio = Simplifier.simplify(Expr.div(remainder, original));
+                    if (!Expr.dependsOn(ratio, variable)) {
+                        const denominator = Simplifier.simplify(Expr.sub(Expr.number(1), Expr.mul(sign(k), ratio)));
+                        if (Expr.isNumber(denominator, 0)) return null;
+                        return finish('cyclic', Expr.div(boundary, denominator), ratio);
+                    }
+                    const rest = elementary(remainder);
+                    if (rest) {
+                        return finish('single', Expr.add(boundary, Expr.mul(sign(k), rest)));
+                    }
+                }
+                return null;
+            });
+        }
+    }
+
+    /**
+     * U-substitution: finds an inner function h inside the term whose
+     * derivative h' divides what is left, up to a constant, so that the term
+     * is g(h(x))·h'(x). Candidates are tried outermost first, and the first
+     * whose rewritten integral ∫g(u) du can be integrated wins.
+     */
+    class USubstitution {
+        // Subtrees of the term's x-dependent factors that could serve as u, outermost first
+        static candidates(term, variable = CONFIG.VARIABLE) {
+            const found = new Map();
+            const visit = (node) => {
+                const bare = node.type === 'symbol' && node.name === variable;
+                if (!bare && Expr.dependsOn(node, variable) && !found.has(Expr.key(node))) {
+                    found.set(Expr.key(node), node);
+                }
+                Expr.children(node).forEach(visit);
+            };
+            TermShape.variableFactors(term, variable).forEach(visit);
+            return [...found.values()];
+        }
+
+        /**
+         * Returns { inner, outer, derivative, symbol, rewritten, integral, result }
+         * for u = inner (found inside the factor `outer`), du = derivative dx,
+         * ∫term dx = ∫rewritten du = integral; or null when no candidate works.
+         */
+        static solve(term, variable = CONFIG.VARIABLE, options = {}) {
+            return Rational.withinRange(() => {
+                const symbol = Expr.symbols(term).has('u') ? 'w' : 'u';
+                const u = Expr.symbol(symbol);
+                for (const inner of USubstitution.candidates(term, variable)) {
+                    const derivative = Differentiator.derivative(inner, variable);
+                    if (Expr.isNumber(derivative, 0)) continue;
+
+                    const key = Expr.key(inner);
+                    const quotient = Simplifier.simplify(Expr.div(term, derivative));
+                    const rewritten = Simplifier.simplify(Expr.map(quotient, node => Expr.key(node) === key ? u : node));
+                    // Without u left over the "substitution" just renames the whole term
+                    if (Expr.dependsOn(rewritten, variable) || !Expr.dependsOn(rewritten, symbol)) continue;
+
+                    const integral = Integrator.antiderivative(rewritten, symbol, options);
+                    if (!integral) continue;
+                    const outer = TermShape.variableFactors(term, variable)
+                        .find(factor => Expr.contains(factor, node => Expr.key(node) === key));
+                    return {
+                        inner, outer, derivative, symbol, rewritten, integral,
+                        result: Simplifier.simplify(Expr.substitute(integral, symbol, inner))
+                    };
+                }
+                return null;
+            });
+        }
+    }
+
+    /**
+     * Partial fractions for a ratio of polynomials N/D: long division when
+     * deg N >= deg D, factoring D into linear factors and powers of an
+     * irreducible quadratic, and solving for the unknown numerators by
+     * matching coefficients. Each fraction integrates to a power, a logarithm
+     * or an arctangent.
+     */
+    class PartialFractions {
+        /**
+         * Returns { numerator, denominator, quotient, remainder, factorization,
+         * fractions: [{ factor, power, numerator }] } with N/D = quotient +
+         * Σ numerator / factor^power, or null when D can't be factored.
+         */
+        static decompose(numerator, denominator) {
+            const common = numerator.gcd(denominator);
+            if (common.degree > 0) {
+                numerator = numerator.divmod(common).quotient;
+                denominator = denominator.divmod(common).quotient;
+            }
+            if (denominator.degree < 1 || denominator.degree > CONFIG.MAX_EXPANSION_POWER) return null;
+            const { quotient, remainder } = numerator.divmod(denominator);
+            const factorization = denominator.factor();
+            if (!factorization) return null;
+
+            // One unknown per power of a linear factor, two (Bx + C) per power of the quadratic
+            const fractions = [];
+            const columns = [];
+            for (const { polynomial: factor, multiplicity } of factorization.factors) {
+                for (let power = 1; power <= multiplicity; power++) {
+                    const cofactor = denominator.divmod(factor.pow(power)).quotient;
+                    const unknowns = factor.degree === 1 ? [cofactor] : [cofactor, cofactor.mul(new Polynomial([0, 1]))];
+                    fractions.push({ factor, power, columns: unknowns.map((_, i) => columns.length + i) });
+                    columns.push(...unknowns);
+                }
+            }
+
+            const matrix = Array.from({ length: denominator.degree }, (_, row) => columns.map(column => column.coefficient(row)));
+            const solution = PartialFractions.solveLinear(matrix, Array.from({ length: denominator.degree }, (_, row) => remainder.coefficient(row)));
+            if (!solution) return null;
+
+            return {
+                numerator, denominator, quotient, remainder, factorization,
+                fractions: fractions.map(({ factor, power, columns: indices }) => ({
+                    factor, power, numerator: new Polynomial(indices.map(i => solution[i]))
+                })).filter(fraction => !fraction.numerator.isZero())
+            };
+        }
+
+        // Gauss-Jordan elimination over the rationals; null when the system is singular
+        static solveLinear(matrix, rhs) {
+            const rows = matrix.map((row, i) => [...row, rhs[i]]);
+            const size = rows.length;
+            for (let col = 0; col < size; col++) {
+                const pivot = rows.findIndex((row, i) => i >= col && !row[col].isZero());
+                if (pivot < 0) return null;
+                [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+                const lead = rows[col][col];
+                rows[col] = rows[col].map(value => value.div(lead));
+                rows.forEach((row, i) => {
+                    if (i === col || row[col].isZero()) return;
+                    const factor = row[col];
+                    rows[i] = row.map((value, j) => value.sub(factor.mul(rows[col][j])));
+                });
+            }
+            return rows.map(row => row[size]);
+        }
+
+        // Tree for numerator / factor^power
+        static fractionExpression({ factor, power, numerator }, variable = CONFIG.VARIABLE) {
+            return Simplifier.simplify(Expr.div(numerator.toExpression(variable),
+                Expr.pow(factor.toExpression(variable), Expr.number(power))));
+        }
+
+        // Antiderivative of one fraction A/(ax + b)^k or (Bx + C)/(x^2 + px + q)^k
+        static integrateFraction(fraction, variable = CONFIG.VARIABLE) {
+            const { factor, power, numerator } = fraction;
+            if (factor.degree === 1) {
+                const coefficient = numerator.coefficient(0).div(factor.leading);
+                const base = factor.toExpression(variable);
+                return Simplifier.simplify(Expr.mul(Expr.number(coefficient), power === 1
+                    ? Expr.call('ln', Expr.call('abs', base))
+                    : Expr.div(Expr.pow(base, Expr.number(1 - power)), Expr.number(1 - power))));
+            }
+            const { logarithm, arctangent } = PartialFractions.quadraticParts(fraction, variable);
+            return Simplifier.simplify(Expr.add(...[logarithm, arctangent].filter(Boolean).map(part => part.integral)));
+        }
+
+        /**
+         * Splits (Bx + C)/(a(x^2 + px + q))^k into a multiple of the derivative
+         * 2x + p over the quadratic, which integrates to a logarithm (or a power),
+         * and a constant over the completed square (x + p/2)^2 + s, which
+         * integrates to an arctangent. Returns { square, shift, radius,
+         * logarithm, arctangent }; each part is { fraction, integral } or null,
+         * and radius is √s.
+         */
+        static quadraticParts({ factor, power, numerator }, variable = CONFIG.VARIABLE) {
+            const x = Expr.symbol(variable);
+            const a = factor.leading;
+            const monic = factor.monic();
+            const [q, p] = [monic.coefficient(0), monic.coefficient(1)];
+            const [C, B] = [numerator.coefficient(0), numerator.coefficient(1)];
+            const scale = a.pow(-power);
+            const rest = C.sub(B.mul(p).div(2));
+
+            // J_k = ∫ dx/(t^2 + s)^k with t = x + p/2 and s = q - p^2/4 > 0, by the reduction formula
+            const s = q.sub(p.mul(p).div(4));
+            const t = Simplifier.simplify(Expr.add(x, Expr.number(p.div(2))));
+            const square = Expr.add(Expr.pow(t, Expr.number(2)), Expr.number(s));
+            const reduced = (k) => {
+                if (k === 1) {
+                    // (2/√D) arctan((2x + p)/√D) with D = 4s, keeping integer coefficients inside
+                    const root = Simplifier.squareRoot(s.mul(4));
+                    const linear = new Polynomial([p, 2]);
+                    const primitive = linear.primitive();
+                    const argument = Expr.div(primitive.toExpression(variable),
+                        Expr.mul(Expr.number(primitive.leading.div(2)), root));
+                    return Expr.mul(Expr.div(Expr.number(2), root), Expr.call('arctan', argument));
+                }
+                const lower = s.mul(2 * (k - 1));
+                return Expr.add(
+                    Expr.div(t, Expr.mul(Expr.number(lower), Expr.pow(monic.toExpression(variable), Expr.number(k - 1)))),
+                    Expr.mul(Expr.number(new Rational(2 * k - 3).div(lower)), reduced(k - 1)));
+            };
+
+            // ∫ h'/h^k = ln(h) or h^(1-k)/(1-k); x^2 + px + q > 0, so the logarithm needs no absolute value
+            const h = monic.toExpression(variable);
+            const logarithm = B.isZero() ? null : {
+                fraction: Simplifier.simplify(Expr.div(Expr.mul(Expr.number(B.div(2).mul(scale)), new Polynomial([p, 2]).toExpression(variable)),
+                    Expr.pow(h, Expr.number(power)))),
+                integral: Simplifier.simplify(Expr.mul(Expr.number(B.div(2).mul(scale)), power === 1
+                    ? Expr.call('ln', h)
+                    : Expr.div(Expr.pow(h, Expr.number(1 - power)), Expr.number(1 - power))))
+            };
+            const arctangent = rest.isZero() ? null : {
+                fraction: Simplifier.simplify(Expr.div(Expr.number(rest.mul(scale)), Expr.pow(square, Expr.number(power)))),
+                integral: Simplifier.simplify(Expr.mul(Expr.number(rest.mul(scale)), reduced(power)))
+            };
+            return { square, shift: t, radius: Simplifier.squareRoot(s), logarithm, arctangent };
+        }
+
+        /**
+         * Returns { decomposition, pieces: [{ fraction, integral }], polynomial,
+         * result } for a term that is a ratio of polynomials, or null.
+         */
+        static solve(term, variable = CONFIG.VARIABLE) {
+            return Rational.withinRange(() => {
+                const fraction = Polynomial.fractionFromExpression(term, variable);
+                if (!fraction || fraction.denominator.degree < 1) return null;
+                const decomposition = PartialFractions.decompose(fraction.numerator, fraction.denominator);
+                if (!decomposition) return null;
+
+                const pieces = decomposition.fractions.map(part => ({
+                    fraction: PartialFractions.fractionExpression(part, variable),
+                    integral: PartialFractions.integrateFraction(part, variable)
+                }));
+                const polynomial = decomposition.quotient.isZero()
+                    ? null
+                    : Integrator.antiderivative(decomposition.quotient.toExpression(variable), variable);
+                return {
+                    decomposition, pieces, polynomial,
+                    result: Simplifier.simplify(Expr.add(...(polynomial ? [polynomial] : []), ...pieces.map(piece => piece.integral)))
+                };
+            });
+        }
+    }
+
+    // Exponents [of sin, of cos] that each trig function contributes
+    const TRIG_EXPONENTS = { sin: [1, 0], cos: [0, 1], tan: [1, -1], cot: [-1, 1], sec: [0, -1], csc: [-1, 0] };
+
+    /**
+     * Trigonometric integrals ∫sin^m(t)·cos^n(t) dt for integers m and n, with
+     * tan, cot, sec and csc rewritten as powers of sin and cos first. An odd
+     * power of sin or cos is peeled off for a u-substitution, even powers are
+     * lowered with the half-angle identities, and the tan/sec and cot/csc
+     * families use u = tan(t) or a reduction formula.
+     */
+    class TrigIntegrals {
+        // { m, n, argument, linear } when every x-dependent factor is a trig power of one linear argument
+        static exponents(term, variable = CONFIG.VARIABLE) {
+            let [m, n, argument] = [0, 0, null];
+            for (const factor of TermShape.variableFactors(Simplifier.simplify(term), variable)) {
+                const [base, power] = factor.type === 'pow' ? [factor.base, factor.exp] : [factor, Expr.number(1)];
+                if (base.type !== 'call' || !TRIG_EXPONENTS[base.name]) return null;
+                if (!Expr.isNumber(power) || !power.value.isInteger()) return null;
+                if (argument && Expr.key(argument) !== Expr.key(base.args[0])) return null;
+                argument = base.args[0];
+                m += TRIG_EXPONENTS[base.name][0] * power.value.n;
+                n += TRIG_EXPONENTS[base.name][1] * power.value.n;
+            }
+            const linear = argument && TermShape.linear(argument, variable);
+            return linear ? { m, n, argument, linear } : null;
+        }
+
+        // sin^m(t)·cos^n(t) written the way a textbook would: tan^a·sec^k, cot^a·csc^k or, failing those, sin^m·cos^n
+        static expression(m, n, t, families = true) {
+            const power = (name, exponent) => Expr.pow(Expr.call(name, t), Expr.number(exponent));
+            if (!families) return Simplifier.simplify(Expr.mul(power('sin', m), power('cos', n)));
+            if (m >= 0 && n < 0 && m + n <= 0) return Simplifier.simplify(Expr.mul(power('tan', m), power('sec', -m - n)));
+            if (n >= 0 && m < 0 && m + n <= 0) return Simplifier.simplify(Expr.mul(power('cot', n), power('csc', -m - n)));
+            return Simplifier.simplify(Expr.mul(power('sin', m), power('cos', n)));
+        }
+
+        /**
+         * Antiderivative of sin^m(t)·cos^n(t) with respect to t, as
+         * { method, ..., result }, or null when both powers are negative or
+         * a power is too large to expand (see CONFIG.MAX_EXPANSION_POWER).
+         */
+        static integrate(m, n, t) {
+            if (Math.max(Math.abs(m), Math.abs(n), Math.abs(m + n)) > 2 * CONFIG.MAX_EXPANSION_POWER) return null;
+            if (m > 0 && m % 2 === 1) return TrigIntegrals.peel(m, n, t, 'sin');
+            if (n > 0 && n % 2 === 1) return TrigIntegrals.peel(m, n, t, 'cos');
+            if (m >= 0 && n >= 0) return TrigIntegrals.halfAngle(m, n, t);
+            if (m >= 0) return TrigIntegrals.secantFamily(m, -m - n, t, false);
+            if (n >= 0) return TrigIntegrals.secantFamily(n, -m - n, t, true);
+            return null;
+        }
+
+        // An odd power of sin: keep one sin(t) for du = -sin(t) dt and rewrite the rest with sin² = 1 - cos²
+        static peel(m, n, t, odd) {
+            const [kept, other, substitution, sign] = odd === 'sin'
+                ? [m, n, Expr.call('cos', t), -1]
+                : [n, m, Expr.call('sin', t), 1];
+            const rewritten = Simplifier.simplify(Expr.mul(Expr.number(sign),
+                new Polynomial([1, 0, -1]).pow((kept - 1) / 2).toExpression('u'),
+                Expr.pow(Expr.symbol('u'), Expr.number(other))));
+            const integral = Integrator.antiderivative(Simplifier.expand(rewritten), 'u');
+            return {
+                method: `odd-${odd}`, substitution, rewritten, integral,
+                result: Simplifier.simplify(Expr.substitute(integral, 'u', substitution))
+            };
+        }
+
+        // Even powers: sin² = (1 - c)/2 and cos² = (1 + c)/2 with c = cos(2t), then ∫cos^k(2t) dt term by term
+        static halfAngle(m, n, t) {
+            if (m === 0 && n === 0) return { method: 'constant', result: t };
+            const half = new Rational(1, 2);
+            const polynomial = new Polynomial([half, half.neg()]).pow(m / 2)
+                .mul(new Polynomial([half, half]).pow(n / 2));
+            const doubled = Simplifier.simplify(Expr.mul(Expr.number(2), t));
+            const expansion = Simplifier.simplify(Expr.substitute(polynomial.toExpression('c'), 'c', Expr.call('cos', doubled)));
+            const pieces = polynomial.coefficients.map((coefficient, k) => Expr.mul(Expr.number(coefficient),
+                k === 0 ? t : Expr.div(TrigIntegrals.integrate(0, k, doubled).result, Expr.number(2))));
+            return { method: 'half-angle', expansion, result: Simplifier.expand(Expr.add(...pieces)) };
+        }
+
+        /**
+         * ∫tan^a(t)·sec^k(t) dt with a even, or ∫cot^a(t)·csc^k(t) dt when
+         * `mirror` is set; the cot/csc formulas are the tan/sec ones with the
+         * sign of each derivative flipped.
+         */
+        static secantFamily(a, k, t, mirror) {
+            const [T, S] = mirror ? ['cot', 'csc'] : ['tan', 'sec'];
+            const sign = Expr.number(mirror ? -1 : 1);
+            const [tangent, secant] = [Expr.call(T, t), Expr.call(S, t)];
+            const integral = (a2, k2) => TrigIntegrals.integrate(...(mirror ? [-a2 - k2, a2] : [a2, -a2 - k2]), t).result;
+            const family = { T, S, a, k };
+
+            if (k >= 2 && k % 2 === 0) {
+                // Keep sec²(t) for du and rewrite the rest with sec² = 1 + tan²
+                const rewritten = Simplifier.simplify(Expr.mul(sign, Expr.pow(Expr.symbol('u'), Expr.number(a)),
+                    new Polynomial([1, 0, 1]).pow((k - 2) / 2).toExpression('u')));
+                const result = Integrator.antiderivative(Simplifier.expand(rewritten), 'u');
+                return {
+                    method: 'even-secant', family, substitution: tangent, rewritten, integral: result,
+                    result: Simplifier.simplify(Expr.substitute(result, 'u', tangent))
+                };
+            }
+            if (k === 0) {
+                // ∫tan^a = tan^(a-1)/(a-1) - ∫tan^(a-2)
+                return {
+                    method: 'tangent-reduction', family,
+                    result: Simplifier.expand(Expr.sub(
+                        Expr.mul(sign, Expr.div(Expr.pow(tangent, Expr.number(a - 1)), Expr.number(a - 1))),
+                        integral(a - 2, 0)))
+                };
+            }
+            if (a === 0) {
+                // ∫sec = ln|sec + tan|, ∫sec^k = sec^(k-2)·tan/(k-1) + (k-2)/(k-1) ∫sec^(k-2)
+                const result = k === 1
+                    ? ELEMENTARY_INTEGRALS[S](t)
+                    : Expr.add(
+                        Expr.mul(sign, Expr.div(Expr.mul(Expr.pow(secant, Expr.number(k - 2)), tangent), Expr.number(k - 1))),
+                        Expr.mul(Expr.number(new Rational(k - 2, k - 1)), integral(0, k - 2)));
+                return { method: 'secant-reduction', family, result: Simplifier.expand(result) };
+            }
+            // tan² = sec² - 1 splits the integral into two with a lower power of tan
+            return {
+                method: 'pythagorean', family,
+                pieces: [[a - 2, k + 2], [a - 2, k]].map(([a2, k2]) => TrigIntegrals.expression(...(mirror ? [-a2 - k2, a2] : [a2, -a2 - k2]), t)),
+                result: Simplifier.expand(Expr.sub(integral(a - 2, k + 2), integral(a - 2, k)))
+            };
+        }
+
+        /**
+         * Returns { coefficient, m, n, argument, linear, symbol, core, result }
+         * where core is the integral of sin^m·cos^n in `symbol`, which stands
+         * for the argument when that isn't x itself; or null.
+         */
+        static solve(term, variable = CONFIG.VARIABLE) {
+            return Rational.withinRange(() => {
+                const shape = TrigIntegrals.exponents(term, variable);
+                if (!shape) return null;
+                const bare = shape.argument.type === 'symbol';
+                const symbol = bare ? variable : Expr.symbols(term).has('t') ? 'w' : 't';
+                const core = TrigIntegrals.integrate(shape.m, shape.n, Expr.symbol(symbol));
+                if (!core) return null;
+
+                const coefficient = Expr.mul(...Expr.factors(Simplifier.simplify(term)).filter(factor => !Expr.dependsOn(factor, variable)));
+                const antiderivative = Expr.substitute(core.result, symbol, shape.argument);
+                return {
+                    ...shape, coefficient, symbol, core,
+                    result: Simplifier.expand(Expr.div(Expr.mul(coefficient, antiderivative), Expr.number(shape.linear.a)))
+                };
+            });
+        }
+    }
+
+    /**
+     * The three trig substitutions, for √(a² - x²), √(a² + x²) and √(x² - a²).
+     * `differential` and `radical` give dx/dθ and the square root divided by
+     * a, `exponents(p, q)` the powers of sin(θ) and cos(θ) that
+     * x^p·√(...)^q dx becomes, and `triangle` the reference triangle's sides.
+     */
+    const TRIG_SUBSTITUTIONS = {
+        sin: {
+            form: 'a² - x²',
+            quadratic: (a2) => new Polynomial([a2, 0, -1]),
+            differential: (theta) => Expr.call('cos', theta),
+            radical: (theta) => Expr.call('cos', theta),
+            exponents: (p, q) => [p, q + 1],
+            triangle: (x, a, root) => ({ opposite: x, adjacent: root, hypotenuse: a }),
+            inverse: (x, a) => Expr.call('arcsin', Expr.div(x, a))
+        },
+        tan: {
+            form: 'a² + x²',
+            quadratic: (a2) => new Polynomial([a2, 0, 1]),
+            differential: (theta) => Expr.pow(Expr.call('sec', theta), Expr.number(2)),
+            radical: (theta) => Expr.call('sec', theta),
+            exponents: (p, q) => [p, -p - q - 2],
+            triangle: (x, a, root) => ({ opposite: x, adjacent: a, hypotenuse: root }),
+            inverse: (x, a) => Expr.call('arctan', Expr.div(x, a))
+        },
+        sec: {
+            form: 'x² - a²',
+            quadratic: (a2) => new Polynomial([a2.neg(), 0, 1]),
+            differential: (theta) => Expr.mul(Expr.call('sec', theta), Expr.call('tan', theta)),
+            radical: (theta) => Expr.call('tan', theta),
+            exponents: (p, q) => [q + 1, -p - q - 2],
+            triangle: (x, a, root) => ({ opposite: root, adjacent: a, hypotenuse: x }),
+            inverse: (x, a) => Expr.call('arccos', Expr.div(a, x))
+        }
+    };
+
+    /**
+     * Trigonometric substitution for c·x^p·√(sx² + r)^q with integer p and odd
+     * q. Substituting x = a·sin(θ), a·tan(θ) or a·sec(θ) turns the radical into
+     * a multiple of cos(θ), sec(θ) or tan(θ) and leaves a trig integral in θ,
+     * whose answer is brought back to x through the reference triangle.
+     */
+    class TrigSubstitution {
+        // { coefficient, p, q, s, r, kind, a } for a term of that shape, or null
+        static match(term, variable = CONFIG.VARIABLE) {
+            const simplified = Simplifier.simplify(term);
+            let p = 0;
+            let radical = null;
+            for (const factor of TermShape.variableFactors(simplified, variable)) {
+                const power = TermShape.powerOfVariable(factor, variable);
+                if (power && power.isInteger()) {
+                    p += power.n;
+                } else if (!radical && factor.type === 'pow' && Expr.isNumber(factor.exp) && factor.exp.value.d === 2) {
+                    radical = { quadratic: Polynomial.fromExpression(factor.base, variable), q: factor.exp.value.n };
+                } else {
+                    return null;
+                }
+            }
+            const quadratic = radical && radical.quadratic;
+            if (!quadratic || quadratic.degree !== 2 || !quadratic.coefficient(1).isZero()) return null;
+
+            const [r, s] = [quadratic.coefficient(0), quadratic.coefficient(2)];
+            if (r.isZero() || (r.isNegative() && s.isNegative())) return null;
+            const kind = r.isNegative() ? 'sec' : s.isNegative() ? 'sin' : 'tan';
+            const coefficient = Expr.mul(...Expr.factors(simplified).filter(factor => !Expr.dependsOn(factor, variable)));
+            const a2 = r.div(s).abs();
+            return { coefficient, p, q: radical.q, s, r, kind, a2, a: Simplifier.squareRoot(a2) };
+        }
+
+        /**
+         * Returns the match plus { theta, m, n, integrand, core, integral,
+         * triangle, angle, result }: ∫term dx = ∫integrand dθ = integral, with
+         * core the underlying TrigIntegrals record; or null.
+         */
+        static solve(term, variable = CONFIG.VARIABLE) {
+            return Rational.withinRange(() => {
+                const match = TrigSubstitution.match(term, variable);
+                if (!match) return null;
+                const { coefficient, p, q, s, kind, a2, a } = match;
+                const substitution = TRIG_SUBSTITUTIONS[kind];
+                const theta = Expr.symbol('θ');
+                const [m, n] = substitution.exponents(p, q);
+                const core = TrigIntegrals.integrate(m, n, theta);
+                if (!core) return null;
+
+                // c·x^p·(|s|·(a² ± x²))^(q/2) dx = c·|s|^(q/2)·a^(p+q+1)·sin^m(θ)·cos^n(θ) dθ
+                const scale = Simplifier.simplify(Expr.mul(coefficient,
+                    Expr.pow(Simplifier.squareRoot(s.abs()), Expr.number(q)), Expr.pow(a, Expr.number(p + q + 1))));
+                const integrand = Simplifier.simplify(Expr.mul(scale, TrigIntegrals.expression(m, n, theta)));
+                const integral = Simplifier.expand(Expr.mul(scale, core.result));
+
+                const x = Expr.symbol(variable);
+                const root = Expr.pow(substitution.quadratic(a2).toExpression(variable), Expr.number(new Rational(1, 2)));
+                const triangle = substitution.triangle(x, a, Simplifier.simplify(root));
+                const ratios = {
+                    sin: ['opposite', 'hypotenuse'], cos: ['adjacent', 'hypotenuse'], tan: ['opposite', 'adjacent'],
+                    cot: ['adjacent', 'opposite'], sec: ['hypotenuse', 'adjacent'], csc: ['hypotenuse', 'opposite']
+                };
+                const sides = Expr.map(TrigSubstitution.expandMultipleAngles(integral, theta), (node) =>
+                    node.type === 'call' && ratios[node.name] && Expr.key(node.args[0]) === Expr.key(theta)
+                        ? Expr.div(...ratios[node.name].map(side => triangle[side]))
+                        : node);
+                const angle = Simplifier.simplify(substitution.inverse(x, a));
+                return {
+                    ...match, theta, m, n, integrand, core, integral, triangle, angle,
+                    result: Simplifier.expand(Expr.substitute(sides, theta.name, angle))
+                };
+            });
+        }
+
+        // Rewrites trig functions of kθ in sin(θ) and cos(θ), e.g. sin(2θ) = 2sin(θ)cos(θ)
+        static expandMultipleAngles(node, theta) {
+            const [sin, cos] = [Expr.call('sin', theta), Expr.call('cos', theta)];
+            const multiples = { 1: { sin, cos } };
+            const multiple = (k) => {
+                if (!multiples[k]) {
+                    const previous = multiple(k - 1);
+                    multiples[k] = {
+                        sin: Simplifier.expand(Expr.add(Expr.mul(previous.sin, cos), Expr.mul(previous.cos, sin))),
+                        cos: Simplifier.expand(Expr.sub(Expr.mul(previous.cos, cos), Expr.mul(previous.sin, sin)))
+                    };
+                }
+                return multiples[k];
+            };
+
+            return Expr.map(node, (child) => {
+                if (child.type !== 'call' || !TRIG_EXPONENTS[child.name]) return child;
+                const { coefficient, rest } = Simplifier.splitCoefficient(child.args[0]);
+                if (!rest || Expr.key(rest) !== Expr.key(theta) || !coefficient.isInteger() || coefficient.n < 2) return child;
+                const values = multiple(coefficient.n);
+                const [top, bottom] = TRIG_RATIOS[child.name] || [child.name, null];
+                const numerator = top ? values[top] : Expr.number(1);
+                return bottom ? Expr.div(numerator, values[bottom]) : numerator;
+            });
+        }
+    }
+
+    // =============================================================================
+    // SYMBOLIC DIFFERENTIATION
+    // =============================================================================
+
+    class Differentiator {
+        constructor(variable = CONFIG.VARIABLE) {
+            this.variable = variable;
+        }
+
+        static derivative(node, variable = CONFIG.VARIABLE) {
+            return Simplifier.simplify(new Differentiator(variable).differentiate(node));
+        }
+
+        differentiate(node) {
+            if (!Expr.dependsOn(node, this.variable)) {
+                return Expr.number(0);
+            }
+
+            switch (node.type) {
+                case 'symbol':
+                    return Expr.number(1);
+                case 'add':
+                    return Expr.add(...node.terms.map(term => this.differentiate(term)));
+                case 'mul':
+                    // Product rule: sum over i of f1 ... fi' ... fn
+                    return Expr.add(...node.factors.map((factor, i) => Expr.mul(
+                        ...node.factors.slice(0, i), this.differentiate(factor), ...node.factors.slice(i + 1)
+                    )));
+                case 'pow':
+                    return this.differentiatePower(node);
+                case 'call':
+                    return Expr.mul(FUNCTIONS[node.name].derivative(...node.args), this.differentiate(node.args[0]));
+                default:
+                    throw new Error(`Cannot differentiate node type: ${node.type}`);
+            }
+        }
+
+        differentiatePower(node) {
+            const { base, exp } = node;
+            const baseDependent = Expr.dependsOn(base, this.variable);
+            const expDependent = Expr.dependsOn(exp, this.variable);
+
+            if (!expDependent) {
+                // d/dx u^n = n u^(n-1) u'
+                return Expr.mul(exp, Expr.pow(base, Expr.sub(exp, Expr.number(1))), this.differentiate(base));
+            }
+            if (!baseDependent) {
+                // d/dx b^v = b^v ln(b) v'
+                return Expr.mul(node, Expr.call('ln', base), this.differentiate(exp));
+            }
+            // d/dx u^v = u^v (v' ln(u) + v u'/u)
+            return Expr.mul(node, Expr.add(
+                Expr.mul(this.differentiate(exp), Expr.call('ln', base)),
+                Expr.div(Expr.mul(exp, this.differentiate(base)), base)
+            ));
+        }
+    }
+
+    // =============================================================================
+    // NUMERIC INTEGRATION
+    // =============================================================================
+
+    // 15-point Kronrod nodes/weights with the embedded 7-point Gauss weights (QUADPACK QK15)
+    const KRONROD_15 = {
+        nodes: [
+            0.991455371120812639206854697526329, 0.949107912342758524526189684047851,
+            0.864864423359769072789712788640926, 0.741531185599394439863864773280788,
+            0.586087235467691130294144845693013, 0.405845151377397166906606412076961,
+            0.207784955007898467600689403773245, 0
+        ],
+        kronrodWeights: [
+            0.022935322010529224963732008058970, 0.063092092629978553290700663189204,
+            0.104790010322250183839876322541518, 0.140653259715525918745189590510238,
+            0.169004726639267902826583426598550, 0.190350578064785409913256402421014,
+            0.204432940075298892414161999234649, 0.209482141084727828012999174891714
+        ],
+        gaussWeights: [
+            0.129484966168869693270611432679082, 0.279705391489276667901467771423780,
+            0.381830050505118944950369775488975, 0.417959183673469387755102040816327
+        ]
+    };
+
+    /**
+     * Adaptive Gauss–Kronrod quadrature, used for definite integrals whose
+     * integrand has no antiderivative the symbolic side can find. The rule
+     * never samples the interval endpoints.
+     */
+    class NumericIntegrator {
+        /**
+         * Returns { value, error }; value is NaN if the integrand is undefined
+         * somewhere on [a, b]. Infinite bounds are mapped onto a finite interval
+         * with x = a + t/(1 - t).
+         */
+        static integrate(f, a, b, tolerance = CONFIG.QUADRATURE_TOLERANCE, maxDepth = 40) {
+            if (a > b) {
+                const { value, error } = NumericIntegrator.integrate(f, b, a, tolerance, maxDepth);
+                return { value: -value, error };
+            }
+            if (a === -Infinity && b === Infinity) {
+                const left = NumericIntegrator.integrate(f, -Infinity, 0, tolerance / 2, maxDepth);
+                const right = NumericIntegrator.integrate(f, 0, Infinity, tolerance / 2, maxDepth);
+                return { value: left.value + right.value, error: left.error + right.error };
+            }
+            if (b === Infinity) {
+                return NumericIntegrator.integrate((t) => f(a + t / (1 - t)) / (1 - t) ** 2, 0, 1, tolerance, maxDepth);
+            }
+            if (a === -Infinity) {
+                return NumericIntegrator.integrate((t) => f(b - t / (1 - t)) / (1 - t) ** 2, 0, 1, tolerance, maxDepth);
+            }
+
+            const whole = NumericIntegrator.gaussKronrod(f, a, b);
+            const budget = { intervals: CONFIG.QUADRATURE_MAX_INTERVALS };
+            return NumericIntegrator.refine(f, a, b, whole, tolerance, maxDepth, budget);
+        }
+
+        // Fills isolated undefined points, such as x = 0 in sin(x)/x, with the average of their neighbours
+        static bridgeGaps(f) {
+            return (x) => {
+                const y = f(x);
+                if (Number.isFinite(y)) return y;
+                const h = 1e-9 * Math.max(1, Math.abs(x));
+                return (f(x - h) + f(x + h)) / 2;
+            };
+        }
+
+        // `budget` caps the total number of subdivisions, which matters for oscillating integrands
+        static refine(f, a, b, estimate, tolerance, depth, budget) {
+            if (!Number.isFinite(estimate.value) || estimate.error <= tolerance || depth === 0 || budget.intervals <= 0) {
+                return estimate;
+            }
+            budget.intervals--;
+            const middle = (a + b) / 2;
+            const left = NumericIntegrator.refine(f, a, middle, NumericIntegrator.gaussKronrod(f, a, middle), tolerance / 2, depth - 1, budget);
+            const right = NumericIntegrator.refine(f, middle, b, NumericIntegrator.gaussKronrod(f, middle, b), tolerance / 2, depth - 1, budget);
+            return { value: left.value + right.value, error: left.error + right.error };
+        }
+
+        static gaussKronrod(f, a, b) {
+            const { nodes, kronrodWeights, gaussWeights } = KRONROD_15;
+            const center = (a + b) / 2;
+            const halfLength = (b - a) / 2;
+            const centerValue = f(center);
+            let kronrod = centerValue * kronrodWeights[7];
+            let gauss = centerValue * gaussWeights[3];
+
+            for (let j = 0; j < 7; j++) {
+                const offset = halfLength * nodes[j];
+                const pair = f(center - offset) + f(center + offset);
+                kronrod += kronrodWeights[j] * pair;
+                if (j % 2 === 1) {
+                    gauss += gaussWeights[(j - 1) / 2] * pair;
+                }
+            }
+
+            return {
+                value: kronrod * halfLength,
+                error: Math.abs((kronrod - gauss) * halfLength)
+            };
+        }
+    }
+
+    // =============================================================================
+    // RIEMANN SUMS
+    // =============================================================================
+
+    const rectangle = (x0, x1, height) => [[x0, 0], [x0, height], [x1, height], [x1, 0]];
+
+    // Each rule covers `panel` subintervals of width h starting at x: `area` is its
+    // contribution to the sum and `outline` the polygon drawn for it
+    const RIEMANN_RULES = {
+        left: {
+            name: 'Left endpoints',
+            panel: 1,
+            area: (f, x, h) => h * f(x),
+            outline: (f, x, h) => rectangle(x, x + h, f(x))
+        },
+        right: {
+            name: 'Right endpoints',
+            panel: 1,
+            area: (f, x, h) => h * f(x + h),
+            outline: (f, x, h) => rectangle(x, x + h, f(x + h))
+        },
+        midpoint: {
+            name: 'Midpoints',
+            panel: 1,
+            area: (f, x, h) => h * f(x + h / 2),
+            outline: (f, x, h) => rectangle(x, x + h, f(x + h / 2))
+        },
+        trapezoid: {
+            name: 'Trapezoid rule',
+            panel: 1,
+            area: (f, x, h) => h * (f(x) + f(x + h)) / 2,
+            outline: (f, x, h) => [[x, 0], [x, f(x)], [x + h, f(x + h)], [x + h, 0]]
+        },
+        simpson: {
+            name: "Simpson's rule",
+            panel: 2,
+            area: (f, x, h) => h * (f(x) + 4 * f(x + h) + f(x + 2 * h)) / 3,
+            // The parabola through the three sample points, traced with a few segments
+            outline: (f, x, h) => {
+                const [y0, y1, y2] = [f(x), f(x + h), f(x + 2 * h)];
+                const parabola = Array.from({ length: 13 }, (_, i) => {
+                    const t = i / 6;  // 0..2 in units of h
+                    return [x + t * h, y0 * (t - 1) * (t - 2) / 2 - y1 * t * (t - 2) + y2 * t * (t - 1) / 2];
+                });
+                return [[x, 0], ...parabola, [x + 2 * h, 0]];
+            }
+        }
+    };
+
+    class RiemannSum {
+        /**
+         * Approximates ∫ f from a to b with n subintervals, rounding n up to a
+         * whole number of panels (Simpson needs an even n). Returns
+         * { rule, n, value, polygons }; value is NaN where f is undefined.
+         */
+        static approximate(f, a, b, n, ruleKey) {
+            const rule = RIEMANN_RULES[ruleKey];
+            const count = Math.ceil(n / rule.panel) * rule.panel;
+            const h = (b - a) / count;
+            let value = 0;
+            const polygons = [];
+            for (let i = 0; i < count; i += rule.panel) {
+                const x = a + i * h;
+                value += rule.area(f, x, h);
+                polygons.push(rule.outline(f, x, h));
+            }
+            return { rule: ruleKey, n: count, value, polygons };
+        }
+
+        // Approximations for n, 2n, 4n, ... with their error against the exact value
+        static table(f, a, b, n, ruleKey, exact, rows = CONFIG.RIEMANN.TABLE_ROWS) {
+            return Array.from({ length: rows }, (_, i) => {
+                const { n: count, value } = RiemannSum.approximate(f, a, b, n * 2 ** i, ruleKey);
+                return { n: count, value, error: value - exact };
+            });
+        }
+    }
+
+    // =============================================================================
+    // LIMITS AND IMPROPER INTEGRALS
+    // =============================================================================
+
+    /**
+     * One-sided limits, used to evaluate improper integrals. An approach is
+     * { value, tree, side }: the point x tends to (possibly ±Infinity), its
+     * exact tree when finite, and +1 or -1 for approaching from above or below.
+     * A limit is { value, exact }: value is ±Infinity for infinite limits and
+     * NaN when there is none or it can't be decided; exact is the tree of a
+     * finite value when it is known exactly. Indeterminate forms such as
+     * x·e^(-x) fall back to evaluating along a sequence approaching the point.
+     */
+    class Limits {
+        static evaluate(node, approach, variable = CONFIG.VARIABLE) {
+            return new Limits(approach, variable).limit(node);
+        }
+
+        static undecided() {
+            return { value: NaN, exact: null };
+        }
+
+        constructor(approach, variable) {
+            this.approach = approach;
+            this.variable = variable;
+        }
+
+        limit(node) {
+            if (!Expr.dependsOn(node, this.variable)) {
+                return { value: Expr.evaluate(node), exact: node };
+            }
+            const continuous = this.continuousLimit(node);
+            if (continuous) return continuous;
+            const result = this.structuralLimit(node);
+            return Number.isNaN(result.value) ? this.numericLimit(node) : result;
+        }
+
+        // At a finite point where the expression is continuous, the limit is its value there
+        continuousLimit(node) {
+            const { value: point, tree } = this.approach;
+            if (!Number.isFinite(point)) return null;
+            const atPoint = this.valueAt(node, point);
+            const nearby = this.valueAt(node, this.nearby());
+            if (!Number.isFinite(atPoint) || !(Math.abs(nearby - atPoint) <= 1e-6 * Math.max(1, Math.abs(atPoint)))) {
+                return null;
+            }
+            // The exact value avoids rounding, e.g. cos(π/2) is 0 rather than 6e-17
+            const exact = tree ? Simplifier.simplify(Expr.substitute(node, this.variable, tree)) : null;
+            return { value: exact ? Expr.evaluate(exact) : atPoint, exact };
+        }
+
+        structuralLimit(node) {
+            switch (node.type) {
+                case 'symbol':
+                    return { value: this.approach.value, exact: null };
+                case 'add':
+                    return Limits.combine(node.terms.map(term => this.limit(term)),
+                        (sum, value) => sum + value, (exacts) => Expr.add(...exacts));
+                case 'mul':
+                    return Limits.combine(node.factors.map(factor => this.limit(factor)),
+                        (product, value) => product * value, (exacts) => Expr.mul(...exacts));
+                case 'pow':
+                    return this.powerLimit(node);
+                case 'call':
+                    return this.callLimit(node);
+                default:
+                    return Limits.undecided();
+            }
+        }
+
+        // Sums and products of limits; ∞ − ∞ and 0 · ∞ come out as NaN and are left undecided
+        static combine(parts, operation, build) {
+            const value = parts.map(part => part.value).reduce(operation);
+            if (!Number.isFinite(value)) return { value, exact: null };
+            const exacts = parts.map(part => part.exact);
+            return { value, exact: exacts.includes(null) ? null : Simplifier.simplify(build(exacts)) };
+        }
+
+        powerLimit(node) {
+            const { base, exp } = node;
+            if (!Expr.dependsOn(exp, this.variable)) {
+                const limit = this.limit(base);
+                const power = Expr.evaluate(exp);
+                if (Number.isNaN(limit.value)) return Limits.undecided();
+                if (power === 0) return { value: 1, exact: Expr.number(1) };
+                if ((limit.value === 0 && power < 0) || (!Number.isFinite(limit.value) && power > 0)) {
+                    return { value: Math.sign(this.valueAt(node, this.nearby())) * Infinity, exact: null };
+                }
+                if (!Number.isFinite(limit.value)) return { value: 0, exact: Expr.number(0) };
+                const value = Expr.evaluatePower(limit.value, exp);
+                if (!Number.isFinite(value)) return Limits.undecided();
+                return { value, exact: limit.exact ? Simplifier.simplify(Expr.pow(limit.exact, exp)) : null };
+            }
+
+            const constant = Expr.dependsOn(base, this.variable) ? NaN : Expr.evaluate(base);
+            if (!(constant > 0)) return Limits.undecided();
+            const limit = this.limit(exp);
+            if (Number.isNaN(limit.value)) return Limits.undecided();
+            if (Number.isFinite(limit.value)) {
+                return {
+                    value: Math.pow(constant, limit.value),
+                    exact: limit.exact ? Simplifier.simplify(Expr.pow(base, limit.exact)) : null
+                };
+            }
+            if (constant === 1) return { value: 1, exact: Expr.number(1) };
+            return (constant > 1) === (limit.value > 0)
+                ? { value: Infinity, exact: null }
+                : { value: 0, exact: Expr.number(0) };
+        }
+
+        callLimit(node) {
+            const fn = FUNCTIONS[node.name];
+            const argument = this.limit(node.args[0]);
+            if (Number.isNaN(argument.value)) return Limits.undecided();
+
+            if (!Number.isFinite(argument.value)) {
+                const limit = fn.atInfinity ? fn.atInfinity(Math.sign(argument.value)) : NaN;
+                if (typeof limit !== 'number') return { value: Expr.evaluate(limit), exact: limit };
+                return { value: limit, exact: Number.isFinite(limit) ? Expr.number(limit) : null };
+            }
+
+            // ln u → −∞ as u → 0⁺; other poles are left to the numeric fallback
+            if (fn.poles && Math.abs(Expr.evaluate(fn.poles(Expr.symbol('u')), { u: argument.value })) < 1e-12) {
+                return node.name === 'ln' ? { value: -Infinity, exact: null } : Limits.undecided();
+            }
+            const value = fn.evaluate(argument.value);
+            if (!Number.isFinite(value)) return Limits.undecided();
+            return { value, exact: argument.exact ? Simplifier.simplify(Expr.call(node.name, argument.exact)) : null };
+        }
+
+        numericLimit(node) {
+            const values = this.sequence().map(t => this.valueAt(node, t));
+            const [a, b, c] = values.slice(-3);
+            const scale = Math.max(1, Math.abs(c));
+            if ([a, b, c].every(Number.isFinite) && Math.abs(c - b) <= 1e-7 * scale && Math.abs(b - a) <= 1e-5 * scale) {
+                return { value: c, exact: Math.abs(c) < 1e-9 ? Expr.number(0) : null };
+            }
+
+            const tail = values.slice(-4);
+            const growing = tail.every((value, i) => i === 0 ||
+                (Math.abs(value) > Math.abs(tail[i - 1]) && Math.sign(value) === Math.sign(tail[i - 1])));
+            return growing && Math.abs(c) > 1e6 ? { value: Math.sign(c) * Infinity, exact: null } : Limits.undecided();
+        }
+
+        // Points approaching the limit point: 10^2 ... 10^12, or c ± 10^-2 ... 10^-12
+        sequence() {
+            const { value: point, side } = this.approach;
+            return Array.from({ length: 11 }, (_, i) => Number.isFinite(point)
+                ? point + side * 10 ** -(i + 2)
+                : Math.sign(point) * 10 ** (i + 2));
+        }
+
+        nearby() {
+            const { value: point, side } = this.approach;
+            return Number.isFinite(point) ? point + side * 1e-9 : Math.sign(point) * 1e9;
+        }
+
+        valueAt(node, t) {
+            return Expr.evaluate(node, { [this.variable]: t });
+        }
+    }
+
+    /**
+     * Improper definite integrals: infinite bounds and vertical asymptotes of
+     * the integrand on [a, b]. The interval is split so every piece is improper
+     * at one end only; each piece is decided by the limit of the antiderivative,
+     * or by comparison with 1/x^p (the p-test) when there is no antiderivative
+     * or its limit can't be decided.
+     *
+     * Points are { value, tree, singular }; tree is null for asymptotes that
+     * are only known numerically.
+     */
+    class ImproperIntegral {
+        // Returns null for a proper integral
+        static analyze(integrand, bounds, antiderivative = null, variable = CONFIG.VARIABLE) {
+            const lower = ImproperIntegral.point(bounds.lower);
+            const upper = ImproperIntegral.point(bounds.upper);
+            const reversed = lower.value > upper.value;
+            const [from, to] = reversed ? [upper, lower] : [lower, upper];
+
+            const asymptotes = ImproperIntegral.findAsymptotes(integrand, from.value, to.value, variable);
+            if (asymptotes === null) {
+                return { lower, upper, asymptotes: [], tooManyAsymptotes: true, reversed, pieces: [], converges: null, value: NaN, exact: null };
+            }
+            const atEnd = (point) => asymptotes.some(asymptote => Math.abs(asymptote.value - point.value) < 1e-9);
+            from.singular = atEnd(from);
+            to.singular = atEnd(to);
+            if (asymptotes.length === 0 && Number.isFinite(from.value) && Number.isFinite(to.value)) {
+                return null;
+            }
+
+            const interior = asymptotes.filter(asymptote =>
+                Math.abs(asymptote.value - from.value) >= 1e-9 && Math.abs(asymptote.value - to.value) >= 1e-9);
+            const pieces = ImproperIntegral.split([from, ...interior, to])
+                .map(piece => ImproperIntegral.evaluatePiece(piece, integrand, antiderivative, variable));
+
+            // One divergent piece settles it; otherwise an undecided piece leaves the whole undecided
+            let converges = pieces.every(piece => piece.converges);
+            if (!converges && !pieces.some(piece => piece.converges === false)) converges = null;
+            const sign = reversed ? -1 : 1;
+            const value = converges ? sign * pieces.reduce((sum, piece) => sum + piece.value, 0) : NaN;
+            const exacts = pieces.map(piece => piece.exact);
+            const exact = converges && !exacts.includes(null)
+                ? Simplifier.simplify(Expr.mul(Expr.number(sign), Expr.add(...exacts)))
+                : null;
+
+            return {
+                lower,
+                upper,
+                asymptotes,
+                reversed,
+                pieces,
+                converges,
+                value,
+                exact
+            };
+        }
+
+        static point(tree) {
+            return { value: Expr.evaluate(tree), tree, singular: false };
+        }
+
+        // Splits at interior asymptotes, and once more wherever a piece would be improper at both ends
+        static split(points) {
+            const improper = (point) => !Number.isFinite(point.value) || point.singular;
+            const pieces = [];
+            for (let i = 0; i < points.length - 1; i++) {
+                const [from, to] = [points[i], points[i + 1]];
+                if (improper(from) && improper(to)) {
+                    const middle = ImproperIntegral.middle(from, to);
+                    pieces.push({ from, to: middle, improperAt: 'lower' }, { from: middle, to, improperAt: 'upper' });
+                } else {
+                    pieces.push({ from, to, improperAt: improper(from) ? 'lower' : 'upper' });
+                }
+            }
+            return pieces;
+        }
+
+        static middle(from, to) {
+            const finite = [from, to].filter(point => Number.isFinite(point.value));
+            if (finite.length === 0) return { value: 0, tree: Expr.number(0), singular: false };
+
+            let value, exact;
+            if (finite.length === 1) {
+                const [point, step] = [finite[0], finite[0] === from ? 1 : -1];
+                value = point.value + step;
+                exact = point.tree && Expr.add(point.tree, Expr.number(step));
+            } else {
+                value = (from.value + to.value) / 2;
+                exact = from.tree && to.tree && Expr.div(Expr.add(from.tree, to.tree), Expr.number(2));
+            }
+            return { value, tree: exact ? Simplifier.simplify(exact) : ImproperIntegral.recognize(value), singular: false };
+        }
+
+        static evaluatePiece(piece, integrand, antiderivative, variable) {
+            if (antiderivative) {
+                const lower = ImproperIntegral.endValue(antiderivative, piece.from, 1, piece.improperAt === 'lower', variable);
+                const upper = ImproperIntegral.endValue(antiderivative, piece.to, -1, piece.improperAt === 'upper', variable);
+                const value = upper.value - lower.value;
+                if (!Number.isNaN(value)) {
+                    const converges = Number.isFinite(value);
+                    return {
+                        ...piece,
+                        method: 'limit',
+                        lower,
+                        upper,
+                        converges,
+                        value,
+                        exact: converges && lower.exact && upper.exact
+                            ? Simplifier.simplify(Expr.sub(upper.exact, lower.exact))
+                            : null
+                    };
+                }
+            }
+            return ImproperIntegral.compare(piece, integrand, variable);
+        }
+
+        // F at a proper end, or its one-sided limit at the improper one
+        static endValue(antiderivative, point, side, improper, variable) {
+            if (improper) {
+                return Limits.evaluate(antiderivative, { value: point.value, tree: point.tree, side }, variable);
+            }
+            if (!point.tree) {
+                return { value: Expr.evaluate(antiderivative, { [variable]: point.value }), exact: null };
+            }
+            const exact = Simplifier.simplify(Expr.substitute(antiderivative, variable, point.tree));
+            return { value: Expr.evaluate(exact), exact };
+        }
+
+        /**
+         * p-test: ∫ to ∞ of 1/x^p converges iff p > 1, ∫ to c of 1/|x − c|^p iff
+         * p < 1. It only shows divergence when f keeps one sign near the end:
+         * an integrand that keeps changing sign, like sin(x)/x, can converge
+         * by cancellation and goes to oscillation() instead.
+         */
+        static compare(piece, integrand, variable) {
+            const end = piece.improperAt === 'upper' ? piece.to : piece.from;
+            const side = piece.improperAt === 'upper' ? -1 : 1;
+            const order = ImproperIntegral.order(integrand, end, side, variable);
+            const atInfinity = !Number.isFinite(end.value);
+            let converges = atInfinity ? order > 1 : order < 1;
+            if (!converges) {
+                const { g, start } = ImproperIntegral.towardsInfinity(piece, integrand, variable);
+                if (ImproperIntegral.changesSign(g, start)) {
+                    return { ...piece, order, ...ImproperIntegral.oscillation(g, start) };
+                }
+            }
+            let value = NaN;
+            if (converges) {
+                const f = NumericIntegrator.bridgeGaps((x) => Expr.evaluate(integrand, { [variable]: x }));
+                value = NumericIntegrator.integrate(f, piece.from.value, piece.to.value).value;
+                converges = Number.isFinite(value);
+            }
+            return { ...piece, method: 'comparison', order, converges, value, exact: null };
+        }
+
+        /**
+         * The piece as an integral of g from start to ∞: x = −t for a −∞ bound,
+         * and x = c ± 1/t (dx = ∓dt/t²) towards a finite singular end c.
+         */
+        static towardsInfinity(piece, integrand, variable) {
+            const f = (x) => Expr.evaluate(integrand, { [variable]: x });
+            const upper = piece.improperAt === 'upper';
+            const [end, other] = upper ? [piece.to.value, piece.from.value] : [piece.from.value, piece.to.value];
+            if (!Number.isFinite(end)) {
+                return end > 0 ? { g: f, start: other } : { g: (t) => f(-t), start: -other };
+            }
+            const side = upper ? -1 : 1;
+            return { g: (t) => f(end + side / t) / (t * t), start: 1 / Math.abs(other - end) };
+        }
+
+        // g takes both signs however far out it is sampled, from 10 to 10^5 times the start
+        static changesSign(g, start) {
+            const base = 10 * Math.max(start, 1);
+            const signs = new Set(Array.from({ length: 400 }, (_, k) => g(base * 10 ** (4 * k / 399)))
+                .filter(y => Number.isFinite(y) && y !== 0)
+                .map(Math.sign));
+            return signs.size > 1;
+        }
+
+        /**
+         * ∫ from start to ∞ of an oscillating g. The zeros cut it into
+         * half-waves whose areas alternate in sign; areas that shrink are summed
+         * like an alternating series (by repeatedly averaging the partial sums),
+         * areas that don't make the integral diverge, and anything in between,
+         * or a g too fast to follow, is left undecided with converges null.
+         */
+        static oscillation(g, start) {
+            const { HALF_WAVES, SCAN_LIMIT } = CONFIG.OSCILLATION;
+            const undecided = { method: 'oscillation', converges: null, value: NaN, exact: null };
+            const zeros = [];
+            let [x, y] = [start, g(start)];
+            let step = 0.01 * Math.max(1, Math.abs(start));
+            for (let i = 0; zeros.length <= HALF_WAVES; i++) {
+                if (i === SCAN_LIMIT || !Number.isFinite(y)) return undecided;
+                const next = g(x + step);
+                if (y !== 0 && next !== 0 && Math.sign(next) !== Math.sign(y)) {
+                    zeros.push(ImproperIntegral.bisect(g, x, x + step));
+                    // Steps follow the spacing of the zeros, which shrinks for integrands like sin(x^2)
+                    if (zeros.length > 1) step = Math.min(step, (zeros[zeros.length - 1] - zeros[zeros.length - 2]) / 16);
+                }
+                [x, y] = [x + step, next];
+            }
+
+            const integral = (a, b) => NumericIntegrator.integrate(g, a, b).value;
+            const areas = zeros.slice(1).map((zero, k) => integral(zeros[k], zero));
+            if (!areas.every(Number.isFinite)) return undecided;
+            const sample = Math.floor(HALF_WAVES / 10);
+            const size = (list) => list.reduce((sum, area) => sum + Math.abs(area), 0) / list.length;
+            const shrinkage = size(areas.slice(-sample)) / size(areas.slice(0, sample));
+            if (shrinkage > 0.9) {
+                return { method: 'oscillation', converges: false, value: NaN, exact: null };
+            }
+            if (!(shrinkage < 0.5)) return undecided;
+
+            let sums = [integral(start, zeros[0])];
+            areas.forEach(area => sums.push(sums[sums.length - 1] + area));
+            sums = sums.slice(-sample);
+            while (sums.length > 1) {
+                sums = sums.slice(1).map((sum, k) => (sums[k] + sum) / 2);
+            }
+            return Number.isFinite(sums[0])
+                ? { method: 'oscillation', converges: true, value: sums[0], exact: null }
+                : undecided;
+        }
+
+        /**
+         * Estimates p such that |f| behaves like 1/|x|^p at infinity or like
+         * 1/|x − c|^p near c. Rational functions get the exact degree
+         * difference; otherwise p is measured, using the largest |f| over a
+         * short stretch so oscillating integrands compare by their amplitude.
+         */
+        static order(integrand, end, side, variable) {
+            const f = (x) => Math.abs(Expr.evaluate(integrand, { [variable]: x }));
+            let p;
+            if (!Number.isFinite(end.value)) {
+                const fraction = Polynomial.fractionFromExpression(integrand, variable);
+                if (fraction) {
+                    return fraction.denominator.degree - fraction.numerator.degree;
+                }
+                const direction = Math.sign(end.value);
+                const envelope = (t) => Math.max(...Array.from({ length: 16 }, (_, k) => f(direction * t * (1 + k / 16))));
+                const [near, far] = [envelope(1e3), envelope(1e6)];
+                p = far === 0 ? Infinity : Math.log(near / far) / Math.log(1e3);
+            } else {
+                const [far, near] = [f(end.value + side * 1e-4), f(end.value + side * 1e-8)];
+                p = Math.log(near / far) / Math.log(1e4);
+            }
+            const snapped = Math.round(p * 6) / 6;
+            return Math.abs(p - snapped) < 0.02 ? snapped : p;
+        }
+
+        /**
+         * Vertical asymptotes on [a, b]: zeros of denominators, of logarithm
+         * arguments and of other functions' `poles` where the integrand is
+         * actually unbounded (sin(x)/x is not). On infinite intervals only
+         * ±CONFIG.ASYMPTOTE_SEARCH_RANGE is searched. Returns null once there
+         * are more than CONFIG.ASYMPTOTE_LIMIT candidates (csc(2^x) on [1, ∞)):
+         * each would be its own improper piece to decide.
+         */
+        static findAsymptotes(integrand, a, b, variable = CONFIG.VARIABLE) {
+            const range = CONFIG.ASYMPTOTE_SEARCH_RANGE;
+            const [low, high] = [Math.max(a, -range), Math.min(b, range)];
+            const candidates = [];
+            const visit = (node) => {
+                if (node.type === 'pow' && !Expr.dependsOn(node.exp, variable) && Expr.evaluate(node.exp) < 0) {
+                    candidates.push(node.base);
+                } else if (node.type === 'call' && FUNCTIONS[node.name].poles) {
+                    candidates.push(FUNCTIONS[node.name].poles(node.args[0]));
+                }
+                Expr.children(node).forEach(visit);
+            };
+            visit(integrand);
+
+            const limit = CONFIG.ASYMPTOTE_LIMIT;
+            const found = [];
+            for (const candidate of candidates.filter(candidate => Expr.dependsOn(candidate, variable))) {
+                found.push(...ImproperIntegral.zeros(candidate, low, high, variable, limit - found.length));
+                if (found.length > limit) return null;
+            }
+
+            const f = (x) => Expr.evaluate(integrand, { [variable]: x });
+            const roots = found.sort((x, y) => x - y)
+                .filter((root, i, sorted) => i === 0 || root - sorted[i - 1] > 1e-9)
+                .filter(root => ImproperIntegral.isUnbounded(f, root, a, b));
+
+            return roots.map(root => {
+                const tree = ImproperIntegral.recognize(root, 1e-6);
+                return { value: tree ? Expr.evaluate(tree) : root, tree, singular: true };
+            });
+        }
+
+        // Real zeros of g on [low, high]: exact hits, sign changes and touching minima such as x^2.
+        // Stops as soon as it has found more than `limit`
+        static zeros(g, low, high, variable, limit = Infinity) {
+            if (!(low < high)) return [];
+            const at = (x) => Expr.evaluate(g, { [variable]: x });
+            const grid = (from, to, count) => Array.from({ length: count + 1 }, (_, i) => from + (to - from) * i / count);
+            const near = [Math.max(low, -20), Math.min(high, 20)];
+            const xs = [...grid(low, high, 1000), ...(near[0] < near[1] ? grid(near[0], near[1], 1000) : [])]
+                .sort((x, y) => x - y);
+            const ys = xs.map(at);
+            const roots = [];
+
+            xs.every((x, i) => {
+                const [y, next] = [ys[i], ys[i + 1]];
+                if (y === 0) {
+                    roots.push(x);
+                } else if (Number.isFinite(y) && Number.isFinite(next) && next !== 0 && Math.sign(y) !== Math.sign(next)) {
+                    const root = ImproperIntegral.bisect(at, x, xs[i + 1]);
+                    if (Math.abs(at(root)) < 1e-6) roots.push(root);
+                } else if (i > 0 && Math.abs(y) < Math.abs(ys[i - 1]) && Math.abs(y) <= Math.abs(next)) {
+                    const root = ImproperIntegral.minimize((t) => Math.abs(at(t)), xs[i - 1], xs[i + 1]);
+                    if (Math.abs(at(root)) < 1e-10) roots.push(root);
+                }
+                return roots.length <= limit;
+            });
+            return roots.map(root => {
+                const tree = ImproperIntegral.recognize(root, 1e-6);
+                const snapped = tree && Expr.evaluate(tree);
+                return tree && Math.abs(at(snapped)) <= Math.abs(at(root)) ? snapped : root;
+            });
+        }
+
+        static bisect(g, a, b) {
+            let [low, high] = [a, b];
+            const lowSign = Math.sign(g(low));
+            for (let i = 0; i < 100; i++) {
+                const middle = (low + high) / 2;
+                if (Math.sign(g(middle)) === lowSign) low = middle; else high = middle;
+            }
+            return (low + high) / 2;
+        }
+
+        // Golden-section search for the minimum of a unimodal function on [a, b]
+        static minimize(g, a, b) {
+            const ratio = (Math.sqrt(5) - 1) / 2;
+            let [low, high] = [a, b];
+            for (let i = 0; i < 100; i++) {
+                const left = high - ratio * (high - low);
+                const right = low + ratio * (high - low);
+                if (g(left) < g(right)) high = right; else low = left;
+            }
+            return (low + high) / 2;
+        }
+
+        // |f| grows towards c from a side that lies inside [a, b]
+        static isUnbounded(f, c, a, b) {
+            return [-1, 1].some(side => {
+                const outer = c + side * 1e-3;
+                if (outer <= Math.min(a, b) || outer >= Math.max(a, b)) return false;
+                const near = Math.abs(f(c + side * 1e-9));
+                return near === Infinity || near > 2 * Math.abs(f(outer)) + 1;
+            });
+        }
+
+        // Rational numbers and rational multiples of π with small denominators, e.g. 1/2 or π/2
+        static recognize(value, tolerance = 1e-9) {
+            for (let d = 1; d <= 12; d++) {
+                const n = Math.round(value * d);
+                if (Math.abs(value - n / d) <= tolerance) {
+                    return Expr.number(new Rational(n, d));
+                }
+                const m = Math.round(value * d / Math.PI);
+                if (m !== 0 && Math.abs(value - m * Math.PI / d) <= tolerance) {
+                    return Simplifier.simplify(Expr.mul(Expr.number(new Rational(m, d)), Expr.constant('pi')));
+                }
+            }
+            return null;
+        }
+
+        static describe(point) {
+            if (!Number.isFinite(point.value)) return point.value > 0 ? '∞' : '−∞';
+            return point.tree ? ExpressionPrinter.toText(point.tree) : MathUtils.formatDecimal(point.value);
+        }
+
+        static describeLatex(point) {
+            if (!Number.isFinite(point.value)) return point.value > 0 ? '\\infty' : '-\\infty';
+            return point.tree ? ExpressionPrinter.toLatex(point.tree) : MathUtils.formatDecimal(point.value);
+        }
+    }
+
+    // =============================================================================
+    // EXPRESSION PRINTER
+    // =============================================================================
+
+    /**
+     * Renders trees either as LaTeX or as plain text in the same syntax the
+     * parser accepts, so printed answers can be parsed back.
+     */
+    class ExpressionPrinter {
+        static toLatex(node) {
+            return new ExpressionPrinter('latex').format(node);
+        }
+
+        static toText(node) {
+            return new ExpressionPrinter('text').format(node);
+        }
+
+        constructor(mode) {
+            this.latex = mode === 'latex';
+        }
+
+        format(node) {
+            switch (node.type) {
+                case 'number':
+                case 'mul':
+                    return this.formatSigned(node);
+                case 'symbol':
+                    return this.latex && node.name === 'θ' ? '\\theta' : node.name;
+                case 'constant':
+                    return this.latex ? CONSTANTS[node.name].latex : node.name;
+                case 'add':
+                    return this.formatSum(node);
+                case 'pow':
+                    return Expr.isNumber(node.exp) && node.exp.value.isNegative()
+                        ? this.formatSigned(node)
+                        : this.formatPower(node);
+                case 'call':
+                    return this.formatCall(node);
+                default:
+                    throw new Error(`Unknown node type: ${node.type}`);
+            }
+        }
+
+        formatSum(node) {
+            return node.terms.map((term, i) => {
+                const product = ExpressionPrinter.splitProduct(term);
+                const negative = product.coefficient.isNegative();
+                const body = this.formatProduct(product);
+                if (i === 0) return negative ? `-${body}` : body;
+                return `${negative ? ' - ' : ' + '}${body}`;
+            }).join('');
+        }
+
+        formatSigned(node) {
+            const product = ExpressionPrinter.splitProduct(node);
+            const body = this.formatProduct(product);
+            return product.coefficient.isNegative() ? `-${body}` : body;
+        }
+
+        /**
+         * Splits a product into a numeric coefficient, numerator factors and
+         * denominator factors (those raised to a negative number).
+         */
+        static splitProduct(node) {
+            const product = { coefficient: new Rational(1), numerator: [], denominator: [] };
+            for (const factor of Expr.factors(node)) {
+                if (factor.type === 'number') {
+                    product.coefficient = product.coefficient.mul(factor.value);
+                } else if (factor.type === 'pow' && Expr.isNumber(factor.exp) && factor.exp.value.isNegative()) {
+                    const exponent = factor.exp.value.neg();
+                    product.denominator.push(exponent.isOne() ? factor.base : Expr.pow(factor.base, Expr.number(exponent)));
+                } else {
+                    product.numerator.push(factor);
+                }
+            }
+            return product;
+        }
+
+        // Formats |coefficient| times the factors; the caller adds the sign
+        formatProduct({ coefficient, numerator, denominator }) {
+            const magnitude = coefficient.abs();
+            const top = this.joinFactors(magnitude.n, numerator);
+            if (magnitude.d === 1 && denominator.length === 0) return top;
+
+            const bottom = this.joinFactors(magnitude.d, denominator);
+            if (this.latex) {
+                return `\\frac{${this.unwrapSingle(magnitude.n, numerator, top)}}{${this.unwrapSingle(magnitude.d, denominator, bottom)}}`;
+            }
+
+            // An unsimplified product such as 1/((x+1)(x-2)) counts as several parts
+            const bottomParts = (magnitude.d === 1 ? 0 : 1) +
+                denominator.reduce((count, factor) => count + Expr.factors(factor).length, 0);
+            return `${top}/${bottomParts > 1 ? `(${bottom})` : bottom}`;
+        }
+
+        joinFactors(number, factors) {
+            const parts = factors.map(factor => this.formatFactor(factor));
+            if (number !== 1 || parts.length === 0) parts.unshift(`${number}`);
+
+            return parts.reduce((joined, part, i) => {
+                if (i === 0) return part;
+                if (this.latex) return `${joined}${/^\d/.test(part) ? ' \\cdot ' : ' '}${part}`;
+                const juxtapose = i === 1 && /^\d+$/.test(parts[0]) && /^[a-zA-Zθ(|]/.test(part);
+                return `${joined}${juxtapose ? '' : '*'}${part}`;
+            }, '');
+        }
+
+        // A lone sum needs no parentheses inside \\frac
+        unwrapSingle(number, factors, text) {
+            return number === 1 && factors.length === 1 && factors[0].type === 'add' ? this.format(factors[0]) : text;
+        }
+
+        formatFactor(node) {
+            const text = this.format(node);
+            return node.type === 'add' ? this.wrap(text) : text;
+        }
+
+        formatPower(node) {
+            const { base, exp } = node;
+
+            if (Expr.isNumber(exp, new Rational(1, 2))) {
+                return this.latex ? `\\sqrt{${this.format(base)}}` : `sqrt(${this.format(base)})`;
+            }
+            if (this.latex && Expr.isNumber(exp) && exp.value.n === 1 && exp.value.d > 2) {
+                return `\\sqrt[${exp.value.d}]{${this.format(base)}}`;
+            }
+
+            // sin^2(x) rather than (sin(x))^2
+            const powerNotation = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'sinh', 'cosh', 'tanh'];
+            if (this.latex && base.type === 'call' && powerNotation.includes(base.name)) {
+                return `${FUNCTIONS[base.name].latex}^{${this.format(exp)}}\\left(${this.format(base.args[0])}\\right)`;
+            }
+
+            const baseText = this.isAtomicBase(base) ? this.format(base) : this.wrap(this.format(base));
+            if (this.latex) return `${baseText}^{${this.format(exp)}}`;
+            const expText = this.isAtomicText(exp) ? this.format(exp) : `(${this.format(exp)})`;
+            return `${baseText}^${expText}`;
+        }
+
+        isAtomicBase(node) {
+            return node.type === 'symbol' || node.type === 'constant' || node.type === 'call' ||
+                (node.type === 'number' && node.value.isInteger() && !node.value.isNegative());
+        }
+
+        isAtomicText(node) {
+            return node.type === 'symbol' || node.type === 'constant' ||
+                (node.type === 'number' && node.value.isInteger() && !node.value.isNegative());
+        }
+
+        formatCall(node) {
+            const arg = node.args[0];
+            const argText = this.format(arg);
+
+            if (node.name === 'abs') {
+                return this.latex ? `\\left|${argText}\\right|` : `|${argText}|`;
+            }
+            if (node.name === 'ln' && arg.type === 'call' && arg.name === 'abs') {
+                return this.latex ? `\\ln${this.format(arg)}` : `ln${this.format(arg)}`;
+            }
+            if (!this.latex) return `${node.name}(${node.args.map(child => this.format(child)).join(', ')})`;
+            if (node.name === 'sqrt') return `\\sqrt{${argText}}`;
+            if (node.name === 'exp') return `e^{${argText}}`;
+            if (node.name === 'log' && node.args.length > 1) {
+                return `\\log_{${this.format(node.args[1])}}\\left(${argText}\\right)`;
+            }
+            return `${FUNCTIONS[node.name].latex}\\left(${argText}\\right)`;
+        }
+
+        wrap(text) {
+            return this.latex ? `\\left(${text}\\right)` : `(${text})`;
+        }
+    }
+
+    class MathUtils {
+        static convertToLatex(input) {
+            if (!input || input.trim() === '') {
+                return 'f(x)';
+            }
+
+            try {
+                return ExpressionPrinter.toLatex(ExpressionParser.parse(input));
+            } catch (error) {
+                if (!(error instanceof ParseError)) throw error;
+                return this.approximateLatex(input);
+            }
+        }
+
+        // Best-effort rendering for input that does not parse yet, e.g. while typing
+        static approximateLatex(input) {
+            let latex = input;
+            
+            // Handle fractions
+            latex = latex.replace(/(\d+)\/(\d+)/g, '\\frac{$1}{$2}');
+            latex = latex.replace(/\(([^)]+)\)\/\(([^)]+)\)/g, '\\frac{$1}{$2}');
+            
+            // Handle powers
+            latex = latex.replace(/\^(\d+)/g, '^{$1}');
+            latex = latex.replace(/\^([a-zA-Z]+)/g, '^{$1}');
+            
+            // Handle multiplication
+            latex = latex.replace(/\*/g, '\\cdot ');
+            
+            // Handle functions in one pass, longest names first, so arcsin doesn't become arc\sin
+            const names = [...Object.keys(FUNCTIONS), ...Object.keys(FUNCTION_ALIASES)]
+                .sort((a, b) => b.length - a.length);
+            latex = latex.replace(new RegExp(names.join('|'), 'g'),
+                (name) => FUNCTIONS[FUNCTION_ALIASES[name] || name].latex);
+            latex = latex.replace(/pi/g, '\\pi');
+            latex = latex.replace(/e\^/g, 'e^');
+            
+            return latex.replace(/\s+/g, ' ').trim();
+        }
+
+        static formatAsIntegral(func, bounds = null) {
+            const integral = bounds
+                ? `\\int_{${this.convertBoundToLatex(bounds.lower)}}^{${this.convertBoundToLatex(bounds.upper)}}`
+                : '\\int';
+            if (!func || func.trim() === '') {
+                return `${integral} f(x) \\, dx`;
+            }
+            const latexFunction = this.convertToLatex(func);
+            return `${integral} ${latexFunction} \\, dx`;
+        }
+
+        static convertBoundToLatex(bound) {
+            return bound && bound.trim() !== '' ? this.convertToLatex(this.normalizeBound(bound)) : '?';
+        }
+
+        // Spellings of infinity accepted in bounds: "infinity" and "oo" become "inf"
+        static normalizeBound(bound) {
+            return bound.replace(/infinity|oo/gi, 'inf');
+        }
+
+        // Wraps LaTeX in the inline span that MathJax typesets and SolutionExport reads back
+        static inlineMath(latex) {
+            return `<span class="math-inline">$${latex}$</span>`;
+        }
+
+        // Rounds to 10 significant digits for display, e.g. 0.3333333333
+        static formatDecimal(value) {
+            return `${parseFloat(value.toPrecision(10))}`;
+        }
+
+        static formatAnswerWithConstant(answer, withConstant = true) {
+            if (!answer || answer.trim() === '') {
+                return 'Your answer will appear here...';
+            }
+            const latexAnswer = this.convertToLatex(answer);
+            return withConstant ? `${latexAnswer} + C` : latexAnswer;
+        }
+    }
+
+    // =============================================================================
+    // INTEGRATION PROBLEM MODEL
+    // =============================================================================
+    
+    class IntegrationProblem {
+        constructor() {
+            this.functionString = '';
+            this.tree = null;
+            this.bounds = null;
+            this.technique = '';
+            this.chosenTechnique = '';     // the student's own pick in choose-your-technique mode
+            this.boundStrings = null;      // bounds as typed, for links and history
+            this.choice = null;
+            this.difficulty = '';
+            this.techniqueName = '';       // the technique's name, or that of its simpler variant
+            this.noAntiderivative = null;  // 'nonElementary' or 'unsolved' when nothing matches and nothing integrates
+            this.antiderivative = '';
+            this.antiderivativeTree = null;  // the same antiderivative as an expression, so checks needn't re-parse it
+            this.correctAnswer = '';
+            this.evaluation = null;
+            this.description = '';
+            this.steps = [];
+            this.hints = [];
+            this.customHints = null;       // an assignment's own hints, as plain text
+            this.maxAttempts = CONFIG.MAX_ATTEMPTS;
+        }
+
+        // `bounds` is { lower, upper } as input strings for a definite integral, or null
+        setFunction(func, bounds = null) {
+            const tree = ExpressionParser.parse(func);
+            if (Expr.contains(tree, node => node.type === 'constant' && node.name === 'inf')) {
+                throw new ParseError('∞ can only be used as an integration bound');
+            }
+            // The parser rejects a literal "/0"; this catches divisors that only simplify to 0, as in 0^-1 or 1/(x - x)
+            const simplified = Rational.withinRange(() => Simplifier.simplify(tree));
+            if (simplified && Expr.contains(simplified, node => node.type === 'pow' && Expr.isNumber(node.base, 0) &&
+                !Expr.dependsOn(node.exp) && Expr.evaluate(node.exp) < 0)) {
+                throw new ParseError('Division by zero');
+            }
+            this.bounds = bounds ? IntegrationProblem.parseBounds(bounds) : null;
+            this.boundStrings = bounds;
+            this.tree = tree;
+            this.functionString = func;
+            try {
+                this.analyze();
+            } catch (error) {
+                // Exact arithmetic that outgrows safe integers, as in 2^100
+                if (!(error instanceof RangeError)) throw error;
+                throw new ParseError('The numbers in this integral are too large to work with exactly');
+            }
+        }
+
+        // Bounds may be infinite: "inf", "-inf", "infinity", "oo" or "∞"
+        static parseBounds({ lower, upper }) {
+            const parseBound = (text, label) => {
+                if (!text || !text.trim()) {
+                    throw new ParseError(`${label} bound is missing; enter both bounds or leave both empty`);
+                }
+                let tree;
+                try {
+                    tree = ExpressionParser.parse(MathUtils.normalizeBound(text));
+                } catch (error) {
+                    if (!(error instanceof ParseError)) throw error;
+                    throw new ParseError(`${label} bound: ${error.message}`, error.position);
+                }
+                const value = Expr.dependsOn(tree) ? NaN : Expr.evaluate(tree);
+                if (Math.abs(value) === Infinity) {
+                    const infinity = Expr.constant('inf');
+                    return value > 0 ? infinity : Expr.neg(infinity);
+                }
+                if (!Number.isFinite(value)) {
+                    throw new ParseError(`${label} bound must be a number`);
+                }
+                return tree;
+            };
+            return { lower: parseBound(lower, 'Lower'), upper: parseBound(upper, 'Upper') };
+        }
+
+        get isDefinite() {
+            return this.bounds !== null;
+        }
+
+        analyze() {
+            const analysis = this.determineTechnique(this.tree);
+            this.antiderivativeTree = Integrator.antiderivative(this.tree);
+            // With no method to recommend, say why instead of suggesting a substitution
+            this.noAntiderivative = null;
+            if (analysis.unmatched && !this.antiderivativeTree) {
+                this.noAntiderivative = Expr.terms(this.tree).some(term => TermShape.isNonElementary(term)) ? 'nonElementary' : 'unsolved';
+            }
+            const variant = this.noAntiderivative ? TECHNIQUE_DATA[analysis.technique][this.noAntiderivative] : analysis;
+            this.technique = analysis.technique;
+            this.difficulty = variant.difficulty;
+            this.techniqueName = variant.name;
+            this.description = variant.description;
+            this.antiderivative = this.antiderivativeTree ? ExpressionPrinter.toText(this.antiderivativeTree) : '';
+            this.correctAnswer = this.antiderivative;
+            this.evaluation = null;
+            if (this.isDefinite) {
+                this.evaluateDefinite();
+            }
+            this.chooseTechnique(this.chosenTechnique);
+        }
+
+        // An empty choice hands the method back to the analysis
+        chooseTechnique(technique) {
+            this.chosenTechnique = technique || '';
+            this.choice = this.chosenTechnique ? this.assessTechnique(this.chosenTechnique) : null;
+            this.generateHints();
+            this.generateSteps();
+        }
+
+        // The method hints and steps are written for
+        get activeTechnique() {
+            return this.choice && this.choice.viable ? this.choice.technique : this.technique;
+        }
+
+        /**
+         * Evaluates F(b) - F(a) exactly when an antiderivative is known, and
+         * falls back to numeric quadrature otherwise. Improper integrals are
+         * handed to ImproperIntegral and may diverge.
+         */
+        evaluateDefinite() {
+            const { lower, upper } = this.bounds;
+            const variable = CONFIG.VARIABLE;
+            const antiderivative = this.antiderivativeTree;
+
+            const improper = ImproperIntegral.analyze(this.tree, this.bounds, antiderivative);
+            if (improper) {
+                this.evaluation = { method: 'improper', ...improper };
+                if (improper.converges === null) {
+                    this.correctAnswer = '';
+                } else if (!improper.converges) {
+                    this.correctAnswer = 'diverges';
+                } else {
+                    this.correctAnswer = improper.exact
+                        ? ExpressionPrinter.toText(improper.exact)
+                        : MathUtils.formatDecimal(improper.value);
+                }
+                return;
+            }
+
+            if (antiderivative) {
+                const atUpper = Simplifier.simplify(Expr.substitute(antiderivative, variable, upper));
+                const atLower = Simplifier.simplify(Expr.substitute(antiderivative, variable, lower));
+                const exact = Simplifier.simplify(Expr.sub(atUpper, atLower));
+                const value = Expr.evaluate(exact);
+                if (Number.isFinite(value)) {
+                    this.evaluation = { method: 'exact', atUpper, atLower, exact, value };
+                    this.correctAnswer = ExpressionPrinter.toText(exact);
+                    return;
+                }
+            }
+
+            const integrand = NumericIntegrator.bridgeGaps((x) => Expr.evaluate(this.tree, { [variable]: x }));
+            const { value, error } = NumericIntegrator.integrate(integrand, Expr.evaluate(lower), Expr.evaluate(upper));
+            this.evaluation = { method: 'numeric', exact: null, value, error };
+            this.correctAnswer = Number.isFinite(value) ? MathUtils.formatDecimal(value) : '';
+        }
+
+        determineTechnique(tree) {
+            // Integration is linear, so classify each term and combine:
+            // polynomial terms defer to whatever technique the other terms need,
+            // and a term nothing matches falls back to substitution
+            const techniques = Expr.terms(tree).map(term =>
+                Object.keys(TECHNIQUE_DATA).find(key => TECHNIQUE_DATA[key].matches(term)) || null);
+
+            const unmatched = techniques.includes(null);
+            const technique = unmatched || techniques.includes('substitution')
+                ? 'substitution'
+                : techniques.find(key => key !== 'power') || 'power';
+            const data = TECHNIQUE_DATA[technique];
+            const simple = !unmatched && data.simple &&
+                Expr.terms(tree).filter((term, i) => techniques[i] === technique).every(data.simple.matches);
+            const variant = simple ? data.simple : data;
+            return {
+                technique,
+                unmatched,
+                name: variant.name,
+                description: unmatched ? data.fallbackDescription : variant.description,
+                difficulty: variant.difficulty
+            };
+        }
+
+        /**
+         * Judges a technique the student picked. It is viable when it handles
+         * every term that isn't a plain power of x (those integrate alongside
+         * any method), and optimal when it is also the recommended technique.
+         */
+        assessTechnique(technique) {
+            const data = TECHNIQUE_DATA[technique];
+            const isPower = (term) => TECHNIQUE_DATA.power.matches(term);
+            const terms = Expr.terms(this.tree);
+            const unhandled = terms.find(term => !isPower(term) && !data.matches(term));
+            const needed = technique === 'power' || terms.some(term => !isPower(term) && data.matches(term));
+            const viable = !unhandled && needed;
+            const optimal = viable && technique === this.technique;
+
+            const math = IntegrationProblem.math;
+            if (this.noAntiderivative) {
+                const reason = `${data.name} won't find an antiderivative of ${math(this.tree)}. ${this.description}`;
+                return { technique, viable: false, optimal: false, reason };
+            }
+            let reason;
+            if (optimal) {
+                reason = `Good choice! ${data.name} is the best fit here. ${this.description}`;
+            } else if (viable) {
+                reason = `${data.name} can work here, but ${this.techniqueName} is more direct. ${this.description}`;
+            } else if (!unhandled) {
+                reason = `${data.name} isn't needed: every term of ${math(this.tree)} is a power of x. ${this.description}`;
+            } else if (technique === this.technique) {
+                reason = `${data.name} won't handle ${math(unhandled)} directly; rewrite it with an identity or some algebra first.`;
+            } else {
+                reason = `${data.name} won't handle ${math(unhandled)}. Use ${this.techniqueName} instead. ${this.description}`;
+            }
+            return { technique, viable, optimal, reason };
+        }
+
+        // A choice that doesn't work leads with the reason, then falls back to the recommended method.
+        // The technique's generic hints are only used when the problem's own can't be worked out,
+        // and an assignment's custom hints replace both
+        generateHints() {
+            const techniqueData = this.noAntiderivative
+                ? TECHNIQUE_DATA[this.technique][this.noAntiderivative]
+                : TECHNIQUE_DATA[this.activeTechnique];
+            this.hints = this.customHints
+                ? this.customHints.map(escapeHtml)
+                : this.problemHints() || (techniqueData ? techniqueData.hints : []);
+            if (this.choice && !this.choice.viable) {
+                this.hints = [this.choice.reason, ...this.hints];
+            }
+        }
+
+        generateSteps() {
+            this.steps = this.noAntiderivative ? [this.noAntiderivativeStep()] : this.techniqueSteps(this.activeTechnique);
+            if (this.choice && !this.choice.viable) {
+                this.steps.unshift(this.choice.reason);
+            }
+
+            if (this.isDefinite) {
+                this.steps.push(...this.definiteSteps());
+            }
+        }
+
+        // Names the term that has (or may have) no elementary antiderivative
+        noAntiderivativeStep() {
+            const terms = Expr.terms(this.tree);
+            const term = this.noAntiderivative === 'nonElementary'
+                ? terms.find(candidate => TermShape.isNonElementary(candidate))
+                : terms.find(candidate => !Integrator.antiderivative(candidate)) || this.tree;
+            const integral = MathUtils.inlineMath(IntegrationProblem.integralLatex(term));
+            return this.noAntiderivative === 'nonElementary'
+                ? `${integral} has no elementary antiderivative: no combination of powers, roots, exponentials, logarithms and ` +
+                    'trig functions has this derivative, so no substitution or other technique applies'
+                : `None of the techniques here finds an antiderivative for ${integral}; it may not have an elementary one`;
+        }
+
+        techniqueSteps(technique) {
+            const math = IntegrationProblem.math;
+            const result = MathUtils.inlineMath(this.antiderivativeTree ? `${ExpressionPrinter.toLatex(this.antiderivativeTree)} + C` : '');
+            switch (technique) {
+                case 'power':
+                    return [
+                        `Identify that this is a polynomial function: ${math(this.tree)}`,
+                        `Apply the power rule: ${MathUtils.inlineMath('\\int x^n \\, dx = \\frac{x^{n+1}}{n+1} + C')}`,
+                        `Calculate the result: ${result}`
+                    ];
+                case 'trig':
+                    return this.trigSteps() || [
+                        `Identify the trigonometric function: ${math(this.tree)}`,
+                        "Recall the antiderivatives of basic trig functions",
+                        `Apply the integration: ${result}`
+                    ];
+                case 'exponential':
+                    return [
+                        `Identify the exponential function: ${math(this.tree)}`,
+                        `Recall that ${MathUtils.inlineMath('\\int e^{ax+b} \\, dx = \\frac{e^{ax+b}}{a} + C')}, and ` +
+                            `${MathUtils.inlineMath('\\int b^x \\, dx = \\frac{b^x}{\\ln(b)} + C')} for any other base`,
+                        `Apply the integration: ${result}`
+                    ];
+                case 'logarithmic':
+                    return [
+                        `Identify the reciprocal of a linear function: ${math(this.tree)}`,
+                        `Recall that ${MathUtils.inlineMath('\\int \\frac{1}{ax+b} \\, dx = \\frac{\\ln|ax+b|}{a} + C')}`,
+                        `Apply the integration: ${result}`
+                    ];
+                case 'substitution':
+                    return this.substitutionSteps() || [
+                        `Analyze the function: ${math(this.tree)}`,
+                        `Choose an appropriate substitution ${MathUtils.inlineMath('u = \\ldots')}`,
+                        `Calculate ${MathUtils.inlineMath('du')} and substitute`,
+                        `Integrate with respect to ${MathUtils.inlineMath('u')}`,
+                        "Substitute back to get the final answer"
+                    ];
+                case 'parts':
+                    return this.partsSteps() || [
+                        `Identify the product: ${math(this.tree)}`,
+                        `Choose ${MathUtils.inlineMath('u')} and ${MathUtils.inlineMath('dv')} using the LIATE rule`,
+                        `Calculate ${MathUtils.inlineMath('du')} and ${MathUtils.inlineMath('v')}`,
+                        `Apply the integration by parts formula ${MathUtils.inlineMath('\\int u \\, dv = uv - \\int v \\, du')}`,
+                        "Simplify to get the final answer"
+                    ];
+                case 'partial':
+                    return this.partialFractionSteps() || [
+                        `Identify the rational function: ${math(this.tree)}`,
+                        "Factor the denominator",
+                        "Split the fraction into a sum of simpler fractions and solve for the coefficients",
+                        "Integrate each fraction separately",
+                        "Combine the results to get the final answer"
+                    ];
+                default:
+                    return [];
+            }
+        }
+
+        // Terms that u-substitution can integrate, with their substitutions
+        substitutions() {
+            return Expr.terms(this.tree)
+                .map(term => ({ term, solution: USubstitution.solve(term) }))
+                .filter(({ solution }) => solution);
+        }
+
+        // Inline MathJax for a tree, e.g. in hints
+        static math(node) {
+            return MathUtils.inlineMath(ExpressionPrinter.toLatex(node));
+        }
+
+        // LaTeX for the integral of a tree, as steps write it inside their math
+        static integralLatex(node, variable = CONFIG.VARIABLE) {
+            return `\\int ${ExpressionPrinter.toLatex(node)} \\, d${variable}`;
+        }
+
+        // The technique for one term: the one hints and steps are written for if it applies, else the first that matches
+        termTechnique(term) {
+            const active = TECHNIQUE_DATA[this.activeTechnique];
+            if (active && active.matches(term)) return this.activeTechnique;
+            return Object.keys(TECHNIQUE_DATA).find(key => TECHNIQUE_DATA[key].matches(term)) || null;
+        }
+
+        /**
+         * Hints written for this problem, from a nudge toward the method to
+         * nearly the answer. The term that needs the real work comes first and
+         * each term adds as many hints as its method takes, so harder problems
+         * get more of them. Null if some term can't be worked out.
+         */
+        problemHints() {
+            const math = IntegrationProblem.math;
+            const list = (nodes) => nodes.length === 1 ? math(nodes[0])
+                : `${nodes.slice(0, -1).map(math).join(', ')} and ${math(nodes[nodes.length - 1])}`;
+            const terms = Expr.terms(this.tree);
+            const isPower = (term) => TECHNIQUE_DATA.power.matches(term);
+            const powers = terms.filter(isPower);
+            const others = terms.filter(term => !isPower(term));
+            const plans = others.map(term => this.termHints(term));
+            if (plans.includes(null)) return null;
+
+            const hints = [];
+            if (others.length > 0 && terms.length > 1) {
+                const technique = TECHNIQUE_DATA[this.termTechnique(others[0])];
+                const rest = powers.length === 0 ? ''
+                    : `, while ${list(powers)} ${powers.length === 1 ? 'only needs' : 'only need'} the power rule`;
+                hints.push(`Integrate term by term, starting with ${math(others[0])}: it needs ${technique.name}${rest}.`);
+            } else if (terms.length > 1) {
+                hints.push(`Integrate term by term: ${list(terms)} each follow from the power rule ` +
+                    `${MathUtils.inlineMath('\\int x^n \\, dx = \\frac{x^{n+1}}{n+1}')}.`);
+            }
+            hints.push(...plans.flat());
+            if (powers.length > 0) {
+                hints.push(...this.powerHints(powers, terms.length === 1));
+            }
+            if (terms.length > 1) {
+                hints.push(`Add up the results for each term, and finish with ${MathUtils.inlineMath('+C')}.`);
+            }
+            return hints;
+        }
+
+        // What each exponent becomes, with the rule itself first when the problem is a single power
+        powerHints(terms, alone) {
+            const math = IntegrationProblem.math;
+            const hints = [];
+            if (alone && TermShape.exponentOfTerm(terms[0])) {
+                hints.push(`${math(terms[0])} is a power of x, so use the power rule ` +
+                    `${MathUtils.inlineMath('\\int x^n \\, dx = \\frac{x^{n+1}}{n+1} + C')}.`);
+            }
+            const constants = [];
+            for (const term of terms) {
+                const exponent = TermShape.exponentOfTerm(term);
+                if (!exponent) {
+                    hints.push(`Expand ${math(term)} into a sum of powers of x, then integrate each one.`);
+                } else if (exponent.isZero()) {
+                    constants.push(term);
+                } else {
+                    const raised = math(Expr.number(exponent.add(new Rational(1))));
+                    hints.push(`In ${math(term)} the exponent ${math(Expr.number(exponent))} becomes ${raised}, so divide by ${raised}.`);
+                }
+            }
+            if (constants.length > 0) {
+                const x = Expr.symbol(CONFIG.VARIABLE);
+                const pieces = constants.map(term => MathUtils.inlineMath(
+                    `\\int ${ExpressionPrinter.toLatex(term)} \\, dx = ${ExpressionPrinter.toLatex(Simplifier.simplify(Expr.mul(term, x)))}`));
+                hints.push(`A constant integrates to itself times x: ${pieces.join(' and ')}.`);
+            }
+            return hints;
+        }
+
+        // Hints for one term that isn't a plain power, or null
+        termHints(term) {
+            switch (this.termTechnique(term)) {
+                case 'exponential':
+                case 'logarithmic':
+                    return this.standardIntegralHints(term);
+                case 'trig': {
+                    if (TermShape.isLinearCall(term, Object.keys(ELEMENTARY_INTEGRALS))) {
+                        return this.standardIntegralHints(term);
+                    }
+                    const trig = TrigIntegrals.solve(term);
+                    if (trig) return this.trigIntegralHints(term, trig);
+                    const substitution = TrigSubstitution.solve(term);
+                    return substitution && this.trigSubstitutionHints(term, substitution);
+                }
+                case 'parts': {
+                    const solution = IntegrationByParts.solve(term);
+                    return solution && this.partsHints(term, solution);
+                }
+                case 'substitution': {
+                    const solution = USubstitution.solve(term);
+                    return solution && this.substitutionHints(term, solution);
+                }
+                case 'partial': {
+                    const solution = PartialFractions.solve(term);
+                    return solution && this.partialFractionHints(term, solution);
+                }
+                default:
+                    return null;
+            }
+        }
+
+        // A constant times f(ax + b) for a function f with a known integral: recall ∫f(u) du, then divide by a
+        standardIntegralHints(term) {
+            const math = IntegrationProblem.math;
+            const latex = ExpressionPrinter.toLatex;
+            const factor = TermShape.soleVariableFactor(term);
+            const inner = factor.type === 'call' ? factor.args[0]
+                : Expr.dependsOn(factor.exp) ? factor.exp : factor.base;
+            const { a } = TermShape.linear(inner);
+            const plain = inner.type === 'symbol';
+            const symbol = plain ? CONFIG.VARIABLE : 'u';
+            const general = plain ? factor
+                : Expr.map(factor, node => Expr.key(node) === Expr.key(inner) ? Expr.symbol(symbol) : node);
+            const integral = Integrator.antiderivative(general, symbol);
+            const coefficient = Simplifier.simplify(Expr.div(term, factor));
+
+            const hints = [plain
+                ? `Which function has derivative ${math(general)}?`
+                : `Treat ${math(inner)} as a single variable u: which function has derivative ${math(general)}?`];
+            let recall = `Recall ${MathUtils.inlineMath(`\\int ${latex(general)} \\, d${symbol} = ${latex(integral)} + C`)}.`;
+            if (!plain) {
+                recall += ` Here ${MathUtils.inlineMath(`u = ${latex(inner)}`)} gives ${MathUtils.inlineMath(`du = ${latex(Expr.number(a))} \\, dx`)}` +
+                    (a.isOne() ? '.' : `, so divide by ${math(Expr.number(a))}.`);
+            }
+            if (!Expr.isNumber(coefficient, 1)) {
+                recall += ` Keep the constant factor ${math(coefficient)} in front.`;
+            }
+            hints.push(recall);
+            return hints;
+        }
+
+        // Hints that follow the method TrigIntegrals chose for a product of trig powers
+        trigIntegralHints(term, solution) {
+            const math = IntegrationProblem.math;
+            const latex = ExpressionPrinter.toLatex;
+            const { argument, linear, symbol, core } = solution;
+            const t = Expr.symbol(symbol);
+            const call = (name, power = 1) => power === 1 ? Expr.call(name, t) : Expr.pow(Expr.call(name, t), Expr.number(power));
+            const equation = (left, right) => MathUtils.inlineMath(`${latex(left)} = ${latex(right)}`);
+            const integral = (node, variable = symbol) => MathUtils.inlineMath(`\\int ${latex(node)} \\, d${variable}`);
+            const one = Expr.number(1);
+            const family = core.family || {};
+            const [T, S] = [family.T, family.S];
+
+            const hints = [];
+            switch (core.method) {
+                case 'odd-sin':
+                case 'odd-cos': {
+                    const [odd, other] = core.method === 'odd-sin' ? ['sin', 'cos'] : ['cos', 'sin'];
+                    hints.push(`${math(call(odd))} appears to an odd power: save one factor of it for the differential.`);
+                    hints.push(`Rewrite the rest with ${equation(call(odd, 2), Expr.sub(one, call(other, 2)))} ` +
+                        `and let ${equation(Expr.symbol('u'), call(other))}: you should get ${integral(core.rewritten, 'u')}.`);
+                    break;
+                }
+                case 'half-angle': {
+                    const double = Expr.call('cos', Expr.mul(Expr.number(2), t));
+                    hints.push(`Only even powers of sine and cosine appear: lower them with ` +
+                        `${equation(call('sin', 2), Expr.div(Expr.sub(one, double), Expr.number(2)))} and ` +
+                        `${equation(call('cos', 2), Expr.div(Expr.add(one, double), Expr.number(2)))}.`);
+                    hints.push(`Expanding gives ${integral(core.expansion)}.`);
+                    break;
+                }
+                case 'even-secant':
+                    hints.push(`${math(call(S))} appears to an even power: save ${math(call(S, 2))} for the differential ` +
+                        `and rewrite the rest with ${equation(call(S, 2), Expr.add(one, call(T, 2)))}.`);
+                    hints.push(`Let ${equation(Expr.symbol('u'), call(T))}: you should get ${integral(core.rewritten, 'u')}.`);
+                    break;
+                case 'tangent-reduction':
+                    hints.push(`Use ${equation(call(T, 2), Expr.sub(call(S, 2), one))} to lower the power of ${math(call(T))} two at a time.`);
+                    hints.push(`Each round peels off ${math(Expr.div(call(T, family.a - 1), Expr.number(T === 'cot' ? 1 - family.a : family.a - 1)))} ` +
+                        `and leaves ${integral(call(T, family.a - 2))} to do.`);
+                    break;
+                case 'secant-reduction':
+                    if (family.k === 1) {
+                        hints.push(`This is a standard integral: ${MathUtils.inlineMath(`\\int ${latex(call(S))} \\, d${symbol} = ${latex(core.result)}`)}.`);
+                    } else {
+                        hints.push(`Use the reduction formula for ${integral(call(S, family.k))}, which lowers the power of ${math(call(S))} by two.`);
+                        hints.push(`Keep reducing down to ${MathUtils.inlineMath(`\\int ${latex(call(S))} \\, d${symbol} = ` +
+                            latex(ELEMENTARY_INTEGRALS[S](t)))}.`);
+                    }
+                    break;
+                case 'pythagorean': {
+                    // With a negative power of sec the integrand was written with sin and cos
+                    const [sin, cos] = T === 'cot' ? ['cos', 'sin'] : ['sin', 'cos'];
+                    const identity = family.k < 0
+                        ? equation(call(sin, 2), Expr.sub(one, call(cos, 2)))
+                        : equation(call(T, 2), Expr.sub(call(S, 2), one));
+                    hints.push(`Use ${identity} to split the integral into two simpler ones.`);
+                    hints.push(`You should get ${integral(core.pieces[0])} minus ${integral(core.pieces[1])}.`);
+                    break;
+                }
+            }
+
+            if (symbol !== CONFIG.VARIABLE) {
+                hints.unshift(`Let ${equation(t, argument)} first, so ${MathUtils.inlineMath(`d${symbol} = ${latex(Expr.number(linear.a))} \\, dx`)}.`);
+            }
+            return hints;
+        }
+
+        // From the shape of the square root to the integral in θ and the triangle that undoes it
+        trigSubstitutionHints(term, solution) {
+            const math = IntegrationProblem.math;
+            const latex = ExpressionPrinter.toLatex;
+            const { kind, s, a, theta, integrand } = solution;
+            const substitution = TRIG_SUBSTITUTIONS[kind];
+            const x = Expr.symbol(CONFIG.VARIABLE);
+            const radical = Simplifier.simplify(Expr.pow(substitution.quadratic(solution.a2).scale(s.abs()).toExpression(),
+                Expr.number(new Rational(1, 2))));
+            return [
+                `The square root ${math(radical)} has the form ${MathUtils.inlineMath(`\\sqrt{${substitution.form.replace(/²/g, '^2')}}`)} ` +
+                    `with ${MathUtils.inlineMath(`a = ${latex(a)}`)}: which substitution turns it into a single trig function?`,
+                `Substitute ${MathUtils.inlineMath(`x = ${latex(Simplifier.simplify(Expr.mul(a, Expr.call(kind, theta))))}`)}, ` +
+                    `so ${MathUtils.inlineMath(`dx = ${latex(Simplifier.simplify(Expr.mul(a, substitution.differential(theta))))} \\, d\\theta`)}.`,
+                `You should get ${MathUtils.inlineMath(`\\int ${latex(integrand)} \\, d\\theta`)}. Afterwards draw a right triangle with ` +
+                    `${MathUtils.inlineMath(`${latex(Expr.call(kind, theta))} = ${latex(Simplifier.simplify(Expr.div(x, a)))}`)} to get back to x.`
+            ];
+        }
+
+        // LIATE's choice of u, then du, v and how the method finishes
+        partsHints(term, solution) {
+            const math = IntegrationProblem.math;
+            const latex = ExpressionPrinter.toLatex;
+            const { coefficient, u, dv, derivatives, integrals, remainders } = solution;
+            const product = Simplifier.simplify(Expr.mul(u, dv));
+            const differential = (node) => Expr.isNumber(node, 1) ? 'dx' : `${latex(node)} \\, dx`;
+            const [uClass, dvClass] = [u, dv].map(factor => LIATE.names[TermShape.liateClass(factor)]);
+
+            const hints = [Expr.isNumber(dv, 1)
+                ? `${math(product)} has no second factor to integrate, so try integration by parts with ${MathUtils.inlineMath('dv = dx')}.`
+                : `Which factor of ${math(product)} gets simpler when you differentiate it? ` +
+                    'LIATE ranks logarithmic, inverse trig, algebraic, trigonometric, then exponential.'];
+            const choice = Expr.isNumber(dv, 1)
+                ? `Take ${MathUtils.inlineMath(`u = ${latex(u)}`)}`
+                : `By LIATE, take ${MathUtils.inlineMath(`u = ${latex(u)}`)} (${uClass}) and ${MathUtils.inlineMath(`dv = ${differential(dv)}`)} (${dvClass})`;
+            hints.push(`${choice}, so ${MathUtils.inlineMath(`du = ${differential(derivatives[1])}`)} and ${MathUtils.inlineMath(`v = ${latex(integrals[0])}`)}.` +
+                (Expr.isNumber(coefficient, 1) ? '' : ` Pull the constant ${math(coefficient)} out first.`));
+
+            const formula = MathUtils.inlineMath(`\\int u \\, dv = ${latex(Simplifier.simplify(Expr.mul(u, integrals[0])))} - \\int ${latex(remainders[0])} \\, dx`);
+            if (solution.method === 'single') {
+                hints.push(`Then ${formula}, and the integral left over is a basic one.`);
+            } else if (solution.method === 'tabular') {
+                hints.push(`Then ${formula}. Since ${math(u)} is a polynomial, keep going with the tabular method: ` +
+                    `differentiate u until it reaches 0 and integrate dv just as many times, alternating signs.`);
+            } else {
+                hints.push(`Then ${formula}. Apply parts once more and the original integral comes back: call it I and solve for I.`);
+            }
+            return hints;
+        }
+
+        // The inner function and its derivative, then what the integral becomes in u
+        substitutionHints(term, solution) {
+            const math = IntegrationProblem.math;
+            const latex = ExpressionPrinter.toLatex;
+            const { inner, outer, derivative, symbol, rewritten } = solution;
+            return [
+                Expr.key(inner) === Expr.key(outer)
+                    ? `Look at ${math(outer)}: is its derivative also in the integrand, up to a constant?`
+                    : `Look inside ${math(outer)}: is the derivative of the inner function also in the integrand, up to a constant?`,
+                `Try ${MathUtils.inlineMath(`${symbol} = ${latex(inner)}`)}. Then ${MathUtils.inlineMath(`d${symbol} = ${latex(derivative)} \\, dx`)}.`,
+                `After substituting you should get ${MathUtils.inlineMath(`\\int ${latex(rewritten)} \\, d${symbol}`)}. Don't forget to substitute back at the end!`
+            ];
+        }
+
+        // Factor the denominator, set up the decomposition, then the fractions it produces
+        partialFractionHints(term, solution) {
+            const math = IntegrationProblem.math;
+            const { decomposition, pieces } = solution;
+            const { numerator, denominator, quotient, remainder, factorization } = decomposition;
+            const x = Expr.symbol(CONFIG.VARIABLE);
+            const power = (factor, exponent) => exponent > 1 ? Expr.pow(factor.toExpression(), Expr.number(exponent)) : factor.toExpression();
+            const factored = Expr.mul(...(factorization.leading.isOne() ? [] : [Expr.number(factorization.leading)]),
+                ...factorization.factors.map(({ polynomial, multiplicity }) => power(polynomial, multiplicity)));
+
+            // Unknowns are lettered A, B, C, ... in order
+            let letter = 0;
+            const next = () => Expr.symbol(String.fromCharCode(65 + letter++));
+            const template = decomposition.fractions.map(({ factor, power: exponent }) =>
+                Expr.div(factor.degree === 1 ? next() : Expr.add(Expr.mul(next(), x), next()), power(factor, exponent)));
+            const fraction = Expr.div(remainder.toExpression(), denominator.toExpression());
+
+            const hints = [
+                `Can you factor the denominator of ${math(Expr.div(numerator.toExpression(), denominator.toExpression()))}?` +
+                    (quotient.isZero() ? '' : ` Divide first, since the numerator's degree is at least the denominator's: ` +
+                        `the quotient is ${math(quotient.toExpression())}.`)
+            ];
+            // A single fraction has nothing to split: it is already a logarithm or an arctangent
+            if (template.length === 1 && decomposition.fractions[0].power === 1) {
+                hints.push(decomposition.fractions[0].factor.degree === 1
+                    ? `${math(fraction)} is already a simple fraction: it integrates to a logarithm.`
+                    : `${math(denominator.toExpression())} doesn't factor over the reals. Any multiple of its derivative in the numerator ` +
+                        'integrates to a logarithm; for the rest, complete the square and use ' +
+                        `${MathUtils.inlineMath('\\int \\frac{du}{u^2 + a^2} = \\frac{1}{a} \\arctan\\left(\\frac{u}{a}\\right)')}.`);
+                return hints;
+            }
+            hints.push(`It factors as ${math(factored)}, so write ${math(fraction)} as ${math(Expr.add(...template))} and solve for the unknowns.`);
+            hints.push(`You should find ${math(Simplifier.simplify(Expr.add(...pieces.map(piece => piece.fraction))))}: ` +
+                'each fraction integrates to a logarithm or an arctangent.');
+            return hints;
+        }
+
+        /**
+         * Ends a technique's steps on its own result + C: the sum of what it
+         * found for the terms in `solved` ({ term, result }) and the basic
+         * integrals of the other terms. When the last step already reached
+         * that result, it is finished with + C instead of repeated.
+         */
+        concludeSteps(steps, solved) {
+            const keys = new Set(solved.map(({ term }) => Expr.key(term)));
+            const rest = Expr.terms(this.tree).filter(term => !keys.has(Expr.key(term)))
+                .map(term => Integrator.antiderivative(term));
+            if (rest.includes(null)) {
+                steps.push('The remaining terms have no elementary antiderivative');
+                return steps;
+            }
+
+            let result = solved[0].result;
+            if (solved.length > 1 || rest.length > 0) {
+                if (rest.length > 0) steps.push('Integrate the remaining terms with the basic rules and add everything up');
+                result = Simplifier.simplify(Expr.add(...solved.map(({ result: part }) => part), ...rest));
+            }
+            // The last step's math may already end on the result, as "... = result" or just "result"
+            const answer = ExpressionPrinter.toLatex(result);
+            const last = steps[steps.length - 1];
+            const end = '$</span>';
+            if ([`= ${answer}`, `$${answer}`].some(tail => last.endsWith(`${tail}${end}`))) {
+                steps[steps.length - 1] = `${last.slice(0, -end.length)} + C${end}`;
+            } else {
+                steps.push(`Calculate the result: ${MathUtils.inlineMath(`${answer} + C`)}`);
+            }
+            return steps;
+        }
+
+        // Concrete u-substitution steps for each term that has one, or null if none does
+        substitutionSteps() {
+            const math = IntegrationProblem.math;
+            const latex = ExpressionPrinter.toLatex;
+            const integralOf = IntegrationProblem.integralLatex;
+            const substitutions = this.substitutions();
+            if (substitutions.length === 0) return null;
+
+            const steps = [];
+            for (const { term, solution } of substitutions) {
+                const { inner, outer, derivative, symbol, rewritten, integral, result } = solution;
+                const substitution = MathUtils.inlineMath(`${symbol} = ${latex(inner)}`);
+                steps.push(Expr.key(inner) === Expr.key(outer)
+                    ? `Look for a function whose derivative is also a factor: the derivative of ${math(inner)} appears in ${MathUtils.inlineMath(integralOf(term))}`
+                    : `Look for an inner function whose derivative is also a factor: ${math(inner)} sits inside ${math(outer)}`);
+                steps.push(`Let ${substitution}, so ${MathUtils.inlineMath(`d${symbol} = ${latex(derivative)} \\, dx`)}`);
+                steps.push(`Rewrite the integral in terms of ${MathUtils.inlineMath(symbol)}: ` +
+                    MathUtils.inlineMath(`${integralOf(term)} = ${integralOf(rewritten, symbol)}`));
+                steps.push(`Integrate with respect to ${MathUtils.inlineMath(symbol)}: ` +
+                    MathUtils.inlineMath(`${integralOf(rewritten, symbol)} = ${latex(integral)}`));
+                steps.push(`Substitute back ${substitution}: ${MathUtils.inlineMath(`${integralOf(term)} = ${latex(result)}`)}`);
+            }
+            return this.concludeSteps(steps, substitutions.map(({ term, solution }) => ({ term, result: solution.result })));
+        }
+
+        // Division, factoring, decomposition and integration steps for each rational term, or null
+        partialFractionSteps() {
+            const latex = ExpressionPrinter.toLatex;
+            const integralOf = IntegrationProblem.integralLatex;
+            const solutions = Expr.terms(this.tree)
+                .filter(term => TermShape.isRationalFunction(term))
+                .map(term => ({ term, solution: PartialFractions.solve(term) }))
+                .filter(({ solution }) => solution);
+            if (solutions.length === 0) return null;
+
+            const x = Expr.symbol(CONFIG.VARIABLE);
+            const power = (factor, exponent) => exponent > 1 ? Expr.pow(factor.toExpression(), Expr.number(exponent)) : factor.toExpression();
+            const steps = [];
+            for (const { term, solution } of solutions) {
+                const { decomposition, pieces, polynomial } = solution;
+                const { numerator, denominator, quotient, remainder, factorization } = decomposition;
+                const fraction = (top) => latex(Expr.div(top.toExpression(), denominator.toExpression()));
+                const expanded = fraction(numerator);
+                steps.push(`Identify the rational function: ${MathUtils.inlineMath(integralOf(term) +
+                    (expanded === latex(term) ? '' : ` = \\int ${expanded} \\, dx`))}`);
+                if (!quotient.isZero()) {
+                    steps.push(`The numerator's degree is at least the denominator's, so divide first: ` +
+                        MathUtils.inlineMath(`${fraction(numerator)} = ${latex(quotient.toExpression())} + ${fraction(remainder)}`));
+                }
+
+                // A denominator that doesn't factor leaves a single fraction: nothing to split
+                const [only] = factorization.factors;
+                if (factorization.factors.length === 1 && only.multiplicity === 1) {
+                    if (only.polynomial.degree === 2) {
+                        steps.push(`The denominator ${MathUtils.inlineMath(latex(denominator.toExpression()))} has no real roots, ` +
+                            'so it doesn\'t factor and there is nothing to split');
+                    }
+                } else {
+                    const factored = Expr.mul(...(factorization.leading.isOne() ? [] : [Expr.number(factorization.leading)]),
+                        ...factorization.factors.map(({ polynomial: factor, multiplicity }) => power(factor, multiplicity)));
+                    steps.push(`Factor the denominator: ${MathUtils.inlineMath(`${latex(denominator.toExpression())} = ${latex(factored)}`)}`);
+
+                    // One fraction per power of each factor, even those whose coefficients turn out zero; unknowns are lettered A, B, C, ...
+                    let letter = 0;
+                    const next = () => Expr.symbol(String.fromCharCode(65 + letter++));
+                    const template = factorization.factors.flatMap(({ polynomial: factor, multiplicity }) =>
+                        Array.from({ length: multiplicity }, (_, k) =>
+                            Expr.div(factor.degree === 1 ? next() : Expr.add(Expr.mul(next(), x), next()), power(factor, k + 1))));
+                    steps.push(`Set up the decomposition: ${MathUtils.inlineMath(`${fraction(remainder)} = ${latex(Expr.add(...template))}`)}`);
+                    steps.push(`Clear denominators and match coefficients: ` +
+                        MathUtils.inlineMath(`${fraction(remainder)} = ${latex(Expr.add(...pieces.map(piece => piece.fraction)))}`));
+                }
+
+                pieces.forEach((piece, i) => {
+                    const part = decomposition.fractions[i];
+                    if (part.factor.degree === 2) {
+                        steps.push(...this.quadraticFractionSteps(part, piece));
+                    } else {
+                        steps.push(`Integrate: ${MathUtils.inlineMath(`${integralOf(piece.fraction)} = ${latex(piece.integral)}`)}`);
+                    }
+                });
+                if (polynomial) {
+                    steps.push(`Integrate the polynomial part: ${MathUtils.inlineMath(`${integralOf(quotient.toExpression())} = ${latex(polynomial)}`)}`);
+                }
+                // A single fraction with no polynomial part was just integrated whole
+                if (pieces.length > 1 || polynomial) {
+                    steps.push(`So ${MathUtils.inlineMath(`${integralOf(term)} = ${latex(solution.result)}`)}`);
+                }
+            }
+            return this.concludeSteps(steps, solutions.map(({ term, solution }) => ({ term, result: solution.result })));
+        }
+
+        // A fraction over a power of an irreducible quadratic: complete the square, then a logarithm and an arctangent
+        quadraticFractionSteps(part, piece) {
+            const latex = ExpressionPrinter.toLatex;
+            const inline = MathUtils.inlineMath;
+            const integralOf = IntegrationProblem.integralLatex;
+            const { square, shift, radius, logarithm, arctangent } = PartialFractions.quadraticParts(part);
+            const steps = [];
+
+            if (arctangent && latex(shift) !== CONFIG.VARIABLE) {
+                const leading = part.factor.leading;
+                const completed = leading.isOne() ? square : Expr.mul(Expr.number(leading), square);
+                steps.push(`Complete the square: ${inline(`${latex(part.factor.toExpression())} = ${latex(completed)}`)}`);
+            }
+            if (logarithm && arctangent) {
+                const derivative = part.factor.monic().derivative().toExpression();
+                steps.push(`Split off a multiple of the derivative ${inline(latex(derivative))} in the numerator: ` +
+                    inline(`${integralOf(piece.fraction)} = ${integralOf(logarithm.fraction)} + ${integralOf(arctangent.fraction)}`));
+            }
+            if (logarithm) {
+                const form = part.power === 1 ? 'a logarithm' : `a power of ${inline(latex(part.factor.monic().toExpression()))}`;
+                steps.push(`The numerator is a multiple of the denominator's derivative, so this integrates to ${form}: ` +
+                    inline(`${integralOf(logarithm.fraction)} = ${latex(logarithm.integral)}`));
+            }
+            if (arctangent) {
+                const values = `with ${inline(`u = ${latex(shift)}`)} and ${inline(`a = ${latex(radius)}`)}`;
+                const formula = part.power === 1
+                    ? `Use ${inline('\\int \\frac{du}{u^{2} + a^{2}} = \\frac{1}{a} \\arctan\\left(\\frac{u}{a}\\right)')} ${values}`
+                    : `Lower the power with the reduction formula ${inline('\\int \\frac{du}{\\left(u^{2} + a^{2}\\right)^{k}} = ' +
+                        '\\frac{u}{2 (k - 1) a^{2} \\left(u^{2} + a^{2}\\right)^{k - 1}} + ' +
+                        '\\frac{2 k - 3}{2 (k - 1) a^{2}} \\int \\frac{du}{\\left(u^{2} + a^{2}\\right)^{k - 1}}')} ${values}`;
+                steps.push(`${formula}: ${inline(`${integralOf(arctangent.fraction)} = ${latex(arctangent.integral)}`)}`);
+            }
+            if (logarithm && arctangent) {
+                steps.push(`So ${inline(`${integralOf(piece.fraction)} = ${latex(piece.integral)}`)}`);
+            }
+            return steps;
+        }
+
+        // Steps for each trig term: a standard integral, an identity-based method or a trig substitution; null if none
+        trigSteps() {
+            const latex = ExpressionPrinter.toLatex;
+            const steps = [];
+            const solved = [];
+            for (const term of Expr.terms(this.tree)) {
+                const trig = TrigIntegrals.solve(term);
+                const substitution = !trig && TrigSubstitution.solve(term);
+                if (trig && TermShape.isLinearCall(term, Object.keys(ELEMENTARY_INTEGRALS))) {
+                    steps.push(`Use the standard integral: ${MathUtils.inlineMath(`${IntegrationProblem.integralLatex(term)} = ${latex(trig.result)}`)}`);
+                } else if (trig) {
+                    steps.push(...this.trigIntegralSteps(term, trig));
+                } else if (substitution) {
+                    steps.push(...this.trigSubstitutionSteps(term, substitution));
+                } else {
+                    continue;
+                }
+                solved.push({ term, result: (trig || substitution).result });
+            }
+            if (solved.length === 0) return null;
+            return this.concludeSteps(steps, solved);
+        }
+
+        // Steps for one product of trig powers, following the method TrigIntegrals chose
+        trigIntegralSteps(term, solution) {
+            const math = IntegrationProblem.math;
+            const latex = ExpressionPrinter.toLatex;
+            const { m, n, argument, linear, symbol, core } = solution;
+            const t = Expr.symbol(symbol);
+            const u = Expr.symbol('u');
+            const one = Expr.number(1);
+            const call = (name, power = 1) => power === 1 ? Expr.call(name, t) : Expr.pow(Expr.call(name, t), Expr.number(power));
+            const equation = (left, right) => MathUtils.inlineMath(`${latex(left)} = ${latex(right)}`);
+            const integralOf = (node, variable = symbol) => IntegrationProblem.integralLatex(node, variable);
+            const steps = [];
+
+            const rewritten = TrigIntegrals.expression(m, n, t, !!core.family);
+            if (symbol !== CONFIG.VARIABLE) {
+                steps.push(`Let ${equation(t, argument)}, so ${MathUtils.inlineMath(`d${symbol} = ${latex(Expr.number(linear.a))} \\, dx`)}`);
+                steps.push(`Work with ${MathUtils.inlineMath(integralOf(rewritten))}` +
+                    (linear.a.isOne() ? '' : `, then divide by ${math(Expr.number(linear.a))}`));
+            } else if (Expr.key(rewritten) !== Expr.key(Simplifier.simplify(Expr.div(term, solution.coefficient)))) {
+                steps.push(`Write the integrand as powers of trig functions: ${MathUtils.inlineMath(integralOf(rewritten))}`);
+            }
+
+            const family = core.family || {};
+            const [T, S] = [family.T, family.S];
+            switch (core.method) {
+                case 'odd-sin':
+                case 'odd-cos': {
+                    const [odd, other] = core.method === 'odd-sin' ? ['sin', 'cos'] : ['cos', 'sin'];
+                    steps.push(`${math(call(odd))} has an odd power: save one ${math(call(odd))} and rewrite the rest with ` +
+                        equation(call(odd, 2), Expr.sub(one, call(other, 2))));
+                    steps.push(`Let ${equation(u, call(other))}, so ${MathUtils.inlineMath(`du = ${odd === 'sin' ? '-' : ''}${latex(call(odd))} \\, d${symbol}`)}: ` +
+                        `the integral becomes ${MathUtils.inlineMath(`${integralOf(core.rewritten, 'u')} = ${latex(core.integral)}`)}`);
+                    steps.push(`Substitute back ${equation(u, call(other))}: ${math(core.result)}`);
+                    break;
+                }
+                case 'half-angle': {
+                    const double = Expr.call('cos', Expr.mul(Expr.number(2), t));
+                    steps.push(`Only even powers of sin and cos: lower them with ` +
+                        `${equation(call('sin', 2), Expr.div(Expr.sub(one, double), Expr.number(2)))} and ` +
+                        equation(call('cos', 2), Expr.div(Expr.add(one, double), Expr.number(2))));
+                    steps.push(`Expand: ${math(core.expansion)}`);
+                    steps.push(`Integrate term by term, lowering any even power of ${math(double)} the same way: ${math(core.result)}`);
+                    break;
+                }
+                case 'even-secant':
+                    steps.push(`${math(call(S))} has an even power: save ${math(call(S, 2))} for du and rewrite the rest with ` +
+                        equation(call(S, 2), Expr.add(one, call(T, 2))));
+                    steps.push(`Let ${equation(u, call(T))}, so ${MathUtils.inlineMath(`du = ${T === 'cot' ? '-' : ''}${latex(call(S, 2))} \\, d${symbol}`)}: ` +
+                        `the integral becomes ${MathUtils.inlineMath(`${integralOf(core.rewritten, 'u')} = ${latex(core.integral)}`)}`);
+                    steps.push(`Substitute back ${equation(u, call(T))}: ${math(core.result)}`);
+                    break;
+                case 'tangent-reduction': {
+                    const peeled = Simplifier.simplify(Expr.div(call(T, family.a - 1), Expr.number(T === 'cot' ? 1 - family.a : family.a - 1)));
+                    steps.push(`Use ${equation(call(T, 2), Expr.sub(call(S, 2), one))} to lower the power: ` +
+                        MathUtils.inlineMath(`${integralOf(call(T, family.a))} = ${latex(peeled)} - ${integralOf(Simplifier.simplify(call(T, family.a - 2)))}`));
+                    steps.push(`Repeat until the power is 0 or 1: ${math(core.result)}`);
+                    break;
+                }
+                case 'secant-reduction':
+                    if (family.k === 1) {
+                        steps.push(`Use the standard integral: ${MathUtils.inlineMath(`${integralOf(call(S))} = ${latex(core.result)}`)}`);
+                    } else {
+                        const k = family.k;
+                        const lower = call(S, k - 2);
+                        const boundary = Simplifier.simplify(Expr.mul(Expr.number(new Rational(S === 'csc' ? -1 : 1, k - 1)), lower, call(T)));
+                        steps.push(`Use the reduction formula ${MathUtils.inlineMath(`${integralOf(call(S, k))} = ${latex(boundary)} + ` +
+                            `${latex(Expr.number(new Rational(k - 2, k - 1)))} ${integralOf(lower)}`)}`);
+                        steps.push(`Repeat down to ${MathUtils.inlineMath(`${integralOf(call(S))} = ${latex(ELEMENTARY_INTEGRALS[S](t))}`)}: ${math(core.result)}`);
+                    }
+                    break;
+                case 'pythagorean': {
+                    // With a negative power of sec the integrand was written with sin and cos
+                    const [sin, cos] = T === 'cot' ? ['cos', 'sin'] : ['sin', 'cos'];
+                    const identity = family.k < 0
+                        ? equation(call(sin, 2), Expr.sub(one, call(cos, 2)))
+                        : equation(call(T, 2), Expr.sub(call(S, 2), one));
+                    steps.push(`Use ${identity} to split the integral: ` +
+                        MathUtils.inlineMath(`${integralOf(core.pieces[0])} - ${integralOf(core.pieces[1])}`));
+                    steps.push(`Integrate each piece: ${math(core.result)}`);
+                    break;
+                }
+            }
+
+            const whole = MathUtils.inlineMath(`${integralOf(term, CONFIG.VARIABLE)} = ${latex(solution.result)}`);
+            if (symbol !== CONFIG.VARIABLE) {
+                steps.push(`Substitute back ${equation(t, argument)}: ${whole}`);
+            } else if (!Expr.isNumber(solution.coefficient, 1)) {
+                steps.push(`Multiply by the constant factor: ${whole}`);
+            }
+            return steps;
+        }
+
+        // Steps for one trig substitution, ending with the reference triangle
+        trigSubstitutionSteps(term, solution) {
+            const math = IntegrationProblem.math;
+            const latex = ExpressionPrinter.toLatex;
+            const integralOf = IntegrationProblem.integralLatex;
+            const { kind, s, a, theta, integrand, integral, triangle, angle, result } = solution;
+            const substitution = TRIG_SUBSTITUTIONS[kind];
+            const x = Expr.symbol(CONFIG.VARIABLE);
+            const radical = Simplifier.simplify(Expr.pow(substitution.quadratic(solution.a2).scale(s.abs()).toExpression(),
+                Expr.number(new Rational(1, 2))));
+            const form = `\\sqrt{${substitution.form.replace(/²/g, '^2')}}`;
+            const scaled = s.abs().isOne() ? '' : ` = ${latex(Simplifier.squareRoot(s.abs()))} ${form}`;
+
+            return [
+                `The integrand contains ${MathUtils.inlineMath(`${latex(radical)}${scaled}`)}, of the form ${MathUtils.inlineMath(form)} ` +
+                    `with ${MathUtils.inlineMath(`a = ${latex(a)}`)}`,
+                `Substitute ${MathUtils.inlineMath(`x = ${latex(Simplifier.simplify(Expr.mul(a, Expr.call(kind, theta))))}`)}: ` +
+                    `${MathUtils.inlineMath(`dx = ${latex(Simplifier.simplify(Expr.mul(a, substitution.differential(theta))))} \\, d\\theta`)} and ` +
+                    MathUtils.inlineMath(`${latex(radical)} = ${latex(Simplifier.simplify(Expr.mul(Simplifier.squareRoot(s.abs()), a, substitution.radical(theta))))}`),
+                `Rewrite: ${MathUtils.inlineMath(`${integralOf(term)} = ${integralOf(integrand, '\\theta')}`)}`,
+                `Integrate in ${math(theta)}: ${math(integral)}`,
+                `Draw the reference triangle for ${MathUtils.inlineMath(`${latex(Expr.call(kind, theta))} = ${latex(Simplifier.simplify(Expr.div(x, a)))}`)}: ` +
+                    `opposite ${math(triangle.opposite)}, adjacent ${math(triangle.adjacent)}, hypotenuse ${math(triangle.hypotenuse)}`,
+                `Back-substitute ${MathUtils.inlineMath(`\\theta = ${latex(angle)}`)} and read the trig ratios off the triangle: ` +
+                    MathUtils.inlineMath(`${integralOf(term)} = ${latex(result)}`)
+            ];
+        }
+
+        // Concrete integration-by-parts steps for each product term, or null if none can be solved
+        partsSteps() {
+            const math = IntegrationProblem.math;
+            const latex = ExpressionPrinter.toLatex;
+            const integralOf = IntegrationProblem.integralLatex;
+            const solutions = Expr.terms(this.tree)
+                .filter(term => TECHNIQUE_DATA.parts.matches(term))
+                .map(term => ({ term, solution: IntegrationByParts.solve(term) }))
+                .filter(({ solution }) => solution);
+            if (solutions.length === 0) return null;
+
+            const steps = [];
+            for (const { term, solution } of solutions) {
+                const { coefficient, u, dv, derivatives, integrals, remainders } = solution;
+                const product = Simplifier.simplify(Expr.mul(u, dv));
+                const differential = (node) => Expr.isNumber(node, 1) ? 'dx' : `${latex(node)} \\, dx`;
+                const times = (factor) => Expr.isNumber(factor, -1) ? '-' : `${latex(factor)} `;
+                const [uClass, dvClass] = [u, dv].map(factor => LIATE.names[TermShape.liateClass(factor)]);
+                steps.push(`Identify the product: ${MathUtils.inlineMath(integralOf(term))}`);
+                if (!Expr.isNumber(coefficient, 1)) {
+                    steps.push(`Pull out the constant: ${MathUtils.inlineMath(`${integralOf(term)} = ${times(coefficient)}${integralOf(product)}`)}`);
+                }
+                steps.push(Expr.isNumber(dv, 1)
+                    ? `By LIATE, choose ${MathUtils.inlineMath(`u = ${latex(u)}`)} and ${MathUtils.inlineMath('dv = dx')}: there is nothing else to integrate`
+                    : `By LIATE, choose ${MathUtils.inlineMath(`u = ${latex(u)}`)} and ${MathUtils.inlineMath(`dv = ${differential(dv)}`)} ` +
+                        `(${uClass} comes before ${dvClass})`);
+                steps.push(`Differentiate u and integrate dv: ${MathUtils.inlineMath(`du = ${differential(derivatives[1])}`)} and ` +
+                    MathUtils.inlineMath(`v = ${latex(integrals[0])}`));
+                steps.push(`Apply ${MathUtils.inlineMath('\\int u \\, dv = uv - \\int v \\, du')}: ` +
+                    MathUtils.inlineMath(`${integralOf(product)} = ${latex(Simplifier.simplify(Expr.mul(u, integrals[0])))} - ${integralOf(remainders[0])}`));
+
+                if (solution.method === 'single') {
+                    const rest = Integrator.antiderivative(remainders[0], CONFIG.VARIABLE, { byParts: false });
+                    steps.push(`Integrate what remains: ${MathUtils.inlineMath(`${integralOf(remainders[0])} = ${latex(rest)}`)}`);
+                } else if (solution.method === 'tabular') {
+                    const products = integrals.map((integral, j) => `${j % 2 === 0 ? '+' : '-'} \\left(${latex(derivatives[j])}\\right) ` +
+                        `\\left(${latex(integral)}\\right)`);
+                    steps.push(`${math(u)} is a polynomial, so keep going with the tabular method: differentiate u until it reaches 0 and integrate dv just as many times`);
+                    steps.push(`Derivatives of u: ${MathUtils.inlineMath(derivatives.map(latex).join(' \\to '))}`);
+                    steps.push(`Integrals of dv: ${MathUtils.inlineMath(integrals.map(latex).join(' \\to '))}`);
+                    steps.push(`Multiply each derivative by the next integral with alternating signs: ` +
+                        MathUtils.inlineMath(products.join(' ').replace(/^\+ /, '')));
+                } else {
+                    const sign = Expr.number(solution.rounds % 2 === 0 ? 1 : -1);
+                    const boundary = Expr.add(...integrals.map((integral, j) =>
+                        Expr.mul(Expr.number(j % 2 === 0 ? 1 : -1), derivatives[j], integral)));
+                    const equation = Simplifier.simplify(Expr.add(boundary, Expr.mul(sign, solution.ratio, Expr.symbol('I'))));
+                    steps.push(`Apply parts again to ${MathUtils.inlineMath(integralOf(remainders[0]))} with ` +
+                        `${MathUtils.inlineMath(`u = ${latex(derivatives[1])}`)} and ${MathUtils.inlineMath(`dv = ${differential(integrals[0])}`)}: ` +
+                        `it equals ${MathUtils.inlineMath(`${latex(Simplifier.simplify(Expr.mul(derivatives[1], integrals[1])))} - ${integralOf(remainders[1])}`)}`);
+                    steps.push(`The original integral reappears: ` +
+                        MathUtils.inlineMath(`${integralOf(remainders[1])} = ${times(solution.ratio)}${integralOf(product)}`));
+                    steps.push(`Call the integral I and solve for it: ${MathUtils.inlineMath(`I = ${latex(equation)}`)}, ` +
+                        `so ${MathUtils.inlineMath(`I = ${latex(Simplifier.simplify(Expr.div(solution.result, coefficient)))}`)}`);
+                }
+                // Solving for I already gave the integral unless a constant was pulled out
+                if (solution.method !== 'cyclic' || !Expr.isNumber(coefficient, 1)) {
+                    steps.push(`So ${MathUtils.inlineMath(`${integralOf(term)} = ${latex(solution.result)}`)}`);
+                }
+            }
+            return this.concludeSteps(steps, solutions.map(({ term, solution }) => ({ term, result: solution.result })));
+        }
+
+        // Fundamental Theorem of Calculus steps appended for definite integrals
+        definiteSteps() {
+            const latex = ExpressionPrinter.toLatex;
+            const a = latex(this.bounds.lower);
+            const b = latex(this.bounds.upper);
+            const evaluation = this.evaluation;
+
+            if (evaluation.method === 'improper') {
+                return this.improperSteps();
+            }
+
+            if (evaluation.method === 'numeric') {
+                return [
+                    "No elementary antiderivative was found, so the Fundamental Theorem of Calculus can't be applied directly",
+                    `Approximate ${MathUtils.inlineMath(`\\int_{${a}}^{${b}} f(x) \\, dx`)} numerically with adaptive Gauss–Kronrod quadrature`,
+                    Number.isFinite(evaluation.value)
+                        ? `Result: ${MathUtils.inlineMath(`\\approx ${MathUtils.formatDecimal(evaluation.value)}`)}`
+                        : 'The integrand is undefined somewhere on the interval, so the integral has no finite value'
+                ];
+            }
+
+            const steps = [
+                this.antiderivativeStep(),
+                `Apply the Fundamental Theorem of Calculus: ${MathUtils.inlineMath(`\\int_{${a}}^{${b}} f(x) \\, dx = F(${b}) - F(${a})`)}`,
+                `Evaluate at the bounds: ${MathUtils.inlineMath(`F(${b}) = ${latex(evaluation.atUpper)}`)} and ` +
+                    MathUtils.inlineMath(`F(${a}) = ${latex(evaluation.atLower)}`)
+            ];
+            const decimal = MathUtils.formatDecimal(evaluation.value);
+            steps.push(`Subtract: ${MathUtils.inlineMath(ExpressionPrinter.toText(evaluation.exact) === decimal
+                ? decimal
+                : `${latex(evaluation.exact)} \\approx ${decimal}`)}`);
+            return steps;
+        }
+
+        // Names the antiderivative F, restating it only if the technique's steps didn't reach it
+        antiderivativeStep() {
+            const latex = ExpressionPrinter.toLatex(this.antiderivativeTree);
+            return this.steps.some(step => step.endsWith(`${latex} + C$</span>`))
+                ? `Call that antiderivative ${MathUtils.inlineMath('F(x)')}: the constant ${MathUtils.inlineMath('C')} cancels between the bounds`
+                : `Take the antiderivative ${MathUtils.inlineMath(`F(x) = ${latex}`)}`;
+        }
+
+        // Rewrites the integral as limits and decides each one, e.g. ∫ from 1 to ∞ of 1/x^2
+        improperSteps() {
+            const evaluation = this.evaluation;
+            const inline = MathUtils.inlineMath;
+            const point = ImproperIntegral.describeLatex;
+            const integral = (from, to) => `\\int_{${from}}^{${to}} f(x) \\, dx`;
+            const approach = (end, side) => Number.isFinite(end.value)
+                ? `${point(end)}^{${side > 0 ? '+' : '-'}}`
+                : point(end);
+            const letters = ['t', 's', 'u', 'v', 'w'];
+            const limitOf = (value) => Number.isFinite(value.value)
+                ? (value.exact ? ExpressionPrinter.toLatex(value.exact) : MathUtils.formatDecimal(value.value))
+                : (value.value > 0 ? '\\infty' : '-\\infty');
+
+            if (evaluation.tooManyAsymptotes) {
+                const [from, to] = evaluation.reversed ? [evaluation.upper, evaluation.lower] : [evaluation.lower, evaluation.upper];
+                const interval = `${Number.isFinite(from.value) ? '[' : '('}${point(from)}, ${point(to)}${Number.isFinite(to.value) ? ']' : ')'}`;
+                return [
+                    `This integral is improper: the integrand has more than ${CONFIG.ASYMPTOTE_LIMIT} vertical asymptotes on ${inline(interval)}`,
+                    "Each one would be a separate limit to decide, so whether the integral converges can't be decided here"
+                ];
+            }
+
+            const reasons = [];
+            ['lower', 'upper'].filter(end => !Number.isFinite(evaluation[end].value))
+                .forEach(end => reasons.push(`the ${end} bound is ${inline(point(evaluation[end]))}`));
+            if (evaluation.asymptotes.length > 0) {
+                const places = evaluation.asymptotes.map(asymptote => inline(`x = ${point(asymptote)}`)).join(' and ');
+                reasons.push(`the integrand has a vertical asymptote${evaluation.asymptotes.length > 1 ? 's' : ''} at ${places}`);
+            }
+
+            const [first, last] = [point(evaluation.pieces[0].from), point(evaluation.pieces[evaluation.pieces.length - 1].to)];
+            const limits = evaluation.pieces.map((piece, i) => {
+                const letter = letters[i % letters.length];
+                return piece.improperAt === 'upper'
+                    ? `\\lim_{${letter} \\to ${approach(piece.to, -1)}} ${integral(point(piece.from), letter)}`
+                    : `\\lim_{${letter} \\to ${approach(piece.from, 1)}} ${integral(letter, point(piece.to))}`;
+            });
+
+            const steps = [`This integral is improper: ${reasons.join(' and ')}`];
+            if (evaluation.reversed) {
+                steps.push(`The bounds are reversed, so ${inline(`${integral(last, first)} = -${integral(first, last)}`)}`);
+            }
+            steps.push(`Rewrite it as ${limits.length > 1 ? 'a sum of limits' : 'a limit'}: ${inline(`${integral(first, last)} = ${limits.join(' + ')}`)}`);
+            if (this.antiderivative) {
+                steps.push(this.antiderivativeStep());
+            }
+
+            evaluation.pieces.forEach((piece, i) => {
+                const letter = letters[i % letters.length];
+                const pieceIntegral = integral(point(piece.from), point(piece.to));
+                let outcome = `${inline(pieceIntegral)} diverges`;
+                if (piece.converges) {
+                    outcome = inline(piece.exact
+                        ? `${pieceIntegral} = ${ExpressionPrinter.toLatex(piece.exact)}`
+                        : `${pieceIntegral} \\approx ${MathUtils.formatDecimal(piece.value)}`);
+                }
+
+                if (piece.method === 'limit') {
+                    const [improperEnd, properEnd, side] = piece.improperAt === 'upper'
+                        ? [piece.to, piece.from, -1]
+                        : [piece.from, piece.to, 1];
+                    const [limit, fixed] = piece.improperAt === 'upper' ? [piece.upper, piece.lower] : [piece.lower, piece.upper];
+                    steps.push(`${inline(`\\lim_{${letter} \\to ${approach(improperEnd, side)}} F(${letter}) = ${limitOf(limit)}`)} and ` +
+                        `${inline(`F(${point(properEnd)}) = ${limitOf(fixed)}`)}, so ${outcome}`);
+                    return;
+                }
+
+                const end = piece.improperAt === 'upper' ? piece.to : piece.from;
+                const p = inline(`p = ${Number(piece.order.toFixed(2))}`);
+                const near = `Near ${inline(Number.isFinite(end.value) ? `x = ${point(end)}` : point(end))}`;
+                if (piece.method === 'oscillation') {
+                    steps.push(piece.converges === null
+                        ? `${near} the integrand keeps changing sign, and whether the areas between its zeros cancel out can't be decided numerically`
+                        : `${near} the integrand keeps changing sign, so the p-test doesn't apply; the areas between its zeros ` +
+                            (piece.converges ? `shrink and cancel like an alternating series, so ${outcome}` : `don't shrink, so ${outcome}`));
+                } else if (piece.order === Infinity) {
+                    steps.push(`${near} the integrand decays faster than every power ${inline('\\frac{1}{|x|^p}')}; ` +
+                        `by comparison with the p-test, ${outcome}`);
+                } else if (Number.isFinite(end.value)) {
+                    const distance = end.value === 0 ? '|x|' : `|x - ${point(end)}|`;
+                    steps.push(`${near} the integrand grows like ${inline(`\\frac{1}{${distance}^p}`)} with ${p}; ` +
+                        `by comparison with the p-test (converges for ${inline('p < 1')}), ${outcome}`);
+                } else {
+                    steps.push(`${near} the integrand behaves like ${inline('\\frac{1}{|x|^p}')} with ${p}; ` +
+                        `by comparison with the p-test (converges for ${inline('p > 1')}), ${outcome}`);
+                }
+            });
+
+            if (evaluation.converges === null) {
+                steps.push("So whether the integral converges can't be decided here");
+            } else if (!evaluation.converges) {
+                steps.push(evaluation.pieces.length > 1
+                    ? 'At least one piece diverges, so the whole integral diverges'
+                    : 'The limit is not a finite number, so the integral diverges');
+            } else {
+                const decimal = MathUtils.formatDecimal(evaluation.value);
+                const exact = evaluation.exact;
+                let result = `approximately ${inline(decimal)}`;
+                if (exact) {
+                    result = inline(ExpressionPrinter.toText(exact) === decimal ? decimal : `${ExpressionPrinter.toLatex(exact)} \\approx ${decimal}`);
+                }
+                steps.push(`Every limit exists, so the integral converges to ${result}`);
+            }
+            return steps;
+        }
+
+        // The same integrand over other bounds, e.g. to compare Riemann sums with the exact value
+        withBounds(bounds) {
+            const problem = new IntegrationProblem();
+            problem.setFunction(this.functionString, bounds);
+            return problem;
+        }
+
+        isValid() {
+            return this.functionString && this.functionString.trim() !== '';
+        }
+    }
+
+    // =============================================================================
+    // ANSWER VALIDATOR
+    // =============================================================================
+
+    /**
+     * Typical wrong antiderivatives, checked in order. A per-term `mistake`
+     * gets { term, antiderivative } for one term of the integrand and returns
+     * what a student making that error would write for it, or null when the
+     * error can't happen there; `answer` instead builds a whole wrong answer
+     * from the reference one. `allowOffset: false` means the wrong answer has
+     * no +C to absorb a constant.
+     */
+    const MISCONCEPTIONS = {
+        'trig-sign': {
+            label: 'Trig sign error',
+            mistake: ({ term, antiderivative }) => TermShape.isLinearCall(term, ['sin', 'cos']) ? Expr.neg(antiderivative) : null,
+            message: (term) => `Check the sign on ∫ ${term} dx. Remember ∫sin(x) dx = -cos(x) and ∫cos(x) dx = sin(x); differentiate your answer to see the difference.`
+        },
+        'forgot-divide': {
+            label: 'Forgot to divide by n+1',
+            mistake: ({ term, antiderivative }) => {
+                const exponent = MisconceptionModels.powerExponent(term);
+                return exponent && Expr.mul(antiderivative, Expr.number(exponent.add(1)));
+            },
+            message: (term) => `You raised the power in ${term} but didn't divide by the new exponent: ∫x^n dx = x^(n+1)/(n+1).`
+        },
+        'multiplied': {
+            label: 'Multiplied instead of divided',
+            mistake: ({ term, antiderivative }) => {
+                const exponent = MisconceptionModels.powerExponent(term);
+                const factor = exponent ? exponent.add(1) : MisconceptionModels.chainFactor(term);
+                return factor && Expr.mul(antiderivative, Expr.number(factor.mul(factor)));
+            },
+            message: (term) => `For ${term} you multiplied where you should divide. Integrating divides by the new exponent (or by the inner derivative); differentiating is what multiplies.`
+        },
+        'chain-factor': {
+            label: 'Missing chain-rule factor',
+            mistake: ({ term, antiderivative }) => {
+                const factor = MisconceptionModels.chainFactor(term);
+                return factor && Expr.mul(antiderivative, Expr.number(factor));
+            },
+            message: (term) => `You're missing a constant factor from the chain rule in ∫ ${term} dx. When you substitute u, du brings the inner derivative along: divide by it.`
+        },
+        'missing-abs': {
+            label: 'ln(x) instead of ln|x|',
+            answer: (reference) => Expr.map(reference, (node) =>
+                node.type === 'call' && node.name === 'ln' && node.args[0].type === 'call' && node.args[0].name === 'abs'
+                    ? Expr.call('ln', node.args[0].args[0])
+                    : node),
+            message: () => 'Almost! The antiderivative of 1/x is ln|x|, not ln(x). The absolute value keeps your answer defined where the argument is negative.'
+        },
+        'differentiated': {
+            label: 'Differentiated instead of integrated',
+            allowOffset: false,
+            // Constant terms differentiate to nothing, which reads as an omission rather than this slip
+            mistake: ({ term }) => Expr.dependsOn(term) ? Differentiator.derivative(term) : null,
+            message: (term, integrand) => `It looks like you differentiated instead of integrating. You need a function whose derivative is ${integrand}.`
+        }
+    };
+
+    // Helpers the MISCONCEPTIONS entries use to recognize the shape of a term
+    const MisconceptionModels = {
+        // n for a term c·x^n with n != -1, or null
+        powerExponent(term) {
+            const exponent = TermShape.exponentOfTerm(term);
+            return exponent && !exponent.equals(-1) && !exponent.isZero() ? exponent : null;
+        },
+
+        /**
+         * The constant a student forgets to divide by: a for f(ax + b) with
+         * a != 1, or the coefficient of du when the substitution leaves a
+         * fraction in front, as the 2 of du = 2x dx in ∫x·cos(x^2) dx = (1/2)∫cos(u) du.
+         */
+        chainFactor(term) {
+            const factor = TermShape.soleVariableFactor(term);
+            if (factor && (factor.type === 'call' || factor.type === 'pow')) {
+                const inner = factor.type === 'call' ? factor.args[0]
+                    : Expr.dependsOn(factor.exp) ? factor.exp : factor.base;
+                const linear = TermShape.linear(inner);
+                if (linear) return linear.a.isOne() ? null : linear.a;
+            }
+            const substitution = USubstitution.solve(term);
+            if (!substitution) return null;
+            const { coefficient } = Simplifier.splitCoefficient(Simplifier.simplify(substitution.rewritten));
+            if (coefficient.isInteger()) return null;
+            const scale = Simplifier.splitCoefficient(Simplifier.simplify(substitution.derivative)).coefficient.abs();
+            return scale.isOne() ? null : scale;
+        }
+    };
+
+    class AnswerValidator {
+        constructor(options = {}) {
+            this.options = { ...CONFIG.NUMERIC_CHECK, random: Math.random, ...options };
+        }
+
+        validateAnswer(userAnswer, problem, attempts = 1) {
+            if (!userAnswer || !userAnswer.trim()) {
+                return {
+                    isValid: false, isCorrect: false, type: 'empty',
+                    message: 'Please enter your answer first!', feedback: 'error'
+                };
+            }
+
+            const result = this.checkAnswer(userAnswer, problem);
+            result.attempts = attempts;
+            result.maxAttempts = problem.maxAttempts;
+            result.hasMoreAttempts = attempts < problem.maxAttempts;
+            return result;
+        }
+
+        /**
+         * Differentiates the student's antiderivative and compares it with the
+         * integrand, so any correct form is accepted, including ones that
+         * differ from the reference answer by a constant. When simplification
+         * can't decide (rewritten logs, trig identities) the numeric mode
+         * samples both sides instead; see CONFIG.NUMERIC_CHECK. A numeric-only
+         * check that finds no usable sample points falls back to simplification.
+         */
+        checkAnswer(userAnswer, problem) {
+            if (problem.isDefinite && problem.evaluation.converges === null) {
+                return {
+                    isValid: true, isCorrect: false, type: 'incorrect',
+                    message: "Whether this integral converges can't be decided automatically, so your answer can't be checked.",
+                    feedback: 'warning'
+                };
+            }
+            if (problem.isDefinite && AnswerValidator.claimsDivergence(userAnswer)) {
+                return this.checkDivergenceClaim(problem);
+            }
+
+            let answer;
+            try {
+                answer = this.parseAnswer(userAnswer);
+            } catch (error) {
+                if (!(error instanceof ParseError)) throw error;
+                return {
+                    isValid: false,
+                    isCorrect: false,
+                    type: 'invalid',
+                    message: `We couldn't read your answer: ${error.message}`,
+                    feedback: 'error'
+                };
+            }
+
+            if (problem.isDefinite) {
+                return this.checkDefiniteAnswer(userAnswer, answer, problem);
+            }
+
+            const derivative = Differentiator.derivative(answer);
+            const { mode } = this.options;
+            const sampled = mode === 'numeric' ? this.checkNumerically(answer, derivative, problem) : null;
+            if ((!sampled || !sampled.conclusive) &&
+                Rational.withinRange(() => Simplifier.isZero(Expr.sub(derivative, problem.tree)))) {
+                // ln(x) differentiates to 1/x too, but only covers x > 0
+                const slip = this.diagnose(answer, problem, ['missing-abs']);
+                return slip
+                    ? { isValid: true, isCorrect: false, type: 'partial', ...slip, feedback: 'warning' }
+                    : this.classifyCorrect(answer, problem);
+            }
+
+            const numericCheck = sampled || (mode === 'symbolic' ? null : this.checkNumerically(answer, derivative, problem));
+            if (numericCheck && numericCheck.equivalent) {
+                return { ...this.classifyCorrect(answer, problem), numericCheck };
+            }
+            
+            // Check for partial credit
+            const partialResult = this.checkPartialCredit(answer, derivative, problem);
+            if (partialResult.hasPartialCredit) {
+                return {
+                    isValid: true,
+                    isCorrect: false,
+                    type: 'partial',
+                    misconception: partialResult.misconception,
+                    label: partialResult.label,
+                    message: partialResult.message,
+                    feedback: 'warning',
+                    numericCheck
+                };
+            }
+            
+            const region = numericCheck && numericCheck.region;
+            return {
+                isValid: true,
+                isCorrect: false,
+                type: 'incorrect',
+                message: region
+                    ? `Not quite right: your answer is off for ${region}. Check your work and try again!`
+                    : 'Not quite right. Check your work and try again!',
+                feedback: 'error',
+                numericCheck
+            };
+        }
+
+        /**
+         * Definite integrals are numbers: accept the exact value in any form, or
+         * a decimal rounded to at least CONFIG.DECIMAL_PLACES places.
+         */
+        checkDefiniteAnswer(userAnswer, answer, problem) {
+            const expected = problem.evaluation.value;
+            const result = (isCorrect, type, message) => ({
+                isValid: true, isCorrect, type, message,
+                feedback: isCorrect ? 'success' : type === 'partial' ? 'warning' : 'error'
+            });
+
+            if (Expr.dependsOn(answer)) {
+                return result(false, 'incorrect',
+                    'A definite integral evaluates to a number, but your answer still contains x. Did you plug in the bounds?');
+            }
+
+            if (problem.evaluation.converges === false) {
+                return result(false, 'incorrect', 'Not quite right. This integral is improper: check whether its limit really exists.');
+            }
+
+            const value = Expr.evaluate(answer, this.constantScope(answer));
+            if (!Number.isFinite(expected) || !Number.isFinite(value)) {
+                return result(false, 'incorrect', 'Not quite right. Check your work and try again!');
+            }
+
+            const decimal = /^[+-]?\d*\.(\d+)$/.exec(userAnswer.trim());
+            const exactMatch = this.withinTolerance(value, expected, Math.abs(expected));
+
+            if (exactMatch && !decimal) {
+                const exact = problem.evaluation.exact;
+                return exact && Expr.key(Simplifier.simplify(answer)) === Expr.key(exact)
+                    ? result(true, 'exact', 'Perfect! Your answer is exactly correct.')
+                    : result(true, 'equivalent', 'Correct! Your answer is mathematically equivalent.');
+            }
+
+            if (decimal) {
+                const places = decimal[1].length;
+                const roundingError = 0.5 * 10 ** -places + this.options.absoluteTolerance;
+                if (exactMatch || Math.abs(value - expected) <= roundingError) {
+                    return places >= CONFIG.DECIMAL_PLACES || exactMatch
+                        ? result(true, 'equivalent', `Correct! Your decimal matches the exact value to ${places} places.`)
+                        : result(false, 'partial', `Close! Please give at least ${CONFIG.DECIMAL_PLACES} decimal places.`);
+                }
+            }
+
+            if (this.withinTolerance(value, -expected, Math.abs(expected)) && Math.abs(expected) > this.options.absoluteTolerance) {
+                return result(false, 'partial', 'Almost! Your answer has the wrong sign. Remember it is F(b) − F(a), upper bound first.');
+            }
+
+            return result(false, 'incorrect', 'Not quite right. Check your work and try again!');
+        }
+
+        // Answers such as "diverges", "DNE" or "∞" to a definite integral
+        static claimsDivergence(answer) {
+            return /^(diverges?|divergent|dne|does not exist|[+-]?\s*(inf|infinity|∞))$/i.test(answer.trim());
+        }
+
+        checkDivergenceClaim(problem) {
+            if (problem.evaluation.converges === false) {
+                return {
+                    isValid: true, isCorrect: true, type: 'exact',
+                    message: 'Correct! The limit is not a finite number, so this integral diverges.', feedback: 'success'
+                };
+            }
+            return {
+                isValid: true, isCorrect: false, type: 'incorrect',
+                message: 'Not quite right: this integral has a finite value. Evaluate the limit carefully.', feedback: 'error'
+            };
+        }
+
+        // Compares against the reference antiderivative when there is one, else compares F' with f
+        checkNumerically(answer, derivative, problem) {
+            const reference = problem.antiderivativeTree;
+            return reference
+                ? this.compareNumerically(answer, reference, { allowOffset: true })
+                : this.compareNumerically(derivative, problem.tree, { allowOffset: false });
+        }
+
+        /**
+         * Evaluates both expressions at random points of the sampling domain
+         * and checks that actual - expected is constant (or zero). Points where
+         * the expected side is undefined are outside the problem and skipped.
+         * Points where only the student's side is undefined are left out of the
+         * constant check but still reported, since that usually means a missing
+         * absolute value, as in ln(x) for ln|x|.
+         */
+        compareNumerically(actual, expected, { allowOffset }) {
+            const { samples, domain: [low, high], random } = this.options;
+            const scope = this.constantScope(actual, expected);
+            const points = [];
+
+            for (let i = 0; i < samples; i++) {
+                const x = low + (high - low) * random();
+                const values = { ...scope, [CONFIG.VARIABLE]: x };
+                const expectedValue = Expr.evaluate(expected, values);
+                if (!Number.isFinite(expectedValue)) continue;
+                const actualValue = Expr.evaluate(actual, values);
+                points.push({ x, actual: actualValue, expected: expectedValue, defined: Number.isFinite(actualValue) });
+            }
+
+            const defined = points.filter(point => point.defined);
+            if (defined.length < this.options.minimumValidSamples) {
+                return { equivalent: false, conclusive: false, samples: points.length, offset: 0, disagreements: [], region: null };
+            }
+
+            const offset = allowOffset ? this.commonOffset(defined) : 0;
+            points.forEach(point => {
+                point.agrees = point.defined && this.withinTolerance(point.actual - point.expected, offset,
+                    Math.max(Math.abs(point.actual), Math.abs(point.expected)));
+            });
+
+            const disagreements = points.filter(point => !point.agrees)
+                .map(({ x, actual: value, expected: reference }) => ({ x, actual: value, expected: reference }));
+            return {
+                equivalent: disagreements.length === 0,
+                conclusive: true,
+                samples: points.length,
+                offset,
+                disagreements,
+                region: AnswerValidator.describeRegion(points, this.options.minimumRegionSamples)
+            };
+        }
+
+        withinTolerance(value, target, scale) {
+            const { relativeTolerance, absoluteTolerance } = this.options;
+            return Math.abs(value - target) <= absoluteTolerance + relativeTolerance * Math.max(scale, Math.abs(target));
+        }
+
+        // Symbols other than x (k, a, ...) are arbitrary constants; pin them to 0
+        constantScope(...trees) {
+            const scope = {};
+            trees.forEach(tree => Expr.symbols(tree).forEach(name => {
+                if (name !== CONFIG.VARIABLE) scope[name] = 0;
+            }));
+            return scope;
+        }
+
+        /**
+         * The difference actual - expected that the most points share, so an
+         * answer right on part of the domain is measured against its own +C
+         * there. With no difference shared by two points there is no such
+         * constant, and the offset is 0.
+         */
+        commonOffset(points) {
+            const difference = (point) => point.actual - point.expected;
+            let best = { offset: 0, count: 1 };
+            for (const candidate of points) {
+                const offset = difference(candidate);
+                const count = points.filter(point => this.withinTolerance(difference(point), offset,
+                    Math.max(Math.abs(point.actual), Math.abs(point.expected)))).length;
+                if (count > best.count) best = { offset, count };
+            }
+            return best.offset;
+        }
+
+        /**
+         * Describes where the sampled points disagree, e.g. "x < 0" or
+         * "-3.2 < x < -1.05". Returns null when nothing or everything
+         * disagrees, and when the agreeing points are scattered rather than
+         * runs of at least `minimumRun` neighbours: then no interval is right.
+         */
+        static describeRegion(points, minimumRun = 1) {
+            const sorted = [...points].sort((a, b) => a.x - b.x);
+            const bad = sorted.filter(point => !point.agrees);
+            if (bad.length === 0 || bad.length === sorted.length) return null;
+
+            // Consecutive points that agree, or that don't
+            const runs = [];
+            sorted.forEach((point, i) => {
+                const previous = sorted[i - 1];
+                if (previous && previous.agrees === point.agrees) {
+                    const run = runs[runs.length - 1];
+                    run.end = point.x;
+                    run.count++;
+                } else {
+                    runs.push({ agrees: point.agrees, start: point.x, end: point.x, count: 1 });
+                }
+            });
+            if (runs.some(run => run.agrees && run.count < minimumRun)) return null;
+
+            const variable = CONFIG.VARIABLE;
+            if (sorted.every(point => point.agrees === (point.x > 0))) return `${variable} < 0`;
+            if (sorted.every(point => point.agrees === (point.x < 0))) return `${variable} > 0`;
+
+            const round = (value) => Number(value.toFixed(2));
+            return runs.filter(run => !run.agrees).slice(0, 3).map(({ start, end }) => start === end
+                ? `${variable} ≈ ${round(start)}`
+                : `${round(start)} < ${variable} < ${round(end)}`).join(' and ');
+        }
+
+        // Parses an answer, ignoring a trailing constant of integration
+        parseAnswer(answer) {
+            return ExpressionParser.parse(answer.trim().replace(/\+\s*(c|constant)$/i, ''));
+        }
+
+        classifyCorrect(answer, problem) {
+            const reference = problem.antiderivativeTree;
+            const difference = reference && Simplifier.expand(Expr.sub(answer, reference));
+
+            if (difference && Expr.isNumber(difference, 0)) {
+                return {
+                    isValid: true,
+                    isCorrect: true,
+                    type: 'exact',
+                    message: 'Perfect! Your answer is exactly correct.',
+                    feedback: 'success'
+                };
+            }
+
+            const offByConstant = difference && !Expr.dependsOn(difference);
+            return {
+                isValid: true,
+                isCorrect: true,
+                type: 'equivalent',
+                message: offByConstant
+                    ? 'Correct! Your answer differs from ours by a constant, which the +C absorbs.'
+                    : 'Correct! Your answer is mathematically equivalent.',
+                feedback: 'success'
+            };
+        }
+
+        /**
+         * Names the mistake behind a wrong answer: one of MISCONCEPTIONS, or a
+         * sign error on the whole answer. Each returns its own `misconception`
+         * key so partial credit can be reported per category.
+         */
+        checkPartialCredit(answer, derivative, problem) {
+            const diagnosis = this.diagnose(answer, problem);
+            if (diagnosis) {
+                return { hasPartialCredit: true, ...diagnosis };
+            }
+
+            // Antiderivative of the right shape but with the opposite sign
+            if (Simplifier.isZero(Expr.add(derivative, problem.tree))) {
+                return {
+                    hasPartialCredit: true,
+                    misconception: 'wrong-sign',
+                    label: 'Wrong sign',
+                    message: 'Almost! Your answer has the wrong sign. Differentiate it and compare with the integrand.'
+                };
+            }
+
+            return { hasPartialCredit: false };
+        }
+
+        // Tries each misconception on all the terms it applies to, then on each such term alone
+        diagnose(answer, problem, keys = Object.keys(MISCONCEPTIONS)) {
+            const reference = problem.antiderivativeTree;
+            if (!reference) return null;
+            const pieces = Expr.terms(problem.tree).map(term => ({ term, antiderivative: Integrator.antiderivative(term) }));
+            if (pieces.some(piece => !piece.antiderivative)) return null;
+            if (this.compareNumerically(answer, reference, { allowOffset: true }).equivalent) return null;
+
+            const text = ExpressionPrinter.toText;
+            const dropAbs = MISCONCEPTIONS['missing-abs'].answer;
+            let withoutAbs = false;
+            // A mistake may come with ln(u) for ln|u| too, as ln(2x + 1) for ∫1/(2x + 1) dx
+            const matches = (model, allowOffset) => [model, dropAbs(model)].some((candidate, i) => {
+                if (i > 0 && Expr.key(candidate) === Expr.key(model)) return false;
+                // A "mistake" that gives the right answer anyway isn't one
+                if (this.compareNumerically(candidate, reference, { allowOffset: true }).equivalent) return false;
+                const check = this.compareNumerically(answer, candidate, { allowOffset });
+                withoutAbs = i > 0;
+                return check.conclusive && check.equivalent;
+            });
+
+            for (const key of keys) {
+                const misconception = MISCONCEPTIONS[key];
+                const { allowOffset = true } = misconception;
+                const found = (term) => ({
+                    misconception: key,
+                    label: misconception.label,
+                    message: misconception.message(text(term), text(problem.tree)) +
+                        (withoutAbs ? ' Also keep the absolute value: ln|u|, not ln(u).' : '')
+                });
+
+                if (misconception.answer) {
+                    if (matches(misconception.answer(reference), allowOffset)) return found(problem.tree);
+                    continue;
+                }
+
+                const mistakes = pieces.map(piece => misconception.mistake(piece));
+                const affected = pieces.filter((_, i) => mistakes[i]);
+                if (affected.length === 0) continue;
+
+                const swap = (only) => Expr.add(...pieces.map((piece, i) =>
+                    mistakes[i] && (only === null || only === i) ? mistakes[i] : piece.antiderivative));
+                if (matches(swap(null), allowOffset)) {
+                    return found(affected.length === 1 ? affected[0].term : problem.tree);
+                }
+                if (affected.length > 1) {
+                    const single = mistakes.findIndex((mistake, i) => mistake && matches(swap(i), allowOffset));
+                    if (single >= 0) return found(pieces[single].term);
+                }
+            }
+            return null;
+        }
+    }
+
+    // =============================================================================
+    // WORKED SOLUTIONS
+    // =============================================================================
+
+    // Uppercase letters that stand in for integrals while a line is parsed; none starts a function or constant name
+    const INTEGRAL_PLACEHOLDERS = ['Q', 'W', 'Y', 'Z', 'K', 'J', 'V'];
+
+    /**
+     * A student's work, one line at a time. A line is a substitution
+     * ("u = x^2"), its differential ("du = 2x dx"), or an expression that may
+     * still contain integrals ("x e^x - ∫ e^x dx", "∫ cos(u) du", "sin(u) + C").
+     * Expression lines all stand for the same antiderivative, so a step is
+     * valid when its line differentiates, in x and with substitutions undone,
+     * to the same function as the line before. The integrand comes first.
+     * Only indefinite integrals are checked: the lines have no way to apply
+     * bounds or take limits.
+     */
+    class WorkedSolution {
+        constructor(validator = new AnswerValidator()) {
+            this.validator = validator;
+        }
+
+        static supports(problem) {
+            return !problem.isDefinite;
+        }
+
+        /**
+         * Returns { results, firstInvalid, finished }: one AnswerValidator-style
+         * result per line up to and including the first that doesn't follow
+         * (firstInvalid is its index, or -1), and whether the last line checked
+         * is an antiderivative with no integrals left in it.
+         */
+        check(lines, problem) {
+            if (!WorkedSolution.supports(problem)) {
+                throw new RangeError('Worked solutions can only be checked for indefinite integrals');
+            }
+            const substitutions = new Map();
+            const results = [];
+            let previous = { derivative: problem.tree, label: 'the integrand' };
+            let finished = false;
+
+            for (const [i, text] of lines.entries()) {
+                let result;
+                try {
+                    const line = WorkedSolution.parseLine(text, substitutions);
+                    if (line.kind === 'substitution') {
+                        substitutions.set(line.symbol, line.tree);
+                        result = {
+                            isValid: true, isCorrect: true, type: 'definition', feedback: 'info',
+                            message: `Substitution: from here on ${line.symbol} stands for ${ExpressionPrinter.toText(line.tree)}.`
+                        };
+                    } else if (line.kind === 'differential') {
+                        result = this.checkDifferential(line, substitutions);
+                    } else {
+                        const derivative = WorkedSolution.derivative(line, substitutions);
+                        result = this.checkStep(derivative, previous, line.integrals.length === 0);
+                        if (result.isCorrect && line.integrals.length === 0) {
+                            result = this.checkFinal(line.tree, substitutions, problem) || result;
+                        }
+                        previous = { derivative, label: `line ${i + 1}` };
+                        finished = result.isCorrect && line.integrals.length === 0;
+                    }
+                } catch (error) {
+                    if (!(error instanceof ParseError)) throw error;
+                    result = {
+                        isValid: false, isCorrect: false, type: 'invalid', feedback: 'error',
+                        message: `We couldn't read this line: ${error.message}`
+                    };
+                }
+                results.push({ line: i + 1, text, ...result });
+                if (!result.isCorrect) {
+                    return { results, firstInvalid: i, finished: false };
+                }
+            }
+            return { results, firstInvalid: -1, finished };
+        }
+
+        // Both lines must differentiate to the same function; a constant factor apart earns a pointer to it
+        checkStep(derivative, previous, closed) {
+            if (this.equivalent(derivative, previous.derivative)) {
+                return {
+                    isValid: true, isCorrect: true, type: 'equivalent', feedback: 'success',
+                    message: closed
+                        ? 'Valid step. No integrals are left, so this is your antiderivative: add +C and you are done!'
+                        : `Valid step: this line still equals ${previous.label}.`
+                };
+            }
+
+            const ratio = Simplifier.simplify(Expr.div(derivative, previous.derivative));
+            if (ratio.type === 'number' && !ratio.value.isZero()) {
+                return {
+                    isValid: true, isCorrect: false, type: 'partial', label: 'Constant factor', feedback: 'warning',
+                    message: `This step doesn't follow from ${previous.label}: it is ${ratio.value} times what it should be. ` +
+                        'Check the constants, such as the factor that du brings in or one you pulled out of the integral.'
+                };
+            }
+
+            const numericCheck = this.validator.options.mode === 'symbolic'
+                ? null
+                : this.validator.compareNumerically(derivative, previous.derivative, { allowOffset: false });
+            const region = numericCheck && numericCheck.region;
+            return {
+                isValid: true, isCorrect: false, type: 'incorrect', feedback: 'error', numericCheck,
+                message: `This step doesn't follow from ${previous.label}` + (region ? `: they differ for ${region}.` : '.')
+            };
+        }
+
+        // A finished line is graded like the answer box, which also catches slips such as ln(x) for ln|x|
+        checkFinal(tree, substitutions, problem) {
+            const answer = ExpressionPrinter.toText(WorkedSolution.substituteBack(tree, substitutions));
+            const result = this.validator.checkAnswer(answer, problem);
+            return result.isCorrect ? null : result;
+        }
+
+        checkDifferential({ symbol, tree }, substitutions) {
+            if (!substitutions.has(symbol)) {
+                throw new ParseError(`Define ${symbol} before its differential, e.g. "${symbol} = ..." on an earlier line`, 0);
+            }
+            const expected = Differentiator.derivative(WorkedSolution.substituteBack(substitutions.get(symbol), substitutions));
+            const text = ExpressionPrinter.toText;
+            return this.equivalent(WorkedSolution.substituteBack(tree, substitutions), expected)
+                ? { isValid: true, isCorrect: true, type: 'exact', feedback: 'success', message: `Correct: d${symbol} = ${text(expected)} dx.` }
+                : {
+                    isValid: true, isCorrect: false, type: 'incorrect', feedback: 'error',
+                    message: `d${symbol} should be the derivative of ${text(substitutions.get(symbol))} times dx.`
+                };
+        }
+
+        // Symbolic when simplification settles it, else sampled as in AnswerValidator
+        equivalent(actual, expected) {
+            const { mode } = this.validator.options;
+            const symbolic = () => Rational.withinRange(() => Simplifier.isZero(Expr.sub(actual, expected)));
+            if (mode !== 'numeric' && symbolic()) return true;
+            if (mode === 'symbolic') return false;
+            const check = this.validator.compareNumerically(actual, expected, { allowOffset: false });
+            return check.conclusive ? check.equivalent : mode === 'numeric' && symbolic();
+        }
+
+        static parseLine(text, substitutions) {
+            const line = text.trim();
+            if (!line) {
+                throw new ParseError('Line is empty', 0);
+            }
+
+            const differential = /^d([a-zA-Z])\s*=\s*(.+?)\s*\*?\s*dx$/.exec(line);
+            if (differential) {
+                return { kind: 'differential', symbol: differential[1], tree: ExpressionParser.parse(differential[2]) };
+            }
+
+            const definition = /^([a-zA-Z])\s*=\s*(.+)$/.exec(line);
+            if (definition) {
+                const [, symbol, value] = definition;
+                if (symbol === CONFIG.VARIABLE) {
+                    throw new ParseError(`Write substitutions the other way round, as u = (an expression in ${CONFIG.VARIABLE})`, 0);
+                }
+                if (substitutions.has(symbol) || INTEGRAL_PLACEHOLDERS.includes(symbol)) {
+                    throw new ParseError(`${symbol} is already taken; pick another letter for the substitution`, 0);
+                }
+                const tree = ExpressionParser.parse(value);
+                if (!Expr.dependsOn(WorkedSolution.substituteBack(tree, substitutions))) {
+                    throw new ParseError(`A substitution must depend on ${CONFIG.VARIABLE}`, line.indexOf('=') + 1);
+                }
+                return { kind: 'substitution', symbol, tree };
+            }
+
+            if (line.includes('=')) {
+                throw new ParseError('Write one expression per line; use "=" only to define a substitution such as u = x^2', line.indexOf('='));
+            }
+            return { kind: 'expression', ...WorkedSolution.parseIntegrals(line) };
+        }
+
+        /**
+         * Replaces each "∫ ... dx" (or "int ... du") with a placeholder symbol so
+         * the rest of the line parses as an ordinary expression. Returns
+         * { tree, integrals: [{ symbol, integrand, variable }] }.
+         */
+        static parseIntegrals(line) {
+            const placeholders = INTEGRAL_PLACEHOLDERS.filter(letter => !line.includes(letter));
+            const integrals = [];
+            let source = '';
+            let rest = line;
+            let offset = 0;
+
+            for (let start = /∫|\bint\b/.exec(rest); start; start = /∫|\bint\b/.exec(rest)) {
+                const bodyStart = start.index + start[0].length;
+                const end = WorkedSolution.findDifferential(rest, bodyStart);
+                if (!end) {
+                    throw new ParseError('An integral needs a differential such as dx or du at its end, after a space', offset + start.index);
+                }
+                if (integrals.length === placeholders.length) {
+                    throw new ParseError('Too many integrals on one line', offset + start.index);
+                }
+                const body = rest.slice(bodyStart, end.index).trim();
+                let integrand;
+                try {
+                    integrand = body ? ExpressionParser.parse(body) : Expr.number(1);
+                } catch (error) {
+                    if (!(error instanceof ParseError)) throw error;
+                    throw new ParseError(`inside the integral, ${error.message}`, offset + bodyStart);
+                }
+                const symbol = placeholders[integrals.length];
+                integrals.push({ symbol, integrand, variable: end.variable });
+                source += `${rest.slice(0, start.index)} (${symbol}) `;
+                offset += end.index + 2;
+                rest = rest.slice(end.index + 2);
+            }
+            return { tree: ExpressionParser.parse(source + rest), integrals };
+        }
+
+        // The "dx" that closes an integral: a d and one letter, outside parentheses and not inside a word
+        static findDifferential(text, from) {
+            let depth = 0;
+            for (let i = from; i < text.length; i++) {
+                const char = text[i];
+                if ('(['.includes(char)) {
+                    depth++;
+                } else if (')]'.includes(char)) {
+                    depth--;
+                } else if (char === 'd' && depth === 0) {
+                    const match = /^d([a-zA-Z])(?![a-zA-Z(])/.exec(text.slice(i));
+                    const before = i === from ? ' ' : text[i - 1];
+                    if (match && /[\s)*·\d]/.test(before)) {
+                        return { index: i, variable: match[1] };
+                    }
+                }
+            }
+            return null;
+        }
+
+        // Undoes substitutions, latest first, so u = x^2 followed by w = u + 1 unwinds to x
+        static substituteBack(node, substitutions) {
+            return [...substitutions].reverse()
+                .reduce((tree, [symbol, value]) => Expr.substitute(tree, symbol, value), node);
+        }
+
+        /**
+         * d/dx of an expression line. Each integral contributes its integrand,
+         * times du/dx when it is taken in a substitution variable, so integrals
+         * may only be added or scaled by constants.
+         */
+        static derivative({ tree, integrals }, substitutions) {
+            const variable = CONFIG.VARIABLE;
+            const placeholders = integrals.map(integral => integral.symbol);
+            const closed = placeholders.reduce((node, symbol) => Expr.substitute(node, symbol, Expr.number(0)), tree);
+            const parts = [Differentiator.derivative(WorkedSolution.substituteBack(closed, substitutions))];
+
+            for (const { symbol, integrand, variable: differential } of integrals) {
+                const coefficient = Differentiator.derivative(tree, symbol);
+                const symbols = Expr.symbols(coefficient);
+                if ([variable, ...placeholders, ...substitutions.keys()].some(name => symbols.has(name))) {
+                    throw new ParseError('An integral can only be added to the rest of the line or multiplied by a constant', 0);
+                }
+                if (differential !== variable && !substitutions.has(differential)) {
+                    throw new ParseError(`Define ${differential} before integrating with d${differential}, e.g. "${differential} = ..." on an earlier line`, 0);
+                }
+                const inner = WorkedSolution.substituteBack(integrand, substitutions);
+                const chain = differential === variable
+                    ? Expr.number(1)
+                    : Differentiator.derivative(WorkedSolution.substituteBack(Expr.symbol(differential), substitutions));
+                parts.push(Expr.mul(coefficient, inner, chain));
+            }
+            return Simplifier.simplify(Expr.add(...parts));
+        }
+    }
+
+    // =============================================================================
+    // PROBLEM GENERATOR
+    // =============================================================================
+
+    /**
+     * Small deterministic PRNG (mulberry32), so a seed reproduces the same
+     * problems in every browser.
+     */
+    class SeededRandom {
+        constructor(seed) {
+            this.state = seed >>> 0;
+        }
+
+        // One stream per problem, so problem 7 of a seed doesn't depend on how problems 1-6 were drawn
+        static mix(seed, index) {
+            return (Math.imul(seed >>> 0, 2654435761) ^ Math.imul(index + 1, 2246822519)) >>> 0;
+        }
+
+        next() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        int(min, max) {
+            return min + Math.floor(this.next() * (max - min + 1));
+        }
+
+        pick(items) {
+            return items[Math.floor(this.next() * items.length)];
+        }
+
+        // "+ n" or "- n", for building sums
+        plusOrMinus(n) {
+            return this.next() < 0.5 ? `+ ${n}` : `- ${n}`;
+        }
+
+        // Distinct nonzero integers in [-limit, limit]
+        distinct(count, limit) {
+            const values = [];
+            while (values.length < count) {
+                const value = this.int(-limit, limit);
+                if (value !== 0 && !values.includes(value)) values.push(value);
+            }
+            return values;
+        }
+    }
+
+    const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+    // x - r as text, e.g. "x + 3" for r = -3
+    const linearFactor = (r) => r < 0 ? `x + ${-r}` : `x - ${r}`;
+
+    // Expanded polynomial with the given roots, e.g. "x^2 - x - 6" for [3, -2]
+    const polynomialFromRoots = (roots) => ExpressionPrinter.toText(roots
+        .reduce((product, r) => product.mul(new Polynomial([-r, 1])), new Polynomial([1]))
+        .toExpression());
+
+    /**
+     * Integrand templates for each technique and difficulty tier. Each takes a
+     * SeededRandom and returns integrand text; ProblemGenerator keeps only the
+     * ones the assistant can solve with the intended technique.
+     */
+    const PROBLEM_TEMPLATES = {
+        power: {
+            Easy: [
+                (r) => `${r.int(1, 9)}x^${r.int(2, 6)}`,
+                (r) => `${r.int(2, 9)}x ${r.plusOrMinus(r.int(1, 9))}`
+            ],
+            Medium: [
+                (r) => `${r.int(1, 6)}x^${r.int(3, 5)} ${r.plusOrMinus(r.int(1, 9))}x^2 ${r.plusOrMinus(r.int(1, 9))}`,
+                (r) => `${r.int(2, 5)}x^3 ${r.plusOrMinus(r.int(1, 9))}x ${r.plusOrMinus(r.int(1, 9))}`
+            ],
+            Hard: [
+                (r) => `${r.int(2, 6)}sqrt(x) ${r.plusOrMinus(r.int(1, 5))}/x^${r.int(2, 4)}`,
+                (r) => `${r.int(1, 5)}x^(${r.pick(['1/3', '2/3', '3/2', '5/2', '4/3'])}) ${r.plusOrMinus(r.int(1, 9))}`,
+                (r) => `(${r.int(2, 4)}x ${r.plusOrMinus(r.int(1, 5))})^${r.int(2, 3)}`
+            ]
+        },
+        trig: {
+            Easy: [
+                (r) => `${r.int(1, 9)}sin(x)`,
+                (r) => `${r.int(1, 9)}cos(x)`,
+                (r) => `${r.int(1, 5)}sec(x)^2`
+            ],
+            Medium: [
+                (r) => `sin(${r.int(2, 6)}x)`,
+                (r) => `${r.int(2, 5)}cos(${r.int(2, 4)}x ${r.plusOrMinus(r.int(1, 3))})`,
+                (r) => `${r.pick(['sin', 'cos'])}(x)^2`,
+                (r) => `${r.pick(['sin', 'cos'])}(x)^3`,
+                (r) => `${r.pick(['tan', 'cot'])}(x)`
+            ],
+            Hard: [
+                (r) => `sin(x)^${r.pick([3, 5])}*cos(x)^${r.pick([2, 4])}`,
+                (r) => `sin(x)^2*cos(x)^2`,
+                (r) => `tan(x)^${r.int(3, 4)}`,
+                (r) => `sec(x)^3`,
+                (r) => `sqrt(${r.int(2, 5) ** 2} - x^2)`,
+                (r) => `1/sqrt(x^2 + ${r.int(2, 5) ** 2})`
+            ]
+        },
+        exponential: {
+            Easy: [
+                () => 'e^x',
+                (r) => `${r.int(2, 9)}e^x`,
+                (r) => `e^(${r.int(2, 5)}x)`
+            ],
+            Medium: [
+                (r) => `${r.int(2, 6)}e^(${r.int(2, 5)}x ${r.plusOrMinus(r.int(1, 4))})`,
+                (r) => `e^(-${r.int(2, 5)}x)`,
+                (r) => `${r.pick([2, 3, 5, 10])}^x`,
+                (r) => `${r.pick(['sinh', 'cosh'])}(${r.int(2, 4)}x)`
+            ],
+            Hard: [
+                (r) => `${r.int(2, 6)}e^(${r.int(2, 5)}x) ${r.plusOrMinus(r.int(2, 9))}x^2`,
+                (r) => `${r.int(2, 5)}*${r.pick([2, 3, 5])}^x ${r.plusOrMinus('')}e^(-${r.int(2, 4)}x)`,
+                (r) => `cosh(${r.int(2, 4)}x) + sinh(x)`
+            ]
+        },
+        logarithmic: {
+            Easy: [
+                (r) => `${r.int(1, 9)}/x`,
+                (r) => `1/(${r.int(2, 9)}x)`
+            ],
+            Medium: [
+                (r) => `1/(${r.int(2, 6)}x ${r.plusOrMinus(r.int(1, 9))})`,
+                (r) => `${r.int(2, 9)}/(x ${r.plusOrMinus(r.int(1, 9))})`
+            ],
+            Hard: [
+                (r) => `${r.int(2, 9)}/(${r.int(2, 5)}x ${r.plusOrMinus(r.int(1, 9))}) ${r.plusOrMinus(r.int(2, 9))}x`,
+                (r) => `1/x ${r.plusOrMinus('')}${r.int(2, 6)}/(x ${r.plusOrMinus(r.int(1, 9))})`
+            ]
+        },
+        substitution: {
+            Easy: [
+                (r) => `${2 * r.int(1, 4)}x*e^(x^2)`,
+                (r) => `${2 * r.int(1, 4)}x*${r.pick(['sin', 'cos'])}(x^2)`,
+                () => 'cos(x)*e^(sin(x))',
+                (r) => `2x/(x^2 + ${r.int(1, 9)})`
+            ],
+            Medium: [
+                () => 'x*e^(x^2)',
+                (r) => `x^2*${r.pick(['sin', 'cos'])}(x^3)`,
+                (r) => `x/(x^2 + ${r.int(1, 9)})`,
+                () => 'ln(x)/x'
+            ],
+            Hard: [
+                (r) => `x*sqrt(x^2 + ${r.int(1, 9)})`,
+                (r) => `e^x/(e^x + ${r.int(1, 9)})`,
+                (r) => `x^2/(x^3 + ${r.int(1, 9)})^${r.int(2, 3)}`,
+                () => 'sin(x)*e^(cos(x))',
+                () => 'ln(x)^2/x'
+            ]
+        },
+        parts: {
+            Easy: [
+                (r) => `${r.int(1, 5)}x*e^x`,
+                (r) => `${r.int(1, 5)}x*${r.pick(['sin', 'cos'])}(x)`,
+                (r) => `${r.int(1, 5)}ln(x)`
+            ],
+            Medium: [
+                (r) => `x*e^(${r.int(2, 4)}x)`,
+                (r) => `${r.int(2, 5)}x*cos(${r.int(2, 4)}x)`,
+                () => 'x*ln(x)',
+                () => 'x^2*e^x'
+            ],
+            Hard: [
+                (r) => `x^2*${r.pick(['sin', 'cos'])}(x)`,
+                () => 'x^3*e^x',
+                (r) => `e^x*${r.pick(['sin', 'cos'])}(x)`,
+                (r) => `e^(${r.int(2, 3)}x)*sin(x)`,
+                () => 'arctan(x)',
+                () => 'x^2*ln(x)'
+            ]
+        },
+        partial: {
+            Easy: [
+                (r) => {
+                    const [a, b] = r.distinct(2, 4);
+                    return `1/((${linearFactor(a)})(${linearFactor(b)}))`;
+                }
+            ],
+            Medium: [
+                (r) => `(${r.int(1, 5)}x ${r.plusOrMinus(r.int(1, 9))})/(${polynomialFromRoots(r.distinct(2, 4))})`,
+                (r) => `${r.int(1, 9)}/(${polynomialFromRoots(r.distinct(2, 4))})`
+            ],
+            Hard: [
+                (r) => {
+                    const [a, b] = r.distinct(2, 3);
+                    return `${r.int(1, 5)}/(${polynomialFromRoots([a, a, b])})`;
+                },
+                (r) => {
+                    const [b, c] = [r.int(1, 3), r.int(1, 3)];
+                    return `(${r.int(1, 4)}x ${r.plusOrMinus(r.int(1, 9))})/(x^2 + ${2 * b}x + ${b * b + c * c})`;
+                },
+                (r) => `(x^3 ${r.plusOrMinus(r.int(1, 9))})/(${polynomialFromRoots(r.distinct(2, 3))})`
+            ]
+        }
+    };
+
+    /**
+     * Produces practice integrands by technique and difficulty. Problem
+     * `index` of a seed is always the same, so a teacher can hand out a seed
+     * and every student gets the same set. Each problem is kept only when the
+     * assistant recommends the intended technique and its own answer checks
+     * out, so every generated problem comes with a computable answer.
+     */
+    class ProblemGenerator {
+        // A seed for when the student didn't give one
+        static randomSeed() {
+            return 1 + Math.floor(Math.random() * (CONFIG.GENERATOR.SEED_RANGE - 1));
+        }
+
+        /**
+         * An empty technique or difficulty is chosen at random, from the seed.
+         * Integrands in `exclude`, those already handed out, are drawn again;
+         * one is repeated only when no new one turns up, as when a tier has
+         * fewer distinct problems than were asked for.
+         */
+        static generate({ seed, index = 0, technique = '', difficulty = '', exclude = [] }) {
+            if (!Number.isSafeInteger(seed) || seed < 1) {
+                throw new RangeError(`The seed must be a positive whole number, got ${JSON.stringify(seed)}`);
+            }
+            const random = new SeededRandom(SeededRandom.mix(seed, index));
+            const chosen = technique || random.pick(Object.keys(PROBLEM_TEMPLATES));
+            const tier = difficulty || random.pick(DIFFICULTIES);
+            const templates = PROBLEM_TEMPLATES[chosen] && PROBLEM_TEMPLATES[chosen][tier];
+            if (!templates) {
+                throw new RangeError(`No problem templates for technique "${chosen}" at difficulty "${tier}"`);
+            }
+
+            const generated = (integrand, problem) =>
+                ({ seed, index, technique: chosen, difficulty: tier, integrand, answer: problem.antiderivative });
+            let repeat = null;
+            for (let attempt = 0; attempt < CONFIG.GENERATOR.MAX_ATTEMPTS; attempt++) {
+                const integrand = ExpressionPrinter.toText(ExpressionParser.parse(random.pick(templates)(random)));
+                if (exclude.includes(integrand)) {
+                    repeat = repeat || integrand;
+                    continue;
+                }
+                const problem = ProblemGenerator.check(integrand, chosen, random);
+                if (problem) return generated(integrand, problem);
+            }
+            const problem = repeat && ProblemGenerator.check(repeat, chosen, random);
+            if (problem) return generated(repeat, problem);
+            throw new Error(`Could not generate a ${tier} ${chosen} problem for seed ${seed}`);
+        }
+
+        // Problems 0 to count - 1 of a seed, each different from the ones before it where the templates allow
+        static generateSet({ seed, count = CONFIG.EXPORT_SET_SIZE, technique = '', difficulty = '' }) {
+            if (!Number.isSafeInteger(count) || count < 0) {
+                throw new RangeError(`The problem count must be a whole number, got ${JSON.stringify(count)}`);
+            }
+            const set = [];
+            for (let index = 0; index < count; index++) {
+                const exclude = set.map(problem => problem.integrand);
+                set.push(ProblemGenerator.generate({ seed, index, technique, difficulty, exclude }));
+            }
+            return set;
+        }
+
+        /**
+         * The analyzed problem when it is solved with the intended technique
+         * and its answer checks out, else null. The check samples points from
+         * `random`, the generator's own stream, so a seed always gives the
+         * same problems.
+         */
+        static check(integrand, technique, random) {
+            const problem = new IntegrationProblem();
+            problem.setFunction(integrand);
+            if (problem.technique !== technique || !problem.antiderivative) return null;
+            const validator = new AnswerValidator({ random: () => random.next() });
+            return validator.checkAnswer(problem.antiderivative, problem).isCorrect ? problem : null;
+        }
+    }
+
+    // =============================================================================
+    // PRACTICE HISTORY
+    // =============================================================================
+
+    /**
+     * History stores share one interface: load() returns the saved records,
+     * save(records) replaces them and clear() removes them.
+     */
+    class LocalHistoryStore {
+        constructor(storage, key = CONFIG.HISTORY.STORAGE_KEY) {
+            this.storage = storage;
+            this.key = key;
+        }
+
+        load() {
+            try {
+                const records = JSON.parse(this.storage.getItem(this.key) || '[]');
+                return Array.isArray(records) ? records : [];
+            } catch (error) {
+                console.warn('Practice history is unreadable and was ignored:', error);
+                return [];
+            }
+        }
+
+        save(records) {
+            try {
+                this.storage.setItem(this.key, JSON.stringify(records));
+            } catch (error) {
+                // Quota exceeded or storage switched off mid-session: keep practising without saving
+                console.warn('Practice history could not be saved:', error);
+            }
+        }
+
+        clear() {
+            this.storage.removeItem(this.key);
+        }
+    }
+
+    // For Node, and for browsers that block localStorage (private windows, some file:// pages)
+    class MemoryHistoryStore {
+        constructor(records = []) {
+            this.records = records;
+        }
+
+        load() {
+            return this.records.slice();
+        }
+
+        save(records) {
+            this.records = records.slice();
+        }
+
+        clear() {
+            this.records = [];
+        }
+    }
+
+    /**
+     * Every attempted problem, with per-technique mastery statistics. A record
+     * is { date, integrand, bounds, technique, chosenTechnique, difficulty,
+     * hints, steps, totalSteps, attempts, outcome, seconds } where outcome is
+     * 'solved', 'failed' (out of attempts) or 'abandoned' (left for another
+     * problem).
+     */
+    class PracticeHistory {
+        constructor(store = new MemoryHistoryStore()) {
+            this.store = store;
+        }
+
+        records() {
+            return this.store.load();
+        }
+
+        // Oldest records are dropped beyond CONFIG.HISTORY.MAX_RECORDS
+        record(entry) {
+            const records = this.records();
+            records.push(entry);
+            this.store.save(records.slice(-CONFIG.HISTORY.MAX_RECORDS));
+        }
+
+        clear() {
+            this.store.clear();
+        }
+
+        export() {
+            return JSON.stringify({ version: 1, exported: new Date().toISOString(), records: this.records() }, null, 2);
+        }
+
+        // One row per technique practised, in TECHNIQUE_DATA order
+        summary(records = this.records()) {
+            return Object.keys(TECHNIQUE_DATA)
+                .map(technique => ({ technique, ...PracticeHistory.statistics(records.filter(r => r.technique === technique)) }))
+                .filter(row => row.problems > 0);
+        }
+
+        // Weekly statistics, oldest first, for one technique or ('') all of them
+        timeline(technique = '', records = this.records()) {
+            const weeks = new Map();
+            records
+                .filter(r => !technique || r.technique === technique)
+                .forEach(r => {
+                    const week = PracticeHistory.weekOf(r.date);
+                    if (!weeks.has(week)) weeks.set(week, []);
+                    weeks.get(week).push(r);
+                });
+            return [...weeks.keys()].sort().slice(-CONFIG.HISTORY.TIMELINE_WEEKS)
+                .map(week => ({ week, ...PracticeHistory.statistics(weeks.get(week)) }));
+        }
+
+        static statistics(records) {
+            const average = (field) => records.length ? records.reduce((sum, r) => sum + (r[field] || 0), 0) / records.length : 0;
+            const solved = records.filter(r => r.outcome === 'solved').length;
+            return {
+                problems: records.length,
+                solved,
+                accuracy: records.length ? solved / records.length : 0,
+                averageHints: average('hints'),
+                averageSteps: average('steps'),
+                averageSeconds: average('seconds')
+            };
+        }
+
+        // The Monday starting the record's week, as YYYY-MM-DD in local time
+        static weekOf(date) {
+            const day = new Date(date);
+            day.setHours(0, 0, 0, 0);
+            day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+            const pad = (n) => String(n).padStart(2, '0');
+            return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+        }
+    }
+
+    // =============================================================================
+    // ADAPTIVE PRACTICE
+    // =============================================================================
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Mastery estimates and the review schedule, both worked out from the
+     * practice history, so they carry over between visits without storing
+     * anything extra.
+     */
+    class Mastery {
+        // How well one problem went, from 0 (missed) to 1 (first try, no help)
+        static performance(record) {
+            if (record.outcome !== 'solved') return 0;
+            const { ATTEMPT_PENALTY, HINT_PENALTY, STEPS_PENALTY } = CONFIG.ADAPTIVE;
+            const stepsShown = record.totalSteps ? Math.min(record.steps / record.totalSteps, 1) : 0;
+            const score = 1 - ATTEMPT_PENALTY * Math.max(record.attempts - 1, 0) - HINT_PENALTY * record.hints - STEPS_PENALTY * stepsShown;
+            return Math.min(Math.max(score, 0.1), 1);
+        }
+
+        static isMiss(record) {
+            return Mastery.performance(record) < CONFIG.ADAPTIVE.MISSED_BELOW;
+        }
+
+        // Exponential moving average of performance per technique, oldest record first
+        static estimate(records) {
+            const mastery = {};
+            Object.keys(TECHNIQUE_DATA).forEach(technique => { mastery[technique] = CONFIG.ADAPTIVE.INITIAL_MASTERY; });
+            records.forEach(record => {
+                if (!(record.technique in mastery)) return;
+                mastery[record.technique] += CONFIG.ADAPTIVE.LEARNING_RATE * (Mastery.performance(record) - mastery[record.technique]);
+            });
+            return mastery;
+        }
+
+        static difficultyFor(mastery) {
+            const [medium, hard] = CONFIG.ADAPTIVE.DIFFICULTY_THRESHOLDS;
+            return mastery < medium ? 'Easy' : mastery < hard ? 'Medium' : 'Hard';
+        }
+
+        static problemKey(record) {
+            const bounds = record.bounds ? `|${record.bounds.lower}|${record.bounds.upper}` : '';
+            return `${record.integrand}${bounds}`;
+        }
+
+        /**
+         * Missed problems due for review at `now`, earliest first. A miss puts a
+         * problem in box 0 and each later success moves it up a box; box k comes
+         * back CONFIG.ADAPTIVE.REVIEW_DAYS[k] days after its last attempt, and at
+         * least REVIEW_GAP other problems later, until it has passed every box.
+         */
+        static dueReviews(records, now = Date.now()) {
+            const problems = new Map();
+            records.forEach((record, position) => {
+                const key = Mastery.problemKey(record);
+                const problem = problems.get(key) || { box: -1 };
+                problem.box = Mastery.isMiss(record) ? 0 : problem.box >= 0 ? problem.box + 1 : -1;
+                problem.record = record;
+                problem.position = position;
+                problems.set(key, problem);
+            });
+
+            const { REVIEW_DAYS, REVIEW_GAP } = CONFIG.ADAPTIVE;
+            return [...problems.values()]
+                .filter(problem => problem.box >= 0 && problem.box < REVIEW_DAYS.length)
+                .map(problem => ({ ...problem, dueAt: Date.parse(problem.record.date) + REVIEW_DAYS[problem.box] * DAY_MS }))
+                .filter(problem => problem.dueAt <= now && records.length - 1 - problem.position >= REVIEW_GAP)
+                .sort((a, b) => a.dueAt - b.dueAt);
+        }
+    }
+
+    /**
+     * One sitting of adaptive practice. Each problem is a review that has come
+     * due or, failing that, a generated problem in a technique drawn towards
+     * the weakest ones, at a difficulty matching its mastery. A review is
+     * served once per session, even if it is skipped without being recorded.
+     */
+    class AdaptiveSession {
+        constructor(history, seed = ProblemGenerator.randomSeed(), now = Date.now()) {
+            this.history = history;
+            this.seed = seed;
+            this.started = now;
+            this.generated = [];        // integrands generated so far, not to be repeated
+            this.reviewed = new Set();  // problem keys of the reviews served so far
+            this.startMastery = Mastery.estimate(history.records());
+        }
+
+        // { integrand, bounds, technique, difficulty, mastery, review } for the next problem
+        next(now = Date.now()) {
+            const records = this.history.records();
+            const mastery = Mastery.estimate(records);
+
+            const review = Mastery.dueReviews(records, now).find(due => !this.reviewed.has(Mastery.problemKey(due.record)));
+            if (review) {
+                this.reviewed.add(Mastery.problemKey(review.record));
+                const { integrand, bounds, technique } = review.record;
+                return { integrand, bounds, technique, difficulty: Mastery.difficultyFor(mastery[technique]), mastery: mastery[technique], review: review.record };
+            }
+
+            const random = new SeededRandom(SeededRandom.mix(this.seed, this.generated.length));
+            const technique = AdaptiveSession.pickTechnique(mastery, random);
+            const difficulty = Mastery.difficultyFor(mastery[technique]);
+            const generated = ProblemGenerator.generate({ seed: this.seed, index: this.generated.length, technique, difficulty, exclude: this.generated });
+            this.generated.push(generated.integrand);
+            return { integrand: generated.integrand, bounds: null, technique, difficulty, mastery: mastery[technique], review: null };
+        }
+
+        // Weighted draw: the weaker the technique, the likelier, but every technique keeps some chance
+        static pickTechnique(mastery, random) {
+            const techniques = Object.keys(PROBLEM_TEMPLATES);
+            const weights = techniques.map(technique => (1 - mastery[technique]) ** 2 + CONFIG.ADAPTIVE.MINIMUM_WEIGHT);
+            let draw = random.next() * weights.reduce((sum, weight) => sum + weight, 0);
+            for (let i = 0; i < techniques.length; i++) {
+                draw -= weights[i];
+                if (draw < 0) return techniques[i];
+            }
+            return techniques[techniques.length - 1];
+        }
+
+        /**
+         * What changed during the session: per practised technique, its problems
+         * and mastery before and after, split into what improved and what still
+         * needs work.
+         */
+        summary() {
+            const records = this.history.records();
+            const sessionRecords = records.filter(record => Date.parse(record.date) >= this.started);
+            const mastery = Mastery.estimate(records);
+            const techniques = Object.keys(TECHNIQUE_DATA)
+                .filter(technique => sessionRecords.some(record => record.technique === technique))
+                .map(technique => {
+                    const practised = sessionRecords.filter(record => record.technique === technique);
+                    return {
+                        technique,
+                        problems: practised.length,
+                        solved: practised.filter(record => record.outcome === 'solved').length,
+                        before: this.startMastery[technique],
+                        after: mastery[technique]
+                    };
+                });
+            return {
+                problems: sessionRecords.length,
+                solved: sessionRecords.filter(record => record.outcome === 'solved').length,
+                techniques,
+                improved: techniques.filter(row => row.after - row.before >= CONFIG.ADAPTIVE.IMPROVEMENT),
+                needsWork: techniques.filter(row => row.after < CONFIG.ADAPTIVE.MASTERED),
+                reviewsDue: Mastery.dueReviews(records).length
+            };
+        }
+    }
+
+    // =============================================================================
+    // SHAREABLE LINKS
+    // =============================================================================
+
+    // Everything the expression tokenizer accepts, and nothing that means anything in HTML
+    const LINK_CHARACTERS = /^[ 0-9.a-zA-Zπ∞()[\],|+\-−*·×/^]*$/;
+    const LINK_PARAMETERS = ['f', 'from', 'to', 't', 'hints'];
+
+    /**
+     * A problem as a query string: ?f=<function>&from=<lower>&to=<upper>
+     * &t=<technique>&hints=off. Links arrive from anyone, so decoding rejects
+     * anything unexpected rather than passing it on to the page.
+     */
+    class ProblemLink {
+        static encode({ func, bounds = null, technique = '', hintsOff = false }) {
+            const params = new URLSearchParams({ f: func });
+            if (bounds) {
+                params.set('from', bounds.lower);
+                params.set('to', bounds.upper);
+            }
+            if (technique) params.set('t', technique);
+            if (hintsOff) params.set('hints', 'off');
+            return `?${params}`;
+        }
+
+        // { func, bounds, technique, hintsOff }, or null when the link has no problem; throws ParseError for a bad link
+        static decode(search) {
+            const params = new URLSearchParams(search);
+            if (!params.has('f')) return null;
+
+            for (const key of new Set(params.keys())) {
+                if (!LINK_PARAMETERS.includes(key)) throw new ParseError(`Unknown link parameter "${key}"`);
+                if (params.getAll(key).length > 1) throw new ParseError(`The link gives "${key}" more than once`);
+            }
+
+            const func = ProblemLink.expression(params.get('f'), 'function');
+            if (!func) throw new ParseError('The link has an empty function');
+            ExpressionParser.parse(func);
+
+            const lower = ProblemLink.expression(params.get('from') || '', 'lower bound');
+            const upper = ProblemLink.expression(params.get('to') || '', 'upper bound');
+            if (!lower !== !upper) throw new ParseError('The link needs both bounds or neither');
+
+            const technique = params.get('t') || '';
+            if (technique && !Object.prototype.hasOwnProperty.call(TECHNIQUE_DATA, technique)) {
+                throw new ParseError('The link names an unknown technique');
+            }
+
+            const hints = params.get('hints');
+            if (hints !== null && hints !== 'off') throw new ParseError('The link\'s hints setting must be "off"');
+
+            return { func, bounds: lower ? { lower, upper } : null, technique, hintsOff: hints === 'off' };
+        }
+
+        static expression(text, label) {
+            if (text.length > CONFIG.LINK_MAX_LENGTH) {
+                throw new ParseError(`The linked ${label} is longer than ${CONFIG.LINK_MAX_LENGTH} characters`);
+            }
+            if (!LINK_CHARACTERS.test(text)) {
+                throw new ParseError(`The linked ${label} contains characters that can't appear in a function`);
+            }
+            return text.trim();
+        }
+    }
+
+    // =============================================================================
+    // SOLUTION EXPORT
+    // =============================================================================
+
+    // Symbols that plain-text hints and messages use, and their LaTeX
+    const UNICODE_LATEX = {
+        '∫': '\\int', '≈': '\\approx', '≠': '\\neq', '≤': '\\le', '≥': '\\ge', '→': '\\to', '∞': '\\infty',
+        'π': '\\pi', 'θ': '\\theta', '√': '\\surd', '·': '\\cdot', '×': '\\times', '²': '^2', '³': '^3'
+    };
+    const MATH_SPAN = /<span class="math-inline">\$([\s\S]*?)\$<\/span>/g;
+    const MATHJAX_URL = 'https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-mml-chtml.js';
+
+    /**
+     * Worked solutions as standalone LaTeX, Markdown or printable HTML. A
+     * problem is first captured with snapshot(); every format then takes a
+     * list of snapshots, so one problem and a whole problem set export alike.
+     */
+    class SolutionExport {
+        // Only the revealed steps and hints are included; answerKey adds the reference answer
+        static snapshot(problem, { stepsShown = problem.steps.length, hintsShown = problem.hints.length, answer = '', result = null, answerKey = false } = {}) {
+            const name = (technique) => technique === problem.technique
+                ? problem.techniqueName
+                : (TECHNIQUE_DATA[technique] && TECHNIQUE_DATA[technique].name) || 'Unknown';
+            return {
+                integral: MathUtils.formatAsIntegral(problem.functionString, problem.boundStrings),
+                technique: name(problem.chosenTechnique || problem.technique),
+                recommended: problem.chosenTechnique && problem.chosenTechnique !== problem.technique ? name(problem.technique) : '',
+                steps: problem.steps.slice(0, stepsShown),
+                hints: problem.hints.slice(0, hintsShown),
+                answer: answer ? MathUtils.formatAnswerWithConstant(answer, !problem.isDefinite) : '',
+                verdict: result ? SolutionExport.verdict(result) : '',
+                feedback: result ? result.message : '',
+                answerKey: answerKey ? SolutionExport.answerKey(problem) : ''
+            };
+        }
+
+        static verdict(result) {
+            if (result.isCorrect) return 'Correct';
+            if (result.type !== 'partial') return 'Incorrect';
+            return result.label ? `Partial credit (${result.label})` : 'Partial credit';
+        }
+
+        // LaTeX of the reference answer, or '' when there is none
+        static answerKey(problem) {
+            const { correctAnswer, isDefinite, evaluation } = problem;
+            if (!correctAnswer) return '';
+            if (isDefinite && evaluation.converges === false) return '\\text{diverges}';
+            return MathUtils.formatAnswerWithConstant(correctAnswer, !isDefinite);
+        }
+
+        static toLatex(snapshots, title) {
+            const list = (items, convert) => [
+                '\\begin{enumerate}',
+                ...items.map(item => `  \\item ${convert(item)}`),
+                '\\end{enumerate}'
+            ];
+            const html = (fragment) => SolutionExport.segments(fragment)
+                .map(({ math, text }) => math ? `$${text}$` : SolutionExport.latexText(text)).join('');
+
+            const sections = snapshots.map((s, i) => {
+                const rows = [`\\text{Integral:} &\\quad ${s.integral}`];
+                if (s.answer) rows.push(`\\text{Your answer:} &\\quad ${s.answer}`);
+                if (s.answerKey) rows.push(`\\text{Answer key:} &\\quad ${s.answerKey}`);
+                const technique = s.recommended ? `${s.technique} (recommended: ${s.recommended})` : s.technique;
+                return [
+                    `\\section*{${SolutionExport.heading(snapshots, i)}}`,
+                    '\\begin{align*}',
+                    rows.join(' \\\\\n'),
+                    '\\end{align*}',
+                    `\\textbf{Technique:} ${SolutionExport.latexText(technique)}`,
+                    ...(s.steps.length ? ['\\subsection*{Steps}', ...list(s.steps, html)] : []),
+                    ...(s.hints.length ? ['\\subsection*{Hints}', ...list(s.hints, html)] : []),
+                    ...(s.verdict ? ['', `\\textbf{Result:} ${SolutionExport.latexText(s.verdict)}. ${SolutionExport.latexText(s.feedback)}`] : [])
+                ].join('\n');
+            });
+
+            return [
+                '\\documentclass{article}',
+                '\\usepackage[utf8]{inputenc}',
+                '\\usepackage[T1]{fontenc}',
+                '\\usepackage{amsmath,amssymb}',
+                `\\title{${SolutionExport.latexText(title)}}`,
+                '\\date{}',
+                '\\begin{document}',
+                '\\maketitle',
+                sections.join('\n\n'),
+                '\\end{document}',
+                ''
+            ].join('\n');
+        }
+
+        static toMarkdown(snapshots, title) {
+            const html = (fragment) => SolutionExport.segments(fragment)
+                .map(({ math, text }) => math ? `$${text}$` : SolutionExport.markdownText(text)).join('');
+
+            const sections = snapshots.map((s, i) => {
+                const technique = s.recommended ? `${s.technique} (recommended: ${s.recommended})` : s.technique;
+                const lines = [`## ${SolutionExport.heading(snapshots, i)}`, '', `$$${s.integral}$$`, '', `**Technique:** ${technique}`];
+                if (s.steps.length) lines.push('', '### Steps', '', ...s.steps.map((step, k) => `${k + 1}. ${html(step)}`));
+                if (s.hints.length) lines.push('', '### Hints', '', ...s.hints.map((h, k) => `${k + 1}. ${html(h)}`));
+                if (s.answer || s.answerKey) lines.push('', '### Answer', '');
+                if (s.answer) lines.push(`**Your answer:** $${s.answer}$  `);
+                if (s.verdict) lines.push(`**Result:** ${s.verdict}. ${SolutionExport.markdownText(s.feedback)}  `);
+                if (s.answerKey) lines.push(`**Answer key:** $${s.answerKey}$`);
+                return lines.join('\n');
+            });
+
+            return `# ${SolutionExport.markdownText(title)}\n\n${sections.join('\n\n')}\n`;
+        }
+
+        // A page of its own, typeset by MathJax; autoPrint opens the print dialog once the math is ready
+        static toHtml(snapshots, title, { autoPrint = false } = {}) {
+            const escape = escapeHtml;
+            const sections = snapshots.map((s, i) => {
+                const technique = s.recommended ? `${s.technique} (recommended: ${s.recommended})` : s.technique;
+                const parts = [
+                    `<h2>${SolutionExport.heading(snapshots, i)}</h2>`,
+                    `<p class="integral">$$${escape(s.integral)}$$</p>`,
+                    `<p><strong>Technique:</strong> ${escape(technique)}</p>`
+                ];
+                // Steps and hints are the assistant's own HTML, with their math spans intact
+                if (s.steps.length) parts.push('<h3>Steps</h3>', `<ol>${s.steps.map(step => `<li>${step}</li>`).join('')}</ol>`);
+                if (s.hints.length) parts.push('<h3>Hints</h3>', `<ol>${s.hints.map(h => `<li>${h}</li>`).join('')}</ol>`);
+                if (s.answer) parts.push(`<p><strong>Your answer:</strong> $${escape(s.answer)}$</p>`);
+                if (s.verdict) parts.push(`<p><strong>Result:</strong> ${escape(s.verdict)}. ${escape(s.feedback)}</p>`);
+                if (s.answerKey) parts.push(`<p><strong>Answer key:</strong> $${escape(s.answerKey)}$</p>`);
+                return `<section>\n${parts.join('\n')}\n</section>`;
+            });
+            const ready = autoPrint
+                ? ', startup: { pageReady: () => MathJax.startup.defaultPageReady().then(() => window.print()) }'
+                : '';
+
+            return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)}</title>
+<script>window.MathJax = { tex: { inlineMath: [['$', '$']], displayMath: [['$$', '$$']] }${ready} };</script>
+<script async src="${MATHJAX_URL}"></script>
+<style>
+body { font-family: Georgia, serif; line-height: 1.5; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #212529; }
+section { border-top: 1px solid #dee2e6; padding-top: 0.5rem; }
+.integral { font-size: 1.2rem; }
+@media print {
+    body { margin: 0; max-width: none; }
+    section { break-inside: avoid; }
+}
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+${sections.join('\n')}
+</body>
+</html>
+`;
+        }
+
+        static heading(snapshots, index) {
+            return snapshots.length === 1 ? 'Problem' : `Problem ${index + 1}`;
+        }
+
+        // Splits step or hint HTML into its text and its math, with other markup dropped
+        static segments(html) {
+            const segments = [];
+            const text = (fragment) => fragment.replace(/<[^>]*>/g, '')
+                .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+            let last = 0;
+            for (const match of html.matchAll(MATH_SPAN)) {
+                if (match.index > last) segments.push({ math: false, text: text(html.slice(last, match.index)) });
+                segments.push({ math: true, text: match[1] });
+                last = match.index + match[0].length;
+            }
+            if (last < html.length) segments.push({ math: false, text: text(html.slice(last)) });
+            return segments;
+        }
+
+        static latexText(text) {
+            return text
+                .replace(/[\\{}]/g, char => ({ '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}' })[char])
+                .replace(/[&%$#_]/g, char => `\\${char}`)
+                .replace(/\^/g, '\\textasciicircum{}')
+                .replace(/~/g, '\\textasciitilde{}')
+                .replace(/−/g, '-')
+                .replace(/–/g, '--')
+                .replace(/’/g, "'")
+                .replace(/[∫≈≠≤≥→∞πθ√·×²³]/g, char => `$${UNICODE_LATEX[char]}$`);
+        }
+
+        static markdownText(text) {
+            return text.replace(/[\\`*_[\]#<>|$]/g, char => `\\${char}`);
+        }
+    }
+
+    // =============================================================================
+    // ASSIGNMENTS
+    // =============================================================================
+
+    const ASSIGNMENT_FORMAT = 'integral-explorer-assignment';
+    const RESULTS_FORMAT = 'integral-explorer-results';
+    const ASSIGNMENT_KEYS = ['format', 'version', 'title', 'problems'];
+    const ASSIGNMENT_FIELDS = ['integrand', 'bounds', 'technique', 'hints', 'maxAttempts', 'points'];
+    const GRADEBOOK_COLUMNS = ['student', 'assignment', 'assignment_hash', 'started', 'finished', 'problem', 'integrand',
+        'lower', 'upper', 'technique', 'points', 'max_attempts', 'attempts', 'hints', 'steps', 'answer', 'verdict', 'score', 'signature'];
+
+    /**
+     * SHA-256 of a string's UTF-8 bytes, as hex, from Web Crypto: a global in
+     * browsers and Node 20, and in node:crypto on Node 18. Browsers only offer
+     * it to pages served over https or from localhost.
+     */
+    const sha256 = async (text) => {
+        let subtle = typeof crypto !== 'undefined' ? crypto.subtle : undefined;
+        if (!subtle && typeof require === 'function') subtle = require('node:crypto').webcrypto.subtle;
+        if (!subtle) throw new Error('Signing results needs Web Crypto, which browsers only offer over https or on localhost');
+        const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    };
+
+    /**
+     * A teacher's problems, in order, read from a JSON file:
+     *
+     *     { "format": "integral-explorer-assignment", "version": 1, "title": "Week 3",
+     *       "problems": [{ "integrand": "x*e^x", "bounds": { "lower": "0", "upper": "1" },
+     *                      "technique": "parts", "hints": ["..."], "maxAttempts": 2, "points": 5 }] }
+     *
+     * Only the integrand is required. The file comes from outside the page, so
+     * parsing rejects anything unexpected; `hash()` ties results to this
+     * exact version of the assignment.
+     */
+    class Assignment {
+        constructor(title, problems) {
+            this.title = title;
+            this.problems = problems;   // { integrand, bounds, technique, hints, maxAttempts, points }
+        }
+
+        // Resolves to the SHA-256 of the title and problems
+        hash() {
+            return sha256(JSON.stringify({ title: this.title, problems: this.problems }));
+        }
+
+        // Throws ParseError, naming the problem at fault
+        static parse(text) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new ParseError(`The assignment isn't valid JSON: ${error.message}`);
+            }
+            if (!Assignment.isObject(data) || data.format !== ASSIGNMENT_FORMAT) {
+                throw new ParseError(`This isn't an assignment file: its "format" must be "${ASSIGNMENT_FORMAT}"`);
+            }
+            const unknown = Object.keys(data).find(key => !ASSIGNMENT_KEYS.includes(key));
+            if (unknown) throw new ParseError(`The assignment has an unknown field "${unknown}"`);
+            if (data.version !== 1) throw new ParseError(`Assignment version ${data.version} isn't supported`);
+
+            const { title = 'Assignment', problems } = data;
+            if (typeof title !== 'string' || !title.trim()) throw new ParseError('The assignment title must be non-empty text');
+            if (!Array.isArray(problems) || problems.length === 0) throw new ParseError('The assignment needs a list of problems');
+            if (problems.length > CONFIG.ASSIGNMENT.MAX_PROBLEMS) {
+                throw new ParseError(`An assignment can have at most ${CONFIG.ASSIGNMENT.MAX_PROBLEMS} problems`);
+            }
+            return new Assignment(title.trim(), problems.map((problem, index) => Assignment.problemSpec(problem, index + 1)));
+        }
+
+        // Checks one problem, down to analyzing it, and fills in the defaults
+        static problemSpec(raw, number) {
+            const fail = (message) => new ParseError(`Problem ${number}: ${message}`);
+            const { MAX_HINTS, ATTEMPTS_LIMIT } = CONFIG.ASSIGNMENT;
+            if (!Assignment.isObject(raw)) throw fail('must be an object');
+            const unknown = Object.keys(raw).find(key => !ASSIGNMENT_FIELDS.includes(key));
+            if (unknown) throw fail(`unknown field "${unknown}"; the fields are ${ASSIGNMENT_FIELDS.join(', ')}`);
+
+            const { integrand, bounds = null, technique = '', hints = null, maxAttempts = CONFIG.MAX_ATTEMPTS, points = 1 } = raw;
+            const isText = (value) => (typeof value === 'string' && value.trim() !== '') || Number.isFinite(value);
+            if (typeof integrand !== 'string' || !integrand.trim()) throw fail('the integrand must be non-empty text');
+            if (bounds !== null && !(Assignment.isObject(bounds) && Object.keys(bounds).length === 2 && isText(bounds.lower) && isText(bounds.upper))) {
+                throw fail('bounds must be { "lower": ..., "upper": ... }');
+            }
+            if (technique !== '' && !Object.prototype.hasOwnProperty.call(TECHNIQUE_DATA, technique)) {
+                throw fail(`unknown technique "${technique}"; the techniques are ${Object.keys(TECHNIQUE_DATA).join(', ')}`);
+            }
+            if (hints !== null && (!Array.isArray(hints) || hints.length === 0 || hints.length > MAX_HINTS ||
+                hints.some(hint => typeof hint !== 'string' || !hint.trim()))) {
+                throw fail(`hints must be a list of 1 to ${MAX_HINTS} non-empty texts`);
+            }
+            if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > ATTEMPTS_LIMIT) {
+                throw fail(`maxAttempts must be a whole number from 1 to ${ATTEMPTS_LIMIT}`);
+            }
+            if (!Number.isFinite(points) || points <= 0) throw fail('points must be a positive number');
+
+            const spec = {
+                integrand: integrand.trim(),
+                bounds: bounds && { lower: String(bounds.lower).trim(), upper: String(bounds.upper).trim() },
+                technique,
+                hints: hints && hints.map(hint => hint.trim()),
+                maxAttempts,
+                points
+            };
+            let problem;
+            try {
+                problem = Assignment.build(spec);
+            } catch (error) {
+                if (!(error instanceof ParseError)) throw error;
+                throw fail(`can't read "${spec.integrand}": ${error.message}`);
+            }
+            // The analysis' own pick stays allowed even when it can't handle every term
+            if (problem.choice && !problem.choice.viable && technique !== problem.technique) {
+                throw fail(`${TECHNIQUE_DATA[technique].name} doesn't work for ${spec.integrand}; ${TECHNIQUE_DATA[problem.technique].name} does`);
+            }
+            if (problem.isDefinite && !problem.correctAnswer) {
+                throw fail("the integral can't be evaluated, so answers to it can't be checked");
+            }
+            return spec;
+        }
+
+        // Custom hints are set first, since analyzing the function writes the hints
+        static build(spec) {
+            const problem = new IntegrationProblem();
+            problem.customHints = spec.hints;
+            problem.maxAttempts = spec.maxAttempts;
+            problem.setFunction(spec.integrand, spec.bounds);
+            problem.chooseTechnique(spec.technique);
+            return problem;
+        }
+
+        static isObject(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+
+        // The IntegrationProblem for problem `index`, counting from 0
+        problem(index) {
+            return Assignment.build(this.problems[index]);
+        }
+
+        get totalPoints() {
+            return Gradebook.total(this.problems, 'points');
+        }
+    }
+
+    /**
+     * One student's way through an assignment, in order. The UI hands each
+     * answer to submit() and counts hints and steps on `current`; results()
+     * grades the final answers and signs them for the teacher.
+     */
+    class AssignmentSession {
+        constructor(assignment, student, now = Date.now()) {
+            this.assignment = assignment;
+            this.student = student;
+            this.started = now;
+            this.index = -1;
+            this.problem = null;
+            this.entries = assignment.problems.map(() => ({ attempts: 0, hints: 0, steps: 0, answer: '', verdict: 'unanswered' }));
+        }
+
+        get current() {
+            return this.entries[this.index];
+        }
+
+        get spec() {
+            return this.assignment.problems[this.index];
+        }
+
+        get isLast() {
+            return this.index === this.entries.length - 1;
+        }
+
+        // Solved, or out of attempts
+        get isDone() {
+            const entry = this.current;
+            return Gradebook.credit(entry.verdict) === 1 || entry.attempts >= this.spec.maxAttempts;
+        }
+
+        // The next problem as an IntegrationProblem, or null after the last one
+        next() {
+            if (this.index < this.entries.length) this.index++;
+            this.problem = this.index < this.entries.length ? this.assignment.problem(this.index) : null;
+            return this.problem;
+        }
+
+        // AnswerValidator's result; a readable answer uses up an attempt and becomes the problem's answer
+        submit(answer) {
+            if (this.isDone) throw new RangeError(`Problem ${this.index + 1} is already finished`);
+            const entry = this.current;
+            const result = AssignmentSession.validator().validateAnswer(answer, this.problem, entry.attempts + 1);
+            if (result.isValid) {
+                entry.attempts++;
+                entry.answer = answer.trim();
+                entry.verdict = result.type;
+            }
+            return result;
+        }
+
+        // Numeric checks sample from a fixed seed, so a regraded answer gets the verdict it got first
+        static validator() {
+            const random = new SeededRandom(CONFIG.ASSIGNMENT.SAMPLING_SEED);
+            return new AnswerValidator({ random: () => random.next() });
+        }
+
+        static grade(answer, problem) {
+            return answer ? AssignmentSession.validator().checkAnswer(answer, problem).type : 'unanswered';
+        }
+
+        // Resolves to the results file: every problem, answered or not, with its score and a signature
+        async results(now = Date.now()) {
+            const problems = this.assignment.problems.map((spec, index) => {
+                const entry = this.entries[index];
+                return {
+                    problem: index + 1,
+                    integrand: spec.integrand,
+                    bounds: spec.bounds,
+                    technique: spec.technique,
+                    points: spec.points,
+                    maxAttempts: spec.maxAttempts,
+                    ...entry,
+                    score: Gradebook.score(entry.verdict, spec.points)
+                };
+            });
+            const results = {
+                format: RESULTS_FORMAT,
+                version: 1,
+                assignment: { title: this.assignment.title, hash: await this.assignment.hash() },
+                student: this.student,
+                started: new Date(this.started).toISOString(),
+                finished: new Date(now).toISOString(),
+                problems,
+                score: Gradebook.total(problems, 'score'),
+                total: Gradebook.total(problems, 'points')
+            };
+            results.signature = await Gradebook.sign(results);
+            return results;
+        }
+    }
+
+    /**
+     * Assignment results as a CSV gradebook, one row per problem, and the
+     * checks a teacher runs on results handed in. The signature is a SHA-256
+     * hash of the rows, so an edited file shows; there is no secret key,
+     * though, and someone who knows the format could sign an edited file
+     * again. Regrading the answers against the assignment catches that too.
+     */
+    class Gradebook {
+        static credit(verdict) {
+            if (verdict === 'exact' || verdict === 'equivalent') return 1;
+            return verdict === 'partial' ? CONFIG.ASSIGNMENT.PARTIAL_CREDIT : 0;
+        }
+
+        static score(verdict, points) {
+            return Gradebook.credit(verdict) * points;
+        }
+
+        static total(problems, key) {
+            return problems.reduce((sum, problem) => sum + problem[key], 0);
+        }
+
+        // One row of text per problem, without the signature
+        static rows(results) {
+            return results.problems.map(p => [
+                results.student, results.assignment.title, results.assignment.hash, results.started, results.finished,
+                p.problem, p.integrand, p.bounds ? p.bounds.lower : '', p.bounds ? p.bounds.upper : '', p.technique,
+                p.points, p.maxAttempts, p.attempts, p.hints, p.steps, p.answer, p.verdict, p.score
+            ].map(String));
+        }
+
+        // Resolves to the signature for a results file
+        static sign(results) {
+            return Gradebook.hashRows(Gradebook.rows(results));
+        }
+
+        static hashRows(rows) {
+            return sha256(rows.map(Csv.line).join('\n'));
+        }
+
+        static toCsv(results) {
+            const rows = Gradebook.rows(results).map(row => Csv.line([...row, results.signature]));
+            return `${[Csv.line(GRADEBOOK_COLUMNS), ...rows].join('\n')}\n`;
+        }
+
+        /**
+         * Checks a results file (JSON) or a gradebook (CSV, possibly several
+         * students' pasted together). Returns a report per student: { student,
+         * title, started, finished, score, total, signed, regraded, issues }.
+         * Given the assignment, every answer is graded again. Rejects with
+         * ParseError for a file that is neither.
+         */
+        static async verify(text, assignment = null) {
+            const trimmed = text.trim();
+            const groups = trimmed.startsWith('{') ? Gradebook.groupsFromJson(trimmed) : Gradebook.groupsFromCsv(trimmed);
+            const hash = assignment && await assignment.hash();
+            return Promise.all(groups.map(group => Gradebook.check(group, assignment, hash)));
+        }
+
+        static groupsFromJson(text) {
+            let results;
+            try {
+                results = JSON.parse(text);
+            } catch (error) {
+                throw new ParseError(`The results file isn't valid JSON: ${error.message}`);
+            }
+            if (!Assignment.isObject(results) || results.format !== RESULTS_FORMAT) {
+                throw new ParseError(`This isn't a results file: its "format" must be "${RESULTS_FORMAT}"`);
+            }
+            if (!Assignment.isObject(results.assignment) || !Array.isArray(results.problems) || results.problems.length === 0 ||
+                !results.problems.every(Assignment.isObject)) {
+                throw new ParseError('The results file is missing its assignment or its problems');
+            }
+            const issues = [];
+            if (results.score !== Gradebook.total(results.problems, 'score') || results.total !== Gradebook.total(results.problems, 'points')) {
+                issues.push("The total score doesn't add up");
+            }
+            return [{ rows: Gradebook.rows(results), signature: results.signature, issues }];
+        }
+
+        // Rows are grouped by signature, so each student's are checked together
+        static groupsFromCsv(text) {
+            const [header, ...records] = Csv.parse(text);
+            if (!header || Csv.line(header) !== Csv.line(GRADEBOOK_COLUMNS)) {
+                throw new ParseError("This isn't a results file or an assignment gradebook: the columns don't match");
+            }
+            if (records.length === 0) throw new ParseError('The gradebook has no rows');
+            const groups = new Map();
+            records.forEach((record, index) => {
+                if (record.length !== GRADEBOOK_COLUMNS.length) {
+                    throw new ParseError(`Gradebook row ${index + 1} has ${record.length} fields instead of ${GRADEBOOK_COLUMNS.length}`);
+                }
+                const signature = record[record.length - 1];
+                if (!groups.has(signature)) groups.set(signature, { rows: [], signature, issues: [] });
+                groups.get(signature).rows.push(record.slice(0, -1));
+            });
+            return [...groups.values()];
+        }
+
+        static async check({ rows, signature, issues }, assignment, hash) {
+            const records = rows.map(row => Object.fromEntries(row.map((cell, k) => [GRADEBOOK_COLUMNS[k], cell])));
+            const [first] = records;
+            const report = {
+                student: first.student,
+                title: first.assignment,
+                started: first.started,
+                finished: first.finished,
+                score: records.reduce((sum, record) => sum + Number(record.score), 0),
+                total: records.reduce((sum, record) => sum + Number(record.points), 0),
+                signed: await Gradebook.hashRows(rows) === signature,
+                regraded: false,
+                issues: [...issues]
+            };
+            if (!report.signed) report.issues.unshift("The signature doesn't match: the results were changed after they were saved");
+            records.forEach(record => {
+                const label = `Problem ${record.problem}`;
+                if (Number(record.score) !== Gradebook.score(record.verdict, Number(record.points))) {
+                    report.issues.push(`${label}: the score doesn't match the verdict and points`);
+                }
+                if (Number(record.attempts) > Number(record.max_attempts)) {
+                    report.issues.push(`${label}: ${record.attempts} attempts, more than the ${record.max_attempts} allowed`);
+                }
+            });
+            if (assignment) Gradebook.regrade(records, assignment, hash, report);
+            return report;
+        }
+
+        // Grades each answer again, against the assignment the teacher loaded and its hash
+        static regrade(records, assignment, hash, report) {
+            if (records.some(record => record.assignment_hash !== hash)) {
+                report.issues.push("These results are for a different assignment, or another version of it, so they weren't regraded");
+                return;
+            }
+            if (records.length !== assignment.problems.length || records.some((record, index) => record.problem !== String(index + 1))) {
+                report.issues.push(`The results should have problems 1 to ${assignment.problems.length}, in order`);
+                return;
+            }
+            records.forEach((record, index) => {
+                const spec = assignment.problems[index];
+                const label = `Problem ${index + 1}`;
+                const expected = [spec.integrand, spec.bounds ? spec.bounds.lower : '', spec.bounds ? spec.bounds.upper : '',
+                    spec.technique, String(spec.points), String(spec.maxAttempts)];
+                const recorded = [record.integrand, record.lower, record.upper, record.technique, record.points, record.max_attempts];
+                if (expected.some((value, k) => value !== recorded[k])) {
+                    report.issues.push(`${label}: the problem doesn't match the assignment`);
+                    return;
+                }
+                const verdict = AssignmentSession.grade(record.answer, assignment.problem(index));
+                if (verdict !== record.verdict) {
+                    report.issues.push(`${label}: recorded as ${record.verdict}, but the answer grades as ${verdict}`);
+                }
+            });
+            report.regraded = true;
+        }
+    }
+
+    // =============================================================================
+    // PUBLIC API
+    // =============================================================================
+
+    /**
+     * Analyzes an integrand as the assistant does: recommended technique,
+     * difficulty, hints, steps and reference answer, as an IntegrationProblem.
+     * `bounds` is { lower, upper } as text for a definite integral, and
+     * `technique` an optional method the student chose. Throws ParseError for
+     * input that doesn't parse.
+     */
+    function analyze(func, { bounds = null, technique = '' } = {}) {
+        const problem = new IntegrationProblem();
+        problem.setFunction(func, bounds);
+        problem.chooseTechnique(technique);
+        return problem;
+    }
+
+    // The antiderivative as text, without + C, or null when no rule applies
+    function integrate(func, variable = CONFIG.VARIABLE) {
+        const antiderivative = Integrator.antiderivative(ExpressionParser.parse(func), variable);
+        return antiderivative ? ExpressionPrinter.toText(antiderivative) : null;
+    }
+
+    /**
+     * Grades an answer against a problem, given as an IntegrationProblem or as
+     * integrand text (analyzed with `bounds`). Returns AnswerValidator's result:
+     * { isValid, isCorrect, type, message, feedback, ... }. `options` are passed
+     * to AnswerValidator, e.g. { mode: 'numeric' }.
+     */
+    function validate(answer, problem, { bounds = null, ...options } = {}) {
+        const analyzed = typeof problem === 'string' ? analyze(problem, { bounds }) : problem;
+        return new AnswerValidator(options).checkAnswer(answer, analyzed);
+    }
+
+    // LaTeX for expression text; throws ParseError, unlike MathUtils.convertToLatex
+    function toLatex(text) {
+        return ExpressionPrinter.toLatex(ExpressionParser.parse(text));
+    }
+
+    return {
+        analyze,
+        integrate,
+        validate,
+        toLatex,
+        ParseError,
+        IntegrationProblem,
+        AnswerValidator,
+
+        // Building blocks, also used by the browser UI
+        CONFIG,
+        TECHNIQUE_DATA,
+        FUNCTIONS,
+        Expr,
+        ExpressionParser,
+        ExpressionPrinter,
+        Simplifier,
+        Differentiator,
+        Integrator,
+        RIEMANN_RULES,
+        RiemannSum,
+        MathUtils,
+        WorkedSolution,
+        SeededRandom,
+        ProblemGenerator,
+        LocalHistoryStore,
+        MemoryHistoryStore,
+        PracticeHistory,
+        Mastery,
+        AdaptiveSession,
+        ProblemLink,
+        SolutionExport,
+        Assignment,
+        AssignmentSession,
+        Gradebook,
+        Csv,
+        escapeHtml
+    };
+});
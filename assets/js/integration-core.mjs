@@ -0,0 +1,44 @@
+/**
+ * ES module entry for the integration core; see integration-core.js.
+ */
+
+import core from './integration-core.js';
+
+export const {
+    analyze,
+    integrate,
+    validate,
+    toLatex,
+    ParseError,
+    IntegrationProblem,
+    AnswerValidator,
+    CONFIG,
+    TECHNIQUE_DATA,
+    FUNCTIONS,
+    Expr,
+    ExpressionParser,
+    ExpressionPrinter,
+    Simplifier,
+    Differentiator,
+    Integrator,
+    RIEMANN_RULES,
+    RiemannSum,
+    MathUtils,
+    WorkedSolution,
+    SeededRandom,
+    ProblemGenerator,
+    LocalHistoryStore,
+    MemoryHistoryStore,
+    PracticeHistory,
+    Mastery,
+    AdaptiveSession,
+    ProblemLink,
+    SolutionExport,
+    Assignment,
+    AssignmentSession,
+    Gradebook,
+    Csv,
+    escapeHtml
+} = core;
+
+export default core;
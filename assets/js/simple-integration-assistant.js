@@ -1,23 +1,22 @@
 /**
  * Simple Browser-Compatible Integration Assistant
- * All components in a single file for maximum compatibility
+ * The browser UI: the practice panels and their event handlers. The math
+ * lives in integration-core.js and the graph pane in graphing-bridge.js.
  */
 
 (function() {
     'use strict';
 
-    // Configuration constants
-    const CONFIG = {
-        MAX_ATTEMPTS: 3,
-        ANIMATION_DURATION: 600,
-        TECHNIQUES: {
-            power: { name: 'Power Rule', difficulty: 'Easy' },
-            substitution: { name: 'U-Substitution', difficulty: 'Medium' },
-            parts: { name: 'Integration by Parts', difficulty: 'Hard' },
-            trig: { name: 'Trigonometric Integration', difficulty: 'Medium' },
-            partial: { name: 'Partial Fractions', difficulty: 'Hard' }
-        }
-    };
+    // The DOM-free core, loaded before this file from integration-core.js
+    const {
+        CONFIG, TECHNIQUE_DATA, FUNCTIONS, ParseError, Expr, ExpressionPrinter,
+        RIEMANN_RULES, RiemannSum, MathUtils, IntegrationProblem, AnswerValidator, WorkedSolution,
+        ProblemGenerator, LocalHistoryStore, MemoryHistoryStore, PracticeHistory, AdaptiveSession,
+        ProblemLink, SolutionExport, Assignment, AssignmentSession, Gradebook, escapeHtml
+    } = window.IntegrationCore;
+
+    // Desmos and the built-in plotter, from graphing-bridge.js
+    const { GraphingBridge } = window.IntegrationGraphing;
 
     // =============================================================================
     // UTILITY FUNCTIONS
@@ -52,6 +51,29 @@
             <strong>${title}:</strong> ${message}
         `,
         
+        escapeHtml,
+        
+        renderMathJax: (elements) => {
+            if (window.MathJax && MathJax.typesetPromise) {
+                const elementsArray = Array.isArray(elements) ? elements : [elements];
+                MathJax.typesetPromise(elementsArray).catch((err) => {
+                    console.warn('MathJax rendering error:', err.message);
+                });
+            }
+        },
+        
+        // Saves text as a file through a temporary link
+        downloadFile: (filename, content, type) => {
+            const url = URL.createObjectURL(new Blob([content], { type }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        },
+
         // Animation helper
         addBounceEffect: (selector) => {
             const element = document.querySelector(selector);
@@ -61,357 +83,178 @@
             }
         }
     };
-    
+
     // =============================================================================
-    // TECHNIQUE DATA
+    // MAIN INTEGRATION ASSISTANT
     // =============================================================================
     
-    const TECHNIQUE_DATA = {
-        power: {
-            name: 'Power Rule', 
-            difficulty: 'Easy',
-            pattern: /^[+-]?\d*x?\^?\d*([+-]\d*x?\^?\d*)*$/,
-            description: 'This is a polynomial function. Use the power rule.',
-            hints: [
-                "Look at each term in your polynomial. What power of x does each term have?",
-                "Remember: ∫x^n dx = x^(n+1)/(n+1) + C, where n ≠ -1",
-                "Don't forget to add the constant of integration (+C) at the end!"
-            ],
-            answers: {
-                'x': 'x^2/2', 'x^2': 'x^3/3', 'x^3': 'x^4/4', 
-                '1': 'x', '2x': 'x^2', '3x^2': 'x^3'
-            }
-        },
-        trig: {
-            name: 'Trigonometric Integration', 
-            difficulty: 'Medium',
-            pattern: /sin\(|cos\(|tan\(/,
-            description: 'This involves trigonometric functions. Use basic trig integration rules.',
-            hints: [
-                "What are the derivatives of basic trigonometric functions?",
-                "Remember: d/dx[sin(x)] = cos(x) and d/dx[cos(x)] = -sin(x)",
-                "Integration is the reverse of differentiation!"
-            ],
-            answers: {
-                'sin(x)': '-cos(x)', 'cos(x)': 'sin(x)', 'tan(x)': '-ln|cos(x)|'
-            }
-        },
-        exponential: {
-            name: 'Exponential Integration', 
-            difficulty: 'Medium',
-            pattern: /e\^/,
-            description: 'This is an exponential function. Use exponential integration rules.',
-            hints: [
-                "What is special about the function e^x when you differentiate it?",
-                "Remember: d/dx[e^x] = e^x",
-                "The integral of e^x is also e^x!"
-            ],
-            answers: {
-                'e^x': 'e^x', '2e^x': '2e^x'
-            }
-        },
-        logarithmic: {
-            name: 'Logarithmic Integration', 
-            difficulty: 'Medium',
-            pattern: /1\/x|ln/,
-            description: 'This involves logarithmic functions or 1/x.',
-            hints: [
-                "What function has derivative 1/x?",
-                "Remember: d/dx[ln|x|] = 1/x",
-                "For 1/x, the antiderivative is ln|x|"
-            ],
-            answers: {
-                '1/x': 'ln|x|'
+    class IntegrationAssistant {
+        constructor(graph = GraphingBridge.forElement(document.getElementById('calculator'))) {
+            this.problem = new IntegrationProblem();
+            this.validator = new AnswerValidator();
+            this.work = new WorkedSolution(this.validator);
+            this.graph = graph;
+            this.currentStep = 0;
+            this.userAttempts = 0;
+            this.revealedHints = 0;
+            this.generated = null;      // last generator settings, problem index and the integrands given so far
+            this.history = new PracticeHistory(IntegrationAssistant.historyStore());
+            this.session = null;        // the problem being practised, until it is recorded
+            this.adaptive = null;       // the AdaptiveSession while in adaptive practice
+            this.assignmentFile = null; // the Assignment loaded, until the student starts it
+            this.assignment = null;     // the AssignmentSession while working through an assignment
+            this.assignmentResults = null;  // the signed results once it is handed in, for download
+            this.hintsOff = false;      // set by a link shared with hints=off, until reset
+            this.lastAttempt = null;    // { answer, result } of the last readable answer, for exports
+            this.initializeEventListeners();
+            this.openLinkedProblem();
+        }
+
+        // Simply touching window.localStorage throws when cookies are blocked
+        static historyStore() {
+            try {
+                const storage = window.localStorage;
+                if (storage) return new LocalHistoryStore(storage);
+            } catch (error) {
+                console.warn('localStorage is unavailable; practice history lasts until the page is closed');
             }
-        },
-        substitution: {
-            name: 'U-Substitution', 
-            difficulty: 'Medium',
-            pattern: /.*/,  // default fallback
-            description: 'Try u-substitution or analyze the function structure.',
-            hints: [
-                "Look for a function and its derivative within the integral.",
-                "Choose u to be the 'inner function' and find du.",
-                "Substitute to simplify the integral before solving."
-            ],
-            answers: {}
+            return new MemoryHistoryStore();
         }
-    };
-    
-    class MathUtils {
-        static convertToLatex(input) {
-            if (!input || input.trim() === '') {
-                return 'f(x)';
+
+        initializeEventListeners() {
+            // Function input
+            const functionInput = document.getElementById('functionInput');
+            if (functionInput) {
+                functionInput.addEventListener('input', (e) => this.updatePreview(e.target.value));
             }
 
-            let latex = input;
-            
-            // Handle fractions
-            latex = latex.replace(/(\d+)\/(\d+)/g, '\\frac{$1}{$2}');
-            latex = latex.replace(/\(([^)]+)\)\/\(([^)]+)\)/g, '\\frac{$1}{$2}');
-            
-            // Handle powers
-            latex = latex.replace(/\^(\d+)/g, '^{$1}');
-            latex = latex.replace(/\^([a-zA-Z]+)/g, '^{$1}');
-            
-            // Handle multiplication
-            latex = latex.replace(/\*/g, '\\cdot ');
-            
-            // Handle functions
-            latex = latex.replace(/sin/g, '\\sin');
-            latex = latex.replace(/cos/g, '\\cos');
-            latex = latex.replace(/tan/g, '\\tan');
-            latex = latex.replace(/ln/g, '\\ln');
-            latex = latex.replace(/sqrt/g, '\\sqrt');
-            latex = latex.replace(/pi/g, '\\pi');
-            latex = latex.replace(/e\^/g, 'e^');
-            
-            return latex.replace(/\s+/g, ' ').trim();
-        }
+            ['lowerBound', 'upperBound'].forEach(id => {
+                const boundInput = document.getElementById(id);
+                if (boundInput) {
+                    boundInput.addEventListener('input', () => this.updatePreview(functionInput ? functionInput.value : ''));
+                }
+            });
 
-        static formatAsIntegral(func) {
-            if (!func || func.trim() === '') {
-                return '\\int f(x) \\, dx';
+            // Choose-your-technique mode: switching methods re-judges the current problem
+            const techniqueSelect = document.getElementById('techniqueSelect');
+            if (techniqueSelect) {
+                techniqueSelect.addEventListener('change', (e) => this.chooseTechnique(e.target.value));
             }
-            const latexFunction = this.convertToLatex(func);
-            return `\\int ${latexFunction} \\, dx`;
-        }
 
-        static formatAnswerWithConstant(answer) {
-            if (!answer || answer.trim() === '') {
-                return 'Your answer will appear here...';
+            // Buttons
+            const analyzeBtn = document.getElementById('analyzeBtn');
+            if (analyzeBtn) {
+                analyzeBtn.addEventListener('click', () => this.analyzeFunction());
             }
-            const latexAnswer = this.convertToLatex(answer);
-            return `${latexAnswer} + C`;
-        }
 
-        static renderMathJax(elements) {
-            if (window.MathJax && MathJax.typesetPromise) {
-                const elementsArray = Array.isArray(elements) ? elements : [elements];
-                MathJax.typesetPromise(elementsArray).catch((err) => {
-                    console.warn('MathJax rendering error:', err.message);
-                });
+            const generateBtn = document.getElementById('generateBtn');
+            if (generateBtn) {
+                generateBtn.addEventListener('click', () => this.generateProblem());
             }
-        }
-    }
 
-    // =============================================================================
-    // INTEGRATION PROBLEM MODEL
-    // =============================================================================
-    
-    class IntegrationProblem {
-        constructor() {
-            this.functionString = '';
-            this.technique = '';
-            this.difficulty = '';
-            this.correctAnswer = '';
-            this.description = '';
-            this.steps = [];
-            this.hints = [];
-        }
-
-        setFunction(func) {
-            this.functionString = func;
-            this.analyze();
-        }
-
-        analyze() {
-            const analysis = this.determineTechnique(this.functionString);
-            this.technique = analysis.technique;
-            this.difficulty = analysis.difficulty;
-            this.description = analysis.description;
-            this.correctAnswer = this.calculateCorrectAnswer(this.functionString, this.technique);
-            this.generateHints();
-            this.generateSteps();
-        }
-
-        determineTechnique(func) {
-            const f = func.toLowerCase().replace(/\s/g, '');
-            
-            // Test each technique pattern in order of specificity
-            for (const [key, data] of Object.entries(TECHNIQUE_DATA)) {
-                if (key !== 'substitution' && data.pattern.test(f)) {
-                    return {
-                        technique: key,
-                        description: data.description,
-                        difficulty: data.difficulty
-                    };
-                }
+            const copyLinkBtn = document.getElementById('copyLinkBtn');
+            if (copyLinkBtn) {
+                copyLinkBtn.addEventListener('click', () => this.copyLink());
             }
-            
-            // Default to substitution if no pattern matches
-            return {
-                technique: 'substitution',
-                description: TECHNIQUE_DATA.substitution.description,
-                difficulty: TECHNIQUE_DATA.substitution.difficulty
-            };
-        }
 
-        calculateCorrectAnswer(func, technique) {
-            const f = func.toLowerCase().replace(/\s/g, '');
-            const techniqueData = TECHNIQUE_DATA[technique];
-            
-            if (techniqueData && techniqueData.answers[f]) {
-                return techniqueData.answers[f];
+            // Export menu items carry their format and scope as data attributes
+            const exportMenu = document.getElementById('exportMenu');
+            if (exportMenu) {
+                exportMenu.addEventListener('click', (e) => {
+                    const item = e.target.closest('[data-export-format]');
+                    if (!item) return;
+                    e.preventDefault();
+                    this.exportSolution(item.dataset.exportFormat, item.dataset.exportScope);
+                });
             }
-            
-            return 'Answer depends on technique used';
-        }
 
-        generateHints() {
-            const techniqueData = TECHNIQUE_DATA[this.technique];
-            this.hints = techniqueData ? techniqueData.hints : [];
-        }
+            // Adaptive practice
+            const startAdaptiveBtn = document.getElementById('startAdaptiveBtn');
+            if (startAdaptiveBtn) {
+                startAdaptiveBtn.addEventListener('click', () => this.startAdaptive());
+            }
 
-        generateSteps() {
-            this.steps = [];
-            
-            switch (this.technique) {
-                case 'power':
-                    this.steps = [
-                        `Identify that this is a polynomial function: ${this.functionString}`,
-                        "Apply the power rule: ∫x^n dx = x^(n+1)/(n+1) + C",
-                        `Calculate the result: ${this.correctAnswer} + C`
-                    ];
-                    break;
-                case 'trig':
-                    this.steps = [
-                        `Identify the trigonometric function: ${this.functionString}`,
-                        "Recall the antiderivatives of basic trig functions",
-                        `Apply the integration: ${this.correctAnswer} + C`
-                    ];
-                    break;
-                case 'substitution':
-                    this.steps = [
-                        `Analyze the function: ${this.functionString}`,
-                        "Choose an appropriate substitution u = ...",
-                        "Calculate du and substitute",
-                        "Integrate with respect to u",
-                        "Substitute back to get the final answer"
-                    ];
-                    break;
-                case 'parts':
-                    this.steps = [
-                        `Identify the product: ${this.functionString}`,
-                        "Choose u and dv using LIATE rule",
-                        "Calculate du and v",
-                        "Apply integration by parts formula",
-                        "Simplify to get the final answer"
-                    ];
-                    break;
+            const nextAdaptiveBtn = document.getElementById('nextAdaptiveBtn');
+            if (nextAdaptiveBtn) {
+                nextAdaptiveBtn.addEventListener('click', () => this.nextAdaptiveProblem());
             }
-        }
 
-        isValid() {
-            return this.functionString && this.functionString.trim() !== '';
-        }
-    }
+            const endAdaptiveBtn = document.getElementById('endAdaptiveBtn');
+            if (endAdaptiveBtn) {
+                endAdaptiveBtn.addEventListener('click', () => this.endAdaptive());
+            }
 
-    // =============================================================================
-    // ANSWER VALIDATOR
-    // =============================================================================
-    
-    class AnswerValidator {
-        validateAnswer(userAnswer, correctAnswer, attempts = 1) {
-            if (!userAnswer || !userAnswer.trim()) {
-                return {
-                    isValid: false, isCorrect: false, type: 'empty',
-                    message: 'Please enter your answer first!', feedback: 'error'
-                };
+            // Teacher assignments
+            const assignmentFile = document.getElementById('assignmentFile');
+            if (assignmentFile) {
+                assignmentFile.addEventListener('change', (e) => {
+                    this.loadAssignment(e.target.files[0]);
+                    e.target.value = '';
+                });
             }
 
-            const result = this.checkAnswer(userAnswer, correctAnswer);
-            result.attempts = attempts;
-            result.maxAttempts = CONFIG.MAX_ATTEMPTS;
-            result.hasMoreAttempts = attempts < CONFIG.MAX_ATTEMPTS;
-            return result;
-        }
+            const startAssignmentBtn = document.getElementById('startAssignmentBtn');
+            if (startAssignmentBtn) {
+                startAssignmentBtn.addEventListener('click', () => this.startAssignment());
+            }
 
-        checkAnswer(userAnswer, correctAnswer) {
-            const normalizedUser = this.normalizeAnswer(userAnswer);
-            const normalizedCorrect = this.normalizeAnswer(correctAnswer);
-            
-            // Check for exact match
-            if (normalizedUser === normalizedCorrect) {
-                return {
-                    isValid: true,
-                    isCorrect: true,
-                    type: 'exact',
-                    message: 'Perfect! Your answer is exactly correct.',
-                    feedback: 'success'
-                };
+            const nextAssignmentBtn = document.getElementById('nextAssignmentBtn');
+            if (nextAssignmentBtn) {
+                nextAssignmentBtn.addEventListener('click', () => this.nextAssignmentProblem());
             }
-            
-            // Check for partial credit
-            const partialResult = this.checkPartialCredit(normalizedUser, normalizedCorrect);
-            if (partialResult.hasPartialCredit) {
-                return {
-                    isValid: true,
-                    isCorrect: false,
-                    type: 'partial',
-                    message: partialResult.message,
-                    feedback: 'warning'
-                };
+
+            const endAssignmentBtn = document.getElementById('endAssignmentBtn');
+            if (endAssignmentBtn) {
+                endAssignmentBtn.addEventListener('click', () => this.handInAssignment());
             }
-            
-            return {
-                isValid: true,
-                isCorrect: false,
-                type: 'incorrect',
-                message: 'Not quite right. Check your work and try again!',
-                feedback: 'error'
-            };
-        }
 
-        normalizeAnswer(answer) {
-            return answer.toLowerCase()
-                .replace(/\s+/g, '')
-                .replace(/\+c$/, '')
-                .replace(/\+constant$/, '')
-                .replace(/\*/g, '')
-                .replace(/\^1/g, '');
-        }
+            // The download buttons are written with the summary, so they are found by their data attribute
+            const assignmentSummary = document.getElementById('assignmentSummary');
+            if (assignmentSummary) {
+                assignmentSummary.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-assignment-download]');
+                    if (button) this.downloadAssignmentResults(button.dataset.assignmentDownload);
+                });
+            }
 
-        checkPartialCredit(user, correct) {
-            // Missing constant of integration
-            if (user + 'c' === correct || user === correct + 'c') {
-                return {
-                    hasPartialCredit: true,
-                    message: "Almost! Don't forget the constant of integration (+C)."
-                };
+            ['checkAssignmentFile', 'resultFiles'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) {
+                    input.addEventListener('change', () => this.checkResults());
+                }
+            });
+
+            // Leaving mid-assignment loses the answers so far
+            window.addEventListener('beforeunload', (e) => {
+                if (!this.assignment) return;
+                e.preventDefault();
+                e.returnValue = '';
+            });
+
+            // Practice history dashboard (a Bootstrap modal, filled in as it opens)
+            const historyModal = document.getElementById('historyModal');
+            if (historyModal) {
+                historyModal.addEventListener('show.bs.modal', () => this.showHistory());
             }
-            
-            return { hasPartialCredit: false };
-        }
-    }
 
-    // =============================================================================
-    // MAIN INTEGRATION ASSISTANT
-    // =============================================================================
-    
-    class IntegrationAssistant {
-        constructor() {
-            this.problem = new IntegrationProblem();
-            this.validator = new AnswerValidator();
-            this.currentStep = 0;
-            this.userAttempts = 0;
-            this.revealedHints = 0;
-            this.initializeEventListeners();
-        }
+            const historyTechnique = document.getElementById('historyTechnique');
+            if (historyTechnique) {
+                historyTechnique.addEventListener('change', () => this.showHistory());
+            }
 
-        initializeEventListeners() {
-            // Function input
-            const functionInput = document.getElementById('functionInput');
-            if (functionInput) {
-                functionInput.addEventListener('input', (e) => this.updatePreview(e.target.value));
+            const exportHistoryBtn = document.getElementById('exportHistoryBtn');
+            if (exportHistoryBtn) {
+                exportHistoryBtn.addEventListener('click', () => this.exportHistory());
             }
 
-            // Buttons
-            const analyzeBtn = document.getElementById('analyzeBtn');
-            if (analyzeBtn) {
-                analyzeBtn.addEventListener('click', () => this.analyzeFunction());
+            const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+            if (clearHistoryBtn) {
+                clearHistoryBtn.addEventListener('click', () => this.clearHistory());
             }
 
+            // A problem left open when the page closes still counts as attempted
+            window.addEventListener('pagehide', () => this.endSession('abandoned'));
+
             const hintBtn = document.getElementById('hintBtn');
             if (hintBtn) {
                 hintBtn.addEventListener('click', () => this.showHint());
@@ -432,6 +275,21 @@
                 resetBtn.addEventListener('click', () => this.reset());
             }
 
+            const riemannBtn = document.getElementById('riemannBtn');
+            if (riemannBtn) {
+                riemannBtn.addEventListener('click', () => this.drawRiemannSum());
+            }
+
+            const addWorkLineBtn = document.getElementById('addWorkLineBtn');
+            if (addWorkLineBtn) {
+                addWorkLineBtn.addEventListener('click', () => this.addWorkLine());
+            }
+
+            const checkWorkBtn = document.getElementById('checkWorkBtn');
+            if (checkWorkBtn) {
+                checkWorkBtn.addEventListener('click', () => this.checkWork());
+            }
+
             const answerInput = document.getElementById('answerInput');
             if (answerInput) {
                 answerInput.addEventListener('input', (e) => this.updateAnswerPreview(e.target.value));
@@ -446,21 +304,32 @@
         updatePreview(input) {
             const preview = document.getElementById('functionPreview');
             if (preview) {
-                const latexExpression = MathUtils.formatAsIntegral(input);
+                const latexExpression = MathUtils.formatAsIntegral(input, this.readBounds());
                 preview.innerHTML = `$$${latexExpression}$$`;
-                MathUtils.renderMathJax(preview);
+                Utils.renderMathJax(preview);
             }
         }
 
         updateAnswerPreview(input) {
             const preview = document.getElementById('answerPreview');
             if (preview) {
-                const latexExpression = MathUtils.formatAnswerWithConstant(input);
+                const latexExpression = this.problem.isDefinite && AnswerValidator.claimsDivergence(input)
+                    ? '\\text{diverges}'
+                    : MathUtils.formatAnswerWithConstant(input, !this.problem.isDefinite);
                 preview.innerHTML = `$$${latexExpression}$$`;
-                MathUtils.renderMathJax(preview);
+                Utils.renderMathJax(preview);
             }
         }
 
+        // Raw bound inputs, or null when both are empty (indefinite integral)
+        readBounds() {
+            const lowerInput = document.getElementById('lowerBound');
+            const upperInput = document.getElementById('upperBound');
+            const lower = lowerInput ? lowerInput.value.trim() : '';
+            const upper = upperInput ? upperInput.value.trim() : '';
+            return lower || upper ? { lower, upper } : null;
+        }
+
         analyzeFunction() {
             const functionInput = document.getElementById('functionInput');
             const func = functionInput ? functionInput.value.trim() : '';
@@ -470,21 +339,418 @@
                 return;
             }
 
+            // Analyze function; a typo doesn't end the problem already being practised
+            const problem = new IntegrationProblem();
+            try {
+                problem.setFunction(func, this.readBounds());
+            } catch (error) {
+                if (!(error instanceof ParseError)) throw error;
+                this.showParseError(error);
+                return;
+            }
+            problem.chooseTechnique(this.readTechnique());
+            this.openProblem(problem);
+        }
+
+        // Makes an analyzed problem the one being practised
+        openProblem(problem) {
+            this.endSession('abandoned');
+            this.problem = problem;
+            this.startSession();
+
             // Reset state
             this.currentStep = 0;
             this.userAttempts = 0;
+            this.lastAttempt = null;
             this.revealedHints = 0;
-
-            // Analyze function
-            this.problem.setFunction(func);
+            this.clearHints();
 
             // Update UI
-            this.updateTechniqueSelect(this.problem.technique);
-            this.updateButtonStates({ hintBtn: true, stepBtn: true });
+            this.updateButtonStates({ hintBtn: !this.hintsOff, stepBtn: true });
             this.showAnalysis();
             this.updateProgress(10, 'Function analyzed - Ready to solve!');
             this.showAnswerSection(true);
             this.setCheckButtonEnabled(true);
+            this.graph.showProblem(this.problem);
+            this.showRiemannSection(true);
+            // Work lines can't apply bounds, so the editor is only for indefinite integrals
+            this.showWorkSection(WorkedSolution.supports(this.problem));
+            // A link would leave out an assignment's own hints and attempts, so assignment problems aren't shared
+            this.updateButtonStates({ copyLinkBtn: !this.assignment });
+            if (!this.assignment) {
+                window.history.replaceState(null, '', this.problemLink(this.hintsOff));
+            }
+        }
+
+        // Opens the problem in the page's query string, if any
+        openLinkedProblem() {
+            let link;
+            try {
+                link = ProblemLink.decode(window.location.search);
+            } catch (error) {
+                if (!(error instanceof ParseError)) throw error;
+                this.showMessage(`Could not open the link: ${error.message}`, 'error');
+                Utils.updateElement('functionPreview', Utils.showAlert('error', 'Invalid link', Utils.escapeHtml(error.message)));
+                return;
+            }
+            if (!link) return;
+
+            this.hintsOff = link.hintsOff;
+            this.updateTechniqueSelect(link.technique);
+            this.loadProblem(link.func, link.bounds);
+        }
+
+        // Query string for the analyzed problem
+        problemLink(hintsOff) {
+            return ProblemLink.encode({
+                func: this.problem.functionString,
+                bounds: this.problem.boundStrings,
+                technique: this.problem.chosenTechnique,
+                hintsOff
+            });
+        }
+
+        copyLink() {
+            if (!this.problem.isValid()) return;
+            const checkbox = document.getElementById('linkHintsOff');
+            const url = new URL(this.problemLink(this.hintsOff || (checkbox !== null && checkbox.checked)), window.location.href).href;
+            const copied = () => {
+                Utils.toggleButton('copyLinkBtn', true, '<i class="bi bi-check2 me-1"></i>Copied!');
+                setTimeout(() => Utils.toggleButton('copyLinkBtn', this.problem.isValid(), '<i class="bi bi-link-45deg me-1"></i>Copy Link'), 2000);
+            };
+            // The clipboard API needs a secure context; otherwise let the student copy it by hand
+            if (navigator.clipboard && window.isSecureContext) {
+                navigator.clipboard.writeText(url).then(copied, () => window.prompt('Copy this link:', url));
+            } else {
+                window.prompt('Copy this link:', url);
+            }
+        }
+
+        // Fills in the next problem for the chosen seed, technique and difficulty
+        generateProblem() {
+            const read = (id) => {
+                const element = document.getElementById(id);
+                return element ? element.value.trim() : '';
+            };
+            const settings = { seed: this.readSeed(), technique: read('generatorTechnique'), difficulty: read('generatorDifficulty') };
+
+            // Asking again with the same settings moves on to the seed's next problem, skipping ones already given
+            const key = JSON.stringify(settings);
+            const previous = this.generated !== null && this.generated.key === key ? this.generated : { index: -1, integrands: [] };
+            const index = previous.index + 1;
+
+            let generated;
+            try {
+                generated = ProblemGenerator.generate({ ...settings, index, exclude: previous.integrands });
+            } catch (error) {
+                this.showMessage(error.message, 'error');
+                return;
+            }
+            this.generated = { key, index, integrands: [...previous.integrands, generated.integrand] };
+
+            this.loadProblem(generated.integrand);
+            this.updateProgress(10, `Problem ${index + 1} of seed ${settings.seed} (${generated.difficulty}) - Ready to solve!`);
+        }
+
+        // The generator seed typed in, or a new random one, filled in so it can be shared
+        readSeed() {
+            const seedInput = document.getElementById('generatorSeed');
+            const seed = parseInt(seedInput ? seedInput.value : '', 10);
+            if (Number.isInteger(seed) && seed >= 1) return seed;
+            const random = ProblemGenerator.randomSeed();
+            if (seedInput) seedInput.value = random;
+            return random;
+        }
+
+        // Puts a problem in the inputs and analyzes it, as if the student had typed it
+        loadProblem(integrand, bounds = null) {
+            this.fillInputs(integrand, bounds);
+            this.analyzeFunction();
+        }
+
+        fillInputs(integrand, bounds) {
+            const functionInput = document.getElementById('functionInput');
+            if (functionInput) {
+                functionInput.value = integrand;
+            }
+            ['lowerBound', 'upperBound'].forEach(id => {
+                const boundInput = document.getElementById(id);
+                if (boundInput) {
+                    boundInput.value = bounds ? bounds[id === 'lowerBound' ? 'lower' : 'upper'] : '';
+                }
+            });
+            this.updatePreview(integrand);
+        }
+
+        startAdaptive() {
+            this.adaptive = new AdaptiveSession(this.history, this.readSeed());
+            ['nextAdaptiveBtn', 'endAdaptiveBtn'].forEach(id => Utils.updateElement(id, null, 'inline-block'));
+            Utils.updateElement('startAdaptiveBtn', null, 'none');
+            Utils.updateElement('adaptiveSummary', null, 'none');
+            this.nextAdaptiveProblem();
+        }
+
+        nextAdaptiveProblem() {
+            if (!this.adaptive) return;
+            let next;
+            try {
+                next = this.adaptive.next();
+            } catch (error) {
+                this.showMessage(error.message, 'error');
+                return;
+            }
+
+            this.loadProblem(next.integrand, next.bounds);
+            const mastery = `${this.getTechniqueName(next.technique)}, mastery ${Math.round(next.mastery * 100)}%`;
+            Utils.updateElement('adaptiveStatus', next.review
+                ? `Review of a problem you missed on ${new Date(next.review.date).toLocaleDateString()} (${mastery})`
+                : `Practising ${mastery}: ${next.difficulty}`);
+        }
+
+        endAdaptive() {
+            if (!this.adaptive) return;
+            this.endSession('abandoned');
+            const summary = this.adaptive.summary();
+            this.adaptive = null;
+
+            ['nextAdaptiveBtn', 'endAdaptiveBtn'].forEach(id => Utils.updateElement(id, null, 'none'));
+            Utils.updateElement('startAdaptiveBtn', null, 'inline-block');
+            Utils.updateElement('adaptiveStatus', 'Session ended');
+            this.showAdaptiveSummary(summary);
+        }
+
+        showAdaptiveSummary(summary) {
+            const change = (row) => `${this.getTechniqueName(row.technique)}: ${Math.round(row.before * 100)}% → ${Math.round(row.after * 100)}%`;
+            const list = (rows) => `<ul class="mb-2">${rows.map(row => `<li>${change(row)} (${row.solved}/${row.problems} solved)</li>`).join('')}</ul>`;
+
+            let content;
+            if (summary.problems === 0) {
+                content = '<p class="mb-0">No problems were attempted this session.</p>';
+            } else {
+                content = `<p class="mb-2">You attempted ${summary.problems} problem${summary.problems === 1 ? '' : 's'} and solved ${summary.solved}.</p>` +
+                    (summary.improved.length ? `<strong>Improved</strong>${list(summary.improved)}` : '') +
+                    (summary.needsWork.length ? `<strong>Still needs work</strong>${list(summary.needsWork)}` : '<p class="mb-2">Every technique you practised is mastered.</p>') +
+                    (summary.reviewsDue ? `<p class="mb-0">${summary.reviewsDue} missed problem${summary.reviewsDue === 1 ? ' is' : 's are'} due for review next time.</p>` : '');
+            }
+            Utils.updateElement('adaptiveSummary', `<h6>Session Summary</h6>${content}`, 'block');
+        }
+
+        // Reads a teacher's assignment file; the student starts it once their name is in
+        loadAssignment(file) {
+            if (!file) return;
+            file.text().then(text => {
+                try {
+                    this.assignmentFile = Assignment.parse(text);
+                } catch (error) {
+                    if (!(error instanceof ParseError)) throw error;
+                    this.assignmentFile = null;
+                    Utils.updateElement('assignmentStart', null, 'none');
+                    Utils.updateElement('assignmentStatus', `<span class="text-danger">${Utils.escapeHtml(error.message)}</span>`);
+                    return;
+                }
+                const { title, problems, totalPoints } = this.assignmentFile;
+                Utils.updateElement('assignmentStart', null, 'flex');
+                Utils.updateElement('assignmentSummary', null, 'none');
+                Utils.updateElement('assignmentStatus', `<strong>${Utils.escapeHtml(title)}</strong>: ` +
+                    `${problems.length} problem${problems.length === 1 ? '' : 's'}, ${this.formatPoints(totalPoints)}`);
+            });
+        }
+
+        startAssignment() {
+            if (!this.assignmentFile) return;
+            const nameInput = document.getElementById('assignmentStudent');
+            const student = nameInput ? nameInput.value.trim() : '';
+            if (!student) {
+                this.showMessage('Please enter your name first!', 'error');
+                Utils.updateElement('assignmentStatus', '<span class="text-danger">Enter your name to start</span>');
+                return;
+            }
+
+            if (this.adaptive) this.endAdaptive();
+            this.assignment = new AssignmentSession(this.assignmentFile, student);
+            this.assignmentResults = null;
+            this.hintsOff = false;
+            this.lockInputs(true);
+            Utils.updateElement('assignmentStart', null, 'none');
+            Utils.updateElement('assignmentSummary', null, 'none');
+            ['nextAssignmentBtn', 'endAssignmentBtn'].forEach(id => Utils.updateElement(id, null, 'inline-block'));
+            this.nextAssignmentProblem();
+        }
+
+        // Problems come in order, and there is no going back to one left unfinished
+        nextAssignmentProblem() {
+            if (!this.assignment) return;
+            if (this.assignment.current && !this.assignment.isDone &&
+                !window.confirm("Move on? You can't come back to this problem.")) return;
+
+            const problem = this.assignment.next();
+            if (!problem) {
+                this.finishAssignment();
+                return;
+            }
+            const { spec } = this.assignment;
+            this.updateTechniqueSelect(spec.technique);
+            this.fillInputs(spec.integrand, spec.bounds);
+            const answerInput = document.getElementById('answerInput');
+            if (answerInput) {
+                answerInput.value = '';
+            }
+            this.updateAnswerPreview('');
+            Utils.updateElement('validationArea', null, 'none');
+            this.openProblem(problem);
+            this.showAssignmentStatus();
+        }
+
+        handInAssignment() {
+            if (!this.assignment) return;
+            if (!window.confirm("Hand in now? Problems you haven't finished score what your last answer earned, or nothing.")) return;
+            this.finishAssignment();
+        }
+
+        showAssignmentStatus() {
+            const { index, entries, spec, current, isDone, isLast } = this.assignment;
+            const technique = spec.technique ? ` · ${this.getTechniqueName(spec.technique)} required` : '';
+            const attempts = isDone ? 'finished' : `attempt ${current.attempts + 1} of ${spec.maxAttempts}`;
+            Utils.updateElement('assignmentStatus', `Problem ${index + 1} of ${entries.length} · ${this.formatPoints(spec.points)}${technique} · ${attempts}`);
+            Utils.toggleButton('nextAssignmentBtn', true, isLast
+                ? '<i class="bi bi-check2-all me-1"></i>Hand In'
+                : '<i class="bi bi-skip-forward me-1"></i>Next Problem');
+        }
+
+        finishAssignment() {
+            const session = this.assignment;
+            this.assignment = null;
+            this.lockInputs(false);
+            this.reset();
+            ['nextAssignmentBtn', 'endAssignmentBtn'].forEach(id => Utils.updateElement(id, null, 'none'));
+            session.results().then(results => {
+                this.assignmentResults = results;
+                Utils.updateElement('assignmentStatus', 'Handed in: download your results and send them to your teacher');
+                this.showAssignmentSummary(results);
+            }, error => {
+                Utils.updateElement('assignmentStatus', `<span class="text-danger">${Utils.escapeHtml(error.message)}</span>`);
+            });
+        }
+
+        showAssignmentSummary(results) {
+            const verdicts = { exact: 'Correct', equivalent: 'Correct', partial: 'Partial credit', incorrect: 'Incorrect', unanswered: 'Not answered' };
+            const rows = results.problems.map(p => `
+                <tr>
+                    <td>${p.problem}</td>
+                    <td><span class="math-inline">$${Utils.escapeHtml(MathUtils.formatAsIntegral(p.integrand, p.bounds))}$</span></td>
+                    <td>${verdicts[p.verdict] || Utils.escapeHtml(p.verdict)}</td>
+                    <td>${this.formatPoints(p.score, false)} / ${this.formatPoints(p.points, false)}</td>
+                </tr>`).join('');
+            Utils.updateElement('assignmentSummary', `
+                <h6>${Utils.escapeHtml(results.assignment.title)}: ${this.formatPoints(results.score, false)} of ${this.formatPoints(results.total)}</h6>
+                <table class="table table-sm mb-2">
+                    <thead><tr><th>#</th><th>Problem</th><th>Result</th><th>Points</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="d-flex gap-2">
+                    <button class="btn btn-primary btn-sm" data-assignment-download="json"><i class="bi bi-download me-1"></i>Results (.json)</button>
+                    <button class="btn btn-outline-primary btn-sm" data-assignment-download="csv"><i class="bi bi-table me-1"></i>Gradebook (.csv)</button>
+                </div>
+            `, 'block');
+            Utils.renderMathJax(document.getElementById('assignmentSummary'));
+        }
+
+        downloadAssignmentResults(format) {
+            const results = this.assignmentResults;
+            if (!results) return;
+            const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            const filename = `${slug(results.assignment.title) || 'assignment'}-${slug(results.student) || 'student'}`;
+            if (format === 'csv') {
+                Utils.downloadFile(`${filename}-gradebook.csv`, Gradebook.toCsv(results), 'text/csv');
+            } else {
+                Utils.downloadFile(`${filename}-results.json`, JSON.stringify(results, null, 2), 'application/json');
+            }
+        }
+
+        // An assignment sets the problems, so everything that would change them is off until it is handed in
+        lockInputs(locked) {
+            ['functionInput', 'lowerBound', 'upperBound', 'techniqueSelect', 'analyzeBtn', 'generateBtn',
+                'startAdaptiveBtn', 'resetBtn', 'assignmentFile'].forEach(id => {
+                const element = document.getElementById(id);
+                if (element) element.disabled = locked;
+            });
+            const fileLabel = document.getElementById('assignmentFileLabel');
+            if (fileLabel) fileLabel.classList.toggle('disabled', locked);
+        }
+
+        /**
+         * Checks the results and gradebooks a teacher collected, in the
+         * results dialog. With the assignment file chosen too, every answer
+         * is graded again.
+         */
+        checkResults() {
+            const files = (id) => {
+                const input = document.getElementById(id);
+                return input ? [...input.files] : [];
+            };
+            const [assignmentFile] = files('checkAssignmentFile');
+            const resultFiles = files('resultFiles');
+            if (resultFiles.length === 0) return;
+
+            const read = (file) => file.text().then(text => ({ name: file.name, text }));
+            Promise.all([assignmentFile ? read(assignmentFile) : null, ...resultFiles.map(read)]).then(([assignmentText, ...results]) => {
+                let assignment = null;
+                if (assignmentText) {
+                    try {
+                        assignment = Assignment.parse(assignmentText.text);
+                    } catch (error) {
+                        if (!(error instanceof ParseError)) throw error;
+                        Utils.updateElement('resultsReport', Utils.showAlert('error', 'Invalid assignment', Utils.escapeHtml(error.message)));
+                        return;
+                    }
+                }
+                const reports = results.map(({ name, text }) => Gradebook.verify(text, assignment).then(
+                    reports => reports.map(report => ({ file: name, ...report })),
+                    error => [{ file: name, error: error.message }]));
+                return Promise.all(reports).then(lists => this.showResultsReport(lists.flat(), assignment !== null));
+            });
+        }
+
+        showResultsReport(reports, regrading) {
+            const escape = Utils.escapeHtml;
+            const rows = reports.map(report => {
+                const [status, color] = report.error ? ['Unreadable', 'secondary']
+                    : report.issues.length ? ['Check this', 'danger']
+                        : report.regraded ? ['Verified and regraded', 'success'] : ['Signature OK', 'success'];
+                const notes = report.error ? [report.error] : report.issues;
+                return `
+                    <tr>
+                        <td>${escape(report.file)}</td>
+                        <td>${report.error ? '' : escape(report.student)}</td>
+                        <td>${report.error ? '' : `${this.formatPoints(report.score, false)} / ${this.formatPoints(report.total, false)}`}</td>
+                        <td><span class="badge bg-${color}">${status}</span></td>
+                        <td>${notes.map(escape).join('<br>')}</td>
+                    </tr>`;
+            }).join('');
+            Utils.updateElement('resultsReport', `
+                <table class="table table-sm results-table">
+                    <thead><tr><th>File</th><th>Student</th><th>Score</th><th>Check</th><th>Notes</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                ${regrading ? '' : '<div class="form-text">Choose the assignment file as well to grade every answer again.</div>'}
+            `);
+        }
+
+        // Technique the student committed to, or '' to let the assistant decide
+        readTechnique() {
+            const select = document.getElementById('techniqueSelect');
+            return select ? select.value : '';
+        }
+
+        // Hints and steps restart because they are rewritten for the new method
+        chooseTechnique(technique) {
+            if (!this.problem.isValid()) return;
+            this.problem.chooseTechnique(technique);
+            this.currentStep = 0;
+            this.revealedHints = 0;
+            this.clearHints();
+            this.updateButtonStates({ hintBtn: !this.hintsOff, stepBtn: true });
+            this.showAnalysis();
         }
 
         showAnalysis() {
@@ -492,9 +758,10 @@
             if (solutionArea) {
                 const analysisHTML = `
                     <div class="analysis-result mb-4">
+                        ${this.renderChoice()}
                         <div class="alert alert-info">
                             <h6><i class="bi bi-lightbulb-fill me-2"></i>Function Analysis</h6>
-                            <p class="mb-2"><strong>Recommended Technique:</strong> ${this.getTechniqueName(this.problem.technique)}</p>
+                            <p class="mb-2"><strong>Recommended Technique:</strong> ${this.problem.techniqueName}</p>
                             <p class="mb-2"><strong>Difficulty:</strong> 
                                 <span class="badge ${this.getDifficultyColor(this.problem.difficulty)}">${this.problem.difficulty}</span>
                             </p>
@@ -506,15 +773,208 @@
                 `;
                 solutionArea.innerHTML = analysisHTML;
                 solutionArea.style.display = 'block';
+                Utils.renderMathJax(solutionArea);
+            }
+        }
+
+        // Verdict on the student's chosen technique, shown above the analysis
+        renderChoice() {
+            const choice = this.problem.choice;
+            if (!choice) return '';
+            const [verdict, color] = choice.optimal ? ['Optimal', 'success']
+                : choice.viable ? ['Viable', 'primary'] : ['Not viable', 'danger'];
+            return `
+                <div class="alert alert-${choice.viable ? 'success' : 'warning'}">
+                    <h6><i class="bi bi-person-check-fill me-2"></i>Your Technique</h6>
+                    <p class="mb-2"><strong>${this.getTechniqueName(choice.technique)}</strong>
+                        <span class="badge bg-${color} ms-2">${verdict}</span>
+                    </p>
+                    <p class="mb-0">${choice.reason}</p>
+                </div>
+            `;
+        }
+
+        // Starts the explorer on the problem's own interval when it is finite
+        showRiemannSection(show) {
+            Utils.updateElement('riemannSection', null, show ? 'block' : 'none');
+            const table = document.getElementById('riemannTable');
+            if (table) table.innerHTML = '';
+            const { bounds, evaluation } = this.problem;
+            if (show && bounds && evaluation.method !== 'improper') {
+                const text = ExpressionPrinter.toText;
+                [['riemannLower', bounds.lower], ['riemannUpper', bounds.upper]].forEach(([id, bound]) => {
+                    const input = document.getElementById(id);
+                    if (input) input.value = text(bound);
+                });
             }
         }
 
+        drawRiemannSum() {
+            const value = (id) => {
+                const input = document.getElementById(id);
+                return input ? input.value.trim() : '';
+            };
+            const rule = value('riemannRule') || 'midpoint';
+            const n = Number(value('riemannCount'));
+            const max = CONFIG.RIEMANN.MAX_SUBINTERVALS;
+            if (!Number.isInteger(n) || n < 1 || n > max) {
+                this.showRiemannError(`Choose a whole number of subintervals n between 1 and ${max}`);
+                return;
+            }
+
+            let exact;
+            try {
+                exact = this.problem.withBounds({ lower: value('riemannLower'), upper: value('riemannUpper') });
+            } catch (error) {
+                if (!(error instanceof ParseError)) throw error;
+                this.showRiemannError(error.message);
+                return;
+            }
+            if (exact.evaluation.method === 'improper') {
+                this.showRiemannError('Riemann sums need a finite interval on which the integrand is bounded');
+                return;
+            }
+
+            const f = (x) => Expr.evaluate(this.problem.tree, { [CONFIG.VARIABLE]: x });
+            const [a, b] = [exact.bounds.lower, exact.bounds.upper].map(bound => Expr.evaluate(bound));
+            const sum = RiemannSum.approximate(f, a, b, n, rule);
+            if (!Number.isFinite(sum.value) || !Number.isFinite(exact.evaluation.value)) {
+                this.showRiemannError('The integrand is undefined somewhere on this interval');
+                return;
+            }
+
+            this.graph.showRiemannSum(sum);
+            this.renderRiemannTable(RiemannSum.table(f, a, b, sum.n, rule, exact.evaluation.value), exact, rule);
+        }
+
+        renderRiemannTable(rows, exact, rule) {
+            const exactValue = exact.evaluation.exact
+                ? `${MathUtils.convertToLatex(exact.correctAnswer)} \\approx ${MathUtils.formatDecimal(exact.evaluation.value)}`
+                : `\\approx ${MathUtils.formatDecimal(exact.evaluation.value)}`;
+            const formatError = (error) => Math.abs(error) < 1e-15 ? '0' : error.toExponential(2);
+            const body = rows.map(({ n, value, error }) => `
+                <tr>
+                    <td>${n}</td>
+                    <td>${MathUtils.formatDecimal(value)}</td>
+                    <td>${formatError(error)}</td>
+                </tr>`).join('');
+
+            Utils.updateElement('riemannTable', `
+                <p class="small mb-2">${RIEMANN_RULES[rule].name}, exact value
+                    <span class="math-inline">$${MathUtils.formatAsIntegral(exact.functionString, {
+                        lower: ExpressionPrinter.toText(exact.bounds.lower),
+                        upper: ExpressionPrinter.toText(exact.bounds.upper)
+                    })} = ${exactValue}$</span></p>
+                <table class="table table-sm table-striped small mb-0">
+                    <thead><tr><th>n</th><th>Approximation</th><th>Error</th></tr></thead>
+                    <tbody>${body}</tbody>
+                </table>`);
+            Utils.renderMathJax(document.getElementById('riemannTable'));
+        }
+
+        showRiemannError(message) {
+            Utils.updateElement('riemannTable', Utils.showAlert('error', 'Riemann sum', Utils.escapeHtml(message)));
+        }
+
+        // The worked-solution editor starts over with one empty line for each problem
+        showWorkSection(show) {
+            Utils.updateElement('workSection', null, show ? 'block' : 'none');
+            ['workLines', 'workFeedback'].forEach(id => {
+                const element = document.getElementById(id);
+                if (element) element.innerHTML = '';
+            });
+            if (show) {
+                this.addWorkLine(false);
+            }
+        }
+
+        // Enter in a line starts the next one
+        addWorkLine(focus = true) {
+            const container = document.getElementById('workLines');
+            if (!container) return;
+            const number = container.children.length + 1;
+            container.insertAdjacentHTML('beforeend', `
+                <div class="input-group input-group-sm mb-2">
+                    <span class="input-group-text">${number}</span>
+                    <input type="text" class="form-control" aria-label="Line ${number} of your work"
+                           placeholder="${number === 1 ? 'e.g. u = x^2' : ''}">
+                </div>
+            `);
+            const input = container.lastElementChild.querySelector('input');
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.addWorkLine();
+                }
+            });
+            input.addEventListener('input', () => input.classList.remove('is-valid', 'is-invalid'));
+            if (focus) {
+                input.focus();
+            }
+        }
+
+        // Blank lines are skipped, but feedback keeps the numbers shown next to the inputs
+        checkWork() {
+            if (!this.problem.isValid()) {
+                this.showMessage('Please analyze a function first!', 'error');
+                return;
+            }
+            const container = document.getElementById('workLines');
+            const inputs = container ? [...container.querySelectorAll('input')] : [];
+            const filled = inputs.filter(input => input.value.trim());
+            if (filled.length === 0) {
+                this.showMessage('Please write at least one line of work first!', 'error');
+                return;
+            }
+
+            const { results, firstInvalid, finished } = this.work.check(filled.map(input => input.value), this.problem);
+            filled.forEach((input, i) => {
+                input.classList.toggle('is-valid', i < results.length && results[i].isCorrect);
+                input.classList.toggle('is-invalid', i === firstInvalid);
+            });
+            const numbers = filled.map(input => inputs.indexOf(input) + 1);
+            this.showWorkFeedback(results.map((result, i) => ({ ...result, line: numbers[i] })), firstInvalid, finished,
+                filled.length - results.length);
+        }
+
+        showWorkFeedback(results, firstInvalid, finished, unchecked) {
+            const feedback = document.getElementById('workFeedback');
+            if (!feedback) return;
+
+            let summary;
+            if (firstInvalid >= 0) {
+                const { line, type } = results[firstInvalid];
+                summary = Utils.showAlert(type === 'partial' ? 'warning' : 'error', `Line ${line}`,
+                    "This is the first step that doesn't follow." +
+                    (unchecked > 0 ? ` The ${unchecked === 1 ? 'line' : `${unchecked} lines`} after it ${unchecked === 1 ? 'was' : 'were'} not checked.` : ''));
+            } else if (finished) {
+                summary = Utils.showAlert('success', 'Every step checks out', 'Your work ends in a correct antiderivative.');
+            } else {
+                summary = Utils.showAlert('info', 'So far so good', 'Every step checks out. Keep going until no integrals are left!');
+            }
+            const items = results.map(result =>
+                `<li class="mb-1">${Utils.showAlert(result.feedback, `Line ${result.line}`, Utils.escapeHtml(result.message))}</li>`);
+            feedback.innerHTML = `
+                <div class="mb-2">${summary}</div>
+                <ol class="work-feedback list-unstyled small mb-0">${items.join('')}</ol>
+            `;
+        }
+
+        showParseError(error) {
+            this.showMessage(`Could not read the function: ${error.message}`, 'error');
+            Utils.updateElement('functionPreview', Utils.showAlert('error', 'Invalid function', Utils.escapeHtml(error.message)));
+        }
+
         showHint() {
             if (!this.problem.isValid()) {
                 this.showMessage('Please analyze a function first!', 'error');
                 return;
             }
 
+            if (this.hintsOff) {
+                this.showMessage('Hints are turned off for this problem', 'info');
+                return;
+            }
+
             if (this.revealedHints >= this.problem.hints.length) {
                 this.showMessage('No more hints available!', 'info');
                 return;
@@ -546,8 +1006,11 @@
                 `;
                 
                 hintsAccordion.insertAdjacentHTML('beforeend', hintHTML);
+                Utils.renderMathJax(document.getElementById(`hint${hintNumber}Collapse`));
                 hintsArea.style.display = 'block';
                 this.revealedHints++;
+                if (this.session) this.session.hints++;
+                if (this.assignment) this.assignment.current.hints++;
                 
                 // Update hint button
                 const hintBtn = document.getElementById('hintBtn');
@@ -582,7 +1045,10 @@
                         </div>
                     `;
                     steps.insertAdjacentHTML('beforeend', stepHTML);
+                    Utils.renderMathJax(steps.lastElementChild);
                     this.currentStep++;
+                    if (this.session) this.session.steps++;
+                    if (this.assignment) this.assignment.current.steps++;
                     
                     // Update progress
                     const progressPercentage = Math.min(20 + (this.currentStep / this.problem.steps.length) * 40, 60);
@@ -601,6 +1067,9 @@
         }
 
         validateAnswer() {
+            // A finished assignment problem takes no more answers
+            if (this.assignment && this.assignment.isDone) return;
+
             const answerInput = document.getElementById('answerInput');
             const userAnswer = answerInput ? answerInput.value.trim() : '';
             
@@ -609,22 +1078,37 @@
                 return;
             }
 
-            this.userAttempts++;
-            const result = this.validator.validateAnswer(userAnswer, this.problem.correctAnswer, this.userAttempts);
+            const result = this.assignment
+                ? this.assignment.submit(userAnswer)
+                : this.validator.validateAnswer(userAnswer, this.problem, this.userAttempts + 1);
             
             this.showValidationResult(result);
+
+            // Unreadable answers don't use up an attempt
+            if (!result.isValid) {
+                return;
+            }
+            this.userAttempts++;
+            this.lastAttempt = { answer: userAnswer, result };
+            // Definite answers are numbers, so only antiderivatives are graphed
+            if (!this.problem.isDefinite) {
+                this.graph.showAnswer(this.problem, this.validator.parseAnswer(userAnswer));
+            }
             
             if (result.isCorrect) {
                 this.updateProgress(100, 'Congratulations! Correct answer!');
                 this.setCheckButtonEnabled(false);
+                this.endSession('solved');
                 this.celebrateSuccess();
-            } else if (this.userAttempts >= CONFIG.MAX_ATTEMPTS) {
+            } else if (this.userAttempts >= this.problem.maxAttempts) {
                 this.showCorrectAnswer();
                 this.setCheckButtonEnabled(false);
+                this.endSession('failed');
             } else {
                 const progressPercentage = Math.min(60 + (this.userAttempts * 10), 90);
-                this.updateProgress(progressPercentage, `Attempt ${this.userAttempts}/${CONFIG.MAX_ATTEMPTS} - Try again!`);
+                this.updateProgress(progressPercentage, `Attempt ${this.userAttempts}/${this.problem.maxAttempts} - Try again!`);
             }
+            if (this.assignment) this.showAssignmentStatus();
         }
 
         showValidationResult(result) {
@@ -635,10 +1119,11 @@
                 validationArea.style.display = 'block';
                 validationArea.className = `answer-validation ${result.isCorrect ? 'correct' : result.type === 'partial' ? 'partial' : 'incorrect'}`;
                 
+                const partialTitle = result.label ? `Partial Credit (${result.label})` : 'Partial Credit';
                 validationMessage.innerHTML = Utils.showAlert(
                     result.isCorrect ? 'success' : result.type === 'partial' ? 'warning' : 'error',
-                    result.isCorrect ? 'Correct!' : result.type === 'partial' ? 'Partial Credit' : 'Try Again',
-                    result.message
+                    result.isCorrect ? 'Correct!' : result.type === 'partial' ? partialTitle : 'Try Again',
+                    Utils.escapeHtml(result.message)
                 );
             }
         }
@@ -651,14 +1136,26 @@
                 validationArea.style.display = 'block';
                 validationArea.className = 'answer-validation incorrect';
                 
-                const correctAnswerLatex = MathUtils.convertToLatex(this.problem.correctAnswer);
+                const { correctAnswer, isDefinite, evaluation } = this.problem;
+                let answerText = 'This integrand is beyond what the assistant can integrate automatically, so no reference answer is available.';
+                if (isDefinite && evaluation.converges === null) {
+                    answerText = "Whether this integral converges can't be decided automatically, so no reference answer is available.";
+                } else if (correctAnswer && isDefinite && evaluation.converges === false) {
+                    answerText = 'This integral diverges: its limit is not a finite number.';
+                } else if (correctAnswer && isDefinite) {
+                    const decimal = MathUtils.formatDecimal(evaluation.value);
+                    const approximation = decimal === correctAnswer ? '' : ` \\approx ${decimal}`;
+                    answerText = `The correct value is: <span class="math-inline">$${MathUtils.convertToLatex(correctAnswer)}${approximation}$</span>`;
+                } else if (correctAnswer) {
+                    answerText = `The correct answer is: <span class="math-inline">$${MathUtils.convertToLatex(correctAnswer)} + C$</span>`;
+                }
                 validationMessage.innerHTML = `
                     <i class="bi bi-info-circle-fill text-info me-2"></i>
                     <strong>Maximum attempts reached.</strong><br>
-                    The correct answer is: <span class="math-inline">$${correctAnswerLatex} + C$</span>
+                    ${answerText}
                 `;
                 
-                MathUtils.renderMathJax(validationMessage);
+                Utils.renderMathJax(validationMessage);
             }
         }
 
@@ -698,10 +1195,14 @@
         }
 
         reset() {
+            this.endSession('abandoned');
+
             // Reset all state
             this.currentStep = 0;
             this.userAttempts = 0;
             this.revealedHints = 0;
+            this.hintsOff = false;
+            this.lastAttempt = null;
             this.problem = new IntegrationProblem();
             
             // Reset UI
@@ -714,12 +1215,21 @@
             if (answerInput) {
                 answerInput.value = '';
             }
+
+            ['lowerBound', 'upperBound'].forEach(id => {
+                const boundInput = document.getElementById(id);
+                if (boundInput) {
+                    boundInput.value = '';
+                }
+            });
             
             this.updatePreview('');
             this.updateAnswerPreview('');
+            this.graph.clear();
             this.updateProgress(0, 'Ready to start');
             this.showAnswerSection(false);
-            this.updateButtonStates({ hintBtn: false, stepBtn: false });
+            this.updateButtonStates({ hintBtn: false, stepBtn: false, copyLinkBtn: false });
+            window.history.replaceState(null, '', window.location.pathname);
             this.setCheckButtonEnabled(false);
             
             // Clear areas
@@ -729,20 +1239,172 @@
                 solutionArea.innerHTML = '';
             }
             
-            const hintsArea = document.getElementById('hintsArea');
-            if (hintsArea) {
-                hintsArea.style.display = 'none';
-                const hintsAccordion = document.getElementById('hintsAccordion');
-                if (hintsAccordion) {
-                    hintsAccordion.innerHTML = '';
-                }
-            }
+            this.clearHints();
+            this.updateTechniqueSelect('');
             
             const validationArea = document.getElementById('validationArea');
             if (validationArea) {
                 validationArea.style.display = 'none';
                 validationArea.className = 'answer-validation';
             }
+
+            this.showRiemannSection(false);
+            this.showWorkSection(false);
+        }
+
+        startSession() {
+            this.session = { started: Date.now(), bounds: this.readBounds(), hints: 0, steps: 0 };
+        }
+
+        // Records the current problem once; a problem that was only looked at isn't recorded
+        endSession(outcome) {
+            const session = this.session;
+            if (!session || !this.problem.isValid()) return;
+            this.session = null;
+            if (outcome === 'abandoned' && !session.hints && !session.steps && !this.userAttempts) return;
+
+            this.history.record({
+                date: new Date(session.started).toISOString(),
+                integrand: this.problem.functionString,
+                bounds: session.bounds,
+                technique: this.problem.technique,
+                chosenTechnique: this.problem.chosenTechnique,
+                difficulty: this.problem.difficulty,
+                hints: session.hints,
+                steps: session.steps,
+                totalSteps: this.problem.steps.length,
+                attempts: this.userAttempts,
+                outcome,
+                seconds: Math.round((Date.now() - session.started) / 1000)
+            });
+        }
+
+        showHistory() {
+            const select = document.getElementById('historyTechnique');
+            const technique = select ? select.value : '';
+            const records = this.history.records();
+            const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+            const duration = (seconds) => seconds < 60
+                ? `${Math.round(seconds)} s`
+                : `${Math.floor(seconds / 60)} min ${Math.round(seconds % 60)} s`;
+            const accuracyBar = (fraction) => `
+                <div class="progress" style="height: 16px;" title="${percent(fraction)}">
+                    <div class="progress-bar bg-success" style="width: ${percent(fraction)}">${percent(fraction)}</div>
+                </div>`;
+
+            if (records.length === 0) {
+                Utils.updateElement('historySummary', '<p class="text-muted mb-0">No problems attempted yet. Analyze a function or generate one to get started.</p>');
+                Utils.updateElement('historyTimeline', '<p class="text-muted mb-0">Your weekly progress will appear here.</p>');
+                return;
+            }
+
+            const summaryRows = this.history.summary(records).map(row => `
+                <tr>
+                    <td>${this.getTechniqueName(row.technique)}</td>
+                    <td>${row.problems}</td>
+                    <td>${accuracyBar(row.accuracy)}</td>
+                    <td>${row.averageHints.toFixed(1)}</td>
+                    <td>${row.averageSteps.toFixed(1)}</td>
+                    <td>${duration(row.averageSeconds)}</td>
+                </tr>`).join('');
+            Utils.updateElement('historySummary', `
+                <table class="table table-sm align-middle history-table">
+                    <thead><tr><th>Technique</th><th>Problems</th><th>Accuracy</th><th>Avg hints</th><th>Avg steps</th><th>Avg time</th></tr></thead>
+                    <tbody>${summaryRows}</tbody>
+                </table>`);
+
+            const timeline = this.history.timeline(technique, records);
+            const timelineRows = timeline.map(row => `
+                <tr>
+                    <td>${row.week}</td>
+                    <td>${row.problems}</td>
+                    <td>${accuracyBar(row.accuracy)}</td>
+                    <td>${row.averageHints.toFixed(1)}</td>
+                </tr>`).join('');
+            Utils.updateElement('historyTimeline', timeline.length === 0
+                ? `<p class="text-muted mb-0">No ${Utils.escapeHtml(this.getTechniqueName(technique))} problems attempted yet.</p>`
+                : `<table class="table table-sm align-middle history-table">
+                    <thead><tr><th>Week of</th><th>Problems</th><th>Accuracy</th><th>Avg hints</th></tr></thead>
+                    <tbody>${timelineRows}</tbody>
+                </table>`);
+        }
+
+        // Downloads the history as JSON
+        exportHistory() {
+            Utils.downloadFile(`integral-explorer-history-${new Date().toISOString().slice(0, 10)}.json`, this.history.export(), 'application/json');
+        }
+
+        /**
+         * Exports the current solution, with what has been revealed so far, or
+         * ('set') an answer key for a set of problems from the generator settings.
+         * Formats are 'latex', 'markdown', 'html' and 'print'.
+         */
+        exportSolution(format, scope) {
+            let snapshots;
+            let title;
+            let filename;
+            if (scope === 'set') {
+                const read = (id) => {
+                    const element = document.getElementById(id);
+                    return element ? element.value.trim() : '';
+                };
+                const settings = { seed: this.readSeed(), technique: read('generatorTechnique'), difficulty: read('generatorDifficulty') };
+                try {
+                    snapshots = ProblemGenerator.generateSet({ ...settings, count: CONFIG.EXPORT_SET_SIZE }).map(generated => {
+                        const problem = new IntegrationProblem();
+                        problem.setFunction(generated.integrand);
+                        return SolutionExport.snapshot(problem, { answerKey: true });
+                    });
+                } catch (error) {
+                    this.showMessage(error.message, 'error');
+                    return;
+                }
+                title = `Problem Set ${settings.seed}: Answer Key`;
+                filename = `integral-explorer-set-${settings.seed}`;
+            } else {
+                if (!this.problem.isValid()) {
+                    this.showMessage('Please analyze a function first!', 'error');
+                    return;
+                }
+                snapshots = [SolutionExport.snapshot(this.problem, {
+                    stepsShown: this.currentStep,
+                    hintsShown: this.revealedHints,
+                    answer: this.lastAttempt ? this.lastAttempt.answer : '',
+                    result: this.lastAttempt ? this.lastAttempt.result : null
+                })];
+                title = 'Worked Solution';
+                filename = 'integral-explorer-solution';
+            }
+
+            switch (format) {
+                case 'latex':
+                    Utils.downloadFile(`${filename}.tex`, SolutionExport.toLatex(snapshots, title), 'application/x-tex');
+                    break;
+                case 'markdown':
+                    Utils.downloadFile(`${filename}.md`, SolutionExport.toMarkdown(snapshots, title), 'text/markdown');
+                    break;
+                case 'html':
+                    Utils.downloadFile(`${filename}.html`, SolutionExport.toHtml(snapshots, title), 'text/html');
+                    break;
+                case 'print': {
+                    const page = window.open('', '_blank');
+                    if (!page) {
+                        this.showMessage('Allow pop-ups to print the solution', 'error');
+                        return;
+                    }
+                    page.document.write(SolutionExport.toHtml(snapshots, title, { autoPrint: true }));
+                    page.document.close();
+                    break;
+                }
+                default:
+                    throw new RangeError(`Unknown export format "${format}"`);
+            }
+        }
+
+        clearHistory() {
+            if (!window.confirm('Delete your whole practice history? This cannot be undone.')) return;
+            this.history.clear();
+            this.showHistory();
         }
 
         // Helper methods
@@ -768,6 +1430,22 @@
             });
         }
 
+        clearHints() {
+            const hintsArea = document.getElementById('hintsArea');
+            if (hintsArea) {
+                hintsArea.style.display = 'none';
+                const hintsAccordion = document.getElementById('hintsAccordion');
+                if (hintsAccordion) {
+                    hintsAccordion.innerHTML = '';
+                }
+            }
+            if (this.hintsOff) {
+                Utils.toggleButton('hintBtn', false, '<i class="bi bi-lightbulb-off me-1"></i>Hints Off');
+            } else {
+                Utils.toggleButton('hintBtn', this.problem.isValid(), '<i class="bi bi-lightbulb me-1"></i>Get Hint');
+            }
+        }
+
         updateTechniqueSelect(technique) {
             const select = document.getElementById('techniqueSelect');
             if (select) {
@@ -780,6 +1458,15 @@
             if (answerSection) {
                 answerSection.style.display = show ? 'block' : 'none';
             }
+
+            // Definite integrals are answered with a number, so there is no +C
+            const definite = this.problem.isDefinite;
+            const improper = definite && this.problem.evaluation.method === 'improper';
+            Utils.updateElement('constantSuffix', null, definite ? 'none' : '');
+            Utils.updateElement('answerHelp', definite
+                ? `Enter the exact value (e.g. 1/3, e - 1, pi/2) or a decimal with at least ${CONFIG.DECIMAL_PLACES} places` +
+                    (improper ? ', or "diverges" if the integral has no finite value' : '')
+                : "Don't include the constant of integration - we'll add it automatically");
         }
 
         setCheckButtonEnabled(enabled) {
@@ -794,6 +1481,12 @@
             // Could add a toast notification here
         }
 
+        // "2.5 points"; `unit` false leaves the number alone
+        formatPoints(points, unit = true) {
+            const value = Math.round(points * 100) / 100;
+            return unit ? `${value} point${value === 1 ? '' : 's'}` : String(value);
+        }
+
         getTechniqueName(technique) {
             return TECHNIQUE_DATA[technique]?.name || 'Unknown';
         }
@@ -807,7 +1500,6 @@
             return colors[difficulty] || 'bg-secondary';
         }
     }
-
     // =============================================================================
     // INITIALIZATION
     // =============================================================================
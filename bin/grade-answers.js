@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+/**
+ * Batch grader: grades a CSV or JSON file of student answers with the same
+ * checks as the Integration Assistant.
+ *
+ *     grade-answers answers.csv [--format table|csv|json] [--mode auto|symbolic|numeric]
+ *
+ * Rows have student, integrand and answer, plus optional lower and upper
+ * bounds for definite integrals. Exit codes: 0 graded, 1 malformed input,
+ * 2 usage error.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { analyze, AnswerValidator, SeededRandom, ParseError, Csv, Gradebook } = require('../assets/js/integration-core.js');
+
+const COLUMNS = ['student', 'integrand', 'answer', 'lower', 'upper'];
+const REQUIRED_COLUMNS = ['student', 'integrand', 'answer'];
+const FORMATS = ['table', 'csv', 'json'];
+const MODES = ['auto', 'symbolic', 'numeric'];
+// Numeric checks sample at random; a fixed seed makes every run grade alike
+const SAMPLING_SEED = 4127;
+
+const USAGE = `Usage: grade-answers <file.csv|file.json> [--format table|csv|json] [--mode auto|symbolic|numeric]
+
+Grades each (student, integrand, answer) row; optional lower and upper columns make
+the integral definite. Verdicts are exact, equivalent, partial, incorrect, invalid
+(the answer doesn't parse) or empty.
+
+Exit codes: 0 graded, 1 malformed input, 2 usage error`;
+
+// Bad input: the file, a header or a row. `row` is the 1-based data row, when there is one
+class InputError extends Error {
+    constructor(message, row = null) {
+        super(row === null ? message : `Row ${row}: ${message}`);
+        this.name = 'InputError';
+        this.row = row;
+    }
+}
+
+class BatchGrader {
+    constructor({ mode = 'auto' } = {}) {
+        this.mode = mode;
+        this.problems = new Map();
+    }
+
+    // CSV errors become InputErrors like the rest of the file's
+    static parseCsv(text) {
+        try {
+            return Csv.parse(text);
+        } catch (error) {
+            if (!(error instanceof ParseError)) throw error;
+            throw new InputError(error.message);
+        }
+    }
+
+    // The header row names the columns, in any order
+    static rowsFromCsv(text) {
+        const [header, ...records] = BatchGrader.parseCsv(text);
+        if (!header) throw new InputError('The CSV file is empty');
+        const names = header.map(name => name.trim().toLowerCase());
+        BatchGrader.checkColumns(names);
+        return records.map((record, index) => {
+            if (record.length !== names.length) {
+                throw new InputError(`expected ${names.length} fields, found ${record.length}`, index + 1);
+            }
+            const row = {};
+            names.forEach((name, k) => { row[name] = record[k]; });
+            return row;
+        });
+    }
+
+    // An array of objects with the same keys as the CSV columns
+    static rowsFromJson(text) {
+        let rows;
+        try {
+            rows = JSON.parse(text);
+        } catch (error) {
+            throw new InputError(`The JSON file is invalid: ${error.message}`);
+        }
+        if (!Array.isArray(rows)) throw new InputError('The JSON file must hold an array of rows');
+        rows.forEach((row, index) => {
+            if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+                throw new InputError('must be an object', index + 1);
+            }
+            BatchGrader.checkColumns(Object.keys(row), index + 1);
+            for (const [key, value] of Object.entries(row)) {
+                if (typeof value !== 'string' && typeof value !== 'number') {
+                    throw new InputError(`"${key}" must be a string or a number`, index + 1);
+                }
+            }
+        });
+        return rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, String(value)])));
+    }
+
+    static checkColumns(names, row = null) {
+        const unknown = names.find(name => !COLUMNS.includes(name));
+        if (unknown) throw new InputError(`Unknown column "${unknown}"; columns are ${COLUMNS.join(', ')}`, row);
+        const missing = REQUIRED_COLUMNS.find(name => !names.includes(name));
+        if (missing) throw new InputError(`Missing column "${missing}"`, row);
+    }
+
+    static readRows(file) {
+        const text = fs.readFileSync(file, 'utf8');
+        return path.extname(file).toLowerCase() === '.json' ? BatchGrader.rowsFromJson(text) : BatchGrader.rowsFromCsv(text);
+    }
+
+    // Problems are analyzed once each; every bad row is reported, not just the first
+    prepare(rows) {
+        if (rows.length === 0) throw new InputError('There are no rows to grade');
+        const errors = [];
+        rows.forEach((row, index) => {
+            const number = index + 1;
+            const student = (row.student || '').trim();
+            const integrand = (row.integrand || '').trim();
+            const lower = (row.lower || '').trim();
+            const upper = (row.upper || '').trim();
+            if (!student) errors.push(new InputError('the student is empty', number));
+            if (!integrand) {
+                errors.push(new InputError('the integrand is empty', number));
+                return;
+            }
+            const key = BatchGrader.problemKey(integrand, lower, upper);
+            if (this.problems.has(key)) return;
+            try {
+                this.problems.set(key, analyze(integrand, { bounds: lower || upper ? { lower, upper } : null }));
+            } catch (error) {
+                if (!(error instanceof ParseError)) throw error;
+                errors.push(new InputError(`the integrand "${integrand}" can't be read: ${error.message}`, number));
+            }
+        });
+        return errors;
+    }
+
+    static problemKey(integrand, lower = '', upper = '') {
+        return lower || upper ? `${integrand} from ${lower} to ${upper}` : integrand;
+    }
+
+    grade(rows) {
+        return rows.map((row, index) => {
+            const integrand = row.integrand.trim();
+            const lower = (row.lower || '').trim();
+            const upper = (row.upper || '').trim();
+            const problem = BatchGrader.problemKey(integrand, lower, upper);
+            const random = new SeededRandom(SAMPLING_SEED);
+            const validator = new AnswerValidator({ mode: this.mode, random: () => random.next() });
+            const answer = (row.answer || '').trim();
+            const result = answer
+                ? validator.checkAnswer(answer, this.problems.get(problem))
+                : { type: 'empty', isCorrect: false, message: 'No answer given.' };
+            return {
+                row: index + 1,
+                student: row.student.trim(),
+                problem,
+                answer,
+                verdict: result.type,
+                correct: result.isCorrect,
+                credit: Gradebook.credit(result.type),
+                message: result.label ? `${result.label}: ${result.message}` : result.message
+            };
+        });
+    }
+
+    // Totals per student or per problem, in order of first appearance
+    static summarize(results, key) {
+        const groups = new Map();
+        results.forEach(result => {
+            const name = result[key];
+            if (!groups.has(name)) {
+                groups.set(name, { [key]: name, rows: 0, correct: 0, partial: 0, incorrect: 0, credit: 0 });
+            }
+            const group = groups.get(name);
+            group.rows++;
+            group.credit += result.credit;
+            if (result.correct) group.correct++;
+            else if (result.verdict === 'partial') group.partial++;
+            else group.incorrect++;
+        });
+        return [...groups.values()].map(group => ({ ...group, score: group.credit / group.rows }));
+    }
+}
+
+// Left-aligned columns, two spaces apart
+function table(headers, rows) {
+    const widths = headers.map((header, k) => Math.max(header.length, ...rows.map(row => String(row[k]).length)));
+    const line = (cells) => cells.map((cell, k) => String(cell).padEnd(widths[k])).join('  ').trimEnd();
+    return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+function formatSummaries(students, problems) {
+    const totals = (group) => [group.rows, group.correct, group.partial, group.incorrect, percent(group.score)];
+    return [
+        'By student',
+        table(['Student', 'Rows', 'Correct', 'Partial', 'Incorrect', 'Score'], students.map(s => [s.student, ...totals(s)])),
+        '',
+        'By problem',
+        table(['Problem', 'Rows', 'Correct', 'Partial', 'Incorrect', 'Score'], problems.map(p => [p.problem, ...totals(p)]))
+    ].join('\n');
+}
+
+function format(results, formatName) {
+    const students = BatchGrader.summarize(results, 'student');
+    const problems = BatchGrader.summarize(results, 'problem');
+    switch (formatName) {
+        case 'json':
+            return { stdout: `${JSON.stringify({ results, students, problems }, null, 2)}\n`, stderr: '' };
+        case 'csv': {
+            // Only the rows go to stdout, so the output opens as a spreadsheet
+            const headers = ['row', 'student', 'problem', 'answer', 'verdict', 'correct', 'credit', 'message'];
+            const lines = [Csv.line(headers), ...results.map(result => Csv.line(headers.map(h => result[h])))];
+            return { stdout: `${lines.join('\n')}\n`, stderr: `${formatSummaries(students, problems)}\n` };
+        }
+        default: {
+            const rows = table(['Row', 'Student', 'Problem', 'Answer', 'Verdict', 'Message'],
+                results.map(r => [r.row, r.student, r.problem, r.answer || '(none)', r.verdict, r.message]));
+            return { stdout: `${rows}\n\n${formatSummaries(students, problems)}\n`, stderr: '' };
+        }
+    }
+}
+
+function parseArguments(argv) {
+    const options = { file: null, format: 'table', mode: 'auto', help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--format' || arg === '--mode') {
+            const value = argv[++i];
+            const allowed = arg === '--format' ? FORMATS : MODES;
+            if (!allowed.includes(value)) throw new Error(`${arg} must be one of ${allowed.join(', ')}`);
+            options[arg.slice(2)] = value;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (options.file) {
+            throw new Error('Give exactly one input file');
+        } else {
+            options.file = arg;
+        }
+    }
+    if (!options.file && !options.help) throw new Error('Give an input file');
+    return options;
+}
+
+// Returns the exit code; output goes through `io` so tests can capture it
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (options.help) {
+        io.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    let rows;
+    try {
+        rows = BatchGrader.readRows(options.file);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+            io.stderr.write(`Cannot read ${options.file}\n`);
+            return 2;
+        }
+        if (!(error instanceof InputError)) throw error;
+        io.stderr.write(`${options.file}: ${error.message}\n`);
+        return 1;
+    }
+
+    const grader = new BatchGrader({ mode: options.mode });
+    let errors;
+    try {
+        errors = grader.prepare(rows);
+    } catch (error) {
+        if (!(error instanceof InputError)) throw error;
+        errors = [error];
+    }
+    if (errors.length > 0) {
+        io.stderr.write(errors.map(error => `${options.file}: ${error.message}\n`).join(''));
+        return 1;
+    }
+
+    const output = format(grader.grade(rows), options.format);
+    io.stdout.write(output.stdout);
+    io.stderr.write(output.stderr);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { BatchGrader, InputError, main };
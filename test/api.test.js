@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../assets/js/integration-core.js');
+
+const { analyze, integrate, validate, toLatex, ParseError, IntegrationProblem } = core;
+
+test('analyze recommends a technique and builds hints, steps and an answer', () => {
+    const problem = analyze('x*e^x');
+    assert.ok(problem instanceof IntegrationProblem);
+    assert.equal(problem.technique, 'parts');
+    assert.equal(problem.difficulty, 'Hard');
+    assert.equal(problem.correctAnswer, '-e^x + x*e^x');
+    assert.ok(problem.hints.length > 0);
+    assert.ok(problem.steps.length > 0);
+});
+
+test('steps state the antiderivative once', () => {
+    const math = (latex) => `<span class="math-inline">$${latex}$</span>`;
+    const stated = (steps, answer) => steps.filter(step => step.includes(answer)).length;
+    assert.equal(stated(analyze('x*e^x').steps, '-e^{x} + x e^{x}'), 1);
+    assert.equal(analyze('x*e^x').steps.at(-1), `So ${math('\\int x e^{x} \\, dx = -e^{x} + x e^{x} + C')}`);
+    assert.equal(stated(analyze('e^x*cos(x)').steps, '= \\frac{e^{x} \\cos\\left(x\\right) + e^{x} \\sin\\left(x\\right)}{2}'), 1);
+    assert.equal(stated(analyze('x*e^x', { bounds: { lower: '0', upper: '2' } }).steps, '-e^{x} + x e^{x}'), 1);
+    assert.equal(analyze('x^2 + ln(x)').steps.at(-1),
+        `Calculate the result: ${math('\\frac{x^{3}}{3} - x + x \\ln\\left(x\\right) + C')}`);
+
+    // Each method finishes on the result it derived, even where the reference antiderivative differs
+    const substitution = analyze('sin(x)*cos(x)', { technique: 'substitution' }).steps;
+    assert.equal(substitution.at(-1), `Substitute back ${math('u = \\sin\\left(x\\right)')}: ` +
+        math('\\int \\sin\\left(x\\right) \\cos\\left(x\\right) \\, dx = \\frac{\\sin^{2}\\left(x\\right)}{2} + C'));
+    assert.equal(stated(substitution, '\\cos^{2}'), 0);
+    const partial = analyze('1/(x^2 - 1) + x', { technique: 'partial' }).steps;
+    assert.equal(partial.at(-1), `Calculate the result: ${math('\\frac{x^{2}}{2} - \\frac{\\ln\\left|x + 1\\right|}{2} + ' +
+        '\\frac{\\ln\\left|x - 1\\right|}{2} + C')}`);
+    assert.equal(stated(analyze('x/(x^2 + 1)', { technique: 'partial' }).steps, '\\frac{\\ln\\left(x^{2} + 1\\right)}{2}'), 1);
+});
+
+test('an irreducible quadratic denominator is completed to a square, not split', () => {
+    const math = (latex) => `<span class="math-inline">$${latex}$</span>`;
+    const arctan = analyze('1/(x^2 + 1)');
+    assert.deepEqual([arctan.technique, arctan.techniqueName, arctan.difficulty], ['partial', 'Completing the Square', 'Medium']);
+    assert.equal(arctan.steps.some(step => /Factor the denominator|Set up|match coefficients/.test(step)), false);
+
+    const steps = analyze('(2x + 3)/(x^2 + 2x + 5)').steps;
+    assert.ok(steps.includes(`Complete the square: ${math('x^{2} + 2 x + 5 = \\left(x + 1\\right)^{2} + 4')}`));
+    assert.ok(steps.some(step => step.includes(math('\\int \\frac{2 x + 3}{x^{2} + 2 x + 5} \\, dx = ' +
+        '\\int \\frac{2 x + 2}{x^{2} + 2 x + 5} \\, dx + \\int \\frac{1}{\\left(x + 1\\right)^{2} + 4} \\, dx'))));
+    assert.ok(steps.some(step => step.includes('with ' + math('u = x + 1') + ' and ' + math('a = 2'))));
+
+    // Repeated and mixed factors still get a full decomposition
+    const repeated = analyze('1/(x^2 + 1)^2');
+    assert.equal(repeated.difficulty, 'Hard');
+    assert.ok(repeated.steps.includes('Set up the decomposition: ' +
+        math('\\frac{1}{x^{4} + 2 x^{2} + 1} = \\frac{A x + B}{x^{2} + 1} + \\frac{C x + D}{\\left(x^{2} + 1\\right)^{2}}')));
+    assert.equal(analyze('1/(x^2 - 1)').techniqueName, 'Partial Fractions');
+});
+
+test('integrands without an elementary antiderivative are not passed off as substitutions', () => {
+    for (const integrand of ['e^(-x^2)', 'sin(x)/x', 'e^x/x', 'sin(x^2)', '1/ln(x)', 'x^x + x']) {
+        const problem = analyze(integrand);
+        assert.equal(problem.techniqueName, 'No Elementary Antiderivative', integrand);
+        assert.equal(problem.steps.length, 1, integrand);
+        assert.match(problem.steps[0], /has no elementary antiderivative/, integrand);
+        assert.equal(problem.hints.some(hint => hint.includes('Choose u')), false, integrand);
+    }
+    const chosen = analyze('sin(x)/x', { technique: 'parts' });
+    assert.equal(chosen.choice.viable, false);
+    assert.match(chosen.choice.reason, /^Integration by Parts won't find an antiderivative/);
+
+    // Without a recognized shape the solver only says it found none
+    assert.match(analyze('1/(x^13 + 1)').steps[0], /^None of the techniques here finds an antiderivative/);
+    assert.equal(analyze('1/(x^13 + 1)').techniqueName, 'No Antiderivative Found');
+
+    const definite = analyze('e^(-x^2)', { bounds: { lower: '0', upper: '1' } });
+    assert.equal(definite.correctAnswer, '0.7468241328');
+    assert.equal(analyze('2x*cos(x^2)').techniqueName, 'U-Substitution');
+});
+
+test('analyze evaluates definite integrals from text bounds', () => {
+    const problem = analyze('x^2', { bounds: { lower: '0', upper: '1' } });
+    assert.ok(problem.isDefinite);
+    assert.equal(problem.correctAnswer, '1/3');
+});
+
+test('analyze respects the chosen technique', () => {
+    const problem = analyze('2x*cos(x^2)', { technique: 'parts' });
+    assert.equal(problem.technique, 'substitution');
+    assert.equal(problem.chosenTechnique, 'parts');
+    assert.ok(problem.choice);
+});
+
+test('analyze throws ParseError for unreadable input', () => {
+    assert.throws(() => analyze('x^'), ParseError);
+    assert.throws(() => analyze('x + inf'), ParseError);
+    assert.throws(() => analyze('root(x, 0)'), ParseError);
+});
+
+test('analyze rejects divisors that simplify to zero', () => {
+    for (const integrand of ['0^-1', '((0*1/2)^2)^-1', '1/(x - x)', 'x/(2 - 2)']) {
+        assert.throws(() => analyze(integrand), { name: 'ParseError', message: 'Division by zero' }, integrand);
+    }
+    assert.throws(() => validate('x', '0^-1'), ParseError);
+});
+
+test('answers are checked against the antiderivative itself, not its text', () => {
+    const problem = analyze('x*e^x');
+    problem.correctAnswer = 'x/0';
+    assert.equal(validate('x*e^x - e^x + 3', problem).isCorrect, true);
+    assert.equal(validate('x*e^x', problem).isCorrect, false);
+});
+
+test('analyze handles numbers too large for exact arithmetic', () => {
+    assert.throws(() => analyze('99999999999999999999*x'), ParseError);
+    assert.equal(analyze('(x+1)^100').antiderivative, '(x + 1)^101/101');
+    assert.equal(analyze('sin(x)^200').antiderivative, '');
+    assert.equal(integrate('e^x*sin(999999999x)'), null);
+    assert.equal(validate('2^80*x^2/2', '2^80*x').isCorrect, true);
+});
+
+test('integrate returns the antiderivative text, or null', () => {
+    assert.equal(integrate('3x^2'), 'x^3');
+    assert.equal(integrate('cos(t)', 't'), 'sin(t)');
+    assert.equal(integrate('e^(x^2)'), null);
+});
+
+test('validate accepts any correct form and grades mistakes', () => {
+    assert.equal(validate('x^3/3', 'x^2').isCorrect, true);
+    assert.equal(validate('x^3/3 + 7', 'x^2').isCorrect, true);
+    assert.equal(validate('sin(x)^2/2', 'sin(x)*cos(x)').isCorrect, true);
+    const wrong = validate('x^3', 'x^2');
+    assert.equal(wrong.isValid, true);
+    assert.equal(wrong.isCorrect, false);
+    assert.equal(validate('x^3 +', 'x^2').isValid, false);
+});
+
+test('validate takes an analyzed problem or bounds', () => {
+    const problem = analyze('1/x^2', { bounds: { lower: '1', upper: 'inf' } });
+    assert.equal(validate('1', problem).isCorrect, true);
+    assert.equal(validate('0.5', '2x', { bounds: { lower: '0', upper: '1' } }).isCorrect, false);
+    assert.equal(validate('1', '2x', { bounds: { lower: '0', upper: '1' } }).isCorrect, true);
+});
+
+test('toLatex renders expressions and rejects bad input', () => {
+    assert.equal(toLatex('x^2/3'), '\\frac{x^{2}}{3}');
+    assert.equal(toLatex('sqrt(x)'), '\\sqrt{x}');
+    assert.throws(() => toLatex('(x'), ParseError);
+});
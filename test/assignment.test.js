@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHash } = require('node:crypto');
+const { Assignment, AssignmentSession, Gradebook, Csv, ParseError, CONFIG } = require('../assets/js/integration-core.js');
+
+const ASSIGNMENT = JSON.stringify({
+    format: 'integral-explorer-assignment',
+    version: 1,
+    title: 'Week 3',
+    problems: [
+        { integrand: 'x*e^x', technique: 'parts', hints: ['Let $u = x$.', 'Use <b>LIATE</b>.'], maxAttempts: 2, points: 5 },
+        { integrand: '2x', bounds: { lower: 0, upper: '1' }, points: 2 },
+        { integrand: 'cos(x)' }
+    ]
+});
+const START = Date.parse('2026-10-18T10:00:00Z');
+
+// Ada solves the first problem on the second try, misses the second and skips the third
+async function handIn() {
+    const session = new AssignmentSession(Assignment.parse(ASSIGNMENT), 'Ada', START);
+    session.next();
+    session.current.hints++;
+    assert.equal(session.submit('x e^x').type, 'incorrect');
+    assert.equal(session.submit('x*e^x - e^x').type, 'exact');
+    assert.equal(session.isDone, true);
+    session.next();
+    assert.equal(session.submit('2').type, 'incorrect');
+    assert.equal(session.submit('1/(').isValid, false);
+    session.next();
+    assert.equal(session.next(), null);
+    return session.results(START + 1800000);
+}
+
+test('assignments fill in defaults and shape each problem', async () => {
+    const assignment = Assignment.parse(ASSIGNMENT);
+    assert.equal(assignment.totalPoints, 8);
+    assert.deepEqual(assignment.problems[2], { integrand: 'cos(x)', bounds: null, technique: '', hints: null, maxAttempts: CONFIG.MAX_ATTEMPTS, points: 1 });
+    assert.deepEqual(assignment.problems[1].bounds, { lower: '0', upper: '1' });
+
+    const first = assignment.problem(0);
+    assert.deepEqual(first.hints, ['Let $u = x$.', 'Use &lt;b&gt;LIATE&lt;/b&gt;.']);
+    assert.equal(first.maxAttempts, 2);
+    assert.equal(first.chosenTechnique, 'parts');
+    assert.equal(await Assignment.parse(ASSIGNMENT).hash(), await assignment.hash());
+    assert.equal(await assignment.hash(), createHash('sha256').update(JSON.stringify({ title: assignment.title, problems: assignment.problems })).digest('hex'));
+});
+
+test('assignment files are checked strictly', () => {
+    const parse = (problems, extra = {}) => () => Assignment.parse(JSON.stringify({ format: 'integral-explorer-assignment', version: 1, problems, ...extra }));
+    assert.throws(() => Assignment.parse('{'), ParseError);
+    assert.throws(parse([{ integrand: 'x' }], { format: 'integral-explorer-results' }), /isn't an assignment file/);
+    assert.throws(parse([{ integrand: 'x' }], { author: 'me' }), /unknown field "author"/);
+    assert.throws(parse([]), /needs a list of problems/);
+    assert.throws(parse([{ integrand: 'x' }, { integrand: 'x^(' }]), /^ParseError: Problem 2: can't read "x\^\("/);
+    assert.throws(parse([{ integrand: 'x', colour: 'red' }]), /Problem 1: unknown field "colour"/);
+    assert.throws(parse([{ integrand: 'x', bounds: { lower: 0 } }]), /bounds must be/);
+    assert.throws(parse([{ integrand: 'sin(x)', technique: 'parts' }]), /Integration by Parts doesn't work for sin\(x\)/);
+    assert.throws(parse([{ integrand: 'x', technique: 'magic' }]), /unknown technique "magic"/);
+    assert.throws(parse([{ integrand: 'x', hints: [] }]), /hints must be/);
+    assert.throws(parse([{ integrand: 'x', maxAttempts: 1.5 }]), /maxAttempts must be/);
+    assert.throws(parse([{ integrand: 'x', points: -1 }]), /points must be/);
+});
+
+test('results are scored from the final answers and signed', async () => {
+    const results = await handIn();
+    assert.deepEqual(results.problems.map(p => [p.attempts, p.hints, p.answer, p.verdict, p.score]),
+        [[2, 1, 'x*e^x - e^x', 'exact', 5], [1, 0, '2', 'incorrect', 0], [0, 0, '', 'unanswered', 0]]);
+    assert.equal(results.score, 5);
+    assert.equal(results.total, 8);
+    assert.equal(results.finished, '2026-10-18T10:30:00.000Z');
+
+    const signed = Gradebook.rows(results).map(Csv.line).join('\n');
+    assert.equal(results.signature, createHash('sha256').update(signed).digest('hex'));
+
+    const csv = Csv.parse(Gradebook.toCsv(results));
+    assert.equal(csv.length, 4);
+    assert.equal(csv[1].at(-1), results.signature);
+});
+
+test('handed-in results and gradebooks verify and regrade', async () => {
+    const results = await handIn();
+    const assignment = Assignment.parse(ASSIGNMENT);
+    for (const text of [JSON.stringify(results, null, 2), Gradebook.toCsv(results)]) {
+        const [report] = await Gradebook.verify(text, assignment);
+        assert.deepEqual(report.issues, []);
+        assert.equal(report.signed, true);
+        assert.equal(report.regraded, true);
+        assert.equal(report.score, 5);
+    }
+
+    // Two students' gradebooks pasted together are checked separately
+    const other = { ...results, student: 'Grace' };
+    other.signature = await Gradebook.sign(other);
+    const combined = Gradebook.toCsv(results) + Gradebook.toCsv(other).split('\n').slice(1).join('\n');
+    assert.deepEqual((await Gradebook.verify(combined)).map(report => [report.student, report.signed]), [['Ada', true], ['Grace', true]]);
+});
+
+test('edited results are caught, even when signed again', async () => {
+    const results = await handIn();
+    const assignment = Assignment.parse(ASSIGNMENT);
+
+    const [edited] = await Gradebook.verify(Gradebook.toCsv(results).replace(',incorrect,0,', ',exact,2,'), assignment);
+    assert.equal(edited.signed, false);
+    assert.match(edited.issues.join('\n'), /Problem 2: recorded as exact, but the answer grades as incorrect/);
+
+    const forged = JSON.parse(JSON.stringify(results));
+    Object.assign(forged.problems[1], { verdict: 'exact', score: 2 });
+    forged.score = 7;
+    forged.signature = await Gradebook.sign(forged);
+    const [report] = await Gradebook.verify(JSON.stringify(forged), assignment);
+    assert.equal(report.signed, true);
+    assert.deepEqual(report.issues, ['Problem 2: recorded as exact, but the answer grades as incorrect']);
+
+    const [unsummed] = await Gradebook.verify(JSON.stringify({ ...results, score: 8 }));
+    assert.deepEqual(unsummed.issues, ["The total score doesn't add up"]);
+
+    const changed = Assignment.parse(ASSIGNMENT.replace('"points":5', '"points":6'));
+    assert.match((await Gradebook.verify(JSON.stringify(results), changed))[0].issues[0], /different assignment/);
+    await assert.rejects(Gradebook.verify('name,score\nAda,5'), ParseError);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BatchGrader, InputError, main } = require('../bin/grade-answers.js');
+
+// Runs the CLI on a temporary file and captures its output
+function run(name, content, ...args) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grade-answers-'));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: (text) => { output.stdout += text; } },
+        stderr: { write: (text) => { output.stderr += text; } }
+    };
+    try {
+        return { code: main([file, ...args], io), ...output };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const ANSWERS = [
+    'student,integrand,answer,lower,upper',
+    'alice,x^2,x^3/3,,',
+    'bob,x^2,x^3,,',
+    'alice,1/x,"ln|x| + 5",,',
+    'bob,1/x,,,',
+    'alice,2x,1,0,1',
+    'bob,"log(x, 2)",x ^^,,'
+].join('\n');
+
+test('parses quoted CSV fields', () => {
+    assert.deepEqual(BatchGrader.parseCsv('a,b\r\n"x, y","say ""hi"""\n'), [['a', 'b'], ['x, y', 'say "hi"']]);
+    assert.throws(() => BatchGrader.parseCsv('a,"b'), InputError);
+});
+
+test('grades each row with the validator categories', () => {
+    const { code, stdout } = run('answers.csv', ANSWERS, '--format', 'json');
+    assert.equal(code, 0);
+    const { results, students, problems } = JSON.parse(stdout);
+    assert.deepEqual(results.map(r => r.verdict), ['exact', 'partial', 'equivalent', 'empty', 'exact', 'invalid']);
+    assert.equal(results[5].problem, 'log(x, 2)');
+    assert.deepEqual(students.map(s => [s.student, s.rows, s.correct, s.partial, s.incorrect]), [['alice', 3, 3, 0, 0], ['bob', 3, 0, 1, 2]]);
+    assert.deepEqual(problems.map(p => p.problem), ['x^2', '1/x', '2x from 0 to 1', 'log(x, 2)']);
+    assert.equal(problems[0].score, 0.75);
+});
+
+test('prints tables with summaries, or CSV rows with summaries on stderr', () => {
+    const table = run('answers.csv', ANSWERS);
+    assert.match(table.stdout, /^Row\s+Student\s+Problem/);
+    assert.match(table.stdout, /By student[\s\S]*By problem/);
+
+    const csv = run('answers.csv', ANSWERS, '--format', 'csv');
+    assert.equal(csv.stdout.trim().split('\n').length, 7);
+    assert.match(csv.stdout, /^row,student,problem,answer,verdict,correct,credit,message\n/);
+    assert.match(csv.stderr, /By student/);
+});
+
+test('reads JSON rows', () => {
+    const rows = JSON.stringify([{ student: 'dana', integrand: 'cos(x)', answer: 'sin(x)' }, { student: 'dana', integrand: 'x', answer: 1, lower: 0, upper: 2 }]);
+    const { code, stdout } = run('answers.json', rows, '--format', 'json');
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout).results.map(r => r.verdict), ['exact', 'incorrect']);
+});
+
+test('exits 1 on malformed input, listing every bad row', () => {
+    const bad = run('bad.csv', 'student,integrand,answer\n,x^(,x\nbob,,x\n');
+    assert.equal(bad.code, 1);
+    assert.equal(bad.stdout, '');
+    assert.match(bad.stderr, /Row 1: the student is empty/);
+    assert.match(bad.stderr, /Row 1: the integrand "x\^\(" can't be read/);
+    assert.match(bad.stderr, /Row 2: the integrand is empty/);
+
+    assert.equal(run('bad.csv', 'student,problem,answer\na,x,x\n').code, 1);
+    assert.equal(run('bad.csv', 'student,integrand,answer\na,x\n').code, 1);
+    assert.equal(run('bad.csv', 'student,integrand,answer\n').code, 1);
+    assert.equal(run('bad.json', '{"student": "a"}').code, 1);
+    assert.equal(run('bad.json', '[{"student": "a", "integrand": "x", "answer": null}]').code, 1);
+});
+
+test('exits 2 on usage errors', () => {
+    const io = { stdout: { write() {} }, stderr: { write() {} } };
+    assert.equal(main([], io), 2);
+    assert.equal(main(['a.csv', '--format', 'xml'], io), 2);
+    assert.equal(main(['a.csv', '--verbose'], io), 2);
+    assert.equal(main([path.join(os.tmpdir(), 'no-such-answers.csv')], io), 2);
+    assert.equal(main(['--help'], io), 0);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyze, ExpressionParser, RiemannSum } = require('../assets/js/integration-core.js');
+const { GraphingBridge, DesmosAdapter, PlotSampler } = require('../assets/js/graphing-bridge.js');
+
+// Records what the bridge draws, in the adapter interface GraphingBridge documents
+class StubAdapter {
+    constructor() {
+        this.specs = new Map();
+    }
+
+    plot(spec) {
+        this.specs.set(spec.id, spec);
+    }
+
+    remove(id) {
+        this.specs.delete(id);
+    }
+}
+
+// The part of Desmos.GraphingCalculator that DesmosAdapter uses
+class StubCalculator {
+    constructor() {
+        this.expressions = new Map();
+    }
+
+    setExpression(expression) {
+        this.expressions.set(expression.id, expression);
+    }
+
+    removeExpression({ id }) {
+        this.expressions.delete(id);
+    }
+}
+
+test('the bridge plots the integrand, shading the area of a definite integral', () => {
+    const adapter = new StubAdapter();
+    const bridge = new GraphingBridge(adapter);
+    bridge.showProblem(analyze('x^2', { bounds: { lower: '0', upper: 'inf' } }));
+    assert.deepEqual([...adapter.specs.keys()], ['integrand', 'area']);
+    assert.equal(adapter.specs.get('integrand').style, 'solid');
+    assert.deepEqual(adapter.specs.get('area').area, { lower: 0, upper: Infinity });
+
+    bridge.showProblem(analyze('sin(x)'));
+    assert.deepEqual([...adapter.specs.keys()], ['integrand']);
+});
+
+test('the bridge overlays the answer on the reference and clears everything it drew', () => {
+    const adapter = new StubAdapter();
+    const bridge = new GraphingBridge(adapter);
+    const problem = analyze('2x');
+    bridge.showProblem(problem);
+    bridge.showAnswer(problem, ExpressionParser.parse('x^2 + 1'));
+    assert.equal(adapter.specs.get('reference').style, 'dashed');
+    assert.equal(adapter.specs.get('student').label, 'your answer');
+
+    bridge.clear();
+    assert.equal(adapter.specs.size, 0);
+    assert.doesNotThrow(() => new GraphingBridge().showProblem(problem));
+});
+
+test('the Desmos adapter writes curves, areas and Riemann rectangles as expressions', () => {
+    const calculator = new StubCalculator();
+    const bridge = new GraphingBridge(new DesmosAdapter(calculator));
+    const problem = analyze('x^2', { bounds: { lower: '0', upper: '1' } });
+    bridge.showProblem(problem);
+    assert.equal(calculator.expressions.get('integrand').latex, 'y=x^{2}');
+    assert.equal(calculator.expressions.get('area').latex,
+        '\\min\\left(0,x^{2}\\right)\\le y\\le\\max\\left(0,x^{2}\\right)\\left\\{0\\le x\\le 1\\right\\}');
+
+    const f = (x) => x * x;
+    bridge.showRiemannSum(RiemannSum.approximate(f, 0, 1, 4, 'left'));
+    assert.equal(calculator.expressions.get('riemann-0').latex,
+        '\\operatorname{polygon}\\left(\\left(0,0\\right),\\left(0,0\\right),\\left(0.25,0\\right),\\left(0.25,0\\right)\\right)');
+    assert.ok(calculator.expressions.has('riemann-3'));
+
+    bridge.clear();
+    assert.equal(calculator.expressions.size, 0);
+});
+
+test('the plot sampler breaks curves at asymptotes and picks readable grids', () => {
+    const segments = PlotSampler.segments(x => 1 / x, -1, 1, 101, 2);
+    assert.equal(segments.length, 2);
+    assert.ok(segments[0].every(([x]) => x < 0) && segments[1].every(([x]) => x > 0));
+    assert.equal(PlotSampler.segments(x => Math.tan(x), -1, 1, 100, 2).length, 1);
+
+    assert.equal(PlotSampler.niceStep(20), 2);
+    assert.equal(PlotSampler.niceStep(0.3), 0.05);
+
+    const { left, right, bottom, top } = PlotSampler.autoscale([x => x * x + 5], [{ lower: 1, upper: 3 }]);
+    assert.deepEqual([left, right], [0, 4]);
+    assert.ok(bottom < 0 && top > 14);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { integrate, Expr, ExpressionParser } = require('../assets/js/integration-core.js');
+
+// Checks F' = f by central differences at points where both are defined
+function assertAntiderivative(integrand, antiderivative) {
+    const f = ExpressionParser.parse(integrand);
+    const F = ExpressionParser.parse(antiderivative);
+    const h = 1e-5;
+    let checked = 0;
+    for (const x of [-2.3, -1.7, -0.6, 0.4, 0.9, 1.3, 1.9, 2.7, 3.4]) {
+        const expected = Expr.evaluate(f, { x });
+        const slope = (Expr.evaluate(F, { x: x + h }) - Expr.evaluate(F, { x: x - h })) / (2 * h);
+        if (!Number.isFinite(expected) || !Number.isFinite(slope) || Math.abs(expected) > 1e4) continue;
+        assert.ok(Math.abs(slope - expected) <= 1e-4 * Math.max(1, Math.abs(expected)),
+            `d/dx ${antiderivative} at x = ${x} is ${slope}, but ${integrand} is ${expected}`);
+        checked++;
+    }
+    assert.ok(checked >= 3, `too few points to check ${integrand}`);
+}
+
+const INTEGRANDS = {
+    power: ['3x^2 + 2x - 5', 'sqrt(x)', '1/x^3', '(2x + 1)^3', 'x^(2/3)'],
+    exponential: ['e^(3x)', '2^x', 'sinh(2x)', 'e^(-x) + cosh(x)'],
+    logarithmic: ['1/x', '3/(2x + 1)'],
+    trig: ['sin(3x)', 'sec(x)^2', 'cos(x)^2', 'sin(x)^3', 'tan(x)', 'sin(x)^2*cos(x)^2', 'sec(x)^3', 'sqrt(4 - x^2)', '1/sqrt(x^2 + 9)'],
+    substitution: ['2x*e^(x^2)', 'x/(x^2 + 1)', 'cos(x)*e^(sin(x))', 'ln(x)/x', 'x*sqrt(x^2 + 4)'],
+    parts: ['x*e^x', 'x*sin(x)', 'ln(x)', 'x^2*e^x', 'e^x*cos(x)', 'arctan(x)'],
+    partial: ['1/(x^2 - 1)', '(3x + 5)/(x^2 + x - 2)', '1/(x^3 + 3x^2 - 4)', '(2x + 3)/(x^2 + 2x + 5)', '(x^3 + 1)/(x^2 - 4)']
+};
+
+for (const [technique, integrands] of Object.entries(INTEGRANDS)) {
+    test(`integrates ${technique} integrands`, () => {
+        for (const integrand of integrands) {
+            const antiderivative = integrate(integrand);
+            assert.ok(antiderivative, `no antiderivative for ${integrand}`);
+            assertAntiderivative(integrand, antiderivative);
+        }
+    });
+}
+
+test('declines integrands too large to expand instead of hanging', () => {
+    assert.equal(integrate('x^10000'), 'x^10001/10001');
+    assert.equal(integrate('sin(x)^27'), null);
+    assert.equal(integrate('1/(x^13 + 1)'), null);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ProblemGenerator, PracticeHistory, MemoryHistoryStore, Mastery, AdaptiveSession, ProblemLink, SolutionExport,
+    ParseError, analyze, validate
+} = require('../assets/js/integration-core.js');
+
+test('the generator is deterministic and its answers check out', () => {
+    const first = ProblemGenerator.generateSet({ seed: 4127, count: 8 });
+    assert.deepEqual(ProblemGenerator.generateSet({ seed: 4127, count: 8 }), first);
+    for (const problem of first) {
+        assert.equal(analyze(problem.integrand).technique, problem.technique);
+        assert.equal(validate(problem.answer, problem.integrand).isCorrect, true);
+    }
+});
+
+test('the generator covers every technique and difficulty', () => {
+    for (const technique of ['power', 'trig', 'exponential', 'logarithmic', 'substitution', 'parts', 'partial']) {
+        for (const difficulty of ['Easy', 'Medium', 'Hard']) {
+            const problem = ProblemGenerator.generate({ seed: 11, technique, difficulty });
+            assert.equal(problem.technique, technique);
+            assert.equal(problem.difficulty, difficulty);
+        }
+    }
+});
+
+test('a seeded set does not repeat problems and rejects bad seeds and counts', () => {
+    for (const [technique, difficulty] of [['substitution', 'Easy'], ['logarithmic', 'Easy'], ['parts', 'Easy'], ['', '']]) {
+        const integrands = ProblemGenerator.generateSet({ seed: 4127, count: 6, technique, difficulty }).map(problem => problem.integrand);
+        assert.equal(new Set(integrands).size, 6, `${technique} ${difficulty}: ${integrands.join(', ')}`);
+    }
+    // A tier with fewer problems than asked for repeats rather than failing
+    assert.equal(ProblemGenerator.generateSet({ seed: 4127, count: 25, technique: 'parts', difficulty: 'Easy' }).length, 25);
+
+    assert.equal(ProblemGenerator.generateSet({ seed: 5 }).length, 10);
+    for (const seed of ['abc', 0, -3, 1.5, undefined]) {
+        assert.throws(() => ProblemGenerator.generate({ seed }), RangeError, String(seed));
+        assert.throws(() => ProblemGenerator.generateSet({ seed, count: 2 }), RangeError, String(seed));
+    }
+    assert.throws(() => ProblemGenerator.generateSet({ seed: 5, count: -1 }), RangeError);
+    assert.throws(() => ProblemGenerator.generateSet({ seed: 5, count: '3' }), RangeError);
+});
+
+test('the generator draws only from its seed', (t) => {
+    t.mock.method(Math, 'random', () => {
+        throw new Error('Math.random called while generating');
+    });
+    for (const technique of ['power', 'trig', 'exponential', 'logarithmic', 'substitution', 'parts', 'partial']) {
+        assert.doesNotThrow(() => ProblemGenerator.generateSet({ seed: 4127, count: 4, technique }));
+    }
+});
+
+test('practice history summarizes by technique and week', () => {
+    const history = new PracticeHistory(new MemoryHistoryStore());
+    history.record({ date: '2026-10-05T10:00:00Z', technique: 'power', outcome: 'solved', hints: 0, steps: 0, attempts: 1, seconds: 20 });
+    history.record({ date: '2026-10-06T10:00:00Z', technique: 'power', outcome: 'failed', hints: 2, steps: 1, attempts: 3, seconds: 90 });
+    const [power] = history.summary();
+    assert.equal(power.problems, 2);
+    assert.equal(power.accuracy, 0.5);
+    assert.equal(power.averageHints, 1);
+    assert.equal(history.timeline().length, 1);
+    assert.equal(JSON.parse(history.export()).records.length, 2);
+});
+
+test('missed problems come back for review', () => {
+    const history = new PracticeHistory(new MemoryHistoryStore());
+    const start = Date.parse('2026-10-01T10:00:00Z');
+    const missed = { integrand: 'x*e^x', bounds: null, technique: 'parts', outcome: 'failed', hints: 0, steps: 0, attempts: 3 };
+    history.record({ ...missed, date: new Date(start).toISOString() });
+    assert.equal(Mastery.dueReviews(history.records(), start).length, 0);
+    for (let i = 1; i <= 3; i++) {
+        history.record({ integrand: `${i}x`, technique: 'power', outcome: 'solved', hints: 0, steps: 0, attempts: 1, date: new Date(start + i).toISOString() });
+    }
+    const session = new AdaptiveSession(history, 4127, start);
+    assert.equal(session.next(start + 10).review.integrand, 'x*e^x');
+
+    // Skipping the review records nothing, but it isn't served again in the same session
+    for (let i = 0; i < 3; i++) {
+        assert.equal(session.next(start + 10).review, null);
+    }
+    assert.equal(new AdaptiveSession(history, 4127, start).next(start + 10).review.integrand, 'x*e^x');
+});
+
+test('problem links round-trip and reject anything unexpected', () => {
+    const link = { func: 'x^2 + sin(x)', bounds: { lower: '0', upper: 'pi' }, technique: 'trig', hintsOff: true };
+    assert.deepEqual(ProblemLink.decode(ProblemLink.encode(link)), link);
+    assert.equal(ProblemLink.decode('?other=1'), null);
+    for (const bad of ['?f=<b>x</b>', '?f=x&t=constructor', '?f=x&from=0', '?f=x&f=y', '?f=x&extra=1']) {
+        assert.throws(() => ProblemLink.decode(bad), ParseError, bad);
+    }
+});
+
+test('solutions export to LaTeX, Markdown and HTML', () => {
+    const problem = analyze('x*e^x');
+    const snapshot = SolutionExport.snapshot(problem, { stepsShown: 2, hintsShown: 1, answer: 'x*e^x - e^x', result: validate('x*e^x - e^x', problem), answerKey: true });
+    assert.equal(snapshot.steps.length, 2);
+    assert.equal(snapshot.verdict, 'Correct');
+
+    const latex = SolutionExport.toLatex([snapshot], 'Worked Solution');
+    assert.match(latex, /\\begin\{align\*\}/);
+    assert.match(latex, /\\item Identify the product: \$\\int x e\^\{x\} \\, dx\$/);
+    assert.match(latex, /choose \$u = x\$ and \$dv = e\^\{x\} \\, dx\$ \(algebraic/);
+    assert.doesNotMatch(latex, /textasciicircum/);
+    assert.match(SolutionExport.toMarkdown([snapshot], 'Worked Solution'), /^\$\$\\int x e\^\{x\} \\, dx\$\$$/m);
+    assert.match(SolutionExport.toMarkdown([snapshot], 'Worked Solution'), /^1\. Identify the product: \$\\int x e\^\{x\} \\, dx\$$/m);
+    assert.match(SolutionExport.toHtml([snapshot, snapshot], '<Set>'), /<title>&lt;Set&gt;<\/title>[\s\S]*Problem 2/);
+    assert.match(SolutionExport.toHtml([snapshot], 'Steps'), /<li>Identify the product: <span class="math-inline">\$\\int x e\^\{x\} \\, dx\$<\/span><\/li>/);
+});
+
+test('LaTeX exports keep every step and hint within ASCII', () => {
+    const problems = [
+        analyze('sqrt(4 - x^2)'),
+        analyze('1/x', { bounds: { lower: '-1', upper: '1' } }),
+        analyze('1/x^2', { bounds: { lower: '1', upper: 'inf' } }),
+        analyze('e^(-x^2)', { bounds: { lower: '0', upper: '1' } }),
+        analyze('x^2 + 1', { technique: 'trig' })
+    ];
+    const latex = SolutionExport.toLatex(problems.map(problem => SolutionExport.snapshot(problem, { answerKey: true })), 'Set');
+    const math = [...latex.matchAll(/\$([^$]*)\$/g)].map(match => match[1]);
+    assert.ok(math.some(part => part.includes('\\lim_{t \\to 0^{-}}')));
+    assert.ok(math.some(part => part.includes('d\\theta')));
+    assert.deepEqual(math.filter(part => /[^\x00-\x7F]/.test(part)), []);
+    assert.doesNotMatch(latex, /[^\x00-\x7F]/);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyze, validate, AnswerValidator, WorkedSolution, ExpressionParser } = require('../assets/js/integration-core.js');
+
+test('a missing absolute value earns partial credit', () => {
+    const result = validate('ln(x)', '1/x');
+    assert.equal(result.isCorrect, false);
+    assert.equal(result.type, 'partial');
+});
+
+test('an answer that is the derivative is diagnosed', () => {
+    const result = validate('2x', 'x^2');
+    assert.equal(result.isCorrect, false);
+    assert.ok(result.misconception, 'expected a diagnosed misconception');
+});
+
+test('a wrong answer is only placed on an interval where it is right up to one constant', () => {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const validator = new AnswerValidator({ random });
+    assert.match(validator.checkAnswer('x*abs(x) + 3', analyze('2x')).message, /off for x < 0\./);
+    assert.equal(validator.checkAnswer('sin(x) + abs(x)', analyze('cos(x)')).message, 'Not quite right. Check your work and try again!');
+
+    // ln(2x + 1) is wrong wherever it is defined, and the odd sample matching a median offset isn't a region
+    const reference = analyze('1/(2x + 1)').antiderivativeTree;
+    for (let i = 0; i < 5; i++) {
+        assert.equal(validator.compareNumerically(ExpressionParser.parse('ln(2x + 1)'), reference, { allowOffset: true }).region, null);
+    }
+    const point = (x, agrees) => ({ x, agrees });
+    assert.equal(AnswerValidator.describeRegion([point(-2, false), point(-1, false), point(1, true), point(2, false)], 3), null);
+    assert.equal(AnswerValidator.describeRegion([point(-2, false), point(1, true), point(2, true), point(3, true)], 3), 'x < 0');
+});
+
+test('a missing chain-rule factor is diagnosed along with a missing absolute value', () => {
+    const result = validate('ln(2x + 1)', '1/(2x + 1)');
+    assert.equal(result.type, 'partial');
+    assert.equal(result.misconception, 'chain-factor');
+    assert.match(result.message, /ln\|u\|, not ln\(u\)/);
+    assert.equal(validate('ln(2x + 1)/2', '1/(2x + 1)').misconception, 'missing-abs');
+});
+
+test('numeric mode settles answers simplification cannot', () => {
+    const validator = new AnswerValidator({ mode: 'numeric', random: () => 0.37 });
+    assert.equal(validator.checkAnswer('-cos(2x)/4', analyze('sin(x)*cos(x)')).isCorrect, true);
+});
+
+test('numeric mode falls back to simplification when no sample point is defined', () => {
+    // sqrt(x - 100) is undefined on the whole sampling domain
+    const validator = new AnswerValidator({ mode: 'numeric', random: () => 0.37 });
+    const problem = analyze('sqrt(x - 100)');
+    assert.equal(validator.checkAnswer('2(x - 100)^(3/2)/3', problem).isCorrect, true);
+    assert.equal(validator.checkAnswer('(x - 100)^(3/2)', problem).isCorrect, false);
+
+    const work = new WorkedSolution(validator).check(['u = x - 100', 'du = 1 dx', '∫ sqrt(u) du', '2u^(3/2)/3'], problem);
+    assert.equal(work.firstInvalid, -1);
+});
+
+test('divergent integrals accept "diverges"', () => {
+    assert.equal(validate('diverges', '1/x', { bounds: { lower: '1', upper: 'inf' } }).isCorrect, true);
+});
+
+test('oscillating improper integrals converge by cancellation, not by the p-test', () => {
+    const cases = [['sin(x)/x', '1', 0.6247132564], ['sin(x^2)', '0', Math.sqrt(Math.PI / 8)], ['cos(x)/sqrt(x)', '1', -0.5557313]];
+    for (const [integrand, lower, value] of cases) {
+        const problem = analyze(integrand, { bounds: { lower, upper: 'inf' } });
+        assert.equal(problem.evaluation.converges, true, integrand);
+        assert.ok(Math.abs(problem.evaluation.value - value) < 1e-5, integrand);
+        assert.equal(validate('diverges', problem).isCorrect, false, integrand);
+        assert.equal(validate(value.toFixed(4), problem).isCorrect, true, integrand);
+    }
+    assert.equal(analyze('sin(x)', { bounds: { lower: '0', upper: 'inf' } }).correctAnswer, 'diverges');
+
+    // The areas between zeros shrink too slowly to tell
+    const undecided = analyze('sin(x)/ln(x)', { bounds: { lower: '2', upper: 'inf' } });
+    assert.equal(undecided.evaluation.converges, null);
+    assert.equal(validate('diverges', undecided).isCorrect, false);
+});
+
+test('integrands with too many asymptotes are left undecided without blocking', () => {
+    for (const integrand of ['csc(2^x)', 'csc(pi^x)', 'tan(e^x)']) {
+        const started = Date.now();
+        const problem = analyze(integrand, { bounds: { lower: '1', upper: 'inf' } });
+        assert.ok(Date.now() - started < 2000, integrand);
+        assert.equal(problem.evaluation.converges, null, integrand);
+        assert.equal(problem.correctAnswer, '', integrand);
+        assert.match(problem.steps.join(' '), /more than 50 vertical asymptotes/, integrand);
+    }
+    assert.equal(analyze('csc(x)', { bounds: { lower: '1', upper: '100' } }).correctAnswer, 'diverges');
+});
+
+test('worked solutions flag the first invalid step', () => {
+    const work = new WorkedSolution(new AnswerValidator());
+    const problem = analyze('2x*cos(x^2)');
+    const good = work.check(['u = x^2', 'du = 2x dx', '∫ cos(u) du', 'sin(u)'], problem);
+    assert.equal(good.firstInvalid, -1);
+    assert.equal(good.finished, true);
+
+    const bad = work.check(['u = x^2', 'du = 2x dx', '∫ cos(u) du', 'cos(u)'], problem);
+    assert.equal(bad.results[bad.firstInvalid].line, 4);
+});
+
+test('worked solutions are only offered for indefinite integrals', () => {
+    const work = new WorkedSolution(new AnswerValidator());
+    assert.equal(WorkedSolution.supports(analyze('2x')), true);
+    for (const bounds of [{ lower: '0', upper: '1' }, { lower: '1', upper: 'inf' }]) {
+        const problem = analyze('2x', { bounds });
+        assert.equal(WorkedSolution.supports(problem), false);
+        assert.throws(() => work.check(['x^2'], problem), RangeError);
+    }
+});